@@ -0,0 +1,750 @@
+/**
+ * Static Analysis
+ *
+ * Deterministic checks for JavaScript files, behind the `analyse_code`
+ * tool. There is no parser dependency: a scanner blanks out comments,
+ * strings, template literals and regex literals (keeping offsets and line
+ * breaks), so the structure left behind can be matched reliably.
+ *
+ *   inventory   — functions (declarations, arrows, methods) and classes
+ *   complexity  — cyclomatic complexity per function (1 + branch points)
+ *   markers     — TODO / FIXME / HACK / XXX comments
+ *   imports     — imported names never referenced again
+ *   exports     — exports no other project file imports
+ *   duplicates  — runs of DUPLICATE_WINDOW or more identical lines
+ *   size        — total / code / comment / blank lines and bytes
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { resolve, relative, dirname, join, sep } from 'path';
+import { WorkspaceIndex } from './workspace.js';
+
+const JS_FILE = /\.(?:m|c)?jsx?$/i;
+const MAX_FUNCTION_LINES = 50;
+const MAX_COMPLEXITY = 10;
+const DUPLICATE_WINDOW = 6;
+const MAX_FILES = 200;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+// A `/` after one of these starts a regex literal, not a division
+const REGEX_PRECEDING_WORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+// Words that look like `name(...) {` but aren't methods
+const NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'with', 'else', 'do', 'try', 'finally', 'super', 'await', 'typeof', 'new']);
+const BRANCH_POINT = /\b(?:if|for|while|case|catch)\b|&&|\|\||\?\?|\?(?![.:?])/g;
+const MARKER = /^[\s*]*(TODO|FIXME|HACK|XXX)\b[:\s-]*(.*)/;
+
+/**
+ * Blank out comments, string/template contents and regex literals.
+ * Returns { code, comments: [{ line, text }], codeLines: Set } — code has
+ * the same length and line breaks as the source; codeLines are the lines
+ * holding anything other than comments and whitespace.
+ */
+function scanSource(source) {
+  const out = source.split('');
+  const comments = [];
+  const codeLines = new Set();
+  const n = source.length;
+  // One entry per open `${`: the brace depth inside that interpolation
+  const templates = [];
+  let line = 1;
+  let prev = '';
+  let prevWord = '';
+  let i = 0;
+
+  const blank = (from, to) => {
+    for (let k = from; k < to; k++) {
+      if (out[k] === '\n') line++;
+      else out[k] = ' ';
+    }
+  };
+  // Consume a template literal's text up to its end or the next `${`
+  const templateText = (from) => {
+    let j = from;
+    let at = line;
+    while (j < n && source[j] !== '`' && !(source[j] === '$' && source[j + 1] === '{')) {
+      if (source[j] === '\n') at++;
+      else codeLines.add(at);
+      j += source[j] === '\\' ? 2 : 1;
+    }
+    blank(from, Math.min(j, n));
+    if (source[j] === '`') return j + 1;
+    if (j < n) {
+      blank(j, j + 2);
+      templates.push(0);
+      return j + 2;
+    }
+    return n;
+  };
+
+  while (i < n) {
+    const c = source[i];
+    const next = source[i + 1];
+
+    if (c === '\n') { line++; i++; continue; }
+    if (c === ' ' || c === '\t' || c === '\r') { i++; continue; }
+
+    if (c === '/' && next === '/') {
+      const end = source.indexOf('\n', i) === -1 ? n : source.indexOf('\n', i);
+      comments.push({ line, text: source.slice(i + 2, end) });
+      blank(i, end);
+      i = end;
+      continue;
+    }
+    if (c === '/' && next === '*') {
+      const close = source.indexOf('*/', i + 2);
+      const end = close === -1 ? n : close + 2;
+      source.slice(i + 2, close === -1 ? n : close).split('\n')
+        .forEach((text, k) => comments.push({ line: line + k, text }));
+      blank(i, end);
+      i = end;
+      continue;
+    }
+
+    codeLines.add(line);
+
+    if (c === '"' || c === "'") {
+      let j = i + 1;
+      while (j < n && source[j] !== c && source[j] !== '\n') j += source[j] === '\\' ? 2 : 1;
+      blank(i + 1, Math.min(j, n));
+      i = j + 1;
+      prev = '"';
+      continue;
+    }
+    if (c === '`') {
+      i = templateText(i + 1);
+      prev = '"';
+      continue;
+    }
+    if (c === '/' && (prev === '' || (prev === 'a' ? REGEX_PRECEDING_WORDS.has(prevWord) : !/[\w$)\]"]/.test(prev)))) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < n && source[j] !== '\n') {
+        if (source[j] === '\\') { j += 2; continue; }
+        if (source[j] === '[') inClass = true;
+        else if (source[j] === ']') inClass = false;
+        else if (source[j] === '/' && !inClass) break;
+        j++;
+      }
+      j++;
+      while (j < n && /[a-z]/i.test(source[j])) j++;
+      blank(i, j);
+      i = j;
+      prev = '"';
+      continue;
+    }
+    if (/[\w$]/.test(c)) {
+      let j = i + 1;
+      while (j < n && /[\w$]/.test(source[j])) j++;
+      prevWord = source.slice(i, j);
+      prev = 'a';
+      i = j;
+      continue;
+    }
+
+    if (templates.length) {
+      if (c === '{') templates[templates.length - 1]++;
+      else if (c === '}') {
+        if (templates[templates.length - 1] === 0) {
+          templates.pop();
+          blank(i, i + 1);
+          i = templateText(i + 1);
+          prev = '"';
+          continue;
+        }
+        templates[templates.length - 1]--;
+      }
+    }
+    prev = c;
+    i++;
+  }
+
+  return { code: out.join(''), comments, codeLines };
+}
+
+/**
+ * Index of the bracket closing the one at `open` (code must be scanned
+ * first so brackets inside strings and comments don't count), or -1
+ */
+function matchClose(code, open) {
+  const opener = code[open];
+  const closer = { '{': '}', '(': ')', '[': ']' }[opener];
+  let depth = 0;
+  for (let k = open; k < code.length; k++) {
+    if (code[k] === opener) depth++;
+    else if (code[k] === closer && --depth === 0) return k;
+  }
+  return -1;
+}
+
+/**
+ * Offset → 1-based line number
+ */
+function lineIndex(source) {
+  const starts = [0];
+  for (let k = 0; k < source.length; k++) if (source[k] === '\n') starts.push(k + 1);
+  return (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+}
+
+// Name a function expression from what it's assigned to: `const x = `, `x: `
+function assignedName(code, index) {
+  const m = code.slice(Math.max(0, index - 120), index).match(new RegExp(`(${IDENTIFIER})\\s*(?:=|:)\\s*(?:async\\s*)?$`));
+  return m ? m[1] : '(anonymous)';
+}
+
+function countParams(text) {
+  const inner = text.trim();
+  if (!inner) return 0;
+  let depth = 0;
+  let count = 1;
+  for (const ch of inner) {
+    if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) depth--;
+    else if (ch === ',' && depth === 0) count++;
+  }
+  return inner.endsWith(',') ? count - 1 : count;
+}
+
+/**
+ * End of an arrow function's expression body: the first `,` `;` or closing
+ * bracket at depth 0, or a line break that doesn't continue the expression
+ */
+function expressionEnd(code, from) {
+  let depth = 0;
+  for (let k = from; k < code.length; k++) {
+    const ch = code[k];
+    if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) {
+      if (depth === 0) return k - 1;
+      depth--;
+    } else if (depth === 0 && (ch === ',' || ch === ';')) return k - 1;
+    else if (depth === 0 && ch === '\n') {
+      const before = code.slice(from, k).trimEnd();
+      const after = code.slice(k + 1).trimStart();
+      if (!/[=+\-*/%&|^?:.,(]$/.test(before) && !/^[+\-*/%&|^?:.]/.test(after)) return k - 1;
+    }
+  }
+  return code.length - 1;
+}
+
+/**
+ * Functions in scanned code: [{ name, kind, start, bodyStart, end, params }]
+ * (offsets into the code; end is the last character of the body)
+ */
+function findFunctions(code) {
+  const found = [];
+
+  const declaration = new RegExp(`\\bfunction\\b\\s*\\*?\\s*(${IDENTIFIER})?\\s*\\(`, 'g');
+  for (const m of code.matchAll(declaration)) {
+    const open = m.index + m[0].length - 1;
+    const close = matchClose(code, open);
+    const body = close === -1 ? -1 : code.indexOf('{', close);
+    if (body === -1) continue;
+    found.push({
+      name: m[1] || assignedName(code, m.index),
+      kind: 'function',
+      start: m.index,
+      bodyStart: body,
+      end: matchClose(code, body),
+      params: countParams(code.slice(open + 1, close)),
+    });
+  }
+
+  for (const m of code.matchAll(/=>/g)) {
+    // Parameters: a lone identifier or a parenthesised list
+    let k = m.index - 1;
+    while (k >= 0 && /\s/.test(code[k])) k--;
+    let start;
+    let params;
+    if (code[k] === ')') {
+      let depth = 0;
+      let open = k;
+      for (; open >= 0; open--) {
+        if (code[open] === ')') depth++;
+        else if (code[open] === '(' && --depth === 0) break;
+      }
+      if (open < 0) continue;
+      start = open;
+      params = countParams(code.slice(open + 1, k));
+    } else {
+      const id = code.slice(0, k + 1).match(new RegExp(`${IDENTIFIER}$`));
+      if (!id) continue;
+      start = k + 1 - id[0].length;
+      params = 1;
+    }
+    const asyncPrefix = code.slice(0, start).match(/\basync\s*$/);
+    if (asyncPrefix) start -= asyncPrefix[0].length;
+
+    let body = m.index + 2;
+    while (body < code.length && /\s/.test(code[body])) body++;
+    const end = code[body] === '{' ? matchClose(code, body) : expressionEnd(code, body);
+    found.push({ name: assignedName(code, start), kind: 'arrow', start, bodyStart: body, end, params });
+  }
+
+  const method = new RegExp(`^[ \\t]*(?:(?:static|async|get|set)\\s+)*\\*?\\s*(#?${IDENTIFIER})\\s*\\(`, 'gm');
+  for (const m of code.matchAll(method)) {
+    if (NOT_METHODS.has(m[1])) continue;
+    const open = m.index + m[0].length - 1;
+    const close = matchClose(code, open);
+    if (close === -1) continue;
+    const after = code.slice(close + 1).match(/^\s*\{/);
+    if (!after) continue;
+    const body = close + after[0].length;
+    found.push({
+      name: m[1],
+      kind: 'method',
+      start: m.index + m[0].indexOf(m[1]),
+      bodyStart: body,
+      end: matchClose(code, body),
+      params: countParams(code.slice(open + 1, close)),
+    });
+  }
+
+  return found.filter(f => f.end > f.bodyStart || f.kind === 'arrow').sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Imports and exports in scanned code. Module specifiers are read from the
+ * source at the offsets of the (blanked) string in the code.
+ */
+function findModuleLinks(code, source) {
+  const specifierAt = (quote) => source.slice(quote + 1, source.indexOf(source[quote], quote + 1));
+  const imports = [];
+  const reexports = [];
+  const exports = [];
+  const spans = [];
+
+  const named = (clause) => clause.split(',').map(s => s.trim()).filter(Boolean).map(s => {
+    const [imported, local] = s.replace(/^type\s+/, '').split(/\s+as\s+/);
+    return { imported: imported.trim(), local: (local || imported).trim() };
+  });
+
+  const esm = /\bimport\s+(?!\()([\w$*{}\s,]*?)\s*\bfrom\s*(['"])/g;
+  for (const m of code.matchAll(esm)) {
+    const quote = m.index + m[0].length - 1;
+    const clause = m[1];
+    const bindings = [];
+    const def = clause.match(new RegExp(`^(${IDENTIFIER})`));
+    if (def) bindings.push({ imported: 'default', local: def[1] });
+    const ns = clause.match(new RegExp(`\\*\\s*as\\s+(${IDENTIFIER})`));
+    if (ns) bindings.push({ imported: '*', local: ns[1] });
+    const braces = clause.match(/\{([^}]*)\}/);
+    if (braces) bindings.push(...named(braces[1]));
+    imports.push({ source: specifierAt(quote), bindings, index: m.index });
+    spans.push([m.index, quote + specifierAt(quote).length + 2]);
+  }
+  for (const m of code.matchAll(/\bimport\s*(['"])/g)) {
+    const quote = m.index + m[0].length - 1;
+    imports.push({ source: specifierAt(quote), bindings: [], index: m.index });
+  }
+  for (const m of code.matchAll(/\bimport\s*\(\s*(['"])/g)) {
+    const quote = m.index + m[0].length - 1;
+    imports.push({ source: specifierAt(quote), bindings: [{ imported: '*', local: null }], index: m.index, dynamic: true });
+  }
+  const cjs = new RegExp(`\\b(?:const|let|var)\\s+(\\{[^}]*\\}|${IDENTIFIER})\\s*=\\s*require\\s*\\(\\s*(['"])`, 'g');
+  for (const m of code.matchAll(cjs)) {
+    const quote = m.index + m[0].length - 1;
+    const bindings = m[1].startsWith('{')
+      ? m[1].slice(1, -1).split(',').map(s => s.trim()).filter(Boolean).map(s => {
+        const [imported, local] = s.split(':').map(p => p.trim());
+        return { imported, local: local || imported };
+      })
+      : [{ imported: '*', local: m[1] }];
+    imports.push({ source: specifierAt(quote), bindings, index: m.index });
+    const close = code.indexOf(')', quote);
+    spans.push([m.index, close === -1 ? quote : close + 1]);
+  }
+
+  for (const m of code.matchAll(/\bexport\s*(\*|\{[^}]*\})\s*from\s*(['"])/g)) {
+    const quote = m.index + m[0].length - 1;
+    const bindings = m[1] === '*' ? [{ imported: '*', local: null }] : named(m[1].slice(1, -1));
+    reexports.push({ source: specifierAt(quote), bindings });
+    if (m[1] !== '*') exports.push(...bindings.map(b => ({ name: b.local, index: m.index })));
+  }
+  const declared = new RegExp(`\\bexport\\s+(?:async\\s+)?(?:function\\s*\\*?|class|const|let|var)\\s*(${IDENTIFIER})`, 'g');
+  for (const m of code.matchAll(declared)) exports.push({ name: m[1], index: m.index });
+  for (const m of code.matchAll(/\bexport\s+default\b/g)) exports.push({ name: 'default', index: m.index });
+  for (const m of code.matchAll(/\bexport\s*\{([^}]*)\}(?!\s*from)/g)) {
+    exports.push(...named(m[1]).map(b => ({ name: b.local, index: m.index })));
+  }
+
+  return { imports, reexports, exports, spans };
+}
+
+/**
+ * Analyse one JavaScript source. Returns the per-file report; unused
+ * exports and duplicates need the other files and are filled in by
+ * analysePath.
+ */
+function analyseSource(source, { path = '<source>', maxFunctionLines = MAX_FUNCTION_LINES, maxComplexity = MAX_COMPLEXITY } = {}) {
+  const { code, comments, codeLines } = scanSource(source);
+  const lineAt = lineIndex(source);
+  const sourceLines = source.split('\n');
+
+  // ── Size ──
+  let blank = 0;
+  let comment = 0;
+  sourceLines.forEach((text, k) => {
+    if (!text.trim()) blank++;
+    else if (!codeLines.has(k + 1)) comment++;
+  });
+
+  // ── Functions and complexity ──
+  // Anonymous callbacks aren't listed; their branches count for the
+  // function they're written in
+  const functions = findFunctions(code).filter(f => f.name !== '(anonymous)').map(f => ({ ...f, complexity: 1 }));
+  for (const m of code.matchAll(BRANCH_POINT)) {
+    let owner = null;
+    for (const f of functions) {
+      if (f.bodyStart <= m.index && m.index <= f.end && (!owner || f.start >= owner.start)) owner = f;
+    }
+    if (owner) owner.complexity++;
+  }
+
+  // ── Classes ──
+  const classes = [];
+  const classPattern = new RegExp(`\\bclass\\b(?:\\s+(${IDENTIFIER}))?(?:\\s+extends\\s+([\\w$.]+))?\\s*\\{`, 'g');
+  for (const m of code.matchAll(classPattern)) {
+    const open = m.index + m[0].length - 1;
+    const end = matchClose(code, open);
+    classes.push({ name: m[1] || assignedName(code, m.index), extends: m[2] || null, start: m.index, bodyStart: open, end });
+  }
+  for (const f of functions) {
+    if (f.kind !== 'method') continue;
+    const inside = classes.filter(c => c.bodyStart < f.start && f.end <= c.end);
+    const owner = inside[inside.length - 1];
+    // A method directly in the class body, not in an object inside one of its methods
+    if (owner && !functions.some(g => g !== f && g.bodyStart > owner.bodyStart && g.bodyStart < f.start && f.end <= g.end)) {
+      f.className = owner.name;
+    }
+  }
+
+  // ── Markers ──
+  const todos = comments
+    .map(c => ({ line: c.line, match: c.text.match(MARKER) }))
+    .filter(c => c.match)
+    .map(c => ({ tag: c.match[1], line: c.line, text: c.match[2].trim() }));
+
+  // ── Imports ──
+  const links = findModuleLinks(code, source);
+  let body = code;
+  for (const [from, to] of links.spans) body = body.slice(0, from) + ' '.repeat(to - from) + body.slice(to);
+  const unusedImports = [];
+  for (const imp of links.imports) {
+    for (const b of imp.bindings) {
+      if (!b.local) continue;
+      // Not as a property (`x.name`), but spread (`...name`) is a use
+      const used = new RegExp(`(?<![\\w$])(?<!(?<!\\.\\.)\\.)${b.local.replace(/\$/g, '\\$')}(?![\\w$])`).test(body);
+      if (!used) unusedImports.push({ name: b.local, source: imp.source, line: lineAt(imp.index) });
+    }
+  }
+
+  const report = functions.map(f => {
+    const line = lineAt(f.start);
+    const endLine = lineAt(Math.max(f.end, f.bodyStart));
+    return {
+      name: f.className ? `${f.className}.${f.name}` : f.name,
+      kind: f.kind,
+      line,
+      endLine,
+      lines: endLine - line + 1,
+      params: f.params,
+      complexity: f.complexity,
+    };
+  });
+
+  return {
+    path,
+    bytes: Buffer.byteLength(source),
+    lines: { total: sourceLines.length, code: sourceLines.length - blank - comment, comment, blank },
+    functions: report,
+    classes: classes.map(c => ({
+      name: c.name,
+      extends: c.extends,
+      line: lineAt(c.start),
+      methods: functions.filter(f => f.className === c.name && f.bodyStart > c.bodyStart && f.end <= c.end).length,
+    })),
+    longFunctions: report.filter(f => f.lines > maxFunctionLines),
+    complexFunctions: report.filter(f => f.complexity > maxComplexity),
+    todos,
+    imports: links.imports.map(i => ({ source: i.source, names: i.bindings.map(b => b.local).filter(Boolean) })),
+    unusedImports,
+    exports: [...new Set(links.exports.map(e => e.name))],
+    unusedExports: null,
+    importedBy: null,
+    // Reused by analysePath, removed before the report is returned
+    _links: links,
+    _codeLines: codeLines,
+  };
+}
+
+/**
+ * Resolve a relative module specifier to a project file (as the
+ * WorkspaceIndex lists it), or null for packages and unknown files
+ */
+function resolveModule(specifier, fromFile, known) {
+  if (!specifier.startsWith('.')) return null;
+  const base = join(dirname(fromFile), specifier).split(sep).join('/');
+  for (const candidate of [base, `${base}.js`, `${base}.mjs`, `${base}.cjs`, `${base}/index.js`]) {
+    if (known.has(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Who imports what: file → { importers: Set, names: Set, namespace }
+ * across every JavaScript file in the project
+ */
+function importGraph(files, root, cache) {
+  const known = new Set(files);
+  const graph = new Map();
+  const entry = (file) => {
+    if (!graph.has(file)) graph.set(file, { importers: new Set(), names: new Set(), namespace: false });
+    return graph.get(file);
+  };
+
+  for (const file of files) {
+    let links = cache.get(file);
+    if (!links) {
+      const source = readSource(join(root, file));
+      if (source === null) continue;
+      links = findModuleLinks(scanSource(source).code, source);
+    }
+    for (const link of [...links.imports, ...links.reexports]) {
+      const target = resolveModule(link.source, file, known);
+      if (!target) continue;
+      const e = entry(target);
+      e.importers.add(file);
+      if (!link.bindings.length || link.bindings.some(b => b.imported === '*')) e.namespace = true;
+      for (const b of link.bindings) e.names.add(b.imported);
+    }
+  }
+  return graph;
+}
+
+/**
+ * Runs of DUPLICATE_WINDOW+ identical non-trivial lines, within and across
+ * files: [{ lines, occurrences: [{ path, line, endLine }] }], longest first
+ */
+function findDuplicates(sources, window = DUPLICATE_WINDOW) {
+  const significant = new Map();
+  const windows = new Map();
+
+  for (const [path, { source, codeLines }] of sources) {
+    const kept = [];
+    source.split('\n').forEach((text, k) => {
+      const normalised = text.trim().replace(/\s+/g, ' ');
+      if (codeLines.has(k + 1) && normalised.length > 3 && !/^[\])};,\s]*$/.test(normalised)) {
+        kept.push({ line: k + 1, text: normalised });
+      }
+    });
+    significant.set(path, kept);
+    for (let k = 0; k + window <= kept.length; k++) {
+      const key = kept.slice(k, k + window).map(l => l.text).join('\n');
+      if (!windows.has(key)) windows.set(key, []);
+      const list = windows.get(key);
+      const last = list[list.length - 1];
+      // Skip a window overlapping the previous occurrence in the same file
+      if (!last || last.path !== path || k - last.index >= window) list.push({ path, index: k });
+    }
+  }
+
+  // Merge consecutive duplicated windows into one block
+  const blocks = [];
+  const blockAt = new Map();
+  const groups = [...windows.values()].filter(list => list.length > 1);
+  const order = [...sources.keys()];
+  groups.sort((a, b) => order.indexOf(a[0].path) - order.indexOf(b[0].path) || a[0].index - b[0].index);
+  for (const group of groups) {
+    const previous = blockAt.get(`${group[0].path}:${group[0].index - 1}`);
+    const continues = previous && previous.occurrences.length === group.length
+      && group.every(o => blockAt.get(`${o.path}:${o.index - 1}`) === previous);
+    const block = continues ? previous : { length: window, occurrences: group };
+    if (continues) block.length++;
+    else blocks.push(block);
+    for (const o of group) blockAt.set(`${o.path}:${o.index}`, block);
+  }
+
+  return blocks
+    .map(b => ({
+      lines: b.length,
+      occurrences: b.occurrences.map(o => {
+        const kept = significant.get(o.path);
+        return { path: o.path, line: kept[o.index].line, endLine: kept[o.index + b.length - 1].line };
+      }),
+    }))
+    .sort((a, b) => b.lines - a.lines);
+}
+
+function readSource(path) {
+  try {
+    if (statSync(path).size > MAX_FILE_BYTES) return null;
+    return readFileSync(path, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Analyse a JavaScript file, or every JavaScript file under a directory
+ * (honouring .gitignore). Unused exports are checked against imports from
+ * the whole project under root.
+ *
+ * Returns { success, target, files, duplicates, totals, skipped, truncated }.
+ */
+function analysePath(target, { root = process.cwd(), maxFunctionLines = MAX_FUNCTION_LINES, maxComplexity = MAX_COMPLEXITY } = {}) {
+  const rootDir = resolve(root);
+  const full = resolve(rootDir, target);
+  let stat;
+  try { stat = statSync(full); } catch { return { success: false, error: `Path not found: ${target}` }; }
+
+  const inRoot = !relative(rootDir, full).startsWith('..');
+  const base = inRoot ? rootDir : (stat.isDirectory() ? full : dirname(full));
+  const project = new WorkspaceIndex(base).files().filter(f => JS_FILE.test(f));
+  const rel = relative(base, full).split(sep).join('/');
+
+  let selected;
+  if (stat.isDirectory()) {
+    selected = project.filter(f => !rel || f.startsWith(`${rel}/`));
+  } else if (JS_FILE.test(full)) {
+    selected = [rel];
+  } else {
+    return { success: false, error: `Not a JavaScript file: ${target}` };
+  }
+  const truncated = selected.length > MAX_FILES;
+  selected = selected.slice(0, MAX_FILES);
+
+  const files = [];
+  const skipped = [];
+  const sources = new Map();
+  const cache = new Map();
+  for (const file of selected) {
+    const source = readSource(join(base, file));
+    if (source === null) {
+      skipped.push(file);
+      continue;
+    }
+    const report = analyseSource(source, { path: file, maxFunctionLines, maxComplexity });
+    cache.set(file, report._links);
+    sources.set(file, { source, codeLines: report._codeLines });
+    files.push(report);
+  }
+
+  const graph = importGraph(project.includes(rel) || stat.isDirectory() ? project : [...project, rel], base, cache);
+  for (const report of files) {
+    delete report._links;
+    delete report._codeLines;
+    const usage = graph.get(report.path);
+    report.importedBy = usage ? usage.importers.size : 0;
+    // Files nobody imports are entry points (or dead) — their exports
+    // are someone else's API, not "unused"
+    report.unusedExports = usage && !usage.namespace
+      ? report.exports.filter(name => !usage.names.has(name))
+      : [];
+  }
+
+  const functions = files.flatMap(f => f.functions.map(fn => ({ ...fn, path: f.path })));
+  const mostComplex = functions.reduce((top, f) => (!top || f.complexity > top.complexity ? f : top), null);
+  const sum = (pick) => files.reduce((n, f) => n + pick(f), 0);
+
+  return {
+    success: true,
+    target,
+    thresholds: { maxFunctionLines, maxComplexity },
+    files,
+    duplicates: findDuplicates(sources),
+    totals: {
+      files: files.length,
+      bytes: sum(f => f.bytes),
+      lines: {
+        total: sum(f => f.lines.total),
+        code: sum(f => f.lines.code),
+        comment: sum(f => f.lines.comment),
+        blank: sum(f => f.lines.blank),
+      },
+      functions: functions.length,
+      classes: sum(f => f.classes.length),
+      todos: sum(f => f.todos.length),
+      averageComplexity: functions.length ? Math.round(functions.reduce((n, f) => n + f.complexity, 0) / functions.length * 10) / 10 : 0,
+      mostComplex: mostComplex ? { name: mostComplex.name, path: mostComplex.path, line: mostComplex.line, complexity: mostComplex.complexity } : null,
+    },
+    skipped,
+    truncated,
+  };
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────
+
+const MAX_LISTED = 15;
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : word.endsWith('s') ? 'es' : 's'}`;
+const kb = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+function listSection(lines, title, items, format) {
+  if (!items.length) return;
+  lines.push('', `${title} (${items.length}):`);
+  lines.push(...items.slice(0, MAX_LISTED).map(item => `  ${format(item)}`));
+  if (items.length > MAX_LISTED) lines.push(`  … ${items.length - MAX_LISTED} more`);
+}
+
+/**
+ * Summary of an analysePath report for the code_analysis response template
+ */
+function renderAnalysis(report) {
+  const { totals, thresholds } = report;
+  const single = report.files.length === 1 ? report.files[0] : null;
+  const withPath = (pick) => report.files.flatMap(f => pick(f).map(item => ({ ...item, path: f.path })));
+  const at = (item) => `${item.path}:${item.line}`;
+
+  if (!report.files.length) return `No JavaScript files to analyse in \`${report.target}\`.`;
+
+  const { lines: l } = totals;
+  const lines = [
+    `Analysed \`${single ? single.path : report.target}\`${single ? '' : ` — ${plural(totals.files, 'file')}`}: ` +
+      `${plural(l.total, 'line')} (${l.code} code, ${l.comment} comment, ${l.blank} blank), ${kb(totals.bytes)}`,
+    `${plural(totals.functions, 'function')}, ${plural(totals.classes, 'class')}` +
+      (totals.mostComplex ? ` · complexity avg ${totals.averageComplexity}, max ${totals.mostComplex.complexity} (\`${totals.mostComplex.name}\`)` : ''),
+  ];
+
+  const complex = withPath(f => f.complexFunctions).sort((a, b) => b.complexity - a.complexity);
+  const long = withPath(f => f.longFunctions).sort((a, b) => b.lines - a.lines);
+  listSection(lines, `Complex functions (complexity > ${thresholds.maxComplexity})`, complex, f => `${at(f)}  ${f.name}  ${f.complexity}`);
+  listSection(lines, `Long functions (> ${thresholds.maxFunctionLines} lines)`, long, f => `${at(f)}  ${f.name}  ${f.lines} lines`);
+  listSection(lines, 'TODO/FIXME', withPath(f => f.todos), t => `${at(t)}  ${t.tag}  ${t.text}`);
+  listSection(lines, 'Unused imports', withPath(f => f.unusedImports), u => `${at(u)}  ${u.name} from '${u.source}'`);
+  listSection(lines, 'Unused exports', report.files.flatMap(f => f.unusedExports.map(name => ({ name, path: f.path }))),
+    u => `${u.path}  ${u.name} — not imported by any project file`);
+  listSection(lines, 'Duplicated blocks', report.duplicates,
+    d => `${d.lines} lines  ${d.occurrences.map(o => `${o.path}:${o.line}-${o.endLine}`).join(', ')}`);
+
+  if (single) {
+    listSection(lines, 'Classes', single.classes, c => `${String(c.line).padStart(5)}  ${c.name}${c.extends ? ` extends ${c.extends}` : ''}  (${plural(c.methods, 'method')})`);
+    listSection(lines, 'Functions', single.functions,
+      f => `${String(f.line).padStart(5)}  ${f.name.padEnd(28)} ${String(f.lines).padStart(4)} lines  complexity ${f.complexity}`);
+  } else {
+    const byComplexity = [...report.files].sort((a, b) => Math.max(0, ...b.functions.map(f => f.complexity)) - Math.max(0, ...a.functions.map(f => f.complexity)));
+    listSection(lines, 'Files', byComplexity,
+      f => `${f.path.padEnd(32)} ${String(f.lines.total).padStart(5)} lines  ${String(f.functions.length).padStart(3)} fns  max complexity ${Math.max(0, ...f.functions.map(fn => fn.complexity))}`);
+  }
+
+  if (report.skipped.length) lines.push('', `Skipped (unreadable or over ${kb(MAX_FILE_BYTES)}): ${report.skipped.join(', ')}`);
+  if (report.truncated) lines.push('', `Only the first ${MAX_FILES} files were analysed.`);
+  return lines.join('\n');
+}
+
+export {
+  JS_FILE,
+  scanSource,
+  analyseSource,
+  analysePath,
+  findDuplicates,
+  renderAnalysis,
+};
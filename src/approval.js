@@ -0,0 +1,246 @@
+/**
+ * Approval Gates
+ *
+ * Plan steps are sorted into risk classes before anything runs:
+ *
+ *   destructive        delete_file, rm / find -delete / git rm, discarding git
+ *                      changes (clean, reset --hard, restore, checkout -- / . /
+ *                      -f, switch --discard-changes, branch -D, tag -d, stash
+ *                      drop), a force push or a remote delete, killing
+ *                      whatever holds a port
+ *   push               git push
+ *   publish            npm/pnpm/yarn publish, deploy scripts, docker push
+ *   network_write      POST/PUT/PATCH/DELETE requests, curl -d / -X POST
+ *   dependency_change  adding, removing or upgrading packages (the dependencies
+ *                      tool — including a recovery's missing-module install —
+ *                      or npm/pnpm/yarn install / add / remove, pip install)
+ *   overwrite          create_file on a path that exists, move_file onto one,
+ *                      a > / >> redirect into one
+ *   unlisted_command   a command (run_command, git, or a background process)
+ *                      whose program isn't in the allowlist, or that runs
+ *                      one it can't see ($(...), backticks, eval, sh -c)
+ *
+ * The approval policy — "approval" in agent.config.json — says always, never
+ * or ask for each class. A step in several classes gets the strictest answer:
+ * never refuses the plan, ask pauses it for a yes/no before the first step
+ * runs. Extra programs for the allowlist go in approval.allowCommands.
+ * Paths are checked against the policy's root (the project directory).
+ */
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+
+const MODES = ['always', 'never', 'ask'];
+
+const DEFAULT_POLICY = {
+  destructive: 'ask',
+  push: 'ask',
+  publish: 'ask',
+  network_write: 'ask',
+  dependency_change: 'ask',
+  overwrite: 'ask',
+  unlisted_command: 'ask',
+};
+
+// Programs a command may start without counting as unlisted: everyday file
+// utilities and the usual build, test and package toolchain. Their risky
+// uses (rm, git push, npm publish) are caught by the other classes, so each
+// keeps its own policy. Interpreters and runners (node, python, npx, make,
+// docker, env) and network clients (curl, wget) can do anything, so they ask
+// unless added through approval.allowCommands.
+const ALLOWED_COMMANDS = [
+  'ls', 'cat', 'head', 'tail', 'less', 'wc', 'grep', 'rg', 'echo', 'printf', 'pwd', 'which',
+  'date', 'diff', 'sort', 'uniq', 'file', 'stat', 'du', 'df', 'tree', 'true', 'test', 'cd',
+  'mkdir', 'touch', 'cp', 'mv', 'rm', 'rmdir',
+  'git', 'npm', 'pnpm', 'yarn', 'tsc', 'eslint', 'prettier', 'jest', 'vitest', 'mocha',
+  'pip', 'pip3', 'pytest', 'poetry', 'go', 'cargo',
+  'lsof', 'ss', 'ps',
+];
+
+/**
+ * The shell command a step would run ('' for file tools)
+ */
+function commandOf(step) {
+  const args = step.args || {};
+  if (step.tool === 'run_command') return args.command || '';
+  if (step.tool === 'git') return `git ${args.args || ''}`;
+  if (step.tool === 'process' && ['start', 'restart'].includes(args.action)) return args.command || '';
+  return '';
+}
+
+// Subcommands that make an allowlisted tool run arbitrary code ("npm exec
+// x", "go run main.go"). They count as their own program — "npm exec" — so
+// the tool itself stays listed; allowCommands can add them. npm run isn't
+// one: like npm test, it runs the project's own scripts.
+const RUNNER_SUBCOMMANDS = {
+  npm: ['exec', 'x'],
+  pnpm: ['exec', 'dlx'],
+  yarn: ['exec', 'dlx'],
+  go: ['run'],
+  cargo: ['run'],
+  poetry: ['run'],
+};
+
+// $(...), backticks, <(...) / >(...), eval and sh -c run a command the
+// allowlist never sees (single-quoted text is left out — it doesn't expand)
+const HIDDEN_COMMAND = /\$\(|`|[<>]\(|(?:^|[\s;&|(])eval\s|\b(?:ba|da|k|z)?sh\s+(?:-\w+\s+)*-\w*c\b/;
+
+/**
+ * The files a shell command writes through > / >> / &> redirections
+ * ([{ path, append }]; fd duplications like 2>&1 and /dev/null aren't files)
+ */
+function redirectTargets(command) {
+  const targets = [];
+  // Quoted strings are matched first so a quoted ">" isn't taken for one
+  for (const m of command.matchAll(/'[^']*'|"(?:[^"\\]|\\.)*"|(?:\d|&)?(>>?)(?![&(])\s*('[^']*'|"(?:[^"\\]|\\.)*"|[^\s;&|<>()]+)/g)) {
+    if (!m[1]) continue;
+    const path = m[2].replace(/^(['"])(.*)\1$/, '$2');
+    if (path !== '/dev/null') targets.push({ path, append: m[1] === '>>' });
+  }
+  return targets;
+}
+
+/**
+ * The programs a shell command starts — the first word of each part of a
+ * pipeline or && / || / ; list, after any VAR=value assignments (quoted
+ * strings and fd redirections like 2>&1 aren't split on). A runner
+ * subcommand comes with its tool: "npm exec".
+ */
+function programsOf(command) {
+  return command
+    .replace(/'[^']*'|"(?:[^"\\]|\\.)*"/g, 'Q')
+    .replace(/\d*>&\d+|&>/g, ' ')
+    .split(/&&|\|\||[;|&\n]/)
+    .map(part => part.trim().replace(/^[({\s]+/, '').replace(/^(\w+=\S*\s+)+/, '').split(/\s+/))
+    .filter(words => words[0])
+    .map(([first, ...rest]) => {
+      const program = first.replace(/^.*\//, '');
+      const subcommand = rest.find(w => !w.startsWith('-'));
+      return RUNNER_SUBCOMMANDS[program]?.includes(subcommand) ? `${program} ${subcommand}` : program;
+    });
+}
+
+const RISK_CLASSES = [
+  {
+    id: 'destructive',
+    match(step, command) {
+      if (step.tool === 'delete_file') return `deletes \`${step.args?.path}\``;
+      if (step.tool === 'process' && step.args?.action === 'stop' && step.args?.port) return `kills whatever holds port ${step.args.port}`;
+      if (/(^|[;&|]\s*)(sudo\s+)?(rm|rmdir|unlink|shred)\s/.test(command)) return 'removes files';
+      if (/\bfind\b.*\s(-delete\b|-exec(dir)?\s+(rm|rmdir|unlink|shred)\b)|\bxargs\s+(-\S+\s+)*(rm|rmdir|unlink|shred)\b/.test(command)) return 'removes files';
+      // --force, -f, or a +refspec ("git push origin +main")
+      if (/\bgit\s+push\b.*\s((--force(-with-lease|-if-includes)?|-f)\b|\+\S)/.test(command)) return 'force-pushes';
+      if (/\bgit\s+rm\b/.test(command)) return 'removes files';
+      if (/\bgit\s+push\b.*\s(--delete\b|-d\b|:\S)/.test(command)) return 'deletes a remote branch or tag';
+      if (/\bgit\s+tag\s+(-d|--delete)\b/.test(command)) return 'deletes a tag';
+      // restore --staged alone only unstages
+      if (/\bgit\s+restore\b/.test(command) && (!/\s(--staged|-S)\b/.test(command) || /\s(--worktree|-W)\b/.test(command))) return 'discards git changes';
+      if (/\bgit\s+(clean|reset\s+--hard|checkout\b.*\s(--|\.|-f|--force)(\s|$)|switch\b.*\s(--discard-changes|-f|--force)\b|branch\s+(-D|--delete\s+--force)|stash\s+(drop|clear))/.test(command)) return 'discards git changes';
+      return null;
+    },
+  },
+  {
+    id: 'push',
+    match: (step, command) => (/\bgit\s+push\b/.test(command) ? 'pushes to a remote' : null),
+  },
+  {
+    id: 'publish',
+    match(step, command) {
+      const m = command.match(/\b(?:npm|pnpm|yarn)\s+publish\b|\bdocker\s+push\b|\bcargo\s+publish\b|\btwine\s+upload\b|\bgh\s+release\s+create\b|\b(?:npm|pnpm|yarn)(?:\s+run)?\s+deploy\S*|\bmake\s+deploy\S*|\b(?:vercel|netlify|flyctl|fly|firebase|wrangler)\s+(?:deploy|publish)\b/);
+      return m && `publishes (\`${m[0]}\`)`;
+    },
+  },
+  {
+    id: 'network_write',
+    match(step, command) {
+      if (step.tool === 'http_request') {
+        const method = (step.args?.method || 'GET').toUpperCase();
+        return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? null : `sends ${method} ${step.args?.url}`;
+      }
+      if (/\bcurl\b.*\s(-X\s*(POST|PUT|PATCH|DELETE)|-d|--data\S*|-F|--form|-T|--upload-file)\b/.test(command)
+        || /\bwget\b.*--(post|method=(POST|PUT|PATCH|DELETE))/i.test(command)) {
+        return 'sends data over the network';
+      }
+      return null;
+    },
+  },
+  {
+    id: 'dependency_change',
+    match(step, command) {
+      const shell = command.match(/\b(?:npm|pnpm|yarn)\s+(?:install|i|add|remove|uninstall)\b[^;&|]*|\b(?:pip3?|python3?\s+-m\s+pip)\s+(?:install|uninstall)\b[^;&|]*/);
+      if (shell) return `changes dependencies (\`${shell[0].trim()}\`)`;
+      const { action, packages = [] } = step.args || {};
+      if (step.tool !== 'dependencies' || !['add', 'remove', 'upgrade'].includes(action)) return null;
+      return `${action === 'add' ? 'adds' : action === 'remove' ? 'removes' : 'upgrades'} ${packages.length ? packages.map(p => `\`${p}\``).join(', ') : 'every package'}`;
+    },
+  },
+  {
+    id: 'overwrite',
+    match(step, command, { root }) {
+      const redirect = redirectTargets(command).find(t => existsSync(resolve(root || '.', t.path)));
+      if (redirect) return `${redirect.append ? 'appends to' : 'overwrites'} \`${redirect.path}\``;
+      const target = step.tool === 'create_file' ? step.args?.path : step.tool === 'move_file' ? step.args?.to : null;
+      if (!target || !existsSync(resolve(root || '.', target))) return null;
+      return step.tool === 'create_file' ? `overwrites \`${target}\`` : `moves \`${step.args?.from}\` onto \`${target}\`, which exists`;
+    },
+  },
+  {
+    id: 'unlisted_command',
+    match(step, command, { allow }) {
+      if (!['run_command', 'process', 'git'].includes(step.tool)) return null;
+      const hidden = command.replace(/'[^']*'/g, "''").match(HIDDEN_COMMAND);
+      if (hidden) return `runs a command the allowlist can't check (${hidden[0] === '`' ? 'a backtick substitution' : `\`${hidden[0].trim()}\``})`;
+      const unlisted = programsOf(command).filter(p => !allow.includes(p));
+      return unlisted.length ? `runs \`${unlisted[0]}\`, which isn't in the allowlist` : null;
+    },
+  },
+];
+
+/**
+ * The approval policy from agent.config.json's "approval" settings over
+ * the defaults. Modes other than always / never / ask are read as ask.
+ * Returns { modes: { <risk>: mode }, allow: [program], root }.
+ */
+function approvalPolicy(settings = {}, { root = null } = {}) {
+  const modes = { ...DEFAULT_POLICY };
+  for (const risk of Object.keys(DEFAULT_POLICY)) {
+    if (settings[risk] !== undefined) modes[risk] = MODES.includes(settings[risk]) ? settings[risk] : 'ask';
+  }
+  return { modes, allow: [...ALLOWED_COMMANDS, ...(settings.allowCommands || [])], root };
+}
+
+/**
+ * The risk classes a step falls into: [{ risk, reason }]
+ */
+function classifyRisk(step, policy = approvalPolicy()) {
+  const command = commandOf(step);
+  return RISK_CLASSES
+    .map(rc => ({ risk: rc.id, reason: rc.match(step, command, policy) }))
+    .filter(r => r.reason);
+}
+
+/**
+ * What the policy says about a plan: the first step it never allows
+ * ({ index, step, risk, reason }, or null) and every step it asks about
+ * ({ index, step, risks }). Steps only in always-classes are in neither.
+ */
+function reviewSteps(steps, policy = approvalPolicy()) {
+  const ask = [];
+  for (const [index, step] of steps.entries()) {
+    const risks = classifyRisk(step, policy);
+    const never = risks.find(r => policy.modes[r.risk] === 'never');
+    if (never) return { refused: { index, step, ...never }, ask };
+    const asked = risks.filter(r => policy.modes[r.risk] === 'ask');
+    if (asked.length) ask.push({ index, step, risks: asked });
+  }
+  return { refused: null, ask };
+}
+
+export {
+  DEFAULT_POLICY,
+  ALLOWED_COMMANDS,
+  RISK_CLASSES,
+  approvalPolicy,
+  classifyRisk,
+  reviewSteps,
+};
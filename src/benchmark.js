@@ -0,0 +1,199 @@
+/**
+ * Classifier Benchmark
+ *
+ * Labelled inputs and a scorer shared by `v3.js --benchmark` and rule
+ * distillation (which compares results before/after a candidate pack),
+ * plus external JSONL corpora (`--benchmark <file.jsonl>`) with a confusion
+ * matrix, per-intent precision/recall/F1 and routing rates.
+ */
+
+import { readFileSync } from 'fs';
+import { classify } from './classifier.js';
+
+// Corpus labels meaning "no deterministic intent — should go to the model"
+const MODEL_LABELS = [null, '', 'unknown', 'model'];
+
+// Confusion-matrix label for "routed to the model"
+const MODEL_CLASS = '(model)';
+
+const BENCHMARK_CASES = [
+  // Fully deterministic — should NOT need model
+  { input: 'read file src/agent.js', expect: { det: true, intent: 'file_read' } },
+  { input: 'cat package.json', expect: { det: true, intent: 'file_read' } },
+  { input: 'show contents of README.md', expect: { det: true, intent: 'file_read' } },
+  { input: 'list files in src/', expect: { det: true, intent: 'file_read' } },
+  { input: 'create file config.yaml', expect: { det: true, intent: 'file_write' } },
+  { input: 'write a new file called utils.js', expect: { det: true, intent: 'file_write' } },
+  { input: 'edit src/index.js', expect: { det: true, intent: 'file_edit' } },
+  { input: 'fix the bug in src/tools.js', expect: { det: true, intent: 'file_edit' } },
+  { input: 'run npm install express', expect: { det: true, intent: 'shell_command' } },
+  { input: 'add express', expect: { det: true, intent: 'dependencies' } },
+  { input: 'install express cors', expect: { det: true, intent: 'dependencies' } },
+  { input: 'add vitest as a dev dependency', expect: { det: true, intent: 'dependencies' } },
+  { input: 'start npm run dev on port 5173', expect: { det: true, intent: 'process' } },
+  { input: 'run npm run dev', expect: { det: true, intent: 'process' } },
+  { input: 'git status', expect: { det: true, intent: 'git' } },
+  { input: 'git commit -m "initial commit"', expect: { det: true, intent: 'git' } },
+  { input: 'npm test', expect: { det: false, intent: 'shell_command' } },
+  { input: 'curl https://api.example.com/data', expect: { det: true, intent: 'http_request' } },
+  { input: 'fetch data from https://api.example.com/users', expect: { det: true, intent: 'http_request' } },
+  { input: 'search for "TODO" in src/', expect: { det: true, intent: 'search' } },
+  { input: 'find all files containing "export" in src', expect: { det: true, intent: 'search' } },
+  { input: 'run the tests', expect: { det: true, intent: 'testing' } },
+  { input: 'analyse the code in src/agent.js', expect: { det: true, intent: 'code_analysis' } },
+  { input: 'review the code quality of src/', expect: { det: true, intent: 'code_analysis' } },
+
+  // Should need model — ambiguous or creative
+  { input: 'help me build a REST API', expect: { det: false } },
+  { input: 'what do you think about this architecture?', expect: { det: false } },
+  { input: 'explain how async/await works', expect: { det: false } },
+  { input: 'refactor the entire codebase for better performance', expect: { det: false } },
+];
+
+/**
+ * Classify every case and score it against its expectation.
+ * Pass taskTypes to benchmark a rule set other than the active one.
+ */
+function scoreBenchmark(cases = BENCHMARK_CASES, { threshold = 0.4, taskTypes } = {}) {
+  const results = cases.map(tc => {
+    const result = classify(tc.input, threshold, taskTypes);
+    const isDet = !result.needsModel;
+    const intentOk = !tc.expect.intent || result.intent === tc.expect.intent;
+    const detOk = isDet === tc.expect.det;
+    return { case: tc, result, isDet, passed: intentOk && detOk };
+  });
+
+  const pass = results.filter(r => r.passed).length;
+  const detResults = results.filter(r => r.case.expect.det);
+  const detPass = detResults.filter(r => r.isDet && (!r.case.expect.intent || r.result.intent === r.case.expect.intent)).length;
+
+  return {
+    results,
+    pass,
+    fail: results.length - pass,
+    total: results.length,
+    detPass,
+    detTotal: detResults.length,
+  };
+}
+
+/**
+ * Read a labelled JSONL corpus. Each line:
+ *   { "input": "read file a.js", "intent": "file_read" }
+ *   { "input": "explain closures", "intent": null }      (needs the model)
+ * Optional "det": false marks a known intent that should still need a model.
+ *
+ * Returns [{ input, intent, det, line }]; throws with the line number on bad input.
+ */
+function readCorpus(path) {
+  const cases = [];
+  readFileSync(path, 'utf-8').split('\n').forEach((raw, i) => {
+    if (!raw.trim() || raw.trim().startsWith('//')) return;
+    let entry;
+    try {
+      entry = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`${path}:${i + 1}: invalid JSON — ${err.message}`);
+    }
+    if (typeof entry.input !== 'string' || !entry.input.trim()) {
+      throw new Error(`${path}:${i + 1}: missing "input"`);
+    }
+    const intent = MODEL_LABELS.includes(entry.intent ?? null) ? null : entry.intent;
+    cases.push({ input: entry.input, intent, det: entry.det ?? intent !== null, line: i + 1 });
+  });
+  return cases;
+}
+
+/**
+ * Convert corpus entries into benchmark cases ({ input, expect })
+ */
+function corpusToCases(corpus) {
+  return corpus.map(c => ({
+    input: c.input,
+    expect: c.intent ? { det: c.det, intent: c.intent } : { det: false },
+    line: c.line,
+  }));
+}
+
+const ratio = (a, b) => (b ? a / b : 0);
+const round = (n) => Math.round(n * 1e4) / 1e4;
+
+/**
+ * Score cases and derive the full quality report:
+ *   - confusion matrix (expected vs routed label; "(model)" = needs model)
+ *   - precision / recall / F1 per label, macro F1
+ *   - deterministic coverage: expected-deterministic cases handled without a model
+ *   - false-deterministic rate: expected-model cases handled deterministically
+ */
+function evaluateBenchmark(cases = BENCHMARK_CASES, options = {}) {
+  const score = scoreBenchmark(cases, options);
+  const actualOf = (r) => (r.case.expect.det && r.case.expect.intent) ? r.case.expect.intent : MODEL_CLASS;
+  const predictedOf = (r) => (r.isDet ? r.result.intent : MODEL_CLASS);
+
+  const labels = [...new Set(score.results.flatMap(r => [actualOf(r), predictedOf(r)]))]
+    .sort((a, b) => (a === MODEL_CLASS) - (b === MODEL_CLASS) || a.localeCompare(b));
+  const matrix = Object.fromEntries(labels.map(a => [a, Object.fromEntries(labels.map(p => [p, 0]))]));
+  for (const r of score.results) matrix[actualOf(r)][predictedOf(r)]++;
+
+  const perIntent = {};
+  for (const label of labels) {
+    const tp = matrix[label][label];
+    const fp = labels.reduce((sum, a) => sum + (a === label ? 0 : matrix[a][label]), 0);
+    const fn = labels.reduce((sum, p) => sum + (p === label ? 0 : matrix[label][p]), 0);
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    perIntent[label] = {
+      support: tp + fn,
+      tp, fp, fn,
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(ratio(2 * precision * recall, precision + recall)),
+    };
+  }
+
+  const supported = labels.filter(l => perIntent[l].support > 0);
+  const expectDet = score.results.filter(r => r.case.expect.det);
+  const expectModel = score.results.filter(r => !r.case.expect.det);
+
+  return {
+    total: score.total,
+    pass: score.pass,
+    fail: score.fail,
+    accuracy: round(ratio(score.pass, score.total)),
+    deterministicCoverage: round(ratio(expectDet.filter(r => r.isDet).length, expectDet.length)),
+    detPass: score.detPass,
+    detTotal: score.detTotal,
+    deterministicAccuracy: round(ratio(score.detPass, score.detTotal)),
+    falseDeterministicRate: round(ratio(expectModel.filter(r => r.isDet).length, expectModel.length)),
+    macroF1: round(ratio(supported.reduce((sum, l) => sum + perIntent[l].f1, 0), supported.length)),
+    labels,
+    confusion: matrix,
+    perIntent,
+    failures: score.results.filter(r => !r.passed).map(r => ({
+      input: r.case.input,
+      line: r.case.line,
+      expected: r.case.expect,
+      got: { intent: r.result.intent, det: r.isDet, confidence: round(r.result.confidence), reason: r.result.reason },
+    })),
+    results: score.results,
+  };
+}
+
+/**
+ * Machine-readable report — stable key order and no timestamps, so two
+ * reports from different rule sets diff cleanly.
+ */
+function benchmarkReportJson(report, meta = {}) {
+  const { results, ...rest } = report;
+  return JSON.stringify({ ...meta, ...rest }, null, 2) + '\n';
+}
+
+export {
+  BENCHMARK_CASES,
+  MODEL_CLASS,
+  scoreBenchmark,
+  evaluateBenchmark,
+  benchmarkReportJson,
+  readCorpus,
+  corpusToCases,
+};
@@ -0,0 +1,503 @@
+/**
+ * Well-Known Files
+ *
+ * A catalogue of boilerplate files whose content follows from the filename
+ * and the project's stack, so writing them needs no model:
+ *
+ *   .gitignore      node / typescript / python / go / rust entries
+ *   LICENSE         MIT, ISC, BSD-2-Clause, BSD-3-Clause — holder from
+ *                   package.json / Cargo.toml / git config, current year
+ *   .editorconfig   indent style per stack
+ *   Dockerfile      node (npm/yarn/pnpm, build step, start script),
+ *                   python, go, rust
+ *   .dockerignore   per stack
+ *   tsconfig.json   NodeNext, strict, src → dist
+ *   .env.example    the variables the code actually reads, with literal
+ *                   defaults (never for secret-looking names)
+ *   .nvmrc          engines.node, else the running node's major
+ *   .prettierrc
+ *
+ * The stack comes from the input ("a gitignore for python") or the project
+ * (package.json, requirements.txt/pyproject.toml, go.mod, Cargo.toml).
+ * Files outside the catalogue, licenses it doesn't carry (Apache, GPL) and
+ * files that already exist are left to the model.
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { join, basename } from 'path';
+import { homedir } from 'os';
+
+// ── Project context ─────────────────────────────────────────────────
+
+function readText(path) {
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch {
+    return '';
+  }
+}
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+const STACK_MENTIONS = [
+  [/\btype\s?script\b|\bts\b/i, 'typescript'],
+  [/\b(node(\.?js)?|npm|javascript|js)\b/i, 'node'],
+  [/\bpython\b|\bdjango\b|\bflask\b|\bfastapi\b/i, 'python'],
+  [/\bgolang\b|\b(for|a|an|in)\s+go\b|\bgo\s+(project|app|service|module)\b/i, 'go'],
+  [/\b(rust|cargo)\b/i, 'rust'],
+];
+
+/**
+ * [user] name from a git config file
+ */
+function gitUserName(path) {
+  const user = readText(path).match(/^\s*\[user\]([\s\S]*?)(?=^\s*\[|(?![\s\S]))/m)?.[1] || '';
+  return user.match(/^\s*name\s*=\s*(.+?)\s*$/m)?.[1] || null;
+}
+
+/**
+ * package.json author: "Name <email> (url)" or { name }
+ */
+function authorName(author) {
+  if (!author) return null;
+  if (typeof author === 'object') return author.name || null;
+  return author.replace(/\s*[<(].*$/, '').trim() || null;
+}
+
+/**
+ * What the templates need to know about the project in root (all fields
+ * optional — root may be null when there's no workspace)
+ */
+function projectContext(root) {
+  const at = (name) => (root ? join(root, name) : null);
+  const has = (name) => !!root && existsSync(at(name));
+  const pkg = root ? readJson(at('package.json')) : null;
+  const cargo = root ? readText(at('Cargo.toml')) : '';
+  const pyproject = root ? readText(at('pyproject.toml')) : '';
+  const deps = { ...pkg?.dependencies, ...pkg?.devDependencies };
+
+  const stack = pkg ? (deps.typescript || has('tsconfig.json') ? 'typescript' : 'node')
+    : has('requirements.txt') || pyproject || has('setup.py') ? 'python'
+      : has('go.mod') ? 'go'
+        : cargo ? 'rust' : null;
+
+  const cargoName = cargo.match(/^\s*name\s*=\s*"([^"]+)"/m)?.[1] || null;
+  const cargoAuthor = cargo.match(/^\s*authors\s*=\s*\[\s*"([^"<]+)/m)?.[1]?.trim() || null;
+  const pyName = pyproject.match(/^\s*name\s*=\s*"([^"]+)"/m)?.[1] || null;
+  const pyAuthor = pyproject.match(/\bauthors\s*=\s*\[\s*\{\s*name\s*=\s*"([^"]+)"/)?.[1] || null;
+
+  return {
+    root,
+    stack,
+    pkg,
+    name: pkg?.name || cargoName || pyName || (root ? basename(root) : null),
+    holder: authorName(pkg?.author) || cargoAuthor || pyAuthor ||
+      (root && gitUserName(at('.git/config'))) || gitUserName(join(homedir(), '.gitconfig')),
+    license: pkg?.license || null,
+    manager: has('pnpm-lock.yaml') ? 'pnpm' : has('yarn.lock') ? 'yarn' : 'npm',
+    lockfile: has('package-lock.json'),
+    hasSrc: !!root && existsSync(at('src')) && statSync(at('src')).isDirectory(),
+    goVersion: readText(at('go.mod') || '').match(/^go\s+(\d+\.\d+)/m)?.[1] || null,
+    pythonEntry: ['main.py', 'app.py', 'manage.py'].find(has) || null,
+    requirements: has('requirements.txt'),
+    cargoName,
+  };
+}
+
+// ── Templates ───────────────────────────────────────────────────────
+
+const lines = (...parts) => `${parts.flat().filter(l => l !== null && l !== undefined).join('\n')}\n`;
+
+const GITIGNORE = {
+  common: ['# OS and editors', '.DS_Store', 'Thumbs.db', '.idea/', '*.swp', '', '# Environment', '.env', '.env.*', '!.env.example', '', '# Logs', '*.log'],
+  node: ['# Dependencies', 'node_modules/', '.pnpm-store/', '', '# Build output', 'dist/', 'build/', 'coverage/', '.eslintcache', 'npm-debug.log*', 'yarn-debug.log*', 'yarn-error.log*'],
+  typescript: ['*.tsbuildinfo'],
+  python: ['# Python', '__pycache__/', '*.py[cod]', '.venv/', 'venv/', 'build/', 'dist/', '*.egg-info/', '.pytest_cache/', '.mypy_cache/', '.ruff_cache/', '.coverage', 'htmlcov/'],
+  go: ['# Go', '/bin/', '*.exe', '*.test', '*.out', 'coverage.*'],
+  rust: ['# Rust', '/target/', '**/*.rs.bk'],
+};
+
+function gitignore(ctx) {
+  const stack = ctx.stack || 'node';
+  const sections = stack === 'typescript' ? [GITIGNORE.node, GITIGNORE.typescript] : [GITIGNORE[stack]];
+  return { content: lines(...sections.flatMap(s => [...s, '']), GITIGNORE.common), summary: `${STACK_LABELS[stack]} .gitignore` };
+}
+
+const STACK_LABELS = { node: 'Node', typescript: 'TypeScript', python: 'Python', go: 'Go', rust: 'Rust' };
+
+const LICENSES = {
+  MIT: (year, holder) => `MIT License
+
+Copyright (c) ${year} ${holder}
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+`,
+  ISC: (year, holder) => `ISC License
+
+Copyright (c) ${year} ${holder}
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+`,
+  'BSD-2-Clause': (year, holder) => bsd(2, year, holder),
+  'BSD-3-Clause': (year, holder) => bsd(3, year, holder),
+};
+
+function bsd(clauses, year, holder) {
+  const third = clauses === 3 ? `
+3. Neither the name of the copyright holder nor the names of its
+   contributors may be used to endorse or promote products derived from
+   this software without specific prior written permission.
+` : '';
+  return `BSD ${clauses}-Clause License
+
+Copyright (c) ${year}, ${holder}
+
+Redistribution and use in source and binary forms, with or without
+modification, are permitted provided that the following conditions are met:
+
+1. Redistributions of source code must retain the above copyright notice, this
+   list of conditions and the following disclaimer.
+
+2. Redistributions in binary form must reproduce the above copyright notice,
+   this list of conditions and the following disclaimer in the documentation
+   and/or other materials provided with the distribution.
+${third}
+THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE
+FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY,
+OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+`;
+}
+
+// SPDX id from the input ("an ISC license", "BSD 3 clause"); null = unspecified
+const LICENSE_MENTIONS = [
+  [/\bmit\b/i, 'MIT'],
+  [/\bisc\b/i, 'ISC'],
+  [/\bbsd[- ]?2\b|\b(2|two)[- ]clause\b/i, 'BSD-2-Clause'],
+  [/\bbsd\b/i, 'BSD-3-Clause'],
+  [/\b(apache|gpl|lgpl|agpl|mpl|mozilla|eupl|unlicense|cc0|creative commons)\b/i, 'other'],
+];
+
+function license(ctx, input) {
+  const asked = LICENSE_MENTIONS.find(([pattern]) => pattern.test(input))?.[1];
+  const id = asked || (ctx.license && LICENSES[ctx.license] ? ctx.license : ctx.license ? 'other' : 'MIT');
+  if (!LICENSES[id]) return null;
+  const year = new Date().getFullYear();
+  const holder = ctx.holder || (ctx.name ? `The ${ctx.name} authors` : 'The authors');
+  return { content: LICENSES[id](year, holder), summary: `${id}, © ${year} ${holder}` };
+}
+
+function editorconfig(ctx) {
+  const indent = { python: 4, rust: 4 }[ctx.stack] || 2;
+  return {
+    content: lines(
+      '# https://editorconfig.org',
+      'root = true',
+      '',
+      '[*]',
+      'charset = utf-8',
+      'end_of_line = lf',
+      'insert_final_newline = true',
+      'trim_trailing_whitespace = true',
+      'indent_style = space',
+      `indent_size = ${indent}`,
+      '',
+      '[*.md]',
+      'trim_trailing_whitespace = false',
+      '',
+      ctx.stack === 'go' ? ['[*.go]', 'indent_style = tab', ''] : [],
+      '[Makefile]',
+      'indent_style = tab',
+    ),
+    summary: ctx.stack === 'go' ? 'tabs for Go, 2 spaces elsewhere' : `${indent}-space indent`,
+  };
+}
+
+function nodeDockerfile(ctx) {
+  const { pkg, manager } = ctx;
+  const major = nodeMajor(ctx);
+  const scripts = pkg?.scripts || {};
+  const install = {
+    npm: { copy: ctx.lockfile ? 'package.json package-lock.json' : 'package.json', all: ctx.lockfile ? 'npm ci' : 'npm install', prod: ctx.lockfile ? 'npm ci --omit=dev' : 'npm install --omit=dev' },
+    yarn: { copy: 'package.json yarn.lock', all: 'yarn install --frozen-lockfile', prod: 'yarn install --frozen-lockfile --production' },
+    pnpm: { copy: 'package.json pnpm-lock.yaml', all: 'corepack enable && pnpm install --frozen-lockfile', prod: 'corepack enable && pnpm install --frozen-lockfile --prod' },
+  }[manager];
+  const start = scripts.start ? `["${manager}", "start"]` : `["node", "${pkg?.main || 'index.js'}"]`;
+  return lines(
+    `FROM node:${major}-alpine`,
+    'WORKDIR /app',
+    '',
+    `COPY ${install.copy} ./`,
+    // A build needs the dev dependencies; drop them afterwards
+    scripts.build ? [`RUN ${install.all}`, 'COPY . .', `RUN ${manager} run build`, manager === 'npm' ? 'RUN npm prune --omit=dev' : null]
+      : [`RUN ${install.prod}`, 'COPY . .'],
+    '',
+    'ENV NODE_ENV=production',
+    'USER node',
+    `CMD ${start}`,
+  );
+}
+
+function dockerfile(ctx) {
+  switch (ctx.stack) {
+    case 'node':
+    case 'typescript':
+      return { content: nodeDockerfile(ctx), summary: `node ${nodeMajor(ctx)} with ${ctx.manager}${ctx.pkg?.scripts?.build ? ', build step' : ''}` };
+    case 'python':
+      if (!ctx.pythonEntry) return null; // no obvious entry point to run
+      return {
+        content: lines(
+          'FROM python:3.12-slim',
+          'WORKDIR /app',
+          'ENV PYTHONDONTWRITEBYTECODE=1 PYTHONUNBUFFERED=1',
+          '',
+          ctx.requirements
+            ? ['COPY requirements.txt ./', 'RUN pip install --no-cache-dir -r requirements.txt', 'COPY . .']
+            : ['COPY . .', 'RUN pip install --no-cache-dir .'],
+          '',
+          `CMD ["python", "${ctx.pythonEntry}"]`,
+        ),
+        summary: `python 3.12, runs ${ctx.pythonEntry}`,
+      };
+    case 'go':
+      return {
+        content: lines(
+          `FROM golang:${ctx.goVersion || '1'} AS build`,
+          'WORKDIR /src',
+          'COPY go.mod go.sum* ./',
+          'RUN go mod download',
+          'COPY . .',
+          'RUN CGO_ENABLED=0 go build -o /out/app .',
+          '',
+          'FROM gcr.io/distroless/static-debian12',
+          'COPY --from=build /out/app /app',
+          'ENTRYPOINT ["/app"]',
+        ),
+        summary: `go ${ctx.goVersion || ''} multi-stage, distroless runtime`.replace('  ', ' '),
+      };
+    case 'rust': {
+      const bin = ctx.cargoName || 'app';
+      return {
+        content: lines(
+          'FROM rust:1 AS build',
+          'WORKDIR /src',
+          'COPY . .',
+          'RUN cargo build --release',
+          '',
+          'FROM debian:bookworm-slim',
+          `COPY --from=build /src/target/release/${bin} /usr/local/bin/${bin}`,
+          `ENTRYPOINT ["${bin}"]`,
+        ),
+        summary: `rust multi-stage, runs ${bin}`,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+const DOCKERIGNORE = {
+  node: ['node_modules', 'npm-debug.log*', 'coverage'],
+  python: ['__pycache__', '*.py[cod]', '.venv', 'venv', '.pytest_cache'],
+  go: ['bin'],
+  rust: ['target'],
+};
+
+function dockerignore(ctx) {
+  const stack = ctx.stack === 'typescript' ? 'node' : ctx.stack || 'node';
+  return {
+    content: lines('.git', '.gitignore', '.env', '.env.*', 'Dockerfile', '.dockerignore', '*.md', DOCKERIGNORE[stack]),
+    summary: `${STACK_LABELS[stack]} .dockerignore`,
+  };
+}
+
+function nodeMajor(ctx) {
+  const engines = ctx.pkg?.engines?.node?.match(/\d+/)?.[0];
+  return engines || process.versions.node.split('.')[0];
+}
+
+function tsconfig(ctx) {
+  const rootDir = ctx.hasSrc ? 'src' : '.';
+  const config = {
+    compilerOptions: {
+      target: 'ES2022',
+      module: 'NodeNext',
+      moduleResolution: 'NodeNext',
+      outDir: 'dist',
+      rootDir,
+      strict: true,
+      esModuleInterop: true,
+      skipLibCheck: true,
+      forceConsistentCasingInFileNames: true,
+      sourceMap: true,
+    },
+    include: [ctx.hasSrc ? 'src' : '**/*.ts'],
+    exclude: ['node_modules', 'dist'],
+  };
+  return { content: `${JSON.stringify(config, null, 2)}\n`, summary: `NodeNext, strict, ${rootDir} → dist` };
+}
+
+// process.env.X, process.env['X'], import.meta.env.X, os.environ['X'],
+// os.environ.get('X'), os.getenv('X'), os.Getenv("X"), env::var("X")
+const ENV_READS = /\b(?:process\.env|import\.meta\.env)(?:\.([A-Z_][A-Z0-9_]*)|\[\s*['"]([A-Z_][A-Z0-9_]*)['"]\s*\])|\bos\.(?:environ(?:\.get)?|getenv|Getenv)\s*[([]\s*['"]([A-Z_][A-Z0-9_]*)['"]|\benv::var\(\s*"([A-Z_][A-Z0-9_]*)"/g;
+const ENV_DEFAULT = /^\s*(?:\|\||\?\?|,)\s*(['"`]?)([\w./:@-]+)\1/;
+const SECRET_NAME = /SECRET|TOKEN|PASSWORD|PASSWD|PRIVATE|API_?KEY|_KEY$|CREDENTIAL/;
+const SOURCE_FILE = /\.(m|c)?[jt]sx?$|\.py$|\.go$|\.rs$/;
+const MAX_SCANNED = 2000;
+const MAX_SCANNED_BYTES = 512 * 1024;
+
+/**
+ * Environment variables read by the project's source, in order of first
+ * use, with the literal default the code falls back to (if any)
+ */
+function environmentReads(root, files) {
+  const found = new Map();
+  for (const file of files.filter(f => SOURCE_FILE.test(f) && !/(^|\/)(test|tests|__tests__)\//.test(f)).slice(0, MAX_SCANNED)) {
+    const path = join(root, file);
+    try {
+      if (statSync(path).size > MAX_SCANNED_BYTES) continue;
+    } catch {
+      continue;
+    }
+    const source = readText(path);
+    for (const m of source.matchAll(ENV_READS)) {
+      const name = m[1] || m[2] || m[3] || m[4];
+      const fallback = source.slice(m.index + m[0].length).match(ENV_DEFAULT)?.[2];
+      if (!found.has(name)) found.set(name, { name, value: '', file });
+      const entry = found.get(name);
+      if (fallback && !entry.value && !SECRET_NAME.test(name)) entry.value = fallback;
+    }
+  }
+  return [...found.values()];
+}
+
+function envExample(ctx, input, files) {
+  const vars = ctx.root && files ? environmentReads(ctx.root, files) : [];
+  if (!vars.length) {
+    return {
+      content: lines('# Copy to .env and fill in. No environment variables are read in the code yet.'),
+      summary: 'no variables found in the code',
+    };
+  }
+  return {
+    content: lines('# Copy to .env and fill in', '', vars.map(v => `${v.name}=${v.value}`)),
+    summary: `${vars.length} variable${vars.length === 1 ? '' : 's'} read in the code`,
+  };
+}
+
+function nvmrc(ctx) {
+  const major = nodeMajor(ctx);
+  return { content: `${major}\n`, summary: `node ${major}${ctx.pkg?.engines?.node ? ' (from engines.node)' : ''}` };
+}
+
+function prettierrc() {
+  const config = { semi: true, singleQuote: true, trailingComma: 'all', printWidth: 100 };
+  return { content: `${JSON.stringify(config, null, 2)}\n`, summary: 'single quotes, trailing commas, 100 columns' };
+}
+
+/**
+ * The catalogue. file is the default name; names are the basenames an
+ * explicit path may use; mention finds the file in descriptive phrasing
+ * ("add an MIT license", "a gitignore for python").
+ */
+const BOILERPLATE = [
+  { id: 'gitignore', file: '.gitignore', names: ['.gitignore'], mention: /(?:^|\s)\.?git\s?ignore\b/i, render: gitignore },
+  { id: 'license', file: 'LICENSE', names: ['license', 'license.md', 'license.txt', 'licence'], mention: /\blicen[cs]e\b/i, render: license },
+  { id: 'editorconfig', file: '.editorconfig', names: ['.editorconfig'], mention: /(?:^|\s)\.?editor\s?config\b/i, render: editorconfig },
+  { id: 'dockerignore', file: '.dockerignore', names: ['.dockerignore'], mention: /(?:^|\s)\.?docker\s?ignore\b/i, render: dockerignore },
+  { id: 'dockerfile', file: 'Dockerfile', names: ['dockerfile'], mention: /\bdocker\s?file\b/i, render: dockerfile },
+  { id: 'tsconfig', file: 'tsconfig.json', names: ['tsconfig.json'], mention: /\btsconfig\b|\btype\s?script\s+config\b/i, render: tsconfig },
+  { id: 'env_example', file: '.env.example', names: ['.env.example', '.env.sample'], mention: /(?:^|\s)\.env\.(example|sample)\b|\b(example|sample)\s+\.?env\b|\benv(ironment)?\s+(example|sample)\b/i, render: envExample },
+  { id: 'nvmrc', file: '.nvmrc', names: ['.nvmrc'], mention: /(?:^|\s)\.?nvmrc\b/i, render: nvmrc },
+  { id: 'prettierrc', file: '.prettierrc', names: ['.prettierrc', '.prettierrc.json'], mention: /(?:^|\s)\.?prettierrc\b|\bprettier\s+config\b/i, render: prettierrc },
+];
+
+// Classifier cue: a creation verb plus a catalogue file
+const WELL_KNOWN_FILE = new RegExp(
+  `\\b(create|add|write|generate|make|set up|setup|init|initiali[sz]e)\\b.*(${BOILERPLATE.map(b => b.mention.source).join('|')})`,
+  'i',
+);
+
+/**
+ * The catalogue entry and path for a write request, or null. An explicit
+ * path must name a catalogue file; without one, the phrasing must.
+ */
+function findBoilerplate(input, entities) {
+  const path = entities.filePaths[0];
+  if (path) {
+    const name = basename(path).toLowerCase();
+    const entry = BOILERPLATE.find(b => b.names.includes(name));
+    return entry ? { entry, path } : null;
+  }
+  const entry = BOILERPLATE.find(b => b.mention.test(input));
+  return entry ? { entry, path: entry.file } : null;
+}
+
+/**
+ * Plan a create_file step with catalogue content. Returns
+ * { step, boilerplate: { id, path, summary } } or null when the model is
+ * needed. files (workspace paths) lets .env.example scan the code.
+ */
+function planBoilerplate(input, entities, { root = null, files = null, exists = () => false } = {}) {
+  const found = findBoilerplate(input, entities);
+  if (!found || exists(found.path)) return null;
+
+  const ctx = projectContext(root);
+  const mentioned = STACK_MENTIONS.find(([pattern]) => pattern.test(input.replace(found.entry.mention, ' ')))?.[1];
+  if (mentioned) ctx.stack = mentioned;
+
+  const rendered = found.entry.render(ctx, input, files);
+  if (!rendered) return null;
+  return {
+    step: { tool: 'create_file', args: { path: found.path, content: rendered.content } },
+    boilerplate: { id: found.entry.id, path: found.path, summary: rendered.summary },
+  };
+}
+
+export {
+  BOILERPLATE,
+  LICENSES,
+  WELL_KNOWN_FILE,
+  projectContext,
+  environmentReads,
+  findBoilerplate,
+  planBoilerplate,
+};
@@ -0,0 +1,244 @@
+/**
+ * Confidence Calibration
+ *
+ * Fits per-pattern and per-keyword weights from a labelled corpus so that
+ * classifier confidence is a probability — "0.4" then means "right about
+ * 40% of the time" instead of "one pattern and one keyword matched".
+ *
+ * One-vs-rest logistic regression per task type, plain JS batch gradient
+ * descent with L2. Features are the same rule hits the classifier scores
+ * (matchTaskType): one per pattern, one per keyword, entity boost count.
+ *
+ * Weights are keyed by pattern source / keyword text, so reordering a
+ * pack doesn't invalidate them; rules added after training get weight 0
+ * and are reported as stale.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import { classify, extractFeatures } from './classifier.js';
+import { serializePattern } from './rules.js';
+
+const WEIGHTS_VERSION = 1;
+const BUCKETS = 10;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Turn a match ({ patternHits, keywordHits, entityHits }) into a vector
+ */
+function toVector(match) {
+  return [
+    ...match.patternHits.map(Number),
+    ...match.keywordHits.map(Number),
+    match.entityHits,
+  ];
+}
+
+/**
+ * Batch gradient descent for a single logistic model.
+ * Returns { bias, weights }.
+ */
+function fitLogistic(X, y, { epochs = 1000, learningRate = 0.5, l2 = 0.001 } = {}) {
+  const n = X.length;
+  const dims = X[0]?.length || 0;
+  let bias = 0;
+  const weights = new Array(dims).fill(0);
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    let gradBias = 0;
+    const grad = new Array(dims).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      let z = bias;
+      for (let d = 0; d < dims; d++) z += weights[d] * X[i][d];
+      const err = sigmoid(z) - y[i];
+      gradBias += err;
+      for (let d = 0; d < dims; d++) grad[d] += err * X[i][d];
+    }
+
+    bias -= learningRate * (gradBias / n);
+    for (let d = 0; d < dims; d++) {
+      weights[d] -= learningRate * (grad[d] / n + l2 * weights[d]);
+    }
+  }
+
+  return { bias, weights };
+}
+
+/**
+ * Train weights for every task type from labelled cases
+ * ([{ input, intent }], intent null = should go to the model).
+ */
+function trainWeights(cases, taskTypes, options = {}) {
+  const features = cases.map(c => extractFeatures(c.input, taskTypes));
+  const out = {};
+
+  for (const [typeName, taskType] of Object.entries(taskTypes)) {
+    const X = features.map(f => toVector(f[typeName]));
+    const y = cases.map(c => (c.intent === taskType.id ? 1 : 0));
+    const { bias, weights } = fitLogistic(X, y, options);
+
+    const np = taskType.patterns.length;
+    const nk = taskType.keywords.length;
+    out[typeName] = {
+      id: taskType.id,
+      positives: y.filter(Boolean).length,
+      bias: round(bias),
+      patterns: Object.fromEntries(taskType.patterns.map((p, i) => [serializePattern(p), round(weights[i])])),
+      keywords: Object.fromEntries(taskType.keywords.map((k, i) => [k, round(weights[np + i])])),
+      entity: round(weights[np + nk]),
+    };
+  }
+
+  return out;
+}
+
+function round(n) {
+  return Math.round(n * 1e4) / 1e4;
+}
+
+/**
+ * Attach trained weights to task types (aligned with their current
+ * patterns/keywords). Returns { taskTypes, stale } — stale lists rules
+ * that have no trained weight.
+ */
+function applyWeights(taskTypes, weightsFile) {
+  const out = {};
+  const stale = [];
+
+  for (const [typeName, taskType] of Object.entries(taskTypes)) {
+    const w = weightsFile?.taskTypes?.[typeName];
+    if (!w) {
+      out[typeName] = taskType;
+      if (weightsFile) stale.push({ type: typeName, rule: '(untrained type — heuristic scores)' });
+      continue;
+    }
+
+    const patternWeights = taskType.patterns.map(p => {
+      const key = serializePattern(p);
+      if (!(key in w.patterns)) stale.push({ type: typeName, rule: `pattern ${key}` });
+      return w.patterns[key] ?? 0;
+    });
+    const keywordWeights = taskType.keywords.map(k => {
+      if (!(k in w.keywords)) stale.push({ type: typeName, rule: `keyword "${k}"` });
+      return w.keywords[k] ?? 0;
+    });
+
+    out[typeName] = {
+      ...taskType,
+      weights: { bias: w.bias, patterns: patternWeights, keywords: keywordWeights, entity: w.entity ?? 0 },
+    };
+  }
+
+  return { taskTypes: out, stale };
+}
+
+/**
+ * Reliability buckets + expected calibration error for the top prediction.
+ * A prediction is correct when the top intent equals the label (a label of
+ * null is never "correct" — confident guesses on model-only inputs count
+ * against calibration, as they should).
+ */
+function calibrationReport(cases, taskTypes, threshold = 0.4) {
+  const buckets = Array.from({ length: BUCKETS }, (_, i) => ({
+    from: i / BUCKETS, to: (i + 1) / BUCKETS, count: 0, confidenceSum: 0, correct: 0,
+  }));
+  let aboveThreshold = 0;
+  let correctAboveThreshold = 0;
+
+  for (const c of cases) {
+    const result = classify(c.input, threshold, taskTypes);
+    const correct = c.intent !== null && result.intent === c.intent;
+    const bucket = buckets[Math.min(BUCKETS - 1, Math.floor(result.confidence * BUCKETS))];
+    bucket.count++;
+    bucket.confidenceSum += result.confidence;
+    if (correct) bucket.correct++;
+    if (result.confidence >= threshold) {
+      aboveThreshold++;
+      if (correct) correctAboveThreshold++;
+    }
+  }
+
+  let ece = 0;
+  const rows = buckets.map(b => {
+    const confidence = b.count ? b.confidenceSum / b.count : 0;
+    const accuracy = b.count ? b.correct / b.count : 0;
+    ece += (b.count / (cases.length || 1)) * Math.abs(accuracy - confidence);
+    return { from: b.from, to: b.to, count: b.count, confidence: round(confidence), accuracy: round(accuracy) };
+  });
+
+  return {
+    cases: cases.length,
+    ece: round(ece),
+    buckets: rows,
+    threshold,
+    coverage: round(aboveThreshold / (cases.length || 1)),
+    precisionAtThreshold: round(aboveThreshold ? correctAboveThreshold / aboveThreshold : 0),
+  };
+}
+
+/**
+ * Deterministic train/eval split: every 5th case is held out once the
+ * corpus is big enough to spare it; small corpora evaluate on training data.
+ */
+function splitCorpus(cases, minForHoldout = 25) {
+  if (cases.length < minForHoldout) return { train: cases, evaluate: cases, heldOut: false };
+  return {
+    train: cases.filter((_, i) => i % 5 !== 4),
+    evaluate: cases.filter((_, i) => i % 5 === 4),
+    heldOut: true,
+  };
+}
+
+/**
+ * Full offline training run. Writes the weights file and returns the
+ * before/after calibration so the caller can render it.
+ */
+function trainCalibration({ cases, taskTypes, outPath, corpusPath, threshold = 0.4 }) {
+  // Strip weights from any previously loaded file so we fit from scratch
+  const base = Object.fromEntries(Object.entries(taskTypes).map(([n, t]) => {
+    const { weights, ...rest } = t;
+    return [n, rest];
+  }));
+
+  const { train, evaluate, heldOut } = splitCorpus(cases);
+  const weights = trainWeights(train, base);
+  const weightsFile = {
+    version: WEIGHTS_VERSION,
+    trainedAt: new Date().toISOString(),
+    corpus: corpusPath,
+    cases: train.length,
+    taskTypes: weights,
+  };
+
+  const before = calibrationReport(evaluate, base, threshold);
+  const after = calibrationReport(evaluate, applyWeights(base, weightsFile).taskTypes, threshold);
+  weightsFile.calibration = { heldOut, before: { ece: before.ece }, after };
+
+  mkdirSync(dirname(outPath), { recursive: true });
+  writeFileSync(outPath, JSON.stringify(weightsFile, null, 2) + '\n');
+
+  return { weightsFile, before, after, heldOut, trainCases: train.length, evalCases: evaluate.length };
+}
+
+/**
+ * Read a weights file, or null if it doesn't exist
+ */
+function readWeightsFile(path) {
+  if (!path || !existsSync(path)) return null;
+  const data = JSON.parse(readFileSync(path, 'utf-8'));
+  if (data.version !== WEIGHTS_VERSION || !data.taskTypes) {
+    throw new Error(`unsupported weights file (version ${data.version})`);
+  }
+  return data;
+}
+
+export {
+  fitLogistic,
+  trainWeights,
+  applyWeights,
+  calibrationReport,
+  trainCalibration,
+  readWeightsFile,
+};
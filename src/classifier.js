@@ -7,7 +7,26 @@
  * Falls back to model only when confidence < threshold.
  */
 
-// Task type definitions — compiled from domain knowledge
+import { planGit } from './git.js';
+import { planScaffold } from './scaffold.js';
+import { planTests } from './testing.js';
+import { planDeployment } from './deploy.js';
+import { WELL_KNOWN_FILE, planBoilerplate } from './boilerplate.js';
+import { planEdit } from './edits.js';
+import { planDependencies, mentionedDependencies } from './dependencies.js';
+import { planProcess } from './processes.js';
+
+// "the file that defines classify", "where is Agent defined", "definition of parse"
+const DEFINITION_PATTERN = /\b(?:defines?|declares?|(?:definition|declaration)\s+of)\s+(?:the\s+)?(?:function\s+|class\s+|method\s+)?[`'"]?([A-Za-z_][\w]*)|\bwhere\s+(?:is|are)\s+(?:the\s+)?(?:function\s+|class\s+)?[`'"]?([A-Za-z_][\w]*)[`'"]?(?:\(\))?\s+(?:defined|declared)\b|\bwhere\s+[`'"]?([A-Za-z_][\w]*)[`'"]?(?:\(\))?\s+(?:is|are)\s+(?:defined|declared)\b/i;
+
+// Commands that don't return — sent to the background, "on port N", dev /
+// serve / watch scripts — are PROCESS requests. SHELL_COMMAND patterns that
+// would also match them are wrapped in this guard so they step aside.
+const NOT_BACKGROUND = /^(?!.*\b(in\s+the\s+background|detached|on\s+port\s+\d+)\b|\s*(start|run|launch)\s+(npm|pnpm|yarn|bun)\s+(run\s+)?(dev|serve|watch)\b)/;
+const unlessBackground = (pattern) => new RegExp(NOT_BACKGROUND.source + pattern.source, pattern.flags);
+
+// Task type definitions — compiled from domain knowledge.
+// This is the built-in rule pack; see rules.js for loading team/user packs.
 const TASK_TYPES = {
   FILE_READ: {
     id: 'file_read',
@@ -21,10 +40,12 @@ const TASK_TYPES = {
       /\bwhat('?s| is) in\b.*\b(file|folder|directory)\b/i,
       /\blist\b.*\b(files?|directory|folder|dir)\b/i,
       /(?<!npm\s)\bls\b\s/i,
+      /\b(show|read|print|display|view)\s+(me\s+)?(the\s+)?lines?\s+\d+/i,
     ],
     keywords: ['read', 'show', 'view', 'cat', 'display', 'contents', 'open', 'list', 'ls', 'dir'],
     tools: ['read_file', 'list_directory'],
     confidence_boost: 0.1, // boost when file path detected
+    boost_entities: ['filePaths', 'lineRanges', 'existingPaths'],
   },
 
   FILE_WRITE: {
@@ -37,10 +58,12 @@ const TASK_TYPES = {
       /\bgenerate\b.*\b(file|code|script)\b/i,
       /\badd\b.*\bfile\b/i,
       /\bnew\b.*\b(file|script)\b/i,
+      WELL_KNOWN_FILE, // .gitignore, LICENSE, Dockerfile, tsconfig.json, ...
     ],
-    keywords: ['create', 'write', 'save', 'generate', 'new file', 'make file'],
+    keywords: ['create', 'write', 'save', 'generate', 'new file', 'make file', 'gitignore', 'license', 'dockerfile', 'dockerignore', 'editorconfig', 'tsconfig', 'nvmrc', 'prettier'],
     tools: ['create_file'],
     confidence_boost: 0.1,
+    boost_entities: ['filePaths'],
   },
 
   FILE_DELETE: {
@@ -53,6 +76,7 @@ const TASK_TYPES = {
     keywords: ['delete file', 'remove file', 'rm'],
     tools: ['delete_file'],
     confidence_boost: 0.15,
+    boost_entities: ['filePaths', 'existingPaths'],
   },
 
   FILE_EDIT: {
@@ -66,33 +90,65 @@ const TASK_TYPES = {
       /\bremove\b.*\b(from|line|function)\b/i,
       /\bdelete\b.*\b(line|function|block)\b/i,
       /\bappend\b.*\bto\b/i,
+      /\b(set|change|update|bump)\b.*\bto\b.*\.json\b|\b(set|change|update)\b.*\.json\b.*\bto\b/i,
+      /\b(add|create|remove|delete|drop)\s+(an?\s+|the\s+)?(npm\s+)?(script\s+(?!that\b|which\b|to\b)\S+|(?!(an?|the|new)\b)\S+\s+script)\b/i,
+      /\b(?!(an?|the|new)\b)[\w:-]+\s+script\s+(that|which)\s+runs\b|\bscript\b.*\b(to|in|from)\s+package\.json\b/i,
+      /\b(remove|delete|drop|unset)\b.*\b(key|field|property|setting)\b.*\bfrom\b|\b(remove|delete|drop|unset)\b.*\bfrom\b\s+\S+\.json\b/i,
+      /\brename\b.*\bto\b.*\bin\b\s+\S+\.\w+/i,
     ],
-    keywords: ['edit', 'modify', 'update', 'change', 'fix', 'refactor', 'replace', 'insert', 'append'],
-    tools: ['edit_file', 'read_file'],
+    keywords: ['edit', 'modify', 'update', 'change', 'fix', 'refactor', 'replace', 'insert', 'append', 'rename'],
+    tools: ['edit_file', 'edit_json', 'read_file'],
     confidence_boost: 0.2,
+    boost_entities: ['filePaths', 'existingPaths'],
   },
 
   SHELL_COMMAND: {
     id: 'shell_command',
     patterns: [
-      /\brun\b.*\b(command|script|npm|node|python|bash|shell)\b/i,
+      unlessBackground(/.*?\brun\b.*\b(command|script|npm|node|python|bash|shell)\b/i),
       /\bexecute\b/i,
       /\binstall\b.*\b(package|dependency|module|npm|pip)\b/i,
-      /\bnpm\b\s+(install|run|start|test|build|init|publish|audit|update|outdated|ls|list|ci|exec|pack|version|--version|-v)/i,
+      unlessBackground(/.*?\bnpm\b\s+(install|run|start|test|build|init|publish|audit|update|outdated|ls|list|ci|exec|pack|version|--version|-v)/i),
       /\bpip\b\s+install/i,
-      /\bgit\b\s+(clone|pull|push|commit|status|log|diff|branch|checkout|remote|fetch|reset|show|init|add|clean|rm)/i,
-      /\bdocker\b\s+(build|run|compose|pull|push)/i,
+      unlessBackground(/.*?\bdocker\b\s+(build|run|compose|pull|push)/i),
       /\bcurl\b\s/i,
       /\bwget\b\s/i,
       /\bchmod\b/i,
       /\bmkdir\b/i,
       /\bnpx\b\s/i,
       /\b(npm|node|python|pip|npx|git|docker)\b\s+--?version\b/i,
-      /\b(node|python)\b\s+-\w/i,  // node/python with flags (-e, -c, -m, etc.)
+      unlessBackground(/.*?\b(node|python)\b\s+-\w/i),  // node/python with flags (-e, -c, -m, etc.)
     ],
-    keywords: ['run', 'execute', 'install', 'npm', 'node', 'python', 'pip', 'git', 'docker', 'curl', 'bash', 'shell', 'command'],
+    keywords: ['run', 'execute', 'install', 'npm', 'node', 'python', 'pip', 'docker', 'curl', 'bash', 'shell', 'command'],
     tools: ['run_command'],
     confidence_boost: 0.2, // high boost — shell commands are very distinctive
+    boost_entities: ['packages'],
+  },
+
+  GIT: {
+    id: 'git',
+    patterns: [
+      /\bgit\b\s+(clone|pull|push|commit|status|log|diff|branch|checkout|switch|merge|rebase|stash|tag|remote|fetch|reset|restore|revert|show|blame|init|add|clean|rm)/i,
+      /\bwhat(?:'s|\s+is|\s+has)?\s+changed\b|\bwhat did i change\b/i,
+      /\b(uncommitted|unstaged|staged)\s+(changes|files)\b/i,
+      /\b(create|make|start|new|delete|remove|switch|checkout|list)\b.*\bbranch(es)?\b/i,
+      /\b(which|what|current)\s+branch\b/i,
+      /\b(switch\s+to|check\s*out)\s+(the\s+)?(branch\s+)?[\w./-]+$/i,
+      /\btag\b\s+v?\d+(\.\d+)+/i,
+      /\b(undo|revert|amend|uncommit)\b.*\bcommits?\b/i,
+      /\bwho\s+(changed|wrote|touched|modified|last (edited|changed))\b|\bblame\b/i,
+      /\b(who|when)\b.*\b(changed|wrote|added|modified)\b.*\b(line|file)\b/i,
+      /\b(show|see|view|list)\b.*\b(diff|changes)\b/i,
+      /\bdiff\b/i,
+      /\b(commit|stage)\b.*\b(changes|files?|everything|all)\b/i,
+      /\b(commit history|recent commits|last \d+ commits)\b/i,
+      /\b(push|pull)\b.*\b(changes|commits|origin|remote|upstream)\b/i,
+      /\bstash\b/i,
+    ],
+    keywords: ['git', 'commit', 'branch', 'staged', 'stash', 'blame', 'merge', 'rebase', 'changed', 'tag'],
+    tools: ['git'],
+    confidence_boost: 0.2,
+    boost_entities: ['gitOps', 'branches', 'tags'],
   },
 
   HTTP_REQUEST: {
@@ -108,21 +164,24 @@ const TASK_TYPES = {
     keywords: ['fetch', 'api', 'endpoint', 'request', 'http', 'url', 'webhook', 'REST'],
     tools: ['http_request'],
     confidence_boost: 0.15,
+    boost_entities: ['urls'],
   },
 
   CODE_ANALYSIS: {
     id: 'code_analysis',
     patterns: [
       /\b(analyse|analyze|review|inspect|audit|lint|check)\b.*\b(code|file|function|module|project)\b/i,
-      /\bfind\b.*\b(bugs?|issues?|errors?|problems?)\b/i,
+      /\bfind\b.*\b(bugs?|issues?|errors?|problems?|unused|dead\s+code|duplicat(e|ed|ion))\b/i,
       /\bcode\b.*\b(review|quality|smell)\b/i,
       /\bwhat\b.*\b(does|is)\b.*\b(this|the)\b.*\b(code|function|class)\b/i,
       /\bexplain\b.*\b(code|function|class|module)\b/i,
       /\bdebug\b/i,
+      /\b(complexity|unused\s+(imports?|exports?)|dead\s+code|duplicated?\s+(code|blocks?)|long\s+functions?|code\s+(metrics|stats))\b/i,
     ],
-    keywords: ['analyse', 'review', 'inspect', 'audit', 'lint', 'debug', 'explain code', 'code review'],
-    tools: ['read_file', 'search_files', 'run_command'],
+    keywords: ['analyse', 'review', 'inspect', 'audit', 'lint', 'debug', 'explain code', 'code review', 'complexity'],
+    tools: ['analyse_code', 'read_file', 'search_files', 'run_command'],
     confidence_boost: 0.05,
+    boost_entities: ['filePaths', 'existingPaths'],
   },
 
   PROJECT_SCAFFOLD: {
@@ -132,10 +191,13 @@ const TASK_TYPES = {
       /\bnew\b.*\b(project|app|application)\b/i,
       /\bcreate\b.*\b(project|app|application|repo)\b/i,
       /\binit\b/i,
+      /\b(scaffold|bootstrap|set up|setup|create|make|generate)\s+(an?\s+)?(new\s+)?((?!(the|my|this|that|our|your)\b)[\w-]+\s+)?(api|server|service|cli|library|lib|package|site|website)\b(?!\.)/i,
+      /\bexpress\s+(api|app|server)\b|\bcli\s+tool\b|\bcommand[- ]line\s+(tool|app)\b|\bstatic\s+(site|website)\b|\bnode\s+(library|package|module|project)\b/i,
     ],
-    keywords: ['scaffold', 'bootstrap', 'initialise', 'setup', 'new project', 'create app', 'init'],
+    keywords: ['scaffold', 'bootstrap', 'initialise', 'setup', 'set up', 'new project', 'create app', 'init', 'boilerplate', 'express', 'static site', 'cli tool'],
     tools: ['run_command', 'create_file', 'run_command'],
     confidence_boost: 0.1,
+    boost_entities: [],
   },
 
   SEARCH: {
@@ -145,10 +207,12 @@ const TASK_TYPES = {
       /\bwhere\b.*\b(is|are|does)\b/i,
       /\bgrep\b/i,
       /\bfind\b.*\b(file|function|class|variable|string|text|pattern)\b/i,
+      DEFINITION_PATTERN, // "where is classify defined", "the file that defines Agent"
     ],
     keywords: ['search', 'find', 'grep', 'locate', 'where is'],
     tools: ['search_files', 'run_command'],
     confidence_boost: 0.1,
+    boost_entities: [],
   },
 
   TESTING: {
@@ -156,14 +220,16 @@ const TASK_TYPES = {
     patterns: [
       /\b(test|spec|assert|verify|validate)\b/i,
       /\brun\b.*\btests?\b/i,
+      /\bre-?run\b.*\b(tests?|specs?|failures)\b|\b(failing|failed)\s+tests?\b/i,
       /\bwrite\b.*\b(test|spec)\b/i,
       /\bunit\s*test/i,
       /\bintegration\s*test/i,
       /\bcoverage\b/i,
     ],
     keywords: ['test', 'spec', 'assert', 'verify', 'coverage', 'unit test', 'integration test'],
-    tools: ['run_command', 'create_file', 'read_file'],
+    tools: ['run_tests', 'run_command', 'create_file', 'read_file'],
     confidence_boost: 0.1,
+    boost_entities: [],
   },
 
   DEPLOYMENT: {
@@ -173,17 +239,101 @@ const TASK_TYPES = {
       /\bbuild\b.*\b(for|and)\b.*\b(production|deploy)/i,
       /\bci\/?cd\b/i,
       /\bpipeline\b/i,
+      /\bbuild\b.*\b(docker\s+)?(image|container)s?\b|\bdocker\s+image\b/i,
+      /\b(start|stop|restart|bring up|bring down|spin up|tear down|shut down)\b.*\b(containers|services|stack)\b/i,
+      /\b(build|compile|bundle)\s+(the\s+)?(project|app|application|site|bundle|assets|frontend)\b|\b(run|do|make|create)\s+(the\s+|a\s+)?(production\s+)?build\b|\bproduction\s+build\b/i,
+      /\b(release|publish)\s+(a\s+)?(new\s+)?(version|package|library|module)\b|\bmake\s+a\s+release\b/i,
+      /\bbump\b.*\b(version|patch|minor|major)\b/i,
     ],
-    keywords: ['deploy', 'release', 'publish', 'ship', 'production', 'staging', 'CI/CD', 'pipeline'],
-    tools: ['run_command', 'create_file'],
+    keywords: ['deploy', 'release', 'publish', 'ship', 'production', 'staging', 'CI/CD', 'pipeline', 'docker image', 'docker compose', 'containers', 'build', 'bump'],
+    tools: ['run_command', 'preflight', 'run_tests', 'create_file'],
     confidence_boost: 0.1,
+    boost_entities: [],
+  },
+
+  DEPENDENCIES: {
+    id: 'dependencies',
+    patterns: [
+      /\b(outdated|out[- ]of[- ]date)\b|\bnewer\s+versions?\b.*\b(packages?|dependenc(y|ies)|deps)\b/i,
+      /\baudit\b(?!.*\b(code|file|function|module)\b)|\bvulnerab\w*|\bcves?\b|\bsecurity\s+(issues|advisories|holes|problems)\b/i,
+      /\bwhy\b.*\b(installed|a\s+dependency|in\s+(the|my)\s+(tree|deps|dependencies|lockfile|node_modules)|needed|required|pulled\s+in)\b|\b(what|who|which\s+packages?)\s+(depends\s+on|requires|pulls\s+in)\b/i,
+      /^(?!.*\bin\s+\S+\.(json|js|ts|toml|txt|ya?ml)\b).*\b(upgrade|update)\b.*\b(packages?|dependenc(y|ies)|deps|to\s+(the\s+)?(latest|newest)|to\s+v?\d+\.\d+|(latest\s+)?(minor|patch|major)(\s+version)?)\b/i,
+      /\b(remove|uninstall|drop|get\s+rid\s+of)\b.*\b(package|dependency|dep|module|library)\b|\buninstall\b|^\s*(remove|drop|get\s+rid\s+of)\s+(the\s+)?@?[\w-]+(\/[\w.-]+)?(\s+(package|dependency|dep|module|library))?\s*$/i,
+      /^\s*(upgrade|update)\s+(?!(the|this|that|my|it|all|everything)\b)@?[\w-]+(\/[\w.-]+)?\s*$/i,
+      /\b(add|install)\b.*\bas\s+a\s+(dev\s+|development\s+)?dependency\b|\b(add|install)\b.*\b(dev\s+)?dependenc(y|ies)\b|^\s*(add|install)\s.*\s(--save-dev|-D)\s*$/i,
+      // "install express cors", "add lodash@4", "add vitest -D" — bare package names,
+      // lowercase as npm requires, so "add README" / "add notes.md" stay file requests
+      /^\s*(?:[Ii]nstall\s+(?!(?:the|a|an|it|this|that|them|all|my|our|everything|dependencies|deps|packages?|requirements)\b)@?[a-z0-9][a-z0-9._-]*(?:\/[a-z0-9._-]+)?(?:@[\w.^~<>=-]+)?(?:(?:\s*,\s*|\s+(?:and\s+)?)@?[a-z0-9][a-z0-9._-]*(?:\/[a-z0-9._-]+)?(?:@[\w.^~<>=-]+)?)*|[Aa]dd\s+(?!(?:the|a|an|it|this|that|them|some|more|new|another|tests?|specs?|logging|logs?|comments?|docs?|documentation|types?|support|validation|caching|auth|error|errors|scripts?|files?|lines?|functions?|routes?|dependencies|deps|packages?)\b)(?![\w.-]+\.(?:json|md|txt|ya?ml|css|html|py|ts|tsx|jsx|sh)\b)@?[a-z0-9][a-z0-9._-]*(?:\/[a-z0-9._-]+)?(?:@[\w.^~<>=-]+)?)(?:\s+(?:as\s+an?\s+(?:dev\s+|development\s+)?dependency|--save-dev|-D|to\s+(?:the\s+)?(?:project|package\.json|dev\s*dependencies|dependencies)))?\s*$/,
+    ],
+    keywords: ['outdated', 'vulnerabilities', 'audit', 'dependencies', 'dependency', 'packages', 'upgrade', 'update', 'uninstall', 'installed', 'install', 'add', 'deps'],
+    tools: ['dependencies'],
+    confidence_boost: 0.2,
+    boost_entities: ['declaredPackages'],
+  },
+
+  PROCESS: {
+    id: 'process',
+    patterns: [
+      /\b(in\s+the\s+background|detached|backgrounded)\b/i,
+      /\b(run|start|launch)\b.*\b(in\s+the\s+background|detached)\b/i,
+      // "start npm run dev", "run yarn watch", "run tsc --watch" — commands that don't return
+      /^\s*(start|run|launch)\s+(?:(?:npm|pnpm|yarn|bun)\s+(?:run\s+)?(?:dev|serve|watch)(?::[\w-]+)?\b|\S.*\s--watch\b)/i,
+      /^\s*(start|run|launch)\s+\S.*\bon\s+port\s+\d+\s*$/i,
+      /\b(start|run|launch|boot|spin\s+up|fire\s+up|stop|kill|restart|shut\s*down)\b.*\b(dev(elopment)?\s+server|server|watcher|worker|daemon)\b(?!\.|\s+(tests?|specs?|code|config)\b)/i,
+      /\b(what|who|which\s+process)('s|\s+is)?\b.*\b(running|listening)\b.*\bport\s+\d+|\b(kill|stop|free(\s+up)?)\b.*\bport\s+\d+|\bport\s+\d+\s+(is\s+)?(in\s+use|taken|busy)\b|\bis\s+(anything|something)\s+(running|listening)\s+on\s+port\s+\d+/i,
+      /\bwhat('s|\s+is)\s+running\b(?!.*\b(tests?|in\s+ci)\b)|\b(background|running)\s+(processes|servers|jobs)\b|\bis\s+the\s+\S+(\s+server)?\s+(still\s+)?running\b/i,
+      /\b(server|watcher|worker|background|process)\s+(logs?|output)\b|\b(logs?|output)\s+(of|from)\s+the\s+(dev\s+)?(server|watcher|worker)\b|\b(show|tail|view|print)\s+(me\s+)?the\s+[\w-]+\s+(logs?|output)\s*$/i,
+    ],
+    keywords: ['background', 'server', 'running', 'port', 'restart', 'stop', 'kill', 'watcher', 'daemon', 'logs', 'dev', 'serve', 'watch'],
+    tools: ['process'],
+    confidence_boost: 0.2,
+    boost_entities: ['ports'],
   },
 };
 
+// Active task types — the built-in pack unless rule packs have been merged in
+let activeTaskTypes = TASK_TYPES;
+
+/**
+ * Replace the task types used by classify() / scoreTaskTypes()
+ */
+function setTaskTypes(taskTypes) {
+  activeTaskTypes = taskTypes || TASK_TYPES;
+}
+
+/**
+ * Current task types (built-in merged with any loaded rule packs)
+ */
+function getTaskTypes() {
+  return activeTaskTypes;
+}
+
+// Optional workspace index (workspace.js) — when set, file references are
+// checked against the real project tree
+let activeWorkspace = null;
+
+/**
+ * Set (or clear, with null) the workspace used to resolve file references
+ */
+function setWorkspace(workspace) {
+  activeWorkspace = workspace || null;
+}
+
+function getWorkspace() {
+  return activeWorkspace;
+}
+
 // File path detection regex
 const FILE_PATH_PATTERN = /(?:^|\s)((?:\.{0,2}\/)?(?:[\w.-]+\/)*[\w.-]+\.[\w]+)(?:\s|$)/;
 const ABSOLUTE_PATH_PATTERN = /(?:^|\s)(\/(?:[\w.-]+\/)*[\w.-]+)(?:\s|$)/;
 const URL_PATTERN = /https?:\/\/[^\s]+/i;
+const LINE_RANGE_PATTERN = /\blines?\s+(\d+)(?:\s*(?:-|–|to|through|\.\.)\s*(\d+))?/gi;
+const FILE_LOCATION_PATTERN = /(?:^|\s)((?:\.{0,2}\/)?(?:[\w.-]+\/)*[\w.-]+\.\w+):(\d+)(?:-(\d+))?\b/g;
+const SYMBOL_STOPWORDS = new Set([
+  'the', 'a', 'an', 'this', 'that', 'each', 'every', 'new', 'which', 'my', 'our', 'your', 'its',
+  'and', 'or', 'to', 'for', 'of', 'in', 'on', 'is', 'called', 'named', 'some', 'any', 'one',
+  'defined', 'declared', 'implemented', 'used', 'does', 'do', 'works', 'branch', 'tag', 'changes',
+]);
 
 /**
  * Extract structured entities from user input — deterministic, no model needed
@@ -195,6 +345,17 @@ function extractEntities(input) {
     commands: [],
     packages: [],
     gitOps: [],
+    lineRanges: [],
+    symbols: [],
+    branches: [],
+    tags: [],
+    ports: [],
+    envVars: [],
+    quoted: [],
+    globs: [],
+    existingPaths: [],
+    workspacePaths: [],
+    declaredPackages: [],
   };
 
   // Extract file paths
@@ -208,7 +369,8 @@ function extractEntities(input) {
   // Known extensionless files (LICENSE, Makefile, Dockerfile, etc.)
   const knownExtensionless = /\b(LICENSE|Makefile|Dockerfile|README|CHANGELOG|CONTRIBUTING|AUTHORS|Procfile|Vagrantfile|Gemfile|Rakefile|Brewfile|Pipfile|Taskfile|Justfile|Cakefile)\b/;
   const extensionlessMatch = input.match(knownExtensionless);
-  if (extensionlessMatch && !entities.filePaths.includes(extensionlessMatch[1])) {
+  // (skipped when it's just the stem of a path already found, e.g. README.md)
+  if (extensionlessMatch && !entities.filePaths.some(p => p.split('/').pop().startsWith(extensionlessMatch[1]))) {
     entities.filePaths.push(extensionlessMatch[1]);
   }
 
@@ -237,63 +399,462 @@ function extractEntities(input) {
     });
   }
 
+  // Line numbers / ranges: "lines 10-40", "line 12", "src/tools.js:10-40"
+  for (const m of input.matchAll(LINE_RANGE_PATTERN)) {
+    const start = parseInt(m[1], 10);
+    const end = m[2] ? parseInt(m[2], 10) : start;
+    if (start > 0 && end >= start) entities.lineRanges.push({ start, end });
+  }
+  for (const m of input.matchAll(FILE_LOCATION_PATTERN)) {
+    const start = parseInt(m[2], 10);
+    const end = m[3] ? parseInt(m[3], 10) : start;
+    if (!entities.filePaths.includes(m[1])) entities.filePaths.push(m[1]);
+    if (start > 0 && end >= start) entities.lineRanges.push({ start, end });
+  }
+
+  // Symbols: "function classify", "the Agent class", "classify()"
+  const addSymbol = (kind, name) => {
+    if (!SYMBOL_STOPWORDS.has(name.toLowerCase()) && !entities.symbols.some(s => s.name === name)) {
+      entities.symbols.push({ kind, name });
+    }
+  };
+  for (const m of input.matchAll(/\b(function|method|class|def|fn)\s+`?([A-Za-z_$][\w$]*)`?/gi)) addSymbol(normaliseSymbolKind(m[1]), m[2]);
+  for (const m of input.matchAll(/`?([A-Za-z_$][\w$]*)`?\s+(function|method|class)\b/gi)) addSymbol(normaliseSymbolKind(m[2]), m[1]);
+  for (const m of input.matchAll(/(?<![\w.])([A-Za-z_$][\w$]*)\(\)/g)) addSymbol('function', m[1]);
+
+  // Git branches and tags
+  for (const m of input.matchAll(/\b(?:(?:checkout|switch\s+to|merge)(?:\s+-b)?(?:\s+(?:the\s+)?branch)?|on\s+(?:the\s+)?branch|branch(?:\s+(?:called|named))?)\s+['"`]?(\w[\w./-]*)/gi)) {
+    if (!SYMBOL_STOPWORDS.has(m[1].toLowerCase()) && !entities.branches.includes(m[1])) entities.branches.push(m[1]);
+  }
+  for (const m of input.matchAll(/\btag(?:\s+(?:called|named))?\s+['"`]?(v?\d[\w.-]*|[\w][\w.-]*)/gi)) {
+    if (!SYMBOL_STOPWORDS.has(m[1].toLowerCase()) && !entities.tags.includes(m[1])) entities.tags.push(m[1]);
+  }
+
+  // Ports: "port 3000", "localhost:8080"
+  for (const m of input.matchAll(/\bports?\s*:?\s*(\d{2,5})\b|\b(?:localhost|127\.0\.0\.1|0\.0\.0\.0):(\d{2,5})\b/gi)) {
+    const port = parseInt(m[1] || m[2], 10);
+    if (port > 0 && port <= 65535 && !entities.ports.includes(port)) entities.ports.push(port);
+  }
+
+  // Environment variables: $HOME, ${NODE_ENV}, DATABASE_URL, "env var PORT"
+  for (const m of input.matchAll(/\$\{?([A-Za-z_][A-Za-z0-9_]*)\}?|\b([A-Z][A-Z0-9]*_[A-Z0-9_]+)\b|\b(?:env(?:ironment)?\s+var(?:iable)?)\s+([A-Za-z_][A-Za-z0-9_]*)/g)) {
+    const name = m[1] || m[2] || m[3];
+    if (!entities.envVars.includes(name)) entities.envVars.push(name);
+  }
+
+  // Quoted literals
+  for (const m of input.matchAll(/(?<!\w)(["'`])((?:(?!\1).)+)\1(?!\w)/g)) entities.quoted.push(m[2]);
+
+  // Glob patterns: "*.js", "src/**/*.ts"
+  for (const m of input.matchAll(/(?:^|\s)((?:[\w.-]+\/)*[\w.-]*[*?][\w.*?\/{},-]*)/g)) {
+    if (/[\w.]/.test(m[1]) && !entities.globs.includes(m[1])) entities.globs.push(m[1]);
+  }
+
   return entities;
 }
 
 /**
- * Score each task type against the input — deterministic scoring
+ * Map the word used for a symbol to its kind
  */
-function scoreTaskTypes(input) {
-  const scores = [];
-  const inputLower = input.toLowerCase();
+function normaliseSymbolKind(word) {
+  const w = word.toLowerCase();
+  if (w === 'class') return 'class';
+  if (w === 'method') return 'method';
+  return 'function';
+}
+
+/**
+ * Split a glob into the directory to search and the basename pattern
+ * grep --include understands, e.g. "src/lib/*.ts" → { dir: "src/lib", include: "*.ts" }
+ */
+function splitGlob(glob) {
+  const parts = glob.split('/');
+  const firstWild = parts.findIndex(p => /[*?{]/.test(p));
+  const dir = parts.slice(0, firstWild).join('/') || null;
+  return { dir, include: parts[parts.length - 1] || '*' };
+}
+
+// "the agent file", "the orchestrator module" — a name standing in for a path
+const DESCRIPTIVE_REF_PATTERN = /\b([\w.-]+)\s+(?:file|module|script|source|component)\b/gi;
+const DESCRIPTIVE_STOPWORDS = new Set([
+  ...SYMBOL_STOPWORDS, 'new', 'whole', 'entire', 'same', 'other', 'read', 'open', 'show', 'view',
+  'edit', 'delete', 'remove', 'create', 'write', 'display', 'cat', 'all', 'config', 'log', 'text',
+]);
+
+// Entities found by looking in the workspace rather than at the input
+const WORKSPACE_ENTITIES = ['existingPaths', 'declaredPackages'];
+
+/**
+ * Check file references against the workspace. Explicit paths that exist
+ * (or are a unique suffix of a real file) go into existingPaths; ones that
+ * don't keep their "did you mean" candidates. Descriptive references are
+ * only tried when the input names no path. Mutates and returns entities.
+ */
+function resolveWorkspaceRefs(entities, input, workspace) {
+  for (const ref of entities.filePaths) {
+    entities.workspacePaths.push(workspace.resolvePath(ref));
+  }
+  if (entities.filePaths.length === 0) {
+    for (const m of input.matchAll(DESCRIPTIVE_REF_PATTERN)) {
+      if (DESCRIPTIVE_STOPWORDS.has(m[1].toLowerCase())) continue;
+      const resolved = workspace.resolveName(m[1]);
+      if (resolved.path || resolved.candidates.length) entities.workspacePaths.push(resolved);
+      if (resolved.path) break;
+    }
+  }
+  entities.existingPaths = [...new Set(entities.workspacePaths.filter(r => r.path).map(r => r.path))];
+  entities.declaredPackages = mentionedDependencies(input, workspace.root);
+  return entities;
+}
+
+/**
+ * Entities for an input, resolved against the active workspace if any
+ */
+function inputEntities(input) {
   const entities = extractEntities(input);
+  return activeWorkspace ? resolveWorkspaceRefs(entities, input, activeWorkspace) : entities;
+}
 
-  for (const [typeName, taskType] of Object.entries(TASK_TYPES)) {
-    let score = 0;
-    let matchedPatterns = 0;
-    let matchedKeywords = 0;
+/**
+ * Path a plan should act on. Intents that need the file to exist take the
+ * workspace-resolved path; creating a file keeps the path as written.
+ */
+function targetPath(entities, { mustExist = true } = {}) {
+  if (mustExist) {
+    const resolved = entities.workspacePaths.find(r => r.path);
+    if (resolved) return resolved.path;
+  }
+  return entities.filePaths[0] || null;
+}
 
-    // Pattern matching (strongest signal — each pattern match = 0.3)
-    for (const pattern of taskType.patterns) {
-      if (pattern.test(input)) {
-        score += 0.3;
-        matchedPatterns++;
+/**
+ * Blank out quoted spans (same length) so cue/separator regexes run on the
+ * result never match inside a commit message or search string.
+ */
+function maskQuoted(input) {
+  return input.replace(/(?<!\w)(["'`])(?:(?!\1).)*\1(?!\w)/g, m => m[0] + '\0'.repeat(m.length - 2) + m[0]);
+}
+
+// Negation cues and where their scope ends. The scope swallows a leading
+// "but"/"and" so "build it but don't run tests" plans as "build it".
+const NEGATION_CUE = /(?:,?\s*\b(?:but|and)\s+)?\b(don'?t|do not|does not|doesn'?t|never|without|except(?: for)?|excluding|avoid|skip|but not|no need to)\b/gi;
+const NEGATION_SCOPE_END = /[,.;!?]|\b(?:but|and|then|so|just|instead)\b/i;
+
+// Constraints recorded from negated text — enforced by the orchestrator
+const NEGATION_CONSTRAINTS = [
+  { constraint: 'no_tests', pattern: /\b(tests?|testing|specs?|test suite)\b/i },
+  { constraint: 'no_deletes', pattern: /\b(delet\w*|remov\w*|rm)\b/i },
+  { constraint: 'no_writes', pattern: /\b(writ\w*|modif\w*|chang\w*|edit\w*|touch\w*|sav\w*|creat\w*|overwrit\w*)\b/i },
+  { constraint: 'no_installs', pattern: /\b(install\w*|add\w* (?:any )?(?:packages?|dependenc\w*))\b/i },
+  { constraint: 'no_commits', pattern: /\b(commit\w*)\b/i },
+  { constraint: 'no_push', pattern: /\b(push\w*|publish\w*|deploy\w*)\b/i },
+  { constraint: 'no_network', pattern: /\b(network|internet|http|fetch\w*|download\w*|api calls?)\b/i },
+  { constraint: 'no_commands', pattern: /\b(run(?:ning)? (?:any(?:thing)?|commands?)|execut\w*|shell)\b/i },
+];
+
+/**
+ * Detect negated spans ("don't delete it", "without running tests") —
+ * deterministic, no model needed.
+ *
+ * Returns { effectiveInput, negations: [{ cue, text }], constraints }
+ * where effectiveInput is the input with every negated span removed, so
+ * excluded actions and entities no longer score.
+ */
+function detectNegations(input) {
+  const negations = [];
+  const constraints = new Set();
+  let effectiveInput = '';
+  let cursor = 0;
+  const masked = maskQuoted(input);
+
+  for (const match of masked.matchAll(NEGATION_CUE)) {
+    if (match.index < cursor) continue; // inside a previous scope
+    const scopeStart = match.index + match[0].length;
+    const rest = masked.slice(scopeStart);
+    const end = rest.search(NEGATION_SCOPE_END);
+    const scopeEnd = end === -1 ? input.length : scopeStart + end;
+    const text = input.slice(scopeStart, scopeEnd).trim();
+    if (!text) continue;
+
+    negations.push({ cue: match[1].toLowerCase(), text });
+    for (const { constraint, pattern } of NEGATION_CONSTRAINTS) {
+      if (pattern.test(text)) constraints.add(constraint);
+    }
+
+    effectiveInput += input.slice(cursor, match.index) + ' ';
+    cursor = scopeEnd;
+  }
+  effectiveInput += input.slice(cursor);
+
+  return {
+    effectiveInput: effectiveInput.replace(/\s+/g, ' ').replace(/^[\s,;]+|[\s,;]+$/g, ''),
+    negations,
+    constraints: [...constraints],
+  };
+}
+
+// ── Fuzzy matching ──────────────────────────────────────────────────
+// Typos ("raed the fiel") and inflections ("reading", "deleted") are
+// corrected against the rule vocabulary; rules that only fire on the
+// corrected input count at a discount.
+const STEM_DISCOUNT = 0.9;
+const FUZZY_DISCOUNT = 0.8;
+const FUZZY_STOPWORDS = new Set([
+  'the', 'this', 'that', 'them', 'then', 'than', 'with', 'from', 'into', 'have', 'here',
+  'there', 'what', 'when', 'were', 'will', 'your', 'some', 'also', 'just', 'please', 'could',
+  'would', 'should', 'about', 'like', 'want', 'need', 'make', 'sure', 'each', 'only', 'over',
+]);
+
+/**
+ * Light suffix stemmer for verb/noun forms — "reading" → "read",
+ * "deleted"/"delete" → "delet", "installs" → "install", "running" → "run"
+ */
+function stem(word) {
+  let w = word.toLowerCase();
+  if (w.length > 5 && w.endsWith('ing')) w = w.slice(0, -3);
+  else if (w.length > 4 && w.endsWith('ed')) w = w.slice(0, -2);
+  else if (w.length > 4 && w.endsWith('es')) w = w.slice(0, -2);
+  else if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+  if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1); // runn → run
+  if (w.length > 3 && w.endsWith('e')) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transposition,
+ * so "raed" → "read" is 1), bailing out early once over max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
       }
+      rowMin = Math.min(rowMin, d[i][j]);
     }
+    if (rowMin > max) return max + 1;
+  }
+  return d[a.length][b.length];
+}
 
-    // Keyword matching (weaker signal — each keyword = 0.1)
+// Typos allowed scale with word length — short words must match exactly
+const maxTypos = (length) => (length < 4 ? 0 : length < 6 ? 1 : 2);
+
+const vocabularyCache = new WeakMap();
+
+/**
+ * Words the rules can match: keyword words plus literal words in pattern
+ * sources (escapes like \b stripped first). Cached per task type set.
+ */
+function ruleVocabulary(taskTypes) {
+  if (vocabularyCache.has(taskTypes)) return vocabularyCache.get(taskTypes);
+  const words = new Set();
+  for (const taskType of Object.values(taskTypes)) {
     for (const keyword of taskType.keywords) {
-      if (inputLower.includes(keyword.toLowerCase())) {
-        score += 0.1;
-        matchedKeywords++;
-      }
+      for (const w of keyword.toLowerCase().match(/[a-z]{3,}/g) || []) words.add(w);
+    }
+    for (const pattern of taskType.patterns) {
+      const literal = pattern.source.replace(/\\[a-zA-Z]/g, ' ').toLowerCase();
+      for (const w of literal.match(/[a-z]{3,}/g) || []) words.add(w);
+    }
+  }
+  const vocabulary = { words, stems: new Map([...words].map(w => [stem(w), w])) };
+  vocabularyCache.set(taskTypes, vocabulary);
+  return vocabulary;
+}
+
+/**
+ * Correct plain-word tokens against the rule vocabulary.
+ * Returns { corrected, corrections: [{ token, match, kind, distance }] }.
+ * Paths, flags and quoted text are left alone.
+ */
+function correctTokens(input, taskTypes) {
+  const { words, stems } = ruleVocabulary(taskTypes);
+  const corrections = [];
+
+  const corrected = input.replace(/(?<![\w./-])[a-zA-Z]{4,}(?![\w./-])/g, (token) => {
+    const lower = token.toLowerCase();
+    if (words.has(lower) || FUZZY_STOPWORDS.has(lower)) return token;
+
+    const stemMatch = stems.get(stem(lower));
+    if (stemMatch) {
+      corrections.push({ token, match: stemMatch, kind: 'stem', distance: 0 });
+      return stemMatch;
     }
 
-    // Entity-based confidence boost
-    if (entities.filePaths.length > 0 && ['file_read', 'file_write', 'file_edit', 'file_delete', 'code_analysis'].includes(taskType.id)) {
-      score += taskType.confidence_boost;
+    const limit = maxTypos(lower.length);
+    let best = null;
+    let bestDistance = limit + 1;
+    for (const word of words) {
+      if (Math.abs(word.length - lower.length) > limit || (word[0] !== lower[0] && limit < 2)) continue;
+      const distance = editDistance(lower, word, limit);
+      if (distance < bestDistance) { best = word; bestDistance = distance; }
     }
-    if (entities.urls.length > 0 && taskType.id === 'http_request') {
-      score += taskType.confidence_boost;
+    if (best) {
+      corrections.push({ token, match: best, kind: 'fuzzy', distance: bestDistance });
+      return best;
     }
-    if (entities.gitOps.length > 0 && taskType.id === 'shell_command') {
-      score += taskType.confidence_boost;
+    return token;
+  });
+
+  return { corrected, corrections };
+}
+
+/**
+ * Everything scoring needs from one input: negation-stripped text, its
+ * fuzzy-corrected form and the entities
+ */
+function prepareInput(rawInput, taskTypes) {
+  const input = detectNegations(rawInput).effectiveInput;
+  const { corrected, corrections } = correctTokens(input, taskTypes);
+  const discount = corrections.some(c => c.kind === 'fuzzy') ? FUZZY_DISCOUNT : STEM_DISCOUNT;
+  return {
+    input,
+    inputLower: input.toLowerCase(),
+    corrected: corrections.length ? corrected : null,
+    correctedLower: corrections.length ? corrected.toLowerCase() : null,
+    corrections,
+    discount,
+    entities: inputEntities(input),
+  };
+}
+
+/**
+ * Which rules of one task type fire on the (negation-stripped) input.
+ * Hits are 1 for an exact match, the fuzzy discount when the rule only
+ * fires on the corrected input, 0 otherwise.
+ * Shared by scoring and by offline weight training (calibration.js).
+ */
+function matchTaskType(prepared, taskType) {
+  const { input, inputLower, corrected, correctedLower, discount, entities } = prepared;
+  const hit = (exact, fuzzy) => (exact() ? 1 : corrected !== null && fuzzy() ? discount : 0);
+  const patternHits = taskType.patterns.map(pattern => hit(() => pattern.test(input), () => pattern.test(corrected)));
+  const keywordHits = taskType.keywords.map(keyword => {
+    const k = keyword.toLowerCase();
+    return hit(() => inputLower.includes(k), () => correctedLower.includes(k));
+  });
+  // A path existing (or a package being declared) confirms a reference, it
+  // doesn't suggest an intent — so it only boosts types that some rule already fired for
+  const ruleFired = patternHits.some(Boolean) || keywordHits.some(Boolean);
+  const entityKeys = (taskType.boost_entities || [])
+    .filter(key => entities[key]?.length > 0 && (!WORKSPACE_ENTITIES.includes(key) || ruleFired));
+  return {
+    patternHits,
+    keywordHits,
+    entityKeys,
+    entityHits: entityKeys.length,
+  };
+}
+
+/**
+ * Stable id for a pattern or keyword: the one a pack gave it, else
+ * "<type id>:p<n>" / "<type id>:k<n>" (1-based position)
+ */
+function ruleId(taskType, kind, index) {
+  const ids = kind === 'pattern' ? taskType.pattern_ids : taskType.keyword_ids;
+  return ids?.[index] || `${taskType.id}:${kind[0]}${index + 1}`;
+}
+
+/**
+ * Rule matches for every task type — the feature vectors for training
+ */
+function extractFeatures(rawInput, taskTypes = activeTaskTypes) {
+  const prepared = prepareInput(rawInput, taskTypes);
+  const features = {};
+  for (const [typeName, taskType] of Object.entries(taskTypes)) {
+    features[typeName] = matchTaskType(prepared, taskType);
+  }
+  return features;
+}
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Per-rule breakdown of one task type's score: every rule that fired with
+ * its contribution, the entity boosts applied, and the raw total. With
+ * trained weights contributions are log-odds (confidence = sigmoid(raw));
+ * otherwise the hand-tuned heuristic: 0.3 per pattern + 0.1 per keyword
+ * + boost per entity kind (confidence = raw capped at 1).
+ */
+function explainMatch(taskType, match) {
+  const { weights } = taskType;
+  const rules = [];
+  const boosts = [];
+  let raw = weights ? weights.bias : 0;
+
+  match.patternHits.forEach((hit, i) => {
+    // Pattern matching (strongest signal — each pattern match = 0.3)
+    const contribution = weights ? weights.patterns[i] * hit : 0.3 * hit;
+    if (weights || hit) raw += contribution;
+    if (hit) {
+      rules.push({ id: ruleId(taskType, 'pattern', i), kind: 'pattern', rule: `/${taskType.patterns[i].source}/${taskType.patterns[i].flags}`, hit, fuzzy: hit < 1, contribution });
     }
-    if (entities.packages.length > 0 && taskType.id === 'shell_command') {
-      score += taskType.confidence_boost;
+  });
+  match.keywordHits.forEach((hit, i) => {
+    // Keyword matching (weaker signal — each keyword = 0.1)
+    const contribution = weights ? weights.keywords[i] * hit : 0.1 * hit;
+    if (weights || hit) raw += contribution;
+    if (hit) {
+      rules.push({ id: ruleId(taskType, 'keyword', i), kind: 'keyword', rule: taskType.keywords[i], hit, fuzzy: hit < 1, contribution });
     }
+  });
+  // Entity-based confidence boost — one boost per entity kind present
+  for (const entity of match.entityKeys) {
+    const contribution = weights ? weights.entity : taskType.confidence_boost;
+    raw += contribution;
+    boosts.push({ entity, contribution });
+  }
 
-    // Normalise to 0–1 range (cap at 1.0)
-    const confidence = Math.min(score, 1.0);
+  return {
+    mode: weights ? 'calibrated' : 'heuristic',
+    ...(weights ? { bias: weights.bias } : {}),
+    rules,
+    boosts,
+    raw,
+  };
+}
 
+
+/**
+ * Score each task type against the input — deterministic scoring
+ */
+function scoreTaskTypes(rawInput, taskTypes = activeTaskTypes) {
+  const scores = [];
+  // Negated spans don't count towards any intent or entity
+  const prepared = prepareInput(rawInput, taskTypes);
+  const { entities } = prepared;
+
+  for (const taskType of Object.values(taskTypes)) {
+    const match = matchTaskType(prepared, taskType);
+    const matchedPatterns = match.patternHits.filter(Boolean).length;
+    const matchedKeywords = match.keywordHits.filter(Boolean).length;
+    const fuzzyHits = [...match.patternHits, ...match.keywordHits].filter(h => h > 0 && h < 1).length;
+
+    // Only types with at least one firing rule are candidates
+    if (matchedPatterns + matchedKeywords + match.entityHits === 0) continue;
+
+    // Calibrated probability with trained weights (see calibration.js),
+    // otherwise the heuristic score normalised to 0–1 (capped at 1.0)
+    const explain = explainMatch(taskType, match);
+    const confidence = taskType.weights ? sigmoid(explain.raw) : Math.min(explain.raw, 1.0);
     if (confidence > 0) {
       scores.push({
         taskType: taskType.id,
         confidence,
         matchedPatterns,
         matchedKeywords,
+        fuzzyHits,
+        fuzzy: fuzzyHits > 0 ? prepared.corrections : [],
+        calibrated: !!taskType.weights,
         tools: taskType.tools,
         entities,
+        explain,
       });
     }
   }
@@ -308,8 +869,9 @@ function scoreTaskTypes(input) {
  * 
  * Returns { intent, confidence, needsModel, tools, entities }
  */
-function classify(input, threshold = 0.4) {
-  const scores = scoreTaskTypes(input);
+function classify(input, threshold = 0.4, taskTypes = activeTaskTypes) {
+  const scores = scoreTaskTypes(input, taskTypes);
+  const { effectiveInput, negations, constraints } = detectNegations(input);
 
   if (scores.length === 0) {
     return {
@@ -318,8 +880,13 @@ function classify(input, threshold = 0.4) {
       needsModel: true,
       reason: 'no_pattern_match',
       tools: [],
-      entities: extractEntities(input),
+      entities: inputEntities(effectiveInput),
       allScores: [],
+      fuzzy: [],
+      effectiveInput,
+      negations,
+      constraints,
+      ambiguity: { checked: false, triggered: false, reason: 'no rule matched' },
     };
   }
 
@@ -328,7 +895,8 @@ function classify(input, threshold = 0.4) {
   // High confidence — deterministic classification
   if (top.confidence >= threshold) {
     // Check for ambiguity (top two scores very close)
-    const isAmbiguous = scores.length > 1 && (top.confidence - scores[1].confidence) < 0.1;
+    const ambiguity = checkAmbiguity(scores);
+    const isAmbiguous = ambiguity.triggered;
 
     return {
       intent: top.taskType,
@@ -338,6 +906,11 @@ function classify(input, threshold = 0.4) {
       tools: top.tools,
       entities: top.entities,
       allScores: scores.slice(0, 3), // top 3 for debugging
+      fuzzy: top.fuzzy,
+      effectiveInput,
+      negations,
+      constraints,
+      ambiguity,
     };
   }
 
@@ -350,15 +923,158 @@ function classify(input, threshold = 0.4) {
     tools: top.tools,
     entities: top.entities,
     allScores: scores.slice(0, 3),
+    fuzzy: top.fuzzy,
+    effectiveInput,
+    negations,
+    constraints,
+    ambiguity: {
+      checked: false,
+      triggered: false,
+      reason: `top score ${top.confidence.toFixed(2)} is below the ${threshold} threshold`,
+    },
+  };
+}
+
+// Top two scores closer than this send the input to the model to disambiguate
+const AMBIGUITY_MARGIN = 0.1;
+
+/**
+ * Ambiguity check on sorted scores, with the reason it did or didn't trigger
+ */
+function checkAmbiguity(scores) {
+  const [top, runnerUp] = scores;
+  if (!runnerUp) return { checked: true, triggered: false, reason: 'no other intent scored' };
+  const margin = top.confidence - runnerUp.confidence;
+  const triggered = margin < AMBIGUITY_MARGIN;
+  return {
+    checked: true,
+    triggered,
+    runnerUp: runnerUp.taskType,
+    margin,
+    minMargin: AMBIGUITY_MARGIN,
+    reason: `margin ${margin.toFixed(2)} over ${runnerUp.taskType} is ${triggered ? 'below' : 'at least'} ${AMBIGUITY_MARGIN}`,
   };
 }
 
+/**
+ * JSON-ready explanation of a classification: which rules fired for each
+ * scored intent, what each contributed, the entity boosts applied and the
+ * ambiguity decision — for /classify --json and --analyse --json
+ */
+function explainClassification(result, threshold = 0.4) {
+  return {
+    intent: result.intent,
+    confidence: result.confidence,
+    needsModel: result.needsModel,
+    reason: result.reason,
+    threshold,
+    ambiguity: result.ambiguity,
+    scores: result.allScores.map(s => ({
+      taskType: s.taskType,
+      confidence: s.confidence,
+      ...s.explain,
+    })),
+    fuzzy: result.fuzzy,
+    negations: result.negations,
+    constraints: result.constraints,
+  };
+}
+
+// "... and open it" after a definition lookup — the file the lookup finds,
+// read in the same plan (so it isn't split off as a clause of its own)
+const OPEN_RESULT_PATTERN = /^(?:open|show|read|view|display|print|cat)\s+(?:me\s+)?(?:it|that|them)(?=\s*(?:$|[,;.!]))/i;
+const OPEN_FOLLOW_UP = /(?:,|;|&&|\band|\bthen)\s+(?:then\s+)?(?:open|show|read|view|display|print|cat)\s+(?:me\s+)?(?:it|that|them)\s*[.!]?$/i;
+
+// Clause separators for compound instructions. A bare "and" only splits
+// when the next word starts a new action ("git add . and git commit"),
+// so "search for foo and bar in src" stays one clause.
+const CLAUSE_VERBS = 'read|show|list|cat|open|view|display|create|write|save|make|delete|remove|rm|edit|fix|update|modify|replace|append|run|execute|install|git|npm|npx|node|pip|python|curl|fetch|search|find|grep|test|commit|push|pull|deploy|build|publish|analyse|analyze|review|mkdir';
+const CLAUSE_SEPARATOR = new RegExp(
+  `\\s*(?:;|&&|,?\\s+and\\s+then\\b|,?\\s+after\\s+that,?|,?\\s+then\\b|\\s+and\\s+(?=(?:${CLAUSE_VERBS})\\b))\\s*`,
+  'gi',
+);
+
+/**
+ * Split a compound instruction into clauses on sequencers ("then",
+ * "and then", "after that", ";", "&&"). Quoted text is never split.
+ * Returns [input] when there is nothing to split.
+ */
+function splitClauses(input) {
+  const masked = maskQuoted(input);
+
+  const clauses = [];
+  let start = 0;
+  for (const match of masked.matchAll(CLAUSE_SEPARATOR)) {
+    const rest = input.slice(match.index + match[0].length);
+    if (OPEN_RESULT_PATTERN.test(rest) && DEFINITION_PATTERN.test(input.slice(start, match.index))) continue;
+    clauses.push(input.slice(start, match.index));
+    start = match.index + match[0].length;
+  }
+  clauses.push(input.slice(start));
+
+  const cleaned = clauses.map(c => c.trim().replace(/^(?:then|after that),?\s+/i, '')).filter(Boolean);
+  return cleaned.length > 0 ? cleaned : [input];
+}
+
+/**
+ * Classify each clause of a compound instruction independently.
+ *
+ * Returns { compound, clauses: [{ index, text, classification }] }
+ */
+function classifyCompound(input, threshold = 0.4, taskTypes = activeTaskTypes) {
+  const clauses = splitClauses(input).map((text, index) => ({
+    index,
+    text,
+    classification: classify(text, threshold, taskTypes),
+  }));
+  return { compound: clauses.length > 1, clauses };
+}
+
+// Asking for an opinion or an explanation needs the model; metrics don't
+const OPINION_PATTERN = /\b(explain|why|what do you think|opinions?|thoughts|suggest(ions?)?|recommend(ations?)?|advi[cs]e|improve|how (does|do|would|should|could|can)|what does|should i|is (it|this) (good|ok|okay|fine|bad))\b/i;
+const JS_SOURCE = /\.(m|c)?jsx?$/i;
+
+/**
+ * A directory named in the input — "in src/", or "in src" when the
+ * workspace has such a directory (directories aren't file entities)
+ */
+function directoryTarget(input) {
+  const slashed = input.match(/(?:^|\s)((?:\.{1,2}\/)?[\w.-]+(?:\/[\w.-]+)*\/)(?=[\s,;!?]|$)/);
+  if (slashed) return slashed[1];
+  const named = input.match(/\b(?:in|of|under|across|within)\s+(?:the\s+)?([\w.-]+(?:\/[\w.-]+)*)/i);
+  if (named && activeWorkspace?.files().some(f => f.startsWith(`${named[1]}/`))) return named[1];
+  if (/\b(project|codebase|repo|repository)\b/i.test(input)) return '.';
+  return null;
+}
+
+/**
+ * Plan a definition lookup: search for the line that defines symbol
+ * (JS/TS, Python, Go, Rust), then — when open — read the first file
+ * found. Returns { steps, respondAs, definition } or null.
+ */
+function planDefinition(input, { open = false, path = '.' } = {}) {
+  const m = input.match(DEFINITION_PATTERN);
+  const symbol = m?.[1] || m?.[2] || m?.[3];
+  if (!symbol || SYMBOL_STOPWORDS.has(symbol.toLowerCase())) return null;
+  const sp = '[[:space:]]';
+  const pattern = `^${sp}*(export${sp}+)?(default${sp}+)?(async${sp}+)?(function\\*?${sp}+${symbol}|class${sp}+${symbol}|(const|let|var)${sp}+${symbol}${sp}*=|def${sp}+${symbol}|func${sp}+(\\([^)]*\\)${sp}*)?${symbol}|(pub${sp}+)?fn${sp}+${symbol})([^[:alnum:]_]|$)`;
+  const steps = [{ tool: 'search_files', args: { path, pattern, extended: true }, validate: 'found' }];
+  if (!open) return { steps, definition: { symbol } };
+  steps.push({ tool: 'read_file', args: { path: '${steps.0.result.files.0}' } });
+  return { steps, respondAs: 'file_read', definition: { symbol } };
+}
+
 /**
  * Generate a deterministic task plan from classified intent
- * Returns ordered list of tool calls to execute
+ * Returns ordered list of tool calls to execute. Step args may reference
+ * earlier steps' results (${steps.N.result.<field>}), and steps may carry
+ * a `validate` validator or a `when` guard (see WorkflowOrchestrator).
+ * respondAs, when set, is the intent whose validator and templates answer.
  */
-function planFromIntent(classification, input) {
+function planFromIntent(classification, rawInput) {
   const { intent, entities } = classification;
+  // Plan from the input with negated spans removed
+  const input = classification.effectiveInput ?? rawInput;
 
   const plan = {
     intent,
@@ -368,14 +1084,22 @@ function planFromIntent(classification, input) {
 
   switch (intent) {
     case 'file_read': {
-      const target = entities.filePaths[0] || null;
+      const target = targetPath(entities);
+      let lookup;
       const targetIsFile = target && /\.\w+$/.test(target) && !/\/$/.test(target);
       const isListRequest = /\b(list|ls|dir|show)\b.*\b(files|directory|directories|folder|contents)\b/i.test(input)
         || /\b(files|directory|contents)\b.*\b(in|of|at)\b/i.test(input);
       if (isListRequest && !targetIsFile) {
         plan.steps.push({ tool: 'list_directory', args: { path: target || '.' } });
       } else if (target) {
-        plan.steps.push({ tool: 'read_file', args: { path: target } });
+        const range = entities.lineRanges[0];
+        plan.steps.push({
+          tool: 'read_file',
+          args: range ? { path: target, line_range: [range.start, range.end] } : { path: target },
+        });
+      } else if ((lookup = planDefinition(input, { open: true, path: directoryTarget(input) || '.' }))) {
+        // "open the file that defines classify"
+        Object.assign(plan, lookup);
       } else {
         plan.steps.push({ tool: 'list_directory', args: { path: '.' } });
         plan.requiresModelForPlanning = true; // need model to determine which file
@@ -384,8 +1108,17 @@ function planFromIntent(classification, input) {
     }
 
     case 'file_write': {
-      const target = entities.filePaths[0] || null;
-      if (target) {
+      // Boilerplate in the catalogue is written without the model
+      const boilerplate = planBoilerplate(input, entities, {
+        root: activeWorkspace?.root,
+        files: activeWorkspace?.files(),
+        exists: activeWorkspace ? (path) => activeWorkspace.exists(path) : undefined,
+      });
+      const target = targetPath(entities, { mustExist: false });
+      if (boilerplate) {
+        plan.steps.push(boilerplate.step);
+        plan.boilerplate = boilerplate.boilerplate;
+      } else if (target) {
         plan.steps.push({ tool: 'create_file', args: { path: target, content: null } });
         plan.requiresModelForPlanning = true; // need model to generate content
       } else {
@@ -395,7 +1128,7 @@ function planFromIntent(classification, input) {
     }
 
     case 'file_delete': {
-      const target = entities.filePaths[0] || null;
+      const target = targetPath(entities);
       if (target) {
         plan.steps.push({ tool: 'delete_file', args: { path: target } });
       } else {
@@ -405,8 +1138,17 @@ function planFromIntent(classification, input) {
     }
 
     case 'file_edit': {
-      const target = entities.filePaths[0] || null;
-      if (target) {
+      const target = targetPath(entities);
+      // Mechanical edits (replace, JSON keys, package.json scripts) are planned exactly
+      const exact = planEdit(input, entities, {
+        path: target,
+        root: activeWorkspace?.root,
+        exists: activeWorkspace ? (path) => activeWorkspace.exists(path) : undefined,
+      });
+      if (exact) {
+        plan.steps.push(...exact.steps);
+        plan.edit = exact.edit;
+      } else if (target) {
         plan.steps.push({ tool: 'read_file', args: { path: target } });
         plan.steps.push({ tool: 'edit_file', args: { path: target, edits: null } });
         plan.requiresModelForPlanning = true; // need model to determine edits
@@ -445,6 +1187,13 @@ function planFromIntent(classification, input) {
       break;
     }
 
+    case 'git': {
+      const { steps, requiresModelForPlanning } = planGit(input, entities, { root: activeWorkspace?.root });
+      plan.steps.push(...steps);
+      plan.requiresModelForPlanning = requiresModelForPlanning;
+      break;
+    }
+
     case 'http_request': {
       const url = entities.urls[0] || null;
       if (url) {
@@ -462,30 +1211,87 @@ function planFromIntent(classification, input) {
     }
 
     case 'search': {
-      const target = entities.filePaths[0] || '.';
-      // Try to extract search term
+      const glob = entities.globs[0] ? splitGlob(entities.globs[0]) : null;
+      const target = targetPath(entities) || glob?.dir || '.';
+      // Try to extract search term; fall back to a quoted literal or named symbol
       const searchMatch = input.match(/(?:search|find|grep|look for|locate)\s+(?:for\s+)?["']?(.+?)["']?\s+(?:in|across|within)/i);
-      if (searchMatch) {
-        plan.steps.push({
-          tool: 'search_files',
-          args: { path: target, pattern: searchMatch[1].trim() },
-        });
+      const pattern = entities.quoted[0] || searchMatch?.[1].trim() || entities.symbols[0]?.name;
+      // "find the file that defines classify (and open it)"
+      const lookup = !entities.quoted.length && planDefinition(input, { open: OPEN_FOLLOW_UP.test(input), path: target });
+      if (lookup) {
+        Object.assign(plan, lookup);
+      } else if (pattern) {
+        const args = { path: target, pattern };
+        if (glob) args.file_glob = glob.include;
+        plan.steps.push({ tool: 'search_files', args });
       } else {
         plan.requiresModelForPlanning = true;
       }
       break;
     }
 
-    case 'testing': {
-      // "run tests" is deterministic
-      if (/\brun\b.*\btests?\b/i.test(input)) {
-        plan.steps.push({ tool: 'run_command', args: { command: 'npm test' } });
+    case 'code_analysis': {
+      const file = targetPath(entities);
+      const target = file || directoryTarget(input);
+      // Static analysis covers JavaScript files and directories of them
+      const analysable = target && (file ? JS_SOURCE.test(file) : true);
+      if (analysable && !OPINION_PATTERN.test(input)) {
+        plan.steps.push({ tool: 'analyse_code', args: { path: target } });
       } else {
-        plan.requiresModelForPlanning = true; // writing tests needs model
+        plan.requiresModelForPlanning = true;
       }
       break;
     }
 
+    case 'project_scaffold': {
+      // Never plan over files that are already there
+      const exists = activeWorkspace ? (path) => activeWorkspace.exists(path) : undefined;
+      const { steps, requiresModelForPlanning, scaffold } = planScaffold(input, entities, { exists });
+      plan.steps.push(...steps);
+      plan.requiresModelForPlanning = requiresModelForPlanning;
+      if (scaffold) plan.scaffold = scaffold;
+      break;
+    }
+
+    case 'dependencies': {
+      // The package manager is detected in the project the workspace indexes
+      const { steps, requiresModelForPlanning, dependencies } = planDependencies(input, entities, { root: activeWorkspace?.root });
+      plan.steps.push(...steps);
+      plan.requiresModelForPlanning = requiresModelForPlanning;
+      if (dependencies) plan.dependencies = dependencies;
+      break;
+    }
+
+    case 'process': {
+      // Start commands come from the scripts of the project the workspace indexes
+      const { steps, requiresModelForPlanning, processAction } = planProcess(input, entities, { root: activeWorkspace?.root });
+      plan.steps.push(...steps);
+      plan.requiresModelForPlanning = requiresModelForPlanning;
+      if (processAction) plan.process = { action: processAction };
+      break;
+    }
+
+    case 'deployment': {
+      // Scripts and targets are discovered in the project the workspace indexes
+      const { steps, requiresModelForPlanning, deployment } = planDeployment(input, entities, {
+        root: activeWorkspace?.root,
+        constraints: classification.constraints,
+      });
+      plan.steps.push(...steps);
+      plan.requiresModelForPlanning = requiresModelForPlanning;
+      if (deployment) plan.deployment = deployment;
+      break;
+    }
+
+    case 'testing': {
+      // Running tests is deterministic; writing them needs the model
+      const path = targetPath(entities) || directoryTarget(input);
+      const { steps, requiresModelForPlanning } = planTests(input, entities, { path });
+      plan.steps.push(...steps);
+      plan.requiresModelForPlanning = requiresModelForPlanning;
+      break;
+    }
+
     default:
       plan.requiresModelForPlanning = true;
   }
@@ -495,8 +1301,21 @@ function planFromIntent(classification, input) {
 
 export {
   TASK_TYPES,
+  setTaskTypes,
+  getTaskTypes,
+  setWorkspace,
+  getWorkspace,
   classify,
+  classifyCompound,
+  splitClauses,
+  detectNegations,
+  maskQuoted,
   extractEntities,
+  DEFINITION_PATTERN,
+  extractFeatures,
   scoreTaskTypes,
   planFromIntent,
+  explainClassification,
+  editDistance,
+  maxTypos,
 };
@@ -1,7 +1,8 @@
 // src/config.js — Agent configuration (v2.0 — Local-First)
 
 import { existsSync, readFileSync } from 'fs';
-import { resolve } from 'path';
+import { homedir, tmpdir } from 'os';
+import { resolve, join } from 'path';
 
 const DEFAULT_CONFIG = {
   // Provider selection: 'ollama' | 'openai-compatible' | 'vllm' | 'lmstudio' | 'claude'
@@ -28,6 +29,7 @@ const DEFAULT_CONFIG = {
 
   // Agent behaviour
   maxIterations: 50,
+  maxRetries: 2, // deterministic recoveries per plan (recovery.js)
   workingDirectory: process.cwd(),
   sandboxMode: false,
 
@@ -41,6 +43,26 @@ const DEFAULT_CONFIG = {
   maxFileSize: 10 * 1024 * 1024,
   httpTimeoutMs: 30000,
 
+  // Approval gates (approval.js): 'always' | 'never' | 'ask' per risk class —
+  // destructive, push, publish, network_write, dependency_change, overwrite,
+  // unlisted_command — each 'ask' unless set here; allowCommands adds
+  // programs that don't count as unlisted
+  approval: {},
+
+  // Classifier rule packs (JSON/YAML) — project dir is relative to workingDirectory
+  rulesDir: './rules',
+  userRulesDir: join(homedir(), '.agent', 'rules'),
+
+  // Scaffold templates (one directory per template) — project dir is relative to workingDirectory
+  templatesDir: './templates',
+  userTemplatesDir: join(homedir(), '.agent', 'templates'),
+
+  // Resolve file references against the project tree (honours .gitignore)
+  workspaceIndex: true,
+
+  // Background processes (dev servers, watchers) write their output here
+  processLogDir: join(tmpdir(), 'agent-processes'),
+
   // Git
   autoCommit: false,
   commitPrefix: '[agent]',
@@ -65,6 +87,8 @@ export function loadConfig(overrides = {}) {
   if (process.env.AGENT_SANDBOX === 'true') config.sandboxMode = true;
   if (process.env.OLLAMA_BASE_URL) config.ollamaBaseUrl = process.env.OLLAMA_BASE_URL;
   if (process.env.OPENAI_BASE_URL) config.openaiBaseUrl = process.env.OPENAI_BASE_URL;
+  if (process.env.AGENT_RULES_DIR) config.userRulesDir = process.env.AGENT_RULES_DIR;
+  if (process.env.AGENT_TEMPLATES_DIR) config.userTemplatesDir = process.env.AGENT_TEMPLATES_DIR;
 
   return config;
 }
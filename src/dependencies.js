@@ -0,0 +1,623 @@
+/**
+ * Dependencies
+ *
+ * Package housekeeping through the project's own package manager, found
+ * from its lockfile (pnpm-lock.yaml, yarn.lock, package-lock.json,
+ * poetry.lock, requirements.txt):
+ *
+ *   "which packages are outdated"        → outdated  (table of current/wanted/latest)
+ *   "audit for vulnerabilities"          → audit     (table by severity)
+ *   "upgrade express to latest minor"    → upgrade   (picks the version, then installs it)
+ *   "remove lodash"                      → remove
+ *   "why is debug installed"             → why       (dependency chains)
+ *   "add zod as a dev dependency"        → add
+ *
+ * Managers are asked for JSON where they have it; results come back as rows
+ * for the response tables rather than raw CLI output.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { shellQuote } from './git.js';
+
+const DEPENDENCY_TIMEOUT_MS = 5 * 60 * 1000;
+
+const MANAGERS = ['npm', 'pnpm', 'yarn', 'pip', 'poetry'];
+const JS_MANAGERS = ['npm', 'pnpm', 'yarn'];
+const SEVERITY_ORDER = ['critical', 'high', 'moderate', 'medium', 'low', 'info'];
+
+// ── Project ─────────────────────────────────────────────────────────
+
+function readText(path) {
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The project's package manager and manifest, or null without one
+ */
+function detectManager(root) {
+  const has = (name) => existsSync(join(root, name));
+  const pyproject = readText(join(root, 'pyproject.toml'));
+  if (has('pnpm-lock.yaml')) return { manager: 'pnpm', manifest: 'package.json' };
+  if (has('yarn.lock')) return { manager: 'yarn', manifest: 'package.json' };
+  if (has('package-lock.json') || has('package.json')) return { manager: 'npm', manifest: 'package.json' };
+  if (has('poetry.lock') || /^\[tool\.poetry\]/m.test(pyproject || '')) return { manager: 'poetry', manifest: 'pyproject.toml' };
+  if (has('requirements.txt')) return { manager: 'pip', manifest: 'requirements.txt' };
+  if (pyproject) return { manager: 'pip', manifest: 'pyproject.toml' };
+  return null;
+}
+
+// requirements.txt line → name (extras, markers and version specs dropped)
+const requirementName = (line) => line.replace(/#.*/, '').trim().match(/^([A-Za-z0-9][\w.-]*)/)?.[1] || null;
+const normalisePy = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+/**
+ * Declared dependencies: Map of name → { type, spec }
+ */
+function declaredDependencies(root) {
+  const declared = new Map();
+  if (!root) return declared;
+  const pkg = readText(join(root, 'package.json'));
+  if (pkg) {
+    let data = {};
+    try {
+      data = JSON.parse(pkg);
+    } catch { /* unreadable manifest — nothing declared */ }
+    for (const type of ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']) {
+      for (const [name, spec] of Object.entries(data[type] || {})) {
+        if (!declared.has(name)) declared.set(name, { type, spec });
+      }
+    }
+  }
+  for (const line of (readText(join(root, 'requirements.txt')) || '').split('\n')) {
+    const name = requirementName(line);
+    if (name && !line.trim().startsWith('-')) declared.set(name, { type: 'dependencies', spec: line.replace(/#.*/, '').trim().slice(name.length).trim() });
+  }
+  const pyproject = readText(join(root, 'pyproject.toml')) || '';
+  for (const section of pyproject.matchAll(/^\[tool\.poetry\.(dependencies|dev-dependencies|group\.\w+\.dependencies)\]\s*\n([\s\S]*?)(?=^\[|(?![\s\S]))/gm)) {
+    for (const m of section[2].matchAll(/^([A-Za-z0-9][\w.-]*)\s*=\s*(.+)$/gm)) {
+      if (m[1] !== 'python') declared.set(m[1], { type: section[1] === 'dependencies' ? 'dependencies' : 'devDependencies', spec: m[2].trim() });
+    }
+  }
+  return declared;
+}
+
+/**
+ * Declared dependency names mentioned in the input (classifier entity)
+ */
+function mentionedDependencies(input, root) {
+  const declared = declaredDependencies(root);
+  if (!declared.size) return [];
+  const words = input.match(/@?[\w.-]+(?:\/[\w.-]+)?/g) || [];
+  return [...new Set(words.filter(w => declared.has(w)))];
+}
+
+// ── Versions ────────────────────────────────────────────────────────
+
+const STABLE = /^\d+\.\d+\.\d+$/;
+
+function compareVersions(a, b) {
+  const pa = a.split(/[.+-]/).map(Number);
+  const pb = b.split(/[.+-]/).map(Number);
+  for (let i = 0; i < 3; i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  }
+  return 0;
+}
+
+/**
+ * How big a step from → to is: 'major', 'minor', 'patch' (or null)
+ */
+function bumpKind(from, to) {
+  const [a, b] = [from, to].map(v => String(v || '').match(/(\d+)\.(\d+)\.(\d+)/)?.slice(1).map(Number));
+  if (!a || !b) return null;
+  if (a[0] !== b[0]) return 'major';
+  if (a[1] !== b[1]) return 'minor';
+  return a[2] !== b[2] ? 'patch' : null;
+}
+
+/**
+ * Newest version that level allows from current: 'latest', 'minor' (same
+ * major), 'patch' (same major.minor) or an exact version
+ */
+function pickVersion(versions, current, { level = 'latest', version = null, latest = null } = {}) {
+  if (version) return versions.includes(version) ? version : null;
+  const stable = versions.filter(v => STABLE.test(v)).sort(compareVersions);
+  if (level === 'latest' || !current) return latest || stable[stable.length - 1] || null;
+  const [major, minor] = current.split('.');
+  const allowed = stable.filter(v => v.split('.')[0] === major && (level !== 'patch' || v.split('.')[1] === minor));
+  return allowed[allowed.length - 1] || null;
+}
+
+function installedVersion(root, manager, name) {
+  if (JS_MANAGERS.includes(manager)) {
+    try {
+      return JSON.parse(readFileSync(join(root, 'node_modules', name, 'package.json'), 'utf-8')).version;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// ── Commands ────────────────────────────────────────────────────────
+
+const OUTDATED = {
+  npm: 'npm outdated --json --long',
+  pnpm: 'pnpm outdated --format json',
+  yarn: 'yarn outdated --json',
+  pip: 'python3 -m pip list --outdated --format=json',
+  poetry: 'poetry show --outdated --top-level --no-ansi',
+};
+const AUDIT = {
+  npm: 'npm audit --json',
+  pnpm: 'pnpm audit --json',
+  yarn: 'yarn audit --json',
+  pip: 'pip-audit -f json',
+  poetry: 'pip-audit -f json',
+};
+const WHY = {
+  npm: (name) => `npm explain ${shellQuote(name)} --json`,
+  pnpm: (name) => `pnpm why ${shellQuote(name)} --json`,
+  yarn: (name) => `yarn why ${shellQuote(name)}`,
+  pip: (name) => `python3 -m pip show ${shellQuote(name)}`,
+  poetry: (name) => `poetry show ${shellQuote(name)} --no-ansi`,
+};
+const REMOVE = {
+  npm: 'npm uninstall',
+  pnpm: 'pnpm remove',
+  yarn: 'yarn remove',
+  pip: 'python3 -m pip uninstall -y',
+  poetry: 'poetry remove',
+};
+
+function addCommand(manager, specs, dev) {
+  const list = specs.map(shellQuote).join(' ');
+  switch (manager) {
+    case 'npm': return `npm install ${list}${dev ? ' --save-dev' : ''}`;
+    case 'pnpm': return `pnpm add ${list}${dev ? ' --save-dev' : ''}`;
+    case 'yarn': return `yarn add ${list}${dev ? ' --dev' : ''}`;
+    case 'poetry': return `poetry add ${list}${dev ? ' --group dev' : ''}`;
+    default: return `python3 -m pip install ${list}`;
+  }
+}
+
+const spec = (manager, name, version) => {
+  if (!version) return name;
+  if (manager === 'pip') return `${name}==${version}`;
+  return `${name}@${version}`;
+};
+
+// ── Parsing ─────────────────────────────────────────────────────────
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+const ndjson = (text) => text.split('\n').map(parseJson).filter(Boolean);
+
+/**
+ * Outdated rows [{ name, current, wanted, latest, type, bump }]; null when
+ * the output isn't what the manager prints
+ */
+function parseOutdated(manager, stdout) {
+  const row = (name, current, wanted, latest, type) =>
+    ({ name, current: current || '—', wanted: wanted || latest, latest, type: type || 'dependencies', bump: bumpKind(current, latest) });
+  if (manager === 'npm' || manager === 'pnpm') {
+    if (!stdout.trim()) return [];
+    const data = parseJson(stdout);
+    if (!data || typeof data !== 'object' || data.error) return null;
+    return Object.entries(data).map(([name, d]) => row(name, d.current, d.wanted, d.latest, d.type || d.dependencyType));
+  }
+  if (manager === 'yarn') {
+    const table = ndjson(stdout).find(l => l.type === 'table');
+    if (!table) return ndjson(stdout).length ? [] : null;
+    return table.data.body.map(([name, current, wanted, latest, type]) => row(name, current, wanted, latest, type));
+  }
+  if (manager === 'pip') {
+    const data = parseJson(stdout);
+    return Array.isArray(data) ? data.map(d => row(d.name, d.version, d.latest_version, d.latest_version)) : null;
+  }
+  // poetry: "name  current  latest  description"
+  return stdout.split('\n').map(l => l.trim().match(/^([\w.-]+)\s+(?:\(!\)\s+)?(\d\S*)\s+(\d\S*)/))
+    .filter(Boolean).map(m => row(m[1], m[2], m[3], m[3]));
+}
+
+/**
+ * Vulnerability rows [{ name, severity, title, url, range, fix }] plus
+ * counts by severity; null when the output isn't an audit report
+ */
+function parseAudit(manager, stdout) {
+  const data = manager === 'yarn' ? null : parseJson(stdout);
+  const rows = [];
+  if (manager === 'yarn') {
+    const lines = ndjson(stdout);
+    if (!lines.length) return null;
+    for (const l of lines.filter(x => x.type === 'auditAdvisory')) {
+      const a = l.data.advisory;
+      rows.push({ name: a.module_name, severity: a.severity, title: a.title, url: a.url, range: a.vulnerable_versions, fix: a.patched_versions });
+    }
+  } else if (data?.vulnerabilities && !Array.isArray(data.vulnerabilities)) {
+    // npm 7+: one entry per package, `via` holds advisories or the packages it comes through
+    for (const v of Object.values(data.vulnerabilities)) {
+      const advisories = v.via.filter(x => typeof x === 'object');
+      const fix = v.fixAvailable === true ? 'npm audit fix'
+        : v.fixAvailable ? `${v.fixAvailable.name}@${v.fixAvailable.version}${v.fixAvailable.isSemVerMajor ? ' (major)' : ''}` : 'none';
+      rows.push({
+        name: v.name,
+        severity: v.severity,
+        title: advisories.map(a => a.title).join('; ') || `via ${v.via.join(', ')}`,
+        url: advisories[0]?.url || null,
+        range: v.range,
+        fix,
+      });
+    }
+  } else if (data?.advisories) {
+    // npm 6 format (pnpm)
+    for (const a of Object.values(data.advisories)) {
+      rows.push({ name: a.module_name, severity: a.severity, title: a.title, url: a.url, range: a.vulnerable_versions, fix: a.patched_versions });
+    }
+  } else if (data && (Array.isArray(data) || Array.isArray(data.dependencies))) {
+    // pip-audit
+    for (const d of Array.isArray(data) ? data : data.dependencies) {
+      for (const v of d.vulns || []) {
+        rows.push({ name: d.name, severity: 'unknown', title: v.id, url: null, range: d.version, fix: v.fix_versions?.join(', ') || 'none' });
+      }
+    }
+  } else {
+    return null;
+  }
+  const rank = (s) => (SEVERITY_ORDER.includes(s) ? SEVERITY_ORDER.indexOf(s) : SEVERITY_ORDER.length);
+  rows.sort((a, b) => rank(a.severity) - rank(b.severity) || a.name.localeCompare(b.name));
+  const counts = {};
+  for (const r of rows) counts[r.severity] = (counts[r.severity] || 0) + 1;
+  return { rows, counts };
+}
+
+/**
+ * Why a package is installed: chains like ["debug@2.6.9", "express@4.17.1",
+ * "(project, prod)"] from npm explain's JSON; null when it isn't there
+ */
+function parseExplain(stdout, name) {
+  const nodes = parseJson(stdout);
+  if (!Array.isArray(nodes)) return null;
+  const chains = [];
+  const walk = (node, chain, depth) => {
+    const label = `${node.name}@${node.version}`;
+    for (const d of node.dependents || []) {
+      if (!d.from?.name) {
+        chains.push([...chain, label, `(project, ${d.type})`]);
+      } else if (depth < 6 && chains.length < 20) {
+        walk(d.from, [...chain, label], depth + 1);
+      }
+    }
+  };
+  for (const node of nodes.filter(n => n.name === name)) walk(node, [], 0);
+  return { versions: [...new Set(nodes.filter(n => n.name === name).map(n => n.version))], chains };
+}
+
+/**
+ * pip show → { version, requiredBy }
+ */
+function parsePipShow(stdout) {
+  const field = (key) => stdout.match(new RegExp(`^${key}:\\s*(.*)$`, 'm'))?.[1]?.trim();
+  const version = field('Version');
+  if (!version) return null;
+  return { versions: [version], requiredBy: (field('Required-by') || '').split(/,\s*/).filter(Boolean) };
+}
+
+// ── Running ─────────────────────────────────────────────────────────
+
+const failure = (error, extra = {}) => ({ success: false, error, ...extra });
+const output = (r) => (r.stderr || r.stdout || r.error || '').trim().split('\n').slice(-5).join('\n');
+
+/**
+ * Versions of name on the manager's registry: { versions, latest } or null
+ */
+function registryVersions(manager, name, run) {
+  if (JS_MANAGERS.includes(manager)) {
+    const r = run(`npm view ${shellQuote(name)} versions dist-tags --json`, DEPENDENCY_TIMEOUT_MS);
+    const data = parseJson(r.stdout || '');
+    if (!data?.versions) return null;
+    return { versions: [].concat(data.versions), latest: data['dist-tags']?.latest };
+  }
+  const r = run(`python3 -m pip index versions ${shellQuote(name)}`, DEPENDENCY_TIMEOUT_MS);
+  const list = (r.stdout || '').match(/Available versions:\s*(.+)/)?.[1];
+  return list ? { versions: list.split(/,\s*/), latest: null } : null;
+}
+
+/**
+ * Rewrite (or drop, with version null) name's lines in requirements.txt
+ */
+function updateRequirements(root, name, version) {
+  const path = join(root, 'requirements.txt');
+  const text = readText(path);
+  if (text === null) return;
+  const lines = text.split('\n');
+  const at = lines.findIndex(l => requirementName(l) && normalisePy(requirementName(l)) === normalisePy(name));
+  if (at === -1 && version) {
+    lines.splice(lines[lines.length - 1] === '' ? lines.length - 1 : lines.length, 0, `${name}==${version}`);
+  } else if (at !== -1) {
+    if (version) lines[at] = lines[at].replace(/^([A-Za-z0-9][\w.-]*(?:\[[^\]]*\])?)[^;#]*?(?=\s*(?:[;#]|$))/, `$1==${version}`);
+    else lines.splice(at, 1);
+  }
+  writeFileSync(path, lines.join('\n'), 'utf-8');
+}
+
+function upgrade(args, { root, run, manager, declared }) {
+  const level = args.version ? 'exact' : args.level || 'latest';
+  let names = args.packages || [];
+  if (!names.length) {
+    // Everything: in-range updates through the manager, or each outdated package to latest
+    if (level !== 'latest') {
+      if (manager === 'pip') return failure('pip has no in-range update — say "upgrade all packages to latest" or name the packages');
+      const command = { npm: 'npm update', pnpm: 'pnpm update', yarn: 'yarn upgrade', poetry: 'poetry update' }[manager];
+      const r = run(command, DEPENDENCY_TIMEOUT_MS);
+      return r.success ? { success: true, action: 'upgrade', manager, command, rows: [], note: 'within the ranges in the manifest' }
+        : failure(`\`${command}\` failed (exit ${r.exitCode})`, { output: output(r) });
+    }
+    const outdated = run(OUTDATED[manager], DEPENDENCY_TIMEOUT_MS);
+    // pip lists everything outdated in the environment, not just what the
+    // project declares — only the declared ones are upgraded (by their
+    // requirements.txt name: "Flask" there, "flask" from pip)
+    const python = ['pip', 'poetry'].includes(manager);
+    const declaredName = (name) => (declared.has(name) ? name
+      : python ? [...declared.keys()].find(d => normalisePy(d) === normalisePy(name)) : null);
+    names = (parseOutdated(manager, outdated.stdout || '') || []).map(r => declaredName(r.name)).filter(Boolean);
+    if (!names.length) return { success: true, action: 'upgrade', manager, command: OUTDATED[manager], rows: [], note: 'everything is already up to date' };
+  }
+
+  const rows = [];
+  const specs = [];
+  for (const name of names) {
+    if (!declared.has(name)) return failure(`\`${name}\` isn't a dependency of this project`);
+    const from = installedVersion(root, manager, name) || declared.get(name).spec.match(/\d+\.\d+\.\d+/)?.[0] || null;
+    if (manager === 'poetry') {
+      // poetry resolves the constraint itself
+      const major = from?.split('.')[0];
+      const constraint = args.version || (level === 'latest' || !from ? 'latest' : level === 'minor' ? `^${major}.0` : `~${from.split('.').slice(0, 2).join('.')}`);
+      rows.push({ name, from: from || '—', to: constraint });
+      specs.push(`${name}@${constraint}`);
+      continue;
+    }
+    const available = registryVersions(manager, name, run);
+    if (!available) return failure(`Couldn't list the published versions of \`${name}\``);
+    const to = pickVersion(available.versions, from, { level, version: args.version, latest: available.latest });
+    if (!to) return failure(args.version ? `\`${name}@${args.version}\` isn't published` : `No ${level} version of \`${name}\` found`);
+    if (to !== from) {
+      rows.push({ name, from: from || '—', to, bump: bumpKind(from, to) });
+      specs.push(spec(manager, name, to));
+    }
+  }
+  if (!specs.length) return { success: true, action: 'upgrade', manager, command: null, rows: [], note: `already on the newest ${level === 'exact' ? 'requested' : level} version` };
+
+  // Dev dependencies stay dev dependencies
+  const dev = specs.length && names.every(n => declared.get(n)?.type === 'devDependencies');
+  const command = addCommand(manager, specs, dev);
+  const r = run(command, DEPENDENCY_TIMEOUT_MS);
+  if (!r.success) return failure(`\`${command}\` failed (exit ${r.exitCode})`, { output: output(r) });
+  if (manager === 'pip') for (const row of rows) updateRequirements(root, row.name, row.to);
+  return { success: true, action: 'upgrade', manager, command, rows };
+}
+
+/**
+ * Carry out a dependency action in root. run(command, timeoutMs) runs a
+ * shell command in the project (run_command's result shape).
+ */
+function runDependencies(args, { root, run }) {
+  const detected = detectManager(root);
+  const manager = args.manager || detected?.manager;
+  if (!manager) return failure('No package manifest found (package.json, requirements.txt or pyproject.toml)');
+  if (!MANAGERS.includes(manager)) return failure(`Unsupported package manager: ${manager}`);
+  const declared = declaredDependencies(root);
+  const packages = args.packages || [];
+
+  switch (args.action) {
+    case 'outdated': {
+      const command = OUTDATED[manager];
+      const r = run(command, DEPENDENCY_TIMEOUT_MS);
+      // npm/yarn exit 1 when something is outdated — the output decides
+      const rows = parseOutdated(manager, r.stdout || '');
+      if (!rows) return failure(`\`${command}\` failed (exit ${r.exitCode})`, { output: output(r) });
+      rows.sort((a, b) => a.name.localeCompare(b.name));
+      return { success: true, action: 'outdated', manager, command, rows };
+    }
+    case 'audit': {
+      const command = AUDIT[manager];
+      const r = run(command, DEPENDENCY_TIMEOUT_MS);
+      const report = parseAudit(manager, r.stdout || '');
+      if (!report) {
+        const missing = /not found|No such file/i.test(`${r.stderr} ${r.error}`) && command.startsWith('pip-audit');
+        return failure(missing ? 'pip-audit isn\'t installed (pip install pip-audit)' : `\`${command}\` failed (exit ${r.exitCode})`,
+          { output: parseJson(r.stdout || '')?.message || output(r) });
+      }
+      return { success: true, action: 'audit', manager, command, ...report };
+    }
+    case 'why': {
+      const name = packages[0];
+      if (!name) return failure('Which package?');
+      const command = WHY[manager](name);
+      const r = run(command, DEPENDENCY_TIMEOUT_MS);
+      const parsed = manager === 'npm' ? parseExplain(r.stdout || '', name) : manager === 'pip' ? parsePipShow(r.stdout || '') : null;
+      if (parsed && (parsed.chains?.length || parsed.versions.length)) {
+        return { success: true, action: 'why', manager, command, name, declared: declared.get(name) || null, ...parsed };
+      }
+      if (!r.success || parsed) return failure(`\`${name}\` isn't installed`, { output: output(r) });
+      // pnpm/yarn/poetry: their own text
+      return { success: true, action: 'why', manager, command, name, declared: declared.get(name) || null, text: (r.stdout || '').trim() };
+    }
+    case 'upgrade':
+      return upgrade(args, { root, run, manager, declared });
+    case 'remove': {
+      if (!packages.length) return failure('Which package?');
+      const missing = packages.filter(n => !declared.has(n));
+      if (missing.length) return failure(`${missing.map(n => `\`${n}\``).join(', ')} ${missing.length === 1 ? "isn't a dependency" : "aren't dependencies"} of this project`);
+      const command = `${REMOVE[manager]} ${packages.map(shellQuote).join(' ')}`;
+      const r = run(command, DEPENDENCY_TIMEOUT_MS);
+      if (!r.success) return failure(`\`${command}\` failed (exit ${r.exitCode})`, { output: output(r) });
+      if (manager === 'pip') for (const name of packages) updateRequirements(root, name, null);
+      return { success: true, action: 'remove', manager, command, removed: packages.map(n => ({ name: n, ...declared.get(n) })) };
+    }
+    case 'add': {
+      if (!packages.length) return failure('Which package?');
+      const specs = packages.map(n => spec(manager, n, args.version));
+      const command = addCommand(manager, specs, args.dev);
+      const r = run(command, DEPENDENCY_TIMEOUT_MS);
+      if (!r.success) return failure(`\`${command}\` failed (exit ${r.exitCode})`, { output: output(r) });
+      if (manager === 'pip') for (const name of packages) updateRequirements(root, name, args.version || parsePipShow(run(WHY.pip(name)).stdout || '')?.versions[0]);
+      const added = packages.map(name => ({ name, version: installedVersion(root, manager, name) || args.version || null }));
+      return { success: true, action: 'add', manager, command, added, dev: !!args.dev };
+    }
+    default:
+      return failure(`Unknown dependency action: ${args.action}`);
+  }
+}
+
+// ── Planning ────────────────────────────────────────────────────────
+
+const ACTIONS = [
+  ['audit', /\baudit\b|\bvulnerab\w*|\bcves?\b|\bsecurity\s+(issues|advisories|holes|problems|fixes)\b/i],
+  ['outdated', /\boutdated\b|\bout[- ]of[- ]date\b|\bnewer\s+versions?\b|\b(stale|old)\s+(packages|dependencies|deps)\b/i],
+  ['why', /\bwhy\b|\b(what|who|which\s+packages?)\s+(depends\s+on|requires|needs|pulls\s+in|uses)\b/i],
+  ['remove', /\b(remove|uninstall|drop|get\s+rid\s+of|delete)\b/i],
+  ['add', /\b(add|install)\b/i],
+  ['upgrade', /\b(upgrade|update|bump)\b/i],
+];
+const MANAGER_MENTION = /\b(npm|pnpm|yarn|pip|poetry)\b/i;
+const PACKAGE_WORDS = new Set([
+  'package', 'packages', 'dependency', 'dependencies', 'deps', 'dep', 'module', 'modules', 'library', 'libraries',
+  'the', 'a', 'an', 'all', 'my', 'our', 'every', 'any', 'and', 'to', 'latest', 'minor', 'patch', 'major', 'version',
+  'versions', 'from', 'project', 'as', 'dev', 'is', 'are', 'installed', 'why', 'what', 'which', 'who', 'on', 'in',
+  'for', 'with', 'upgrade', 'update', 'bump', 'remove', 'uninstall', 'drop', 'delete', 'add', 'install', 'get', 'rid',
+  'of', 'depends', 'requires', 'needs', 'pulls', 'uses', 'here', 'needed', 'required', 'it', 'npm', 'pnpm', 'yarn',
+  'pip', 'poetry', 'new', 'newest', 'release', 'v', 'using', 'via', 'tree', 'lockfile', 'please',
+]);
+
+/**
+ * Package names in the input: declared ones first, else words that look
+ * like package names once the phrasing is stripped
+ */
+function packageNames(input, root) {
+  const mentioned = mentionedDependencies(input, root);
+  if (mentioned.length) return mentioned;
+  // Flags (--save-dev, -D) and versions (to 2.0, @4.17.21) aren't names
+  return (input.replace(/\bto\s+v?\d+(\.\d+)*\S*|(?<!\S)--?[\w-]+|(?<=\w)@[\w.^~<>=-]+/gi, ' ').match(/@?[a-z0-9][\w.-]*(?:\/[\w.-]+)?/gi) || [])
+    .filter(w => !PACKAGE_WORDS.has(w.toLowerCase()) && !/^\d/.test(w));
+}
+
+/**
+ * Plan a dependency action. Returns { steps, requiresModelForPlanning,
+ * dependencies: { action } }.
+ */
+function planDependencies(input, entities, { root = null } = {}) {
+  const action = ACTIONS.find(([, pattern]) => pattern.test(input))?.[0] || null;
+  const none = { steps: [], requiresModelForPlanning: true };
+  if (!action) return none;
+
+  const args = { action };
+  const manager = input.match(MANAGER_MENTION)?.[1]?.toLowerCase();
+  if (manager) args.manager = manager;
+  if (['why', 'remove', 'add', 'upgrade'].includes(action)) {
+    const names = packageNames(input, root);
+    const all = /\b(all|every|everything)\b/i.test(input) && !/\bfrom\s+all\b/i.test(input);
+    if (!names.length && !(action === 'upgrade' && all)) return none; // which package?
+    args.packages = action === 'why' ? names.slice(0, 1) : all && action === 'upgrade' ? [] : names;
+  }
+  if (action === 'upgrade') {
+    const version = input.match(/\bto\s+(?:version\s+)?v?(\d+\.\d+\.\d+(?:-[\w.]+)?)\b/i)?.[1];
+    if (version) args.version = version;
+    else args.level = /\bpatch\b/i.test(input) ? 'patch' : /\bminor\b/i.test(input) ? 'minor'
+      : /\b(latest|newest|major)\b/i.test(input) || args.packages.length ? 'latest' : 'wanted';
+  }
+  if (action === 'add') {
+    const version = input.match(/@(\d+\.\d+\.\d+)\b|\bversion\s+v?(\d+\.\d+\.\d+)\b/i);
+    if (version) args.version = version[1] || version[2];
+    args.packages = args.packages.map(n => n.replace(/@\d.*$/, ''));
+    if (/\bdev(elopment)?\s*-?\s*dep(endenc(y|ies))?s?\b|--save-dev|-D\b/i.test(input)) args.dev = true;
+  }
+  return { steps: [{ tool: 'dependencies', args }], requiresModelForPlanning: false, dependencies: { action } };
+}
+
+// ── Rendering ───────────────────────────────────────────────────────
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Aligned columns under a header row
+ */
+function table(headers, rows) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i] ?? '').length)));
+  const line = (cells) => `  ${cells.map((c, i) => String(c ?? '').padEnd(widths[i])).join('  ').trimEnd()}`;
+  return [line(headers), ...rows.map(line)].join('\n');
+}
+
+const devLabel = (type) => (/dev/i.test(type || '') ? 'dev' : '');
+
+function renderDependencies(result) {
+  const via = `(${result.manager})`;
+  switch (result.action) {
+    case 'outdated':
+      if (!result.rows.length) return `All dependencies are up to date ${via}.`;
+      return `${plural(result.rows.length, 'outdated package')} ${via}:\n\n` +
+        table(['Package', 'Current', 'Wanted', 'Latest', 'Bump', 'Type'],
+          result.rows.map(r => [r.name, r.current, r.wanted, r.latest, r.bump || '', devLabel(r.type)]));
+    case 'audit': {
+      const n = result.rows.length;
+      if (!n) return `No known vulnerabilities ${via}.`;
+      // pip-audit reports no severities
+      const counts = Object.entries(result.counts).filter(([s]) => s !== 'unknown').map(([s, c]) => `${c} ${s}`).join(', ');
+      return `${plural(n, 'vulnerable package')}${counts ? ` — ${counts}` : ''} ${via}:\n\n` +
+        table(['Severity', 'Package', 'Affected', 'Fix', 'Advisory'],
+          result.rows.map(r => [r.severity, r.name, r.range, r.fix, r.title]));
+    }
+    case 'why': {
+      const declared = result.declared ? ` (declared in ${result.declared.type})` : '';
+      if (result.text !== undefined) return `Why \`${result.name}\` is installed ${via}${declared}:\n\n${result.text}`;
+      if (result.requiredBy) {
+        return `\`${result.name}\` ${result.versions[0]}${declared}\n` +
+          (result.requiredBy.length ? `Required by: ${result.requiredBy.join(', ')}` : 'Nothing else requires it — it was installed directly.');
+      }
+      return `\`${result.name}\` ${result.versions.join(', ')}${declared} is installed because of:\n\n` +
+        result.chains.map(c => `  ${c.join(' ← ')}`).join('\n');
+    }
+    case 'upgrade':
+      if (!result.rows.length) return `Nothing to upgrade — ${result.note} ${via}.${result.command && result.note.startsWith('within') ? `\nRan \`${result.command}\`.` : ''}`;
+      return `✓ Upgraded ${plural(result.rows.length, 'package')} with \`${result.command}\`:\n\n` +
+        table(['Package', 'From', 'To', 'Bump'], result.rows.map(r => [r.name, r.from, r.to, r.bump || '']));
+    case 'remove':
+      return `✓ Removed ${result.removed.map(r => `\`${r.name}\`${r.type ? ` (${r.type})` : ''}`).join(', ')} with \`${result.command}\`.`;
+    case 'add':
+      return `✓ Added ${result.added.map(a => `\`${a.name}${a.version ? `@${a.version}` : ''}\``).join(', ')}` +
+        `${result.dev ? ` as ${result.added.length === 1 ? 'a dev dependency' : 'dev dependencies'}` : ''} with \`${result.command}\`.`;
+    default:
+      return 'Done.';
+  }
+}
+
+function renderDependencyFailure(result) {
+  return `✗ ${result.error || 'Dependency command failed'}${result.output ? `\n\n${result.output}` : ''}`;
+}
+
+export {
+  DEPENDENCY_TIMEOUT_MS,
+  detectManager,
+  declaredDependencies,
+  mentionedDependencies,
+  bumpKind,
+  pickVersion,
+  parseOutdated,
+  parseAudit,
+  parseExplain,
+  runDependencies,
+  planDependencies,
+  renderDependencies,
+  renderDependencyFailure,
+};
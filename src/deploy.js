@@ -0,0 +1,337 @@
+/**
+ * Build & Deployment Workflows
+ *
+ * Discovers how a project builds and ships — package.json scripts,
+ * Makefile targets, a Dockerfile, a compose file — and maps phrasings to
+ * ordered steps without a model:
+ *
+ *   "build for production"    → npm run build:prod (or build)
+ *   "build the docker image"  → docker build -t <name>:<version> .
+ *   "start the containers"    → docker compose up -d
+ *   "deploy to staging"       → pre-flight, then npm run deploy:staging / make deploy-staging
+ *   "release a new version"   → pre-flight, then the release script or target
+ *   "publish to npm"          → pre-flight, build, npm publish
+ *   "bump the minor version"  → npm version minor (clean tree first)
+ *
+ * Deploys, releases and publishes run pre-flight checks first — a clean git
+ * tree, passing tests and a version that isn't out yet (not tagged for a
+ * release, not on the registry for a publish). The first failing check
+ * stops the plan, so nothing ships. "without running tests" waives the
+ * test check.
+ * Anything that doesn't map to a script or target the project has is left
+ * to the model.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, basename } from 'path';
+import { shellQuote } from './git.js';
+import { detectTestSetup, renderTestResult } from './testing.js';
+
+// Builds and deploys can take a while; the run_command default is a minute
+const BUILD_TIMEOUT_MS = 10 * 60 * 1000;
+
+const COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yml', 'docker-compose.yaml'];
+
+const ENVIRONMENTS = [
+  { name: 'production', pattern: /\b(production|prod)\b/i, aliases: ['production', 'prod'] },
+  { name: 'staging', pattern: /\b(staging|stage)\b/i, aliases: ['staging', 'stage'] },
+  { name: 'preview', pattern: /\bpreview\b/i, aliases: ['preview'] },
+  { name: 'development', pattern: /\b(development|dev)\b/i, aliases: ['development', 'dev'] },
+];
+
+const PREFLIGHT_LABELS = {
+  clean_tree: 'clean git tree',
+  tests: 'tests pass',
+  publishable: 'publishable package',
+  version_bumped: 'version bumped',
+};
+
+// ── Discovery ───────────────────────────────────────────────────────
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Target names defined in a Makefile (special targets and pattern rules excluded)
+ */
+function makeTargets(text) {
+  const targets = [];
+  for (const m of text.matchAll(/^([A-Za-z0-9][\w.-]*(?:[ \t]+[A-Za-z0-9][\w.-]*)*)[ \t]*:(?![=:])/gm)) {
+    targets.push(...m[1].split(/\s+/));
+  }
+  return [...new Set(targets)];
+}
+
+/**
+ * Everything in root a build or deploy could be driven by
+ */
+function discoverProject(root) {
+  const pkg = readJson(join(root, 'package.json'));
+  const makefile = ['Makefile', 'makefile', 'GNUmakefile'].find(name => existsSync(join(root, name)));
+  const manager = existsSync(join(root, 'pnpm-lock.yaml')) ? 'pnpm' : existsSync(join(root, 'yarn.lock')) ? 'yarn' : 'npm';
+  return {
+    root,
+    pkg,
+    scripts: pkg?.scripts || {},
+    manager,
+    make: makefile ? makeTargets(readFileSync(join(root, makefile), 'utf-8')) : [],
+    dockerfile: existsSync(join(root, 'Dockerfile')) ? 'Dockerfile' : null,
+    compose: COMPOSE_FILES.find(name => existsSync(join(root, name))) || null,
+  };
+}
+
+/**
+ * The first script or make target with one of the given names.
+ * Returns { command, source } or null.
+ */
+function findTarget(project, names) {
+  for (const name of names) {
+    if (project.scripts[name]) return { command: `${project.manager} run ${name}`, source: `package.json script "${name}"` };
+  }
+  for (const name of names) {
+    if (project.make.includes(name)) return { command: `make ${name}`, source: `Makefile target "${name}"` };
+  }
+  return null;
+}
+
+/**
+ * Script/target names for a base name in an environment, most specific first:
+ * deploy:staging, deploy-staging, deploy_staging, then the aliases (stage)
+ */
+function targetNames(base, env) {
+  if (!env) return [base];
+  return env.aliases.flatMap(alias => [`${base}:${alias}`, `${base}-${alias}`, `${base}_${alias}`]);
+}
+
+// ── Planning ────────────────────────────────────────────────────────
+
+const COMPOSE = /\b(start|stop|restart|bring up|bring down|spin up|tear down|shut down|launch|run)\b.*\b(containers|services|stack|compose)\b/i;
+const DOCKER_IMAGE = /\bbuild\b.*\b(docker|image|container)\b|\bdocker\s+image\b/i;
+const NPM_PUBLISH = /\b(publish|release)\b.*\bnpm\b|\bpublish\s+(the\s+|this\s+)?(package|library|module)\b/i;
+const VERSION_BUMP = /\bbump\b.*\b(version|patch|minor|major)\b|\b(patch|minor|major)\s+(version|release|bump)\b/i;
+
+const bumpLevel = (match) => (match[0].match(/\b(patch|minor|major)\b/i)?.[1] || 'patch').toLowerCase();
+
+const step = (command) => ({ tool: 'run_command', args: { command, timeout_ms: BUILD_TIMEOUT_MS } });
+
+/**
+ * Docker image name from the package name (scope dropped) or the directory
+ */
+function imageName(project) {
+  const name = (project.pkg?.name || basename(project.root)).split('/').pop();
+  return name.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[^a-z0-9]+/, '') || 'app';
+}
+
+/**
+ * Plan a build or deployment request. Returns
+ * { steps, requiresModelForPlanning, deployment } where deployment
+ * describes the plan for the response ({ action, summary, verb, preflight,
+ * waived }). Without a root to look in, the model plans it.
+ */
+function planDeployment(input, entities, { root, constraints = [] } = {}) {
+  const none = { steps: [], requiresModelForPlanning: true, deployment: null };
+  if (!root) return none;
+
+  const project = discoverProject(root);
+  const env = ENVIRONMENTS.find(e => e.pattern.test(input)) || null;
+  const steps = [];
+  const preflight = [];
+  const waived = [];
+
+  // Checks run in the order they're added, before anything ships
+  const check = (name, args = {}) => {
+    if (name === 'tests') {
+      if (constraints.includes('no_tests')) waived.push(PREFLIGHT_LABELS.tests);
+      else if (detectTestSetup(root)) {
+        preflight.push(PREFLIGHT_LABELS.tests);
+        steps.push({ tool: 'run_tests', args: {} });
+      }
+      return;
+    }
+    preflight.push(PREFLIGHT_LABELS[name]);
+    steps.push({ tool: 'preflight', args: { check: name, ...args } });
+  };
+  const done = (action, summary, verb) => ({
+    steps,
+    requiresModelForPlanning: false,
+    deployment: { action, summary, verb, preflight, waived },
+  });
+
+  if (COMPOSE.test(input) && project.compose) {
+    const sub = /\b(stop|bring down|tear down|shut down)\b/i.test(input) ? 'down'
+      : /\brestart\b/i.test(input) ? 'restart'
+        : /\bbuild\b/i.test(input) ? 'build' : 'up -d';
+    steps.push(step(`docker compose ${sub}`));
+    return done('compose', `\`docker compose ${sub}\` (${project.compose})`, 'started');
+  }
+
+  if (DOCKER_IMAGE.test(input)) {
+    if (!project.dockerfile || /\bpush\b/i.test(input)) return none; // pushing needs a registry we don't know
+    const name = imageName(project);
+    const version = project.pkg?.version;
+    const tags = [version && `${name}:${version}`, `${name}:latest`].filter(Boolean);
+    steps.push(step(`docker build ${tags.map(t => `-t ${shellQuote(t)}`).join(' ')} .`));
+    return done('docker_build', `Built the Docker image ${tags.map(t => `\`${t}\``).join(', ')}`, 'built');
+  }
+
+  const bump = input.match(VERSION_BUMP);
+  if (bump && !NPM_PUBLISH.test(input)) {
+    if (!project.pkg?.version) return none;
+    check('clean_tree');
+    steps.push(step(`npm version ${bumpLevel(bump)}`));
+    return done('version', `Bumped the ${bumpLevel(bump)} version of \`${project.pkg.name || basename(root)}\` (committed and tagged)`, 'changed');
+  }
+
+  if (NPM_PUBLISH.test(input)) {
+    if (!project.pkg) return none;
+    check('clean_tree');
+    check('publishable');
+    check('tests');
+    if (bump) {
+      // npm version commits and tags the bump, so it goes after the checks
+      steps.push(step(`npm version ${bumpLevel(bump)}`));
+    } else {
+      check('version_bumped', { registry: 'npm' });
+    }
+    if (project.scripts.build) steps.push(step(`${project.manager} run build`));
+    steps.push(step('npm publish'));
+    return done('publish', `Published \`${project.pkg.name}\` to npm`, 'published');
+  }
+
+  if (/\brelease\b/i.test(input)) {
+    const target = findTarget(project, [...targetNames('release', env), ...(env ? [] : ['release'])]);
+    if (!target) return none;
+    check('clean_tree');
+    check('tests');
+    if (project.pkg?.version) check('version_bumped');
+    steps.push(step(target.command));
+    return done('release', `Released with \`${target.command}\` (${target.source})`, 'released');
+  }
+
+  if (/\b(deploy|ship|push\s+to)\b/i.test(input)) {
+    // Never fall back to a generic deploy when a specific environment was asked for
+    const target = findTarget(project, env ? targetNames('deploy', env) : ['deploy']);
+    if (!target) return none;
+    check('clean_tree');
+    check('tests');
+    steps.push(step(target.command));
+    return done('deploy', `Deployed${env ? ` to ${env.name}` : ''} with \`${target.command}\` (${target.source})`, 'deployed');
+  }
+
+  if (/\b(build|compile|bundle)\b/i.test(input)) {
+    const target = findTarget(project, [...targetNames('build', env), 'build']);
+    if (!target) return none;
+    steps.push(step(target.command));
+    return done('build', `Built${env ? ` for ${env.name}` : ''} with \`${target.command}\` (${target.source})`, 'built');
+  }
+
+  return none;
+}
+
+// ── Pre-flight checks ───────────────────────────────────────────────
+
+/**
+ * Run one pre-flight check. run(command) executes a shell command in the
+ * project and returns the run_command result. Returns { success, check,
+ * label, detail } or { success: false, check, label, error, files? }.
+ */
+function runPreflight({ check, registry }, { root, run }) {
+  const label = PREFLIGHT_LABELS[check] || check;
+  const fail = (error, extra = {}) => ({ success: false, check, label, error, ...extra });
+  const pkg = readJson(join(root, 'package.json'));
+
+  switch (check) {
+    case 'clean_tree': {
+      const status = run('git status --porcelain');
+      if (status.success === false) return fail('not a git repository (or git failed)');
+      const files = status.stdout.split('\n').filter(Boolean).map(l => l.slice(3));
+      if (files.length) return fail(`${files.length} uncommitted change${files.length === 1 ? '' : 's'} — commit or stash first`, { files });
+      return { success: true, check, label, detail: 'no uncommitted changes' };
+    }
+    case 'publishable': {
+      if (!pkg) return fail('no package.json');
+      if (!pkg.name || !pkg.version) return fail('package.json needs a "name" and a "version"');
+      if (pkg.private) return fail('package.json has "private": true, so npm won\'t publish it');
+      return { success: true, check, label, detail: `${pkg.name}@${pkg.version}` };
+    }
+    case 'version_bumped': {
+      if (!pkg?.version) return fail('no version in package.json');
+      if (registry === 'npm') {
+        // The registry is what counts (npm version tags the bump, so a tag
+        // is expected); a 404 for a never-published package exits non-zero
+        const published = run(`npm view ${shellQuote(`${pkg.name}@${pkg.version}`)} version`);
+        if (published.success !== false && published.stdout.trim() === pkg.version) {
+          return fail(`${pkg.name}@${pkg.version} is already on npm — bump the version first`);
+        }
+      } else {
+        const tagged = run(`git tag -l ${shellQuote(`v${pkg.version}`)} ${shellQuote(pkg.version)}`);
+        if (tagged.success !== false && tagged.stdout.trim()) {
+          return fail(`${tagged.stdout.trim().split('\n')[0]} is already tagged — bump the version first`);
+        }
+      }
+      return { success: true, check, label, detail: `${pkg.version} is new` };
+    }
+    default:
+      return fail(`unknown pre-flight check "${check}"`);
+  }
+}
+
+// ── Rendering ───────────────────────────────────────────────────────
+
+const OUTPUT_TAIL_LINES = 15;
+
+function tail(text = '') {
+  return text.trimEnd().split('\n').slice(-OUTPUT_TAIL_LINES).join('\n');
+}
+
+function preflightLine(deployment) {
+  const parts = deployment.preflight.map(label => `${label} ✓`);
+  if (deployment.waived.length) parts.push(...deployment.waived.map(label => `${label} (waived)`));
+  return parts.length ? `Pre-flight: ${parts.join(', ')}` : null;
+}
+
+/**
+ * Response for a finished plan; result is the last step's result
+ */
+function renderDeployment(deployment, result = {}) {
+  const output = tail(result.stdout || '');
+  return [
+    `✓ ${deployment.summary}`,
+    preflightLine(deployment),
+    output && `\n\`\`\`\n${output}\n\`\`\``,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Response for a plan that stopped; failed is the step record
+ * ({ tool, args, result }) that failed
+ */
+function renderDeploymentFailure(deployment, failed) {
+  const result = failed.result || {};
+  const nothing = `Nothing was ${deployment.verb}.`;
+  if (failed.tool === 'preflight') {
+    const files = (result.files || []).slice(0, 10).map(f => `  ${f}`);
+    return [`✗ Pre-flight failed — ${result.label || failed.args?.check}: ${result.error || failed.error || 'unknown error'}`, ...files, nothing].join('\n');
+  }
+  if (failed.tool === 'run_tests') {
+    return `✗ Pre-flight failed — ${PREFLIGHT_LABELS.tests}:\n\n${renderTestResult(result.runner ? result : { error: result.error || failed.error })}\n\n${nothing}`;
+  }
+  const command = failed.args?.command || failed.tool;
+  const output = tail(result.stderr || result.stdout || result.error || failed.error || '');
+  return `✗ \`${command}\` failed${result.exitCode !== undefined ? ` (exit ${result.exitCode})` : ''}:\n\`\`\`\n${output}\n\`\`\``;
+}
+
+export {
+  BUILD_TIMEOUT_MS,
+  discoverProject,
+  makeTargets,
+  planDeployment,
+  runPreflight,
+  renderDeployment,
+  renderDeploymentFailure,
+};
@@ -0,0 +1,369 @@
+/**
+ * Rule Distillation
+ *
+ * Turns model-fallback history into proposed classifier rules — the
+ * research doc's Phase 1/4 loop: find inputs the deterministic engine
+ * couldn't handle, compile the recurring ones into rules.
+ *
+ *   logs/*.jsonl (model_fallback / model_assist_plan events)
+ *     → dedupe + cluster (token overlap, deterministic)
+ *     → ONE model call proposing patterns/keywords/plan templates
+ *     → candidate rule pack + diff against current task types
+ *     → benchmark delta (history coverage, regressions)
+ *
+ * Nothing is activated: the pack is written for review and only takes
+ * effect once someone copies it into a rules/ directory.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync, mkdirSync, writeFileSync } from 'fs';
+import { resolve, join, extname } from 'path';
+import { classify, getTaskTypes } from './classifier.js';
+import { compileTaskType, mergeRulePacks, serializePattern, formatRuleError } from './rules.js';
+import { BENCHMARK_CASES, scoreBenchmark } from './benchmark.js';
+import { TOOL_DEFINITIONS } from './tools.js';
+
+const HISTORY_EVENTS = ['model_fallback', 'model_assist_plan'];
+const CLUSTER_SIMILARITY = 0.34;
+const MAX_CLUSTERS = 20;
+const SAMPLES_PER_CLUSTER = 5;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'what', 'how',
+  'can', 'you', 'please', 'all', 'are', 'was', 'its', 'it\'s', 'about', 'some',
+  'out', 'let', 'me', 'my', 'our', 'your', 'then', 'them', 'there', 'any',
+]);
+
+/**
+ * Read fallback/assist events from a log file or a directory of .jsonl logs.
+ */
+function readFallbackHistory(path) {
+  if (!existsSync(path)) return [];
+  const files = statSync(path).isDirectory()
+    ? readdirSync(path).filter(f => extname(f) === '.jsonl').map(f => join(path, f))
+    : [path];
+
+  const entries = [];
+  for (const file of files) {
+    for (const line of readFileSync(file, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (HISTORY_EVENTS.includes(entry.event) && typeof entry.input === 'string') entries.push(entry);
+      } catch { /* skip partial lines */ }
+    }
+  }
+  return entries;
+}
+
+function tokenize(input) {
+  return new Set(
+    input.toLowerCase()
+      .split(/[^a-z0-9_.-]+/)
+      .filter(t => t.length > 1 && !STOPWORDS.has(t))
+      .map(t => (t.length > 3 && /[^s]s$/.test(t) ? t.slice(0, -1) : t)),
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Greedy single-pass clustering on token overlap. Deterministic for a given
+ * history order; clusters are returned largest first.
+ */
+function clusterInputs(entries, threshold = CLUSTER_SIMILARITY) {
+  const clusters = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    const key = entry.input.trim().toLowerCase();
+    if (seen.has(key)) {
+      clusters.find(c => c.keys.has(key)).count++;
+      continue;
+    }
+    seen.add(key);
+
+    const tokens = tokenize(entry.input);
+    let best = null;
+    let bestScore = 0;
+    for (const cluster of clusters) {
+      const score = jaccard(tokens, cluster.tokens);
+      if (score > bestScore) { best = cluster; bestScore = score; }
+    }
+
+    if (best && bestScore >= threshold) {
+      best.entries.push(entry);
+      best.keys.add(key);
+      best.count++;
+    } else {
+      clusters.push({ tokens, keys: new Set([key]), entries: [entry], count: 1 });
+    }
+  }
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .map((c, i) => {
+      const freq = {};
+      for (const e of c.entries) for (const t of tokenize(e.input)) freq[t] = (freq[t] || 0) + 1;
+      const label = Object.entries(freq).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([t]) => t).join(' ');
+      const intents = [...new Set(c.entries.map(e => e.intent).filter(Boolean))];
+      return { id: i + 1, label, count: c.count, inputs: c.entries.map(e => e.input), intents };
+    });
+}
+
+function buildDistillPrompt(clusters, taskTypes) {
+  const existing = Object.entries(taskTypes)
+    .map(([name, t]) => `- ${name} (${t.id}): keywords ${t.keywords.join(', ')}`)
+    .join('\n');
+  const tools = TOOL_DEFINITIONS.filter(t => !t.name.startsWith('task_')).map(t => t.name).join(', ');
+  const samples = clusters.slice(0, MAX_CLUSTERS).map(c =>
+    `Cluster ${c.id} (${c.count} inputs, classifier guessed: ${c.intents.join('/') || 'unknown'}):\n` +
+    c.inputs.slice(0, SAMPLES_PER_CLUSTER).map(i => `  - ${i}`).join('\n'),
+  ).join('\n\n');
+
+  return `You compile rules for a deterministic regex/keyword intent classifier.
+These user inputs could not be handled without a model. Propose rules so that recurring ones become deterministic.
+
+Existing task types:
+${existing}
+
+Available tools: ${tools}
+
+Rules:
+- Patterns are JavaScript regex sources (case-insensitive), anchored on word boundaries. Keep them specific.
+- For an EXISTING task type, list only the NEW patterns/keywords to add.
+- Only create a new task type if no existing one fits.
+- plan_template is an optional ordered list of tool calls that would fulfil the intent.
+- Skip clusters that genuinely need a model (open questions, creative work).
+
+Respond with ONLY a JSON object:
+{
+  "taskTypes": {
+    "TYPE_NAME": {
+      "id": "type_name",
+      "patterns": ["\\\\bregex\\\\b"],
+      "keywords": ["word"],
+      "tools": ["tool_name"],
+      "confidence_boost": 0.1,
+      "plan_template": [{ "tool": "tool_name", "args": {} }],
+      "clusters": [1]
+    }
+  }
+}
+
+Inputs:
+
+${samples}`;
+}
+
+/**
+ * Extract the proposal JSON from a model response.
+ */
+function parseProposal(text) {
+  const json = String(text || '').match(/\{[\s\S]*\}/)?.[0];
+  if (!json) throw new Error('model response contained no JSON');
+  const proposal = JSON.parse(json);
+  if (!proposal.taskTypes || typeof proposal.taskTypes !== 'object') throw new Error('proposal is missing "taskTypes"');
+  return proposal;
+}
+
+/**
+ * Turn a proposal into a pack that can be dropped into rules/ as-is.
+ * Existing types get the current patterns/keywords plus the additions,
+ * since pack fields replace (not extend) inherited ones.
+ */
+function buildCandidatePack(proposal, taskTypes, packName) {
+  const pack = { name: packName, taskTypes: {} };
+  const changes = [];
+  const errors = [];
+  const knownTools = new Set(TOOL_DEFINITIONS.map(t => t.name));
+
+  for (const [rawName, def] of Object.entries(proposal.taskTypes)) {
+    const typeName = rawName.toUpperCase();
+    const existingName = taskTypes[typeName]
+      ? typeName
+      : Object.keys(taskTypes).find(n => taskTypes[n].id === def?.id);
+    const existing = existingName ? taskTypes[existingName] : null;
+
+    const compiled = compileTaskType(existingName || typeName, def, packName);
+    errors.push(...compiled.errors);
+
+    const planTemplate = Array.isArray(def?.plan_template)
+      ? def.plan_template.filter(step => {
+        const ok = step && knownTools.has(step.tool);
+        if (!ok) errors.push({ pack: packName, type: typeName, field: 'plan_template', message: `unknown tool "${step?.tool}" — step dropped` });
+        return ok;
+      })
+      : [];
+
+    if (existing) {
+      const currentPatterns = existing.patterns.map(serializePattern);
+      const addedPatterns = (compiled.type.patterns || []).map(serializePattern).filter(p => !currentPatterns.includes(p));
+      const currentKeywords = existing.keywords.map(k => k.toLowerCase());
+      const addedKeywords = (compiled.type.keywords || []).filter(k => !currentKeywords.includes(k.toLowerCase()));
+      if (!addedPatterns.length && !addedKeywords.length && !planTemplate.length) continue;
+
+      const entry = {};
+      // Re-listing the current rules replaces them, so keep any ids they carry
+      const withId = (value, id, field) => (id ? { id, [field]: value } : value);
+      if (addedPatterns.length) {
+        entry.patterns = [...currentPatterns.map((p, i) => withId(p, existing.pattern_ids?.[i], 'pattern')), ...addedPatterns];
+      }
+      if (addedKeywords.length) {
+        entry.keywords = [...existing.keywords.map((k, i) => withId(k, existing.keyword_ids?.[i], 'keyword')), ...addedKeywords];
+      }
+      if (planTemplate.length) entry.plan_template = planTemplate;
+      pack.taskTypes[existingName] = entry;
+      changes.push({ type: existingName, id: existing.id, isNew: false, addedPatterns, addedKeywords, planTemplate, clusters: def.clusters || [] });
+    } else {
+      const entry = {
+        id: compiled.type.id || typeName.toLowerCase(),
+        patterns: (compiled.type.patterns || []).map(serializePattern),
+        keywords: compiled.type.keywords || [],
+        tools: compiled.type.tools || [],
+        confidence_boost: compiled.type.confidence_boost ?? 0.1,
+        boost_entities: compiled.type.boost_entities || [],
+      };
+      if (planTemplate.length) entry.plan_template = planTemplate;
+      pack.taskTypes[typeName] = entry;
+      changes.push({ type: typeName, id: entry.id, isNew: true, addedPatterns: entry.patterns, addedKeywords: entry.keywords, tools: entry.tools, planTemplate, clusters: def.clusters || [] });
+    }
+  }
+
+  return { pack, changes, errors };
+}
+
+/**
+ * Compare classifier behaviour with and without the candidate pack.
+ */
+function benchmarkDelta(history, currentTypes, candidateTypes, threshold = 0.4) {
+  const inputs = [...new Set(history.map(e => e.input))];
+  const newlyDeterministic = [];
+  const lostDeterministic = [];
+  let before = 0;
+  let after = 0;
+
+  for (const input of inputs) {
+    const b = classify(input, threshold, currentTypes);
+    const a = classify(input, threshold, candidateTypes);
+    if (!b.needsModel) before++;
+    if (!a.needsModel) after++;
+    if (b.needsModel && !a.needsModel) newlyDeterministic.push({ input, intent: a.intent, confidence: a.confidence });
+    if (!b.needsModel && a.needsModel) lostDeterministic.push({ input, intent: b.intent });
+  }
+
+  const benchBefore = scoreBenchmark(BENCHMARK_CASES, { threshold, taskTypes: currentTypes });
+  const benchAfter = scoreBenchmark(BENCHMARK_CASES, { threshold, taskTypes: candidateTypes });
+  const regressions = benchAfter.results
+    .filter((r, i) => benchBefore.results[i].passed && !r.passed)
+    .map(r => ({ input: r.case.input, expected: r.case.expect, got: { intent: r.result.intent, det: r.isDet } }));
+
+  return {
+    history: { total: inputs.length, deterministicBefore: before, deterministicAfter: after, newlyDeterministic, lostDeterministic },
+    benchmark: { before: benchBefore.pass, after: benchAfter.pass, total: benchAfter.total, regressions },
+  };
+}
+
+/**
+ * Render the reviewable report: diff against current task types,
+ * benchmark delta, validation errors and source clusters.
+ */
+function renderReport({ packName, source, history, clusters, changes, delta, errors }) {
+  const lines = [
+    `# Distilled rule candidate: ${packName}`,
+    '',
+    `Source: ${history.length} fallback event(s) in ${clusters.length} cluster(s) from \`${source}\`.`,
+    `Not active — review, then copy \`${packName}.json\` into \`rules/\` to enable.`,
+    '',
+    '## Proposed changes vs current task types',
+    '',
+    '```diff',
+  ];
+
+  if (changes.length === 0) lines.push('  (no changes proposed)');
+  for (const c of changes) {
+    lines.push(c.isNew ? `+ ${c.type} (${c.id}) — new task type` : `  ${c.type} (${c.id})`);
+    for (const p of c.addedPatterns) lines.push(`+   pattern  ${p}`);
+    for (const k of c.addedKeywords) lines.push(`+   keyword  ${JSON.stringify(k)}`);
+    if (c.isNew) lines.push(`+   tools    ${c.tools.join(', ')}`);
+    for (const step of c.planTemplate) lines.push(`+   plan     ${step.tool} ${JSON.stringify(step.args || {})}`);
+  }
+  lines.push('```', '');
+
+  const h = delta.history;
+  const b = delta.benchmark;
+  lines.push(
+    '## Benchmark delta',
+    '',
+    '| Measure | Before | After |',
+    '|---|---|---|',
+    `| Fallback history handled deterministically | ${h.deterministicBefore}/${h.total} | ${h.deterministicAfter}/${h.total} |`,
+    `| Built-in benchmark passing | ${b.before}/${b.total} | ${b.after}/${b.total} |`,
+    '',
+  );
+  if (h.newlyDeterministic.length) {
+    lines.push('Newly deterministic:', ...h.newlyDeterministic.map(n => `- \`${n.input}\` → ${n.intent} (${(n.confidence * 100).toFixed(0)}%)`), '');
+  }
+  if (b.regressions.length) {
+    lines.push('**Benchmark regressions:**', ...b.regressions.map(r =>
+      `- \`${r.input}\` expected ${r.expected.intent || 'any'} det=${r.expected.det}, got ${r.got.intent} det=${r.got.det}`), '');
+  }
+
+  if (errors.length) {
+    lines.push('## Validation errors', '', ...errors.map(e => `- ${formatRuleError(e)}`), '');
+  }
+
+  lines.push('## Clusters', '');
+  for (const c of clusters) {
+    lines.push(`### ${c.id}. ${c.label || '(no label)'} — ${c.count} input(s)`, ...c.inputs.slice(0, SAMPLES_PER_CLUSTER).map(i => `- ${i}`), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Run the full distillation. Requires a model provider (one complete() call).
+ *
+ * Returns { history, clusters, pack, changes, delta, errors, files }.
+ */
+async function distillRules({ model, historyPath, outDir, threshold = 0.4 }) {
+  if (!model) throw new Error('Distillation needs a model provider (--provider ollama|claude)');
+
+  const history = readFallbackHistory(historyPath);
+  if (history.length === 0) throw new Error(`No model_fallback/model_assist_plan events found in ${historyPath}`);
+
+  const clusters = clusterInputs(history);
+  const currentTypes = getTaskTypes();
+
+  const response = await model.complete(buildDistillPrompt(clusters, currentTypes), 'Propose the rules now.');
+  const proposal = parseProposal(response);
+
+  const packName = `distilled-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}`;
+  const { pack, changes, errors } = buildCandidatePack(proposal, currentTypes, packName);
+  const merged = mergeRulePacks([pack], currentTypes);
+  const delta = benchmarkDelta(history, currentTypes, merged.taskTypes, threshold);
+  const allErrors = [...errors, ...merged.errors];
+
+  mkdirSync(resolve(outDir), { recursive: true });
+  const packFile = resolve(outDir, `${packName}.json`);
+  const reportFile = resolve(outDir, `${packName}.md`);
+  writeFileSync(packFile, JSON.stringify(pack, null, 2) + '\n');
+  writeFileSync(reportFile, renderReport({ packName, source: historyPath, history, clusters, changes, delta, errors: allErrors }));
+
+  return { history, clusters, pack, changes, delta, errors: allErrors, files: { pack: packFile, report: reportFile } };
+}
+
+export {
+  distillRules,
+  readFallbackHistory,
+  clusterInputs,
+  buildDistillPrompt,
+  parseProposal,
+  buildCandidatePack,
+  benchmarkDelta,
+  renderReport,
+};
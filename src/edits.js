@@ -0,0 +1,454 @@
+/**
+ * Structured Edits
+ *
+ * Mechanical edit requests planned as exact edits, no model:
+ *
+ *   "replace foo with bar in src/x.js"      → edit_file (must be unique)
+ *   "replace all foo with bar in src/x.js"  → edit_file, every occurrence
+ *   "rename getUser to fetchUser in x.js"   → edit_file, whole words, all
+ *   "set version to 2.0.0 in package.json"  → edit_json set ["version"]
+ *   "change port to 8080 in config.json"    → edit_json set (finds server.port)
+ *   "add a lint script that runs eslint"    → edit_json set ["scripts", "lint"]
+ *   "add script lint to package.json"       → the same when the command can be
+ *                                             inferred from the project's
+ *                                             dependencies (eslint, biome, ...);
+ *                                             otherwise the model plans it
+ *   "remove the lint script"                → edit_json delete ["scripts", "lint"]
+ *
+ * JSON edits touch only the text of the value they change, so indentation,
+ * key order and everything else in the file stay as they were. Both tools
+ * re-read the file after writing and put the original back if it doesn't
+ * hold the edit.
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+// ── Text replacement ────────────────────────────────────────────────
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Replace oldStr with newStr. Without all, oldStr must occur exactly once;
+ * wholeWord skips matches inside longer identifiers.
+ * Returns { content, count } or { error }.
+ */
+function replaceText(content, oldStr, newStr, { all = false, wholeWord = false } = {}) {
+  if (!oldStr) return { error: 'Search string is empty' };
+  const pattern = new RegExp(
+    `${wholeWord && /^\w/.test(oldStr) ? '\\b' : ''}${escapeRegExp(oldStr)}${wholeWord && /\w$/.test(oldStr) ? '\\b' : ''}`,
+    'g',
+  );
+  const count = (content.match(pattern) || []).length;
+  if (count === 0) return { error: 'Search string not found in file' };
+  if (count > 1 && !all) return { error: `Search string found ${count} times — must be unique` };
+  // A function replacement, so "$&" and friends in newStr stay literal
+  return { content: content.replace(pattern, () => newStr), count };
+}
+
+// ── JSON with positions ─────────────────────────────────────────────
+
+const LITERAL = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+/**
+ * Parse JSON keeping the source span of every value: objects carry
+ * members [{ key, start, end, value }], arrays items [{ start, end, value }]
+ * (a member spans from its key to the end of its value)
+ */
+function scanJson(text) {
+  JSON.parse(text); // exact syntax errors; the scanner below trusts the structure
+  let i = 0;
+  const ws = () => { while (/\s/.test(text[i] || '')) i++; };
+
+  function string() {
+    const start = i++;
+    while (text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    i++;
+    return { start, end: i };
+  }
+
+  function value() {
+    ws();
+    const start = i;
+    if (text[i] === '{' || text[i] === '[') {
+      const object = text[i++] === '{';
+      const entries = [];
+      ws();
+      while (text[i] !== (object ? '}' : ']')) {
+        ws();
+        let key;
+        let entryStart = i;
+        if (object) {
+          const k = string();
+          key = JSON.parse(text.slice(k.start, k.end));
+          entryStart = k.start;
+          ws();
+          i++; // ':'
+        }
+        const v = value();
+        entries.push(object ? { key, start: entryStart, end: v.end, value: v } : { start: v.start, end: v.end, value: v });
+        ws();
+        if (text[i] === ',') i++;
+      }
+      i++;
+      return object ? { type: 'object', start, end: i, members: entries } : { type: 'array', start, end: i, items: entries };
+    }
+    if (text[i] === '"') return { type: 'string', ...string() };
+    LITERAL.lastIndex = i;
+    i += LITERAL.exec(text)[0].length;
+    return { type: 'literal', start, end: i };
+  }
+
+  return value();
+}
+
+/**
+ * Walk segments from node. Keys containing dots ("files.exclude") are
+ * matched whole before being split. Returns { container, entry, key }
+ * when found, { container, key, rest } when the path stops at an object
+ * that lacks the rest, or { blocked } at a non-container.
+ */
+function locate(node, segments) {
+  let container = null;
+  let entry = null;
+  const key = [];
+  for (let i = 0; i < segments.length;) {
+    if (node.type === 'object') {
+      let used = 0;
+      let found = null;
+      for (let n = segments.length - i; n >= 1 && !found; n--) {
+        found = node.members.find(m => m.key === segments.slice(i, i + n).join('.'));
+        used = n;
+      }
+      if (!found) return { container: node, key, rest: segments.slice(i) };
+      key.push(segments.slice(i, i + used).join('.'));
+      i += used;
+      container = node;
+      entry = found;
+    } else if (node.type === 'array' && /^\d+$/.test(segments[i]) && Number(segments[i]) < node.items.length) {
+      key.push(segments[i]);
+      container = node;
+      entry = node.items[Number(segments[i++])];
+    } else {
+      return { blocked: node, key };
+    }
+    node = entry.value;
+  }
+  return { container, entry, key };
+}
+
+const hasObjects = (v) => !!v && typeof v === 'object' && (!Array.isArray(v) || v.some(hasObjects));
+
+/**
+ * One-line JSON with the spacing people type: ["a", "b"], { "k": 1 }
+ */
+function inline(v) {
+  if (Array.isArray(v)) return `[${v.map(inline).join(', ')}]`;
+  if (v && typeof v === 'object') {
+    const members = Object.entries(v).map(([k, x]) => `${JSON.stringify(k)}: ${inline(x)}`);
+    return members.length ? `{ ${members.join(', ')} }` : '{}';
+  }
+  return JSON.stringify(v);
+}
+
+const lineIndent = (text, pos) => text.slice(text.lastIndexOf('\n', pos - 1) + 1, pos).match(/^[ \t]*/)[0];
+
+/**
+ * Text for a user-typed value: the existing value's type wins ("8080" stays
+ * a string where the file had one), otherwise numbers, booleans and null
+ * are literals and anything else is a string
+ */
+function coerceValue(raw, previous) {
+  if (typeof raw !== 'string') return raw;
+  if (typeof previous === 'string') return raw;
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(raw)) return Number(raw);
+  if (/^(true|false|null)$/.test(raw)) return JSON.parse(raw);
+  if (/^[[{]/.test(raw)) {
+    try {
+      return JSON.parse(raw);
+    } catch { /* plain string */ }
+  }
+  return raw;
+}
+
+/**
+ * Set or delete key (a segment list) in JSON text, changing only the text
+ * of that value. Returns { content, key, value, previous } or { error }.
+ */
+function applyJsonEdit(text, { key, value, delete: remove = false, coerce = false }) {
+  let root;
+  try {
+    root = scanJson(text);
+  } catch (err) {
+    return { error: `Not valid JSON: ${err.message}` };
+  }
+  const segments = Array.isArray(key) ? key.map(String) : String(key).split('.');
+  const label = segments.join('.');
+  const found = locate(root, segments);
+  if (found.blocked) return { error: `\`${found.key.join('.') || '(root)'}\` is not an object, can't reach \`${label}\`` };
+
+  const unit = text.match(/\n([ \t]+)\S/)?.[1] || '  ';
+  const serialize = (v, indent, multiline) =>
+    (multiline ? JSON.stringify(v, null, unit).replace(/\n/g, `\n${indent}`) : inline(v));
+  const splice = (start, end, insert) => text.slice(0, start) + insert + text.slice(end);
+
+  if (found.entry) {
+    const { container, entry } = found;
+    const previous = JSON.parse(text.slice(entry.value.start, entry.value.end));
+    if (remove) {
+      const list = container.members || container.items;
+      const index = list.indexOf(entry);
+      const content = list.length === 1 ? splice(container.start + 1, container.end - 1, '')
+        : index > 0 ? splice(list[index - 1].end, entry.end, '')
+          : splice(entry.start, list[1].start, '');
+      return { content, key: found.key, previous };
+    }
+    const next = coerce ? coerceValue(value, previous) : value;
+    // Values keep their layout: one line stays one line
+    const multiline = text.slice(entry.value.start, entry.value.end).includes('\n');
+    return { content: splice(entry.value.start, entry.value.end, serialize(next, lineIndent(text, entry.start), multiline)), key: found.key, value: next, previous };
+  }
+
+  if (remove) return { error: `No \`${label}\` in the file` };
+
+  // New member — missing intermediate objects are created with it
+  const { container, rest } = found;
+  const next = coerce ? coerceValue(value) : value;
+  const nested = rest.slice(1).reduceRight((inner, k) => ({ [k]: inner }), next);
+  const name = JSON.stringify(rest[0]);
+  const last = container.members[container.members.length - 1];
+  let content;
+  if (!last) {
+    const outer = lineIndent(text, container.start);
+    const inner = outer + unit;
+    content = splice(container.start, container.end, `{\n${inner}${name}: ${serialize(nested, inner, hasObjects(nested))}\n${outer}}`);
+  } else if (text.slice(container.start, container.end).includes('\n')) {
+    const indent = lineIndent(text, container.members[0].start);
+    content = splice(last.end, last.end, `,\n${indent}${name}: ${serialize(nested, indent, hasObjects(nested))}`);
+  } else {
+    content = splice(last.end, last.end, `, ${name}: ${serialize(nested, '', false)}`);
+  }
+  return { content, key: [...found.key, ...rest], value: next };
+}
+
+/**
+ * Re-read check: the file still parses and holds the edit
+ * (null when it does, otherwise the problem)
+ */
+function verifyJsonEdit(text, edit) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return `file no longer parses (${err.message})`;
+  }
+  const actual = edit.key.reduce((node, k) => (node && typeof node === 'object' ? node[k] : undefined), data);
+  if (!('value' in edit)) return actual === undefined ? null : `\`${edit.key.join('.')}\` is still there`;
+  return JSON.stringify(actual) === JSON.stringify(edit.value) ? null : `\`${edit.key.join('.')}\` doesn't hold the new value`;
+}
+
+// ── Planning ────────────────────────────────────────────────────────
+
+// A quoted string or a single word
+const TERM = String.raw`("[^"]*"|'[^']*'|\x60[^\x60]*\x60|\S+)`;
+const PATH = String.raw`(\S+\.\w+|[\w.-]*(?:Dockerfile|Makefile))`;
+
+const unquote = (s) => (s && /^(["'`]).*\1$/s.test(s) ? s.slice(1, -1) : s);
+
+const REPLACE = new RegExp(
+  String.raw`^(?:in\s+${PATH},?\s+)?(replace|change|rename)\s+(?:(all|every)\s+(?:(?:occurrences?|instances?|uses?)\s+of\s+)?)?${TERM}\s+(?:with|to|into)\s+${TERM}` +
+  String.raw`(?:\s+(everywhere|globally|throughout))?(?:\s+(?:in|inside|within|throughout)\s+(?:the\s+file\s+)?${PATH})?(?:\s+(everywhere|globally))?$`,
+  'i',
+);
+const SET_KEY = new RegExp(
+  String.raw`^(set|change|update|bump)\s+(.+?)\s+(?:(?:in|of)\s+${PATH}\s+)?to\s+${TERM}(?:\s+in\s+${PATH})?$`,
+  'i',
+);
+const ADD_KEY = new RegExp(
+  String.raw`^add\s+(?:an?\s+|the\s+)?(?:key|field|property|setting|entry)\s+(\S+)\s+(?:with\s+(?:the\s+)?value|=|as|set\s+to)\s+${TERM}\s+(?:to|in)\s+${PATH}$`,
+  'i',
+);
+const ADD_SCRIPT = new RegExp(
+  String.raw`^(?:add|create)\s+(?:an?\s+|the\s+)?(?:npm\s+script\s+|script\s+)?("[^"]+"|[\w:.-]+)(?:\s+(?:npm\s+)?script)?` +
+  String.raw`(?:\s+(?:that\s+runs|which\s+runs|to\s+run|running|as|=|:|with(?:\s+the)?(?:\s+command)?)\s+(.+?))?(?:\s+(?:to|in)\s+(?:the\s+)?${PATH})?$`,
+  'i',
+);
+const REMOVE_SCRIPT = new RegExp(
+  String.raw`^(?:remove|delete|drop)\s+(?:the\s+)?(?:(?:npm\s+)?script\s+("[^"]+"|[\w:.-]+)|("[^"]+"|[\w:.-]+)\s+script)(?:\s+from\s+(?:the\s+)?${PATH})?$`,
+  'i',
+);
+const REMOVE_KEY = new RegExp(
+  String.raw`^(?:remove|delete|drop|unset)\s+(?:the\s+)?(?:key\s+|field\s+|property\s+|setting\s+)?(\S+?)(?:\s+(?:key|field|property|setting))?\s+from\s+(?:the\s+)?${PATH}$`,
+  'i',
+);
+const SCRIPT_WORD = /\bscripts?\b/i;
+
+/**
+ * "the test script" / "script test" → ["scripts", "test"]; "the port",
+ * "server.port" → dotted segments; null for anything that isn't a key
+ */
+function keySegments(phrase) {
+  const p = phrase.trim().replace(/^(the|a|an)\s+/i, '');
+  const script = p.match(/^(?:npm\s+)?script\s+(\S+)$/i) || p.match(/^(\S+)\s+script$/i);
+  if (script) return ['scripts', unquote(script[1])];
+  const key = unquote(p.replace(/^(?:key|field|property|setting)\s+/i, '').replace(/\s+(?:key|field|property|setting)$/i, ''));
+  return key && !/\s/.test(key) ? key.split('.') : null;
+}
+
+function readJson(root, path) {
+  try {
+    return JSON.parse(readFileSync(join(root, path), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Where key lives in data: as given when its first segment is at the top
+ * level, else the only nested path ending in that name ("port" →
+ * server.port). null when it isn't there (or is ambiguous).
+ */
+function findKey(data, segments) {
+  if (!data || typeof data !== 'object') return null;
+  if (segments.join('.') in data || segments[0] in data) return segments;
+  if (segments.length > 1) return null;
+  const hits = [];
+  (function walk(node, path) {
+    for (const [k, v] of Object.entries(node)) {
+      if (k === segments[0]) hits.push([...path, k]);
+      if (v && typeof v === 'object' && !Array.isArray(v) && path.length < 4) walk(v, [...path, k]);
+    }
+  })(data, []);
+  return hits.length === 1 ? hits[0] : null;
+}
+
+// Commands for well-known script names, by the tool the project depends on
+const SCRIPT_COMMANDS = {
+  lint: [['eslint', 'eslint .'], ['@biomejs/biome', 'biome lint .']],
+  format: [['prettier', 'prettier --write .'], ['@biomejs/biome', 'biome format --write .']],
+  typecheck: [['typescript', 'tsc --noEmit']],
+  build: [['typescript', 'tsc'], ['vite', 'vite build']],
+  test: [['vitest', 'vitest run'], ['jest', 'jest'], ['mocha', 'mocha']],
+  dev: [['vite', 'vite']],
+};
+
+/**
+ * The command a well-known script name runs, from the tools the project
+ * depends on (node --test for a test script); null when nothing says
+ */
+function inferScriptCommand(pkg, name) {
+  const deps = { ...pkg?.dependencies, ...pkg?.devDependencies };
+  const hit = (SCRIPT_COMMANDS[name] || []).find(([dep]) => deps[dep]);
+  if (hit) return hit[1];
+  return pkg && name === 'test' ? 'node --test' : null;
+}
+
+const jsonTarget = (path) => !!path && /\.json$/i.test(path);
+
+/**
+ * Plan an exact edit. path is the target the classifier resolved (used when
+ * the phrasing names none); exists checks paths against the workspace.
+ * Returns { steps, requiresModelForPlanning, edit } or null when the edit
+ * needs the model.
+ */
+function planEdit(input, entities, { path = null, root = null, exists = null } = {}) {
+  const text = input.trim().replace(/[.!?]+$/, '');
+  const usable = (p) => !!p && (!exists || exists(p));
+  const plan = (tool, args, edit) => ({ steps: [{ tool, args }], requiresModelForPlanning: false, edit: { ...edit, path: args.path } });
+
+  // package.json scripts
+  const removeScript = text.match(REMOVE_SCRIPT);
+  if (removeScript && (!removeScript[3] || /package\.json$/i.test(removeScript[3]))) {
+    const target = removeScript[3] || 'package.json';
+    if (!usable(target)) return null;
+    return plan('edit_json', { path: target, key: ['scripts', unquote(removeScript[1] || removeScript[2])], delete: true }, { action: 'delete' });
+  }
+  const addScript = SCRIPT_WORD.test(text) && text.match(ADD_SCRIPT);
+  if (addScript && (!addScript[3] || /package\.json$/i.test(addScript[3]))) {
+    const target = addScript[3] || 'package.json';
+    if (!usable(target)) return null;
+    const name = unquote(addScript[1]);
+    if (/^(script|new|an?|the)$/i.test(name)) return null;
+    const command = addScript[2] ? unquote(addScript[2].trim()) : inferScriptCommand(root && readJson(root, target), name);
+    if (!command) return null; // nothing says what it should run
+    return plan('edit_json', { path: target, key: ['scripts', name], value: command }, { action: 'set' });
+  }
+
+  // JSON keys
+  const removeKey = text.match(REMOVE_KEY);
+  if (removeKey && jsonTarget(removeKey[2]) && usable(removeKey[2])) {
+    const segments = keySegments(removeKey[1]);
+    const data = root && readJson(root, removeKey[2]);
+    // A key that isn't there is still planned — the edit reports it missing
+    const key = segments && ((data && findKey(data, segments)) || segments);
+    if (key) return plan('edit_json', { path: removeKey[2], key, delete: true }, { action: 'delete' });
+  }
+  const addKey = text.match(ADD_KEY);
+  if (addKey && jsonTarget(addKey[3]) && usable(addKey[3])) {
+    return plan('edit_json', { path: addKey[3], key: addKey[1].split('.'), value: unquote(addKey[2]), coerce: !/^["'`]/.test(addKey[2]) }, { action: 'set' });
+  }
+  const setKey = text.match(SET_KEY);
+  const setTarget = setKey && (setKey[3] || setKey[5] || (SCRIPT_WORD.test(setKey[2]) ? 'package.json' : path));
+  if (setKey && jsonTarget(setTarget) && usable(setTarget)) {
+    const segments = keySegments(setKey[2]);
+    const data = root && readJson(root, setTarget);
+    // A missing key is added — unless it's "change x to y" and x is text in the file
+    const replacing = !/^set$/i.test(setKey[1]) && data && JSON.stringify(data).includes(unquote(setKey[2].trim()));
+    const key = segments && (data ? findKey(data, segments) || (replacing ? null : segments) : segments);
+    if (key) {
+      return plan('edit_json', { path: setTarget, key, value: unquote(setKey[4]), coerce: !/^["'`]/.test(setKey[4]) }, { action: 'set' });
+    }
+  }
+
+  // Text replacement
+  const replace = text.match(REPLACE);
+  if (replace) {
+    // The file must be named — "rename a.js to b.js" is a move, not an edit
+    const target = replace[1] || replace[7];
+    if (!usable(target)) return null;
+    const rename = /^rename$/i.test(replace[2]);
+    const all = rename || !!(replace[3] || replace[6] || replace[8]);
+    const [from, to] = [unquote(replace[4]), unquote(replace[5])];
+    if (from === to) return null;
+    return plan('edit_file', { path: target, old_str: from, new_str: to, ...(all && { replace_all: true }), ...(rename && { whole_word: true }) },
+      { action: rename ? 'rename' : 'replace', from, to });
+  }
+  return null;
+}
+
+// ── Rendering ───────────────────────────────────────────────────────
+
+const shown = (value) => `\`${JSON.stringify(value)}\``;
+
+function renderEdit(edit, result = {}) {
+  const key = (result.key || []).join('.');
+  switch (edit.action) {
+    case 'set':
+      return `✓ Set \`${key}\` to ${shown(result.value)} in \`${edit.path}\`` +
+        (result.previous === undefined ? ' (new key)' : ` (was ${shown(result.previous)})`);
+    case 'delete':
+      return `✓ Removed \`${key}\` from \`${edit.path}\` (was ${shown(result.previous)})`;
+    default: {
+      const count = result.replacements || 1;
+      const verb = edit.action === 'rename' ? 'Renamed `%s` to' : 'Replaced `%s` with';
+      return `✓ ${verb.replace('%s', edit.from)} \`${edit.to}\` in \`${edit.path}\`` +
+        (count > 1 ? ` (${count} occurrences)` : '');
+    }
+  }
+}
+
+function renderEditFailure(edit, error = 'unknown error') {
+  const hint = /found \d+ times/.test(error) ? '. Say "replace all" to change every one, or quote more of the text' : '';
+  return `✗ Failed to edit \`${edit.path}\`: ${error}${hint}`;
+}
+
+export {
+  replaceText,
+  scanJson,
+  coerceValue,
+  applyJsonEdit,
+  verifyJsonEdit,
+  planEdit,
+  renderEdit,
+  renderEditFailure,
+};
@@ -0,0 +1,386 @@
+/**
+ * Git Intent
+ *
+ * Maps natural phrasings to safe git command sequences, and parses the
+ * machine-readable output of those commands into summaries:
+ *
+ *   "what changed since yesterday"          → log --since=yesterday (with numstat)
+ *   "create a branch called x"              → switch -c x
+ *   "undo my last commit but keep changes"  → reset --soft HEAD~1
+ *   "who changed line 40 of foo.js"         → blame --line-porcelain -L 40,40 -- foo.js
+ *
+ * "Safe" means history and work are never destroyed by a phrasing: undo is
+ * a soft reset, pull is fast-forward only, branches are deleted with -d.
+ * An explicit `git ...` command runs as typed (bare status/log/diff/blame
+ * get their parseable form) — by git itself, never through a shell, so
+ * `git status && rm -rf x` is refused rather than run.
+ */
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { spawnSync } from 'child_process';
+
+// Field/record separators for log output — never appear in commit metadata
+const FIELD = '%x1f';
+const RECORD = '%x1e';
+const LOG_FORMAT = `--pretty=format:${RECORD}%h${FIELD}%an${FIELD}%ad${FIELD}%s --date=short`;
+
+const DEFAULT_LOG_COUNT = 10;
+const BRANCH_NAME = /^(?!-)[\w./-]+$/;
+
+/**
+ * Quote a value for a shell command line (git args are split the same way)
+ */
+function shellQuote(value) {
+  return /^[\w./@:=+-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// Unquoted, these would make a shell run something besides git
+const SHELL_OPERATOR = /[;&|$`<>]/;
+
+/**
+ * Split git arguments into argv the way a shell would — single and double
+ * quotes, backslash escapes — without running one. Throws on an unquoted
+ * shell operator, expansion inside double quotes or an unterminated quote.
+ */
+function splitArgs(args) {
+  const argv = [];
+  let word = null; // null between words, so '' still counts as an argument
+  let quote = null;
+  for (let i = 0; i < args.length; i++) {
+    const ch = args[i];
+    if (quote === "'") {
+      if (ch === "'") quote = null;
+      else word += ch;
+    } else if (quote === '"') {
+      if (ch === '"') quote = null;
+      else if (ch === '\\' && /["\\$`]/.test(args[i + 1] || '')) word += args[++i];
+      else if (ch === '$' || ch === '`') throw new Error(`Shell expansion (${ch}) isn't allowed in git arguments`);
+      else word += ch;
+    } else if (/\s/.test(ch)) {
+      if (word !== null) argv.push(word);
+      word = null;
+    } else {
+      word ??= '';
+      if (ch === "'" || ch === '"') quote = ch;
+      else if (ch === '\\' && i + 1 < args.length) word += args[++i];
+      else if (SHELL_OPERATOR.test(ch)) throw new Error(`Shell operators (${ch}) aren't allowed in git arguments — run the other command separately`);
+      else word += ch;
+    }
+  }
+  if (quote) throw new Error('Unterminated quote in git arguments');
+  if (word !== null) argv.push(word);
+  return argv;
+}
+
+/**
+ * "yesterday", "last week", "3 days ago", "2024-05-01" → a --since value
+ */
+function parseSince(input) {
+  const m = input.match(/\b(?:since|in the (?:last|past))\s+(.+?)(?=\s+(?:in|on|for|to)\s|[?.!]?\s*$)/i);
+  if (!m) return /\btoday\b/i.test(input) ? 'midnight' : null;
+  const when = m[1].trim().toLowerCase();
+  if (when === 'yesterday' || when === 'today') return when === 'today' ? 'midnight' : 'yesterday';
+  const last = when.match(/^(?:last|the last|a|one)\s+(hour|day|week|month|year)$/);
+  if (last) return `1 ${last[1]} ago`;
+  const count = when.match(/^(\d+)\s+(hours?|days?|weeks?|months?|years?)(?:\s+ago)?$/);
+  if (count) return `${count[1]} ${count[2]} ago`;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(when)) return when;
+  return null;
+}
+
+/**
+ * Whether an argument names a revision rather than a path: revision syntax
+ * (HEAD~1, main^, a..b), or — when no such file exists in root — a name
+ * `git rev-parse --verify` resolves to a commit
+ */
+function isRevision(arg, root) {
+  if (/[~^]|\w\.\.\.?|\.\.\.?\w/.test(arg)) return true;
+  const cwd = root || process.cwd();
+  if (existsSync(resolve(cwd, arg))) return false;
+  const verify = spawnSync('git', ['rev-parse', '--verify', '--quiet', `${arg}^{commit}`], { cwd, stdio: 'pipe', timeout: 5000 });
+  return verify.status === 0;
+}
+
+/**
+ * `git status` / `git log [rev] [path]` / `git diff [rev] [path]` /
+ * `git blame [rev] <path>` typed without options → the parseable
+ * equivalent; null for anything else. Revisions stay before the `--`,
+ * only paths go after it. root is the repository the command runs in.
+ */
+function structuredForm(args, { root } = {}) {
+  const [sub, ...rest] = args.split(/\s+/);
+  if (rest.some(a => a.startsWith('-') && a !== '--')) return null;
+  if (sub === 'status') return rest.length ? null : 'status --porcelain=v1 -b';
+  if (!['log', 'diff', 'blame'].includes(sub)) return null;
+
+  const dashes = rest.indexOf('--');
+  const before = dashes === -1 ? rest : rest.slice(0, dashes);
+  const revisions = before.filter(a => isRevision(a, root));
+  const paths = [...before.filter(a => !revisions.includes(a)), ...(dashes === -1 ? [] : rest.slice(dashes + 1))];
+  const revArgs = revisions.length ? ` ${revisions.join(' ')}` : '';
+  const pathArgs = paths.length ? ` -- ${paths.join(' ')}` : '';
+  if (sub === 'log') return `log -n ${DEFAULT_LOG_COUNT} --numstat ${LOG_FORMAT}${revArgs}${pathArgs}`;
+  if (sub === 'diff') return `diff --numstat -p${revArgs}${pathArgs}`;
+  if (paths.length === 1 && revisions.length <= 1) return `blame --line-porcelain${revArgs}${pathArgs}`;
+  return null;
+}
+
+/**
+ * Plan a git request. Returns { steps, requiresModelForPlanning }.
+ * Steps use the `git` tool ({ args }); unrecognised phrasings need the model.
+ * root (the repository) tells revisions from paths in explicit commands.
+ */
+function planGit(input, entities, { root } = {}) {
+  const steps = [];
+  const git = (args) => steps.push({ tool: 'git', args: { args } });
+  const path = entities.filePaths[0] || null;
+  const branch = entities.branches[0] || null;
+  const message = entities.quoted[0] || null;
+
+  // Explicit command — run as typed, except that the bare read-only
+  // commands get the machine-readable form so they can be summarised
+  const explicit = input.match(/\bgit\s+(.+)$/i);
+  if (explicit && entities.gitOps.length > 0) {
+    git(structuredForm(explicit[1].trim(), { root }) || explicit[1].trim());
+    return { steps, requiresModelForPlanning: false };
+  }
+
+  const since = parseSince(input);
+  const count = input.match(/\b(?:last|latest|recent)\s+(\d+)\s+commits?\b/i)?.[1];
+
+  if (/\bwho\s+(?:changed|wrote|touched|modified|last (?:edited|changed))\b|\bblame\b/i.test(input) && path) {
+    const range = entities.lineRanges[0];
+    git(`blame --line-porcelain${range ? ` -L ${range.start},${range.end}` : ''} -- ${shellQuote(path)}`);
+  } else if (/\b(?:undo|uncommit)\b.*\b(?:last|previous)\s+commit\b/i.test(input)) {
+    // Always soft — the commit's changes stay staged
+    git('reset --soft HEAD~1');
+  } else if (/\brevert\b.*\b(?:last|previous)\s+commit\b/i.test(input)) {
+    git('revert --no-edit HEAD');
+  } else if (/\bamend\b/i.test(input)) {
+    git(message ? `commit --amend -m ${shellQuote(message)}` : 'commit --amend --no-edit');
+  } else if (/\b(?:create|make|start|new)\b.*\bbranch\b/i.test(input) && branch && BRANCH_NAME.test(branch)) {
+    git(`switch -c ${branch}`);
+  } else if (/\b(?:delete|remove)\b.*\bbranch\b/i.test(input) && branch && BRANCH_NAME.test(branch)) {
+    git(`branch -d ${branch}`);
+  } else if (/\b(?:switch|checkout|check out|change)\b.*\bbranch\b|\bswitch to\b/i.test(input) && branch && BRANCH_NAME.test(branch)) {
+    git(`switch ${branch}`);
+  } else if (/\b(?:what|which)\s+branch\b|\bcurrent branch\b/i.test(input)) {
+    git('branch --show-current');
+  } else if (/\b(?:list|show|all)\b.*\bbranches\b|\bbranches\b/i.test(input)) {
+    git('branch --list -vv');
+  } else if (/\btag\b/i.test(input) && entities.tags[0] && BRANCH_NAME.test(entities.tags[0])) {
+    git(message ? `tag -a ${entities.tags[0]} -m ${shellQuote(message)}` : `tag ${entities.tags[0]}`);
+  } else if (/\bstash\b/i.test(input)) {
+    if (/\b(?:pop|apply|restore|bring back)\b/i.test(input)) git('stash pop');
+    else if (/\blist\b|\bshow\b/i.test(input)) git('stash list');
+    else git(message ? `stash push -m ${shellQuote(message)}` : 'stash push');
+  } else if (/\bdiscard\b.*\bchanges\b/i.test(input) && path) {
+    git(`restore -- ${shellQuote(path)}`);
+  } else if (/\bcommit\b/i.test(input) && !/\b(?:history|log)\b/i.test(input) && !since && !count) {
+    if (!message) return { steps, requiresModelForPlanning: true }; // model writes the message
+    if (/\b(?:all|everything|my changes)\b/i.test(input)) git('add -A');
+    else if (path) git(`add -- ${shellQuote(path)}`);
+    git(`commit -m ${shellQuote(message)}`);
+  } else if (/\bstage\b|\badd\b.*\b(?:to git|to the index)\b/i.test(input)) {
+    git(path ? `add -- ${shellQuote(path)}` : 'add -A');
+  } else if (/\bpush\b/i.test(input)) {
+    git('push');
+  } else if (/\bpull\b/i.test(input)) {
+    git('pull --ff-only');
+  } else if (since || count || /\b(?:commit history|recent commits|git log|log of|commits)\b/i.test(input)) {
+    const limit = since ? '' : ` -n ${count || DEFAULT_LOG_COUNT}`;
+    git(`log${limit}${since ? ` --since=${shellQuote(since)}` : ''} --numstat ${LOG_FORMAT}${path ? ` -- ${shellQuote(path)}` : ''}`);
+  } else if (/\bdiff\b|\bchanges\s+(?:to|in)\b|\bstaged\b/i.test(input)) {
+    const cached = /\bstaged\b|\bcached\b/i.test(input) && !/\bunstaged\b/i.test(input) ? ' --cached' : '';
+    git(`diff${cached} --numstat -p${path ? ` -- ${shellQuote(path)}` : ''}`);
+  } else if (/\bstatus\b|\b(?:uncommitted|unstaged|pending)\b|\bwhat(?:'s|\s+is|\s+has)?\s+changed\b|\bwhat did i change\b|\bmodified files\b/i.test(input)) {
+    git('status --porcelain=v1 -b');
+  } else {
+    return { steps, requiresModelForPlanning: true };
+  }
+
+  return { steps, requiresModelForPlanning: false };
+}
+
+// ── Output parsers ──────────────────────────────────────────────────
+
+const STATUS_CODES = { M: 'modified', A: 'added', D: 'deleted', R: 'renamed', C: 'copied', U: 'conflicted', '?': 'untracked' };
+
+/**
+ * `status --porcelain=v1 -b` → { branch, upstream, ahead, behind, staged, unstaged, untracked }
+ */
+function parseStatus(output) {
+  const status = { branch: null, upstream: null, ahead: 0, behind: 0, staged: [], unstaged: [], untracked: [], conflicted: [] };
+  for (const line of output.split('\n')) {
+    if (!line) continue;
+    if (line.startsWith('## ')) {
+      const m = line.slice(3).match(/^(?:No commits yet on )?([^.\s]+)(?:\.\.\.(\S+))?(?: \[(.+)\])?/);
+      if (m) {
+        status.branch = m[1];
+        status.upstream = m[2] || null;
+        status.ahead = parseInt(m[3]?.match(/ahead (\d+)/)?.[1] || '0', 10);
+        status.behind = parseInt(m[3]?.match(/behind (\d+)/)?.[1] || '0', 10);
+      }
+      continue;
+    }
+    const [x, y] = line;
+    const file = line.slice(3).replace(/^.* -> /, '');
+    if (x === '?') status.untracked.push(file);
+    else if (x === 'U' || y === 'U' || (x === 'A' && y === 'A') || (x === 'D' && y === 'D')) status.conflicted.push(file);
+    else {
+      if (x !== ' ') status.staged.push({ file, change: STATUS_CODES[x] || x });
+      if (y !== ' ') status.unstaged.push({ file, change: STATUS_CODES[y] || y });
+    }
+  }
+  return status;
+}
+
+/**
+ * log with LOG_FORMAT + --numstat → [{ hash, author, date, subject, files, insertions, deletions }]
+ */
+function parseLog(output) {
+  return output.split('\x1e').filter(r => r.trim()).map(record => {
+    const [header, ...stats] = record.split('\n');
+    const [hash, author, date, subject] = header.split('\x1f');
+    const files = stats.map(parseNumstatLine).filter(Boolean);
+    return {
+      hash, author, date, subject,
+      files,
+      insertions: files.reduce((n, f) => n + f.insertions, 0),
+      deletions: files.reduce((n, f) => n + f.deletions, 0),
+    };
+  });
+}
+
+function parseNumstatLine(line) {
+  const m = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+  if (!m) return null;
+  return { file: m[3], insertions: m[1] === '-' ? 0 : +m[1], deletions: m[2] === '-' ? 0 : +m[2], binary: m[1] === '-' };
+}
+
+/**
+ * `diff --numstat -p` → { files: [{ file, insertions, deletions }], patch }
+ */
+function parseDiff(output) {
+  const lines = output.split('\n');
+  const files = [];
+  let i = 0;
+  for (; i < lines.length; i++) {
+    const stat = parseNumstatLine(lines[i]);
+    if (!stat) break;
+    files.push(stat);
+  }
+  return { files, patch: lines.slice(i).join('\n').trim() };
+}
+
+/**
+ * `blame --line-porcelain` → [{ line, hash, author, date, summary, text }]
+ */
+function parseBlame(output) {
+  const entries = [];
+  let current = null;
+  for (const line of output.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      current = { line: +header[2], hash: header[1].slice(0, 7), author: null, date: null, summary: null, text: '' };
+      continue;
+    }
+    if (!current) continue;
+    if (line.startsWith('author ')) current.author = line.slice(7);
+    else if (line.startsWith('author-time ')) current.date = new Date(+line.slice(12) * 1000).toISOString().slice(0, 10);
+    else if (line.startsWith('summary ')) current.summary = line.slice(8);
+    else if (line.startsWith('\t')) {
+      current.text = line.slice(1);
+      entries.push(current);
+      current = null;
+    }
+  }
+  return entries;
+}
+
+// ── Rendering ───────────────────────────────────────────────────────
+
+const MAX_PATCH_LINES = 80;
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function renderStatus(s) {
+  const lines = [`On branch \`${s.branch || '(detached)'}\`${s.upstream ? ` tracking \`${s.upstream}\`` : ''}` +
+    (s.ahead || s.behind ? ` — ${[s.ahead && `${s.ahead} ahead`, s.behind && `${s.behind} behind`].filter(Boolean).join(', ')}` : '')];
+  const section = (title, items) => {
+    if (items.length) lines.push('', `${title} (${items.length}):`, ...items.map(i => `  ${i}`));
+  };
+  section('Conflicted', s.conflicted);
+  section('Staged', s.staged.map(f => `${f.change.padEnd(9)} ${f.file}`));
+  section('Not staged', s.unstaged.map(f => `${f.change.padEnd(9)} ${f.file}`));
+  section('Untracked', s.untracked);
+  if (!s.conflicted.length && !s.staged.length && !s.unstaged.length && !s.untracked.length) lines.push('', 'Working tree clean.');
+  return lines.join('\n');
+}
+
+function renderLog(commits) {
+  if (!commits.length) return 'No commits in that range.';
+  const authors = new Set(commits.map(c => c.author));
+  const files = new Set(commits.flatMap(c => c.files.map(f => f.file)));
+  const ins = commits.reduce((n, c) => n + c.insertions, 0);
+  const del = commits.reduce((n, c) => n + c.deletions, 0);
+  return [
+    `${plural(commits.length, 'commit')} by ${plural(authors.size, 'author')} — ${plural(files.size, 'file')} changed, +${ins} −${del}`,
+    '',
+    ...commits.map(c => `  ${c.hash}  ${c.date}  ${c.author.padEnd(16)} ${c.subject}  (+${c.insertions} −${c.deletions})`),
+  ].join('\n');
+}
+
+function renderDiff({ files, patch }) {
+  if (!files.length) return 'No differences.';
+  const ins = files.reduce((n, f) => n + f.insertions, 0);
+  const del = files.reduce((n, f) => n + f.deletions, 0);
+  const lines = [
+    `${plural(files.length, 'file')} changed, +${ins} −${del}`,
+    '',
+    ...files.map(f => `  ${f.binary ? 'binary' : `+${f.insertions} −${f.deletions}`.padEnd(12)} ${f.file}`),
+  ];
+  if (patch) {
+    const patchLines = patch.split('\n');
+    lines.push('', '```diff', ...patchLines.slice(0, MAX_PATCH_LINES), '```');
+    if (patchLines.length > MAX_PATCH_LINES) lines.push(`(${patchLines.length - MAX_PATCH_LINES} more patch lines)`);
+  }
+  return lines.join('\n');
+}
+
+function renderBlame(entries, path) {
+  if (!entries.length) return `No blame information for \`${path}\`.`;
+  const commits = new Set(entries.map(e => e.hash));
+  return [
+    `\`${path}\` — ${plural(entries.length, 'line')} from ${plural(commits.size, 'commit')}:`,
+    '',
+    ...entries.map(e => `  ${String(e.line).padStart(5)}  ${e.hash}  ${e.date}  ${(e.author || '').padEnd(16)} ${e.text}\n${' '.repeat(16)}↳ ${e.summary}`),
+  ].join('\n');
+}
+
+/**
+ * Summarise the output of a planned git command by its subcommand.
+ * Commands without a parser get a one-line confirmation plus their output.
+ */
+function renderGitResult(args, output = '') {
+  const sub = args.trim().split(/\s+/)[0];
+  if (sub === 'status' && args.includes('--porcelain')) return renderStatus(parseStatus(output));
+  if (sub === 'log' && args.includes('--numstat')) return renderLog(parseLog(output));
+  if (sub === 'diff' && args.includes('--numstat')) return renderDiff(parseDiff(output));
+  if (sub === 'blame' && args.includes('--line-porcelain')) return renderBlame(parseBlame(output), args.split(' -- ').pop());
+  if (sub === 'branch' && args.includes('--show-current')) return `On branch \`${output.trim() || '(detached)'}\``;
+  const text = output.trim();
+  return `✓ \`git ${args}\`${text ? `\n\n${text}` : ''}`;
+}
+
+export {
+  planGit,
+  shellQuote,
+  splitArgs,
+  parseSince,
+  parseStatus,
+  parseLog,
+  parseDiff,
+  parseBlame,
+  renderGitResult,
+};
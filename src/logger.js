@@ -56,6 +56,15 @@ export class Logger {
     }
   }
 
+  /** Record a structured event to the log file only (no console output) */
+  event(name, meta = {}) {
+    if (!this.logToFile || !this.logFile) return;
+    const entry = { timestamp: new Date().toISOString(), level: 'event', event: name, ...meta };
+    try {
+      appendFileSync(this.logFile, JSON.stringify(entry) + '\n');
+    } catch { /* swallow file write errors */ }
+  }
+
   debug(msg, meta) { this._emit('debug', msg, meta); }
   info(msg, meta) { this._emit('info', msg, meta); }
   warn(msg, meta) { this._emit('warn', msg, meta); }
@@ -11,21 +11,151 @@
  *     → Validation (deterministic) → Response (template or model)
  */
 
-import { classify, planFromIntent } from './classifier.js';
+import { classifyCompound, planFromIntent } from './classifier.js';
+import { SessionContext } from './session.js';
+import { renderGitResult } from './git.js';
+import { renderAnalysis } from './analysis.js';
+import { renderScaffold } from './scaffold.js';
+import { renderEdit, renderEditFailure } from './edits.js';
+import { renderTestResult, detectTestSetup, testCommand } from './testing.js';
+import { renderDeployment, renderDeploymentFailure } from './deploy.js';
+import { renderDependencies, renderDependencyFailure } from './dependencies.js';
+import { renderProcess, renderProcessFailure } from './processes.js';
+import { findRecovery } from './recovery.js';
+import { approvalPolicy, reviewSteps } from './approval.js';
 
 // Workflow states
 const STATES = {
   INIT: 'init',
+  RESOLVING: 'resolving',
   CLASSIFYING: 'classifying',
+  CHAINING: 'chaining',
+  CHOOSING: 'choosing',
+  APPROVING: 'approving',
   PLANNING: 'planning',
   EXECUTING: 'executing',
   VALIDATING: 'validating',
+  RECOVERING: 'recovering',
   MODEL_FALLBACK: 'model_fallback',
   RESPONDING: 'responding',
   COMPLETE: 'complete',
   ERROR: 'error',
 };
 
+/**
+ * "Did you mean" suffix for file references the workspace index couldn't
+ * resolve but found near misses for (empty when there are none)
+ */
+function didYouMean(classification) {
+  // A new path is expected when creating a file
+  if (classification.intent === 'file_write') return '';
+  const unresolved = (classification.entities?.workspacePaths || []).filter(r => !r.path && r.candidates.length);
+  return unresolved
+    .map(r => `\n\nNo file matches \`${r.ref}\` — did you mean ${r.candidates.map(c => `\`${c}\``).join(', ')}?`)
+    .join('');
+}
+
+// A remembered answer of "neither" — the input goes to the model
+const DECLINED = 'model';
+const choiceKey = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+// Steps approved with approve() are matched by tool and exact arguments
+const stepKey = (step) => JSON.stringify([step.tool, step.args || {}]);
+
+/**
+ * One line for a planned step: its command, else the tool and its
+ * short arguments
+ */
+function describeStep(step) {
+  const command = stepCommand(step);
+  if (command) return `\`${command}\``;
+  const args = Object.values(step.args || {})
+    .map(v => (Array.isArray(v) && v.every(x => typeof x === 'string') ? v.join(' ') : v))
+    .filter(v => ['string', 'number'].includes(typeof v) && String(v).length <= 60);
+  return `${step.tool}${args.length ? ` ${args.join(' ')}` : ''}`;
+}
+
+/**
+ * The intents an ambiguous clause could be (those within the ambiguity
+ * margin of the top score), each with the first step its plan would take
+ */
+function choiceOptions(text, classification) {
+  const top = classification.allScores[0].confidence;
+  return classification.allScores
+    .filter(s => top - s.confidence < classification.ambiguity.minMargin)
+    .map((s, i) => {
+      const plan = planFromIntent({ ...classification, intent: s.taskType, tools: s.tools, entities: s.entities }, text);
+      return {
+        index: i + 1,
+        intent: s.taskType,
+        confidence: s.confidence,
+        firstStep: plan.requiresModelForPlanning || !plan.steps.length ? null : plan.steps[0],
+      };
+    });
+}
+
+// Inputs that get a text-only answer from the model instead of a
+// model-assisted plan (which can create files, run commands, etc.)
+const isQuestion = (input) =>
+  /^(what|how|why|when|where|who|which|can|could|should|would|is|are|do|does|explain|describe|tell me|help me understand)\b/i.test(input.trim())
+  || /\?\s*$/.test(input.trim());
+
+// Step dataflow — "${steps.0.result.files.0}" in a step's args is replaced
+// with that field of an earlier step's record ({ tool, args, result })
+const STEP_REFERENCE = /\$\{steps\.(\d+)\.([\w$.[\]]+)\}/g;
+
+/**
+ * Look up steps.N.<path> among the records so far; throws when the step
+ * hasn't run or the field isn't there
+ */
+function stepValue(records, index, path) {
+  const record = records[Number(index)];
+  if (!record) throw new Error(`steps.${index} has not run`);
+  if (record.skipped) throw new Error(`steps.${index} was skipped`);
+  const value = path.replace(/\[(\d+)\]/g, '.$1').split('.').reduce((v, key) => v?.[key], record);
+  if (value === undefined || value === null) throw new Error(`steps.${index}.${path} is empty`);
+  return value;
+}
+
+/**
+ * Args with every step reference resolved. A string that is only a
+ * reference takes the referenced value as-is (arrays stay arrays).
+ */
+function resolveReferences(value, records) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{steps\.(\d+)\.([\w$.[\]]+)\}$/);
+    if (whole) return stepValue(records, whole[1], whole[2]);
+    return value.replace(STEP_REFERENCE, (_, index, path) => {
+      const v = stepValue(records, index, path);
+      return typeof v === 'object' ? JSON.stringify(v) : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map(v => resolveReferences(v, records));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveReferences(v, records)]));
+  }
+  return value;
+}
+
+/**
+ * Whether a step's `when` guard holds: { step, success } and/or
+ * { step, exitCode } against an earlier step's record
+ */
+function guardHolds(when, records) {
+  const record = records[when.step];
+  if (!record || record.skipped) return false;
+  if (when.success !== undefined && record.success !== when.success) return false;
+  if (when.exitCode !== undefined && record.result?.exitCode !== when.exitCode) return false;
+  return true;
+}
+
+/**
+ * "↻ added `lodash` with npm (Cannot find module 'lodash')" lines ahead
+ * of a response, one per recovery that ran
+ */
+function describeRecoveries(recoveries) {
+  return recoveries.map(r => `↻ ${r.summary} (${r.cause})\n`).join('') + (recoveries.length ? '\n' : '');
+}
+
 // Validation rules — deterministic output checks
 const VALIDATORS = {
   file_read: (result) => {
@@ -51,39 +181,177 @@ const VALIDATORS = {
     }
     return { valid: true };
   },
+  git: (result) => {
+    if (!result) return { valid: false, reason: 'no_result' };
+    if (result.success === false) return { valid: false, reason: 'git_failed', stderr: result.error };
+    return { valid: true };
+  },
+  code_analysis: (result) => {
+    if (!result) return { valid: false, reason: 'no_result' };
+    if (result.success === false) return { valid: false, reason: result.error || 'analysis_failed' };
+    return { valid: true };
+  },
+  project_scaffold: (result) => {
+    if (!result) return { valid: false, reason: 'no_result' };
+    if (result.success === false) return { valid: false, reason: result.error || 'step_failed', stderr: result.stderr };
+    return { valid: true };
+  },
+  testing: (result) => {
+    if (!result) return { valid: false, reason: 'no_result' };
+    if (result.success === false) return { valid: false, reason: result.error || (result.failed ? `${result.failed}_failed` : `exit_code_${result.exitCode}`) };
+    return { valid: true };
+  },
+  deployment: (result) => {
+    if (!result) return { valid: false, reason: 'no_result' };
+    if (result.success === false) {
+      const preflight = result.check || (result.runner && 'tests');
+      return { valid: false, reason: preflight ? `preflight_${preflight}`
+        : result.exitCode !== undefined ? `exit_code_${result.exitCode}` : result.error || 'step_failed', stderr: result.stderr };
+    }
+    return { valid: true };
+  },
+  dependencies: (result) => {
+    if (!result) return { valid: false, reason: 'no_result' };
+    if (result.success === false) return { valid: false, reason: result.error || 'dependency_command_failed' };
+    return { valid: true };
+  },
+  process: (result) => {
+    if (!result) return { valid: false, reason: 'no_result' };
+    if (result.success === false) return { valid: false, reason: result.error || 'process_action_failed' };
+    return { valid: true };
+  },
   http_request: (result) => {
     if (!result) return { valid: false, reason: 'no_result' };
-    if (result.status >= 400) return { valid: false, reason: `http_${result.status}` };
+    const status = result.statusCode ?? result.status;
+    if (status >= 400) return { valid: false, reason: `http_${status}` };
     return { valid: true };
   },
   search: (result) => {
     if (!result) return { valid: false, reason: 'no_result' };
     return { valid: true };
   },
+  // Per-step: a search that has to find something for later steps to use
+  found: (result) => {
+    if (!result) return { valid: false, reason: 'no_result' };
+    if (!(result.files?.length || (typeof result.matches === 'string' && result.matches.trim()))) return { valid: false, reason: 'no_matches' };
+    return { valid: true };
+  },
   default: (result) => {
     if (!result || result.error) return { valid: false, reason: result?.error || 'unknown_error' };
     return { valid: true };
   },
 };
 
+// Constraint checks — a plan step that matches a constraint recorded from
+// a negation ("without running tests", "don't delete it") is refused
+const WRITE_TOOLS = ['create_file', 'edit_file', 'edit_json', 'delete_file', 'move_file'];
+const stepCommand = (step) => {
+  if (step.tool === 'run_command') return step.args?.command || '';
+  if (step.tool === 'git') return `git ${step.args?.args || ''}`;
+  return '';
+};
+const CONSTRAINT_CHECKS = {
+  no_tests: (step) => step.tool === 'run_tests' || /\b(test|tests|jest|vitest|mocha|pytest|spec)\b/i.test(stepCommand(step)),
+  no_deletes: (step) => step.tool === 'delete_file' || /\b(rm|rmdir|unlink)\b|\bgit\s+(rm|clean)\b/i.test(stepCommand(step)),
+  no_writes: (step) => WRITE_TOOLS.includes(step.tool),
+  no_installs: (step) => (step.tool === 'dependencies' && ['add', 'upgrade'].includes(step.args?.action))
+    || /\b(npm|pnpm|yarn)\s+(install|i|add|ci)\b|\bpip\s+install\b/i.test(stepCommand(step)),
+  no_commits: (step) => /\bgit\s+commit\b/i.test(stepCommand(step)),
+  no_push: (step) => /\bgit\s+push\b|\b(npm|pnpm|yarn)\s+publish\b|\bdeploy\b/i.test(stepCommand(step)),
+  no_network: (step) => step.tool === 'http_request' || (step.tool === 'dependencies' && step.args?.action !== 'why') || /\b(curl|wget)\b|\bgit\s+(push|pull|fetch|clone)\b/i.test(stepCommand(step)),
+  no_commands: (step) => ['run_command', 'run_tests', 'git', 'dependencies'].includes(step.tool)
+    || (step.tool === 'process' && !['status', 'tail'].includes(step.args?.action)),
+};
+
+// Dry runs — what a planned step would touch, without running it. Step
+// references that only resolve at run time are shown as "<step N result>".
+const READ_TOOLS = ['read_file', 'list_directory', 'search_files', 'analyse_code'];
+const showReferences = (value) => value.replace(STEP_REFERENCE, (_, index) => `<step ${Number(index) + 1} result>`);
+
+/**
+ * The command line a run_tests step would run in root (its report file
+ * shown as <report>), or null when no test setup is found
+ */
+function testRunCommand(args, root) {
+  const detected = detectTestSetup(root);
+  const setup = args.runner && args.runner !== detected?.runner ? { runner: args.runner } : detected;
+  return setup ? testCommand(setup, args, null, { root, report: '<report>' }).command : null;
+}
+
+/**
+ * Files a step would read, write, delete or move ({ path, access }), and
+ * the command it would run (null for file tools)
+ */
+function stepEffects(step, { root }) {
+  const args = step.args || {};
+  const path = typeof args.path === 'string' ? showReferences(args.path) : null;
+  const files = [];
+  if (READ_TOOLS.includes(step.tool) && path) files.push({ path, access: 'read' });
+  if (['create_file', 'edit_file', 'edit_json'].includes(step.tool) && path) files.push({ path, access: 'write' });
+  if (step.tool === 'delete_file' && path) files.push({ path, access: 'delete' });
+  if (step.tool === 'move_file') {
+    files.push({ path: showReferences(String(args.from)), access: 'move' }, { path: showReferences(String(args.to)), access: 'write' });
+  }
+
+  let command = null;
+  if (['run_command', 'git'].includes(step.tool)) command = stepCommand(step);
+  else if (step.tool === 'process' && args.command) command = args.command;
+  else if (step.tool === 'run_tests') command = testRunCommand(args, root) || describeStep(step);
+  else if (step.tool === 'http_request') command = `${args.method || 'GET'} ${args.url}`;
+  else if (!WRITE_TOOLS.includes(step.tool) && !READ_TOOLS.includes(step.tool)) command = describeStep(step);
+  return { files, command: command && showReferences(command) };
+}
+
+/**
+ * One line per planned step: the tool and its exact arguments (long
+ * strings shortened), plus the step's guard and validator
+ */
+function formatPlannedStep(step, i) {
+  const args = Object.entries(step.args || {}).map(([key, value]) => {
+    const shown = typeof value === 'string' && value.length > 60
+      ? `${JSON.stringify(value.slice(0, 57) + '…')} (${value.length} chars)`
+      : JSON.stringify(value);
+    return `${key}: ${showReferences(shown)}`;
+  });
+  const { when } = step;
+  const guard = !when ? ''
+    : when.exitCode !== undefined ? ` — only if step ${when.step + 1} exits ${when.exitCode}`
+    : ` — only if step ${when.step + 1} ${when.success === false ? 'failed' : 'succeeded'}`;
+  const check = step.validate ? ` (checked: ${step.validate})` : '';
+  return `  ${i + 1}. ${step.tool}${args.length ? ` { ${args.join(', ')} }` : ''}${guard}${check}`;
+}
+
 // Response templates — deterministic response generation for known outcomes
 const RESPONSE_TEMPLATES = {
   file_read: {
-    success: (result, plan) => {
+    success: (result, plan, results) => {
       // list_directory returns { entries: [...] } instead of { content: "..." }
       if (result.entries) {
         const path = plan.steps[0]?.args?.path || '.';
         const listing = result.entries.map(e => e.type === 'dir' ? `  ${e.name}` : `  ${e.name} (${e.size} bytes)`).join('\n');
         return `Contents of \`${path}/\`:\n\n${listing || '(empty directory)'}`;
       }
+      // A definition lookup reads the file the search found
+      if (plan.definition) {
+        const hit = results?.[0]?.result?.hits?.[0];
+        return `\`${plan.definition.symbol}\` is defined in \`${hit?.file || result.path}\`${hit ? ` (line ${hit.line})` : ''}:\n\n${result.content || result}`;
+      }
       return `Contents of \`${plan.steps[0]?.args?.path || 'file'}\`:\n\n${result.content || result}`;
     },
-    error: (result, plan) => `Failed to read \`${plan.steps[0]?.args?.path || 'file'}\`: ${result.error || result.reason || 'unknown error'}`,
+    error: (result, plan) => (plan.definition && result.reason === 'no_matches'
+      ? `No definition of \`${plan.definition.symbol}\` found.`
+      : `Failed to read \`${plan.steps[plan.steps.length - 1]?.args?.path || 'file'}\`: ${result.error || result.reason || 'unknown error'}`),
   },
   file_write: {
-    success: (result, plan) => `✓ File written: \`${plan.steps[0]?.args?.path || 'file'}\``,
+    success: (result, plan) => `✓ File written: \`${plan.steps[0]?.args?.path || 'file'}\`${plan.boilerplate ? ` — ${plan.boilerplate.summary}` : ''}`,
     error: (result, plan) => `✗ Failed to write \`${plan.steps[0]?.args?.path || 'file'}\`: ${result.error || 'unknown error'}`,
   },
+  file_edit: {
+    success: (result, plan) => (plan.edit ? renderEdit(plan.edit, result) : `✓ File edited: \`${plan.steps[plan.steps.length - 1]?.args?.path || 'file'}\``),
+    // result is the step that failed — execution stops there
+    error: (result, plan) => (plan.edit ? renderEditFailure(plan.edit, result.result?.error || result.reason)
+      : `✗ Failed to edit \`${plan.steps[plan.steps.length - 1]?.args?.path || 'file'}\`: ${result.result?.error || result.reason || 'unknown error'}`),
+  },
   file_delete: {
     success: (result, plan) => `✓ File deleted: \`${plan.steps[0]?.args?.path || 'file'}\``,
     error: (result, plan) => `✗ Failed to delete \`${plan.steps[0]?.args?.path || 'file'}\`: ${result.error || 'unknown error'}`,
@@ -94,11 +362,53 @@ const RESPONSE_TEMPLATES = {
       const output = result.stdout || result.output || '';
       return `\`${cmd}\` completed successfully${output ? ':\n\n' + output : '.'}`;
     },
+    // result is the step record; the command's outcome is its result
     error: (result, plan) => {
       const cmd = plan.steps[0]?.args?.command || 'command';
-      return `\`${cmd}\` failed (exit ${result.exitCode}):\n${result.stderr || result.error || 'unknown error'}`;
+      const run = result.result || result;
+      return `\`${cmd}\` failed (exit ${run.exitCode ?? 'unknown'}):\n${run.stderr || result.stderr || run.error || result.error || 'unknown error'}`;
     },
   },
+  git: {
+    success: (result, plan) => renderGitResult(plan.steps[plan.steps.length - 1]?.args?.args || '', result.output),
+    // result is the step that failed — execution stops there
+    error: (result) => `✗ \`git ${result.args?.args || ''}\` failed:\n${result.stderr || result.error || 'unknown error'}`,
+  },
+  code_analysis: {
+    success: (result) => renderAnalysis(result),
+    error: (result, plan) => `✗ Couldn't analyse \`${plan.steps[0]?.args?.path || 'code'}\`: ${result.error || result.reason || 'unknown error'}`,
+  },
+  project_scaffold: {
+    success: (result, plan) => (plan.scaffold ? renderScaffold(plan.scaffold) : `✓ Project scaffolded (${plan.steps.length} steps).`),
+    error: (result, plan) => {
+      // No step ran: every template file already exists
+      if (!result.tool && plan.scaffold) return renderScaffold(plan.scaffold);
+      const step = result.tool === 'run_command' ? result.args?.command : result.args?.path;
+      return `✗ Scaffolding stopped at \`${step}\`: ${result.stderr || result.reason || result.error || 'unknown error'}`;
+    },
+  },
+  testing: {
+    success: (result) => renderTestResult(result),
+    // result is the step record; the run's report is its result
+    error: (result) => renderTestResult(result.result?.runner ? result.result : { error: result.result?.error || result.error || result.reason }),
+  },
+  deployment: {
+    success: (result, plan) => (plan.deployment ? renderDeployment(plan.deployment, result) : `✓ Done (${plan.steps?.length || 0} steps).`),
+    // result is the step that stopped the plan
+    error: (result, plan) => (plan.deployment
+      ? renderDeploymentFailure(plan.deployment, result)
+      : `✗ ${result.tool || 'Step'} failed: ${result.result?.error || result.error || result.reason || 'unknown error'}`),
+  },
+  dependencies: {
+    success: (result) => renderDependencies(result),
+    // result is the step record; the tool's report is its result
+    error: (result) => renderDependencyFailure(result.result || { error: result.error || result.reason }),
+  },
+  process: {
+    success: (result) => renderProcess(result),
+    // result is the step record; the tool's report is its result
+    error: (result) => renderProcessFailure(result.result || { error: result.error || result.reason }),
+  },
   http_request: {
     success: (result) => {
       const status = result.statusCode || result.status || 200;
@@ -111,7 +421,13 @@ const RESPONSE_TEMPLATES = {
       }
       return `HTTP ${status} OK:\n\n${formatted || '(empty response)'}`;
     },
-    error: (result) => `HTTP request failed: ${result.statusCode || result.status || 'error'} — ${result.error || result.statusText || 'unknown'}`,
+    // result is the step record; the response is its result
+    error: (result) => {
+      const response = result.result || result;
+      const status = response.statusCode || response.status;
+      if (status) return `HTTP request failed: ${status}${response.body ? `\n\n${String(response.body).slice(0, 2000)}` : ''}`;
+      return `HTTP request failed: ${response.error || result.error || result.reason || 'unknown error'}`;
+    },
   },
   search: {
     success: (result) => {
@@ -124,7 +440,12 @@ const RESPONSE_TEMPLATES = {
       }
       return `Search complete: no matches found.`;
     },
-    error: (result) => `Search failed: ${result.error || 'unknown error'}`,
+    error: (result, plan) => {
+      if (result.reason === 'no_matches') {
+        return plan.definition ? `No definition of \`${plan.definition.symbol}\` found.` : `No matches for \`${result.args?.pattern}\`.`;
+      }
+      return `Search failed: ${result.error || result.result?.error || result.reason || 'unknown error'}`;
+    },
   },
   default: {
     success: (result) => `Task completed successfully.${result ? '\n\n' + JSON.stringify(result, null, 2) : ''}`,
@@ -137,8 +458,19 @@ class WorkflowOrchestrator {
     this.executeTool = executeToolFn; // function(name, args) => result
     this.model = modelProvider; // null = fully deterministic mode
     this.confidenceThreshold = options.confidenceThreshold || 0.4;
-    this.maxRetries = options.maxRetries || 2;
+    // Recoveries (recovery.js) tried per plan before a failure is reported
+    this.maxRetries = options.maxRetries ?? 2;
+    // Project directory — where recoveries look for missing directories and the package manager
+    this.root = options.root || process.cwd();
     this.logger = options.logger || console;
+    // Recent turns, for resolving "it" / "again" / "same for x"
+    this.session = options.session || new SessionContext();
+    // Intents picked for ambiguous inputs: normalised clause text → intent (or DECLINED)
+    this.choices = options.choices || new Map();
+    // Approval policy per risk class (approval.js), from agent.config.json's "approval"
+    this.approval = approvalPolicy(options.approval, { root: this.root });
+    // Steps approved for the run approve() is making — cleared when it ends
+    this.approved = new Set();
 
     // Metrics tracking
     this.metrics = {
@@ -148,23 +480,269 @@ class WorkflowOrchestrator {
       modelCallsForPlanning: 0,
       modelCallsForResponse: 0,
       errors: 0,
+      recoveries: 0,
       byIntent: {},
     };
   }
 
   /**
    * Process a user input through the full deterministic pipeline.
-   * Returns { response, metrics, trace }
+   * References to earlier turns are resolved first; compound inputs
+   * ("read x then run the tests") run as a chain of clauses.
+   * Returns { response, metrics, trace } (+ resolvedInput, resolutions
+   * when the input was rewritten), or a pause: status 'needs_choice' with
+   * the candidate intents when a clause is ambiguous (answer with choose()),
+   * or 'needs_approval' when the approval policy asks about a step (answer
+   * with approve()). constraints apply to every clause on top of the
+   * input's own (approve() passes those of the chain it continues).
    */
-  async process(input) {
-    this.metrics.totalTasks++;
+  async process(input, { constraints = [] } = {}) {
     const trace = [];
+    const { input: resolved, resolutions } = this.session.resolve(input);
+    if (resolutions.length) {
+      trace.push({ state: STATES.RESOLVING, input, resolved, resolutions });
+    }
+
+    const classified = classifyCompound(resolved, this.confidenceThreshold);
+    const { compound } = classified;
+
+    // Ambiguous clauses take the intent picked last time; the first one
+    // without a pick stops here — before anything runs — to ask
+    const clauses = classified.clauses.map(c => ({ ...c, classification: this._applyChoice(c.text, c.classification) }));
+    // Constraints carried over from the chain a continuation was cut from
+    if (constraints.length) {
+      for (const c of clauses) c.classification = { ...c.classification, constraints: [...new Set([...(c.classification.constraints || []), ...constraints])] };
+    }
+    const ambiguous = clauses.find(c => c.classification.reason === 'ambiguous_top_scores');
+    if (ambiguous) {
+      const result = this._needsChoice(resolved, ambiguous, trace);
+      return resolutions.length ? { ...result, resolvedInput: resolved, resolutions } : result;
+    }
+
+    const result = compound
+      ? await this._processChain(resolved, clauses, trace)
+      : await this._processClause(resolved, clauses[0].classification, trace);
+
+    if (result.status !== 'needs_approval') this.session.remember(resolved, clauses, result);
+    return resolutions.length ? { ...result, resolvedInput: resolved, resolutions } : result;
+  }
+
+  /**
+   * Answer a needs_choice result: choice is the option number (1-based) or
+   * an intent id; 0 or null hands the input to the model instead. The pick
+   * is remembered for identical inputs, then the whole input runs again.
+   */
+  async choose(pending, choice) {
+    const { clause, options } = pending.choice;
+    const declined = choice === 0 || choice === null || choice === DECLINED;
+    const option = declined ? null
+      : typeof choice === 'number' ? options[choice - 1] : options.find(o => o.intent === choice);
+    if (!declined && !option) {
+      return {
+        ...pending,
+        response: `✗ There is no option ${choice} — pick 1-${options.length}, or 0 to ask the model.`,
+      };
+    }
+    this.choices.set(choiceKey(clause), option ? option.intent : DECLINED);
+    return this.process(pending.choice.input);
+  }
+
+  /**
+   * Answer a needs_approval result: approved runs the input again with the
+   * steps it asked about let through once (a plan that comes out different
+   * asks again); declined runs nothing.
+   */
+  async approve(pending, approved) {
+    if (!approved) {
+      return {
+        response: '✗ Not approved — nothing was executed.',
+        metrics: this._snapshot(),
+        trace: [{ state: STATES.APPROVING, approved: false }],
+        deterministic: true,
+        status: 'declined',
+        validation: { valid: false, reason: 'not_approved' },
+      };
+    }
+    for (const { step } of pending.approval.steps) this.approved.add(stepKey(step));
+    try {
+      return await this.process(pending.approval.input, { constraints: pending.approval.constraints });
+    } finally {
+      this.approved.clear();
+    }
+  }
+
+  /**
+   * Dry run: resolve, classify and plan the input exactly as process()
+   * would — model-assisted planning included when a model is configured —
+   * and execute nothing. Returns status 'dry_run' with each clause's intent
+   * and planned steps, plus the files and commands the run would touch.
+   */
+  async preview(input) {
+    const trace = [];
+    const { input: resolved, resolutions } = this.session.resolve(input);
+    if (resolutions.length) {
+      trace.push({ state: STATES.RESOLVING, input, resolved, resolutions });
+    }
+
+    const { compound, clauses } = classifyCompound(resolved, this.confidenceThreshold);
+    const constraints = [...new Set(clauses.flatMap(c => c.classification.constraints || []))];
+    const planned = [];
+    for (const clause of clauses) {
+      const classification = { ...this._applyChoice(clause.text, clause.classification), constraints };
+      const preview = await this._previewClause(compound ? clause.text : resolved, classification);
+      trace.push({ clause: clause.index, state: STATES.PLANNING, intent: preview.intent, outcome: preview.outcome, steps: preview.steps.length });
+      planned.push({ index: clause.index, text: clause.text, ...preview });
+    }
+
+    // An ambiguous clause stops everything before it runs; otherwise the
+    // chain runs until a clause is refused or can't be planned
+    const files = [];
+    const commands = [];
+    const unknown = [];
+    if (!planned.some(c => c.outcome === 'needs_choice')) {
+      for (const clause of planned) {
+        if (clause.outcome === 'model') {
+          unknown.push(clause);
+          continue;
+        }
+        if (clause.outcome !== 'planned') break;
+        for (const step of clause.steps) {
+          const effects = stepEffects(step, { root: this.root });
+          for (const file of effects.files) {
+            if (!files.some(f => f.path === file.path && f.access === file.access)) files.push(file);
+          }
+          if (effects.command) commands.push(effects.command);
+        }
+      }
+    }
+
+    const sections = planned.map(clause => {
+      const label = compound ? `[${clause.index + 1}/${planned.length}] ` : '';
+      const by = clause.modelPlanned ? ', planned by the model' : '';
+      const head = `${label}\`${clause.text}\` → ${clause.intent} (${(clause.confidence * 100).toFixed(0)}%${by})`;
+      const steps = clause.steps.map(formatPlannedStep);
+      switch (clause.outcome) {
+        case 'needs_choice':
+          return [head, '  ambiguous — would ask which you meant:',
+            ...clause.options.map(o => `    ${o.index}. ${o.intent} — ${o.firstStep ? describeStep(o.firstStep) : 'planned by the model'}`)].join('\n');
+        case 'model':
+          return `${head}\n  no deterministic plan (${clause.reason}) — would go to the model${this.model ? '' : ', which is not configured'}`;
+        case 'incomplete':
+          return [head, '  needs a model to finish planning (run with --provider ollama or --provider claude)', ...steps].join('\n');
+        case 'refused': {
+          const { index, constraint, risk, reason } = clause.refusal;
+          const why = constraint ? `violates "${constraint}"` : `${reason} — the approval policy never allows ${risk} steps`;
+          return [head, ...steps, `  ✗ would be refused: step ${index + 1} ${why}`].join('\n');
+        }
+        default: {
+          const asks = clause.approvals.map(a => `  ⚠ would ask before step ${a.index + 1}: ${a.risks.map(r => `${r.reason} (${r.risk})`).join('; ')}`);
+          return [head, ...(steps.length ? steps : ['  (no steps)']), ...asks].join('\n');
+        }
+      }
+    });
+
+    const touched = [
+      `Files: ${files.length ? files.map(f => `${f.path} (${f.access})`).join(', ') : 'none'}`,
+      `Commands: ${commands.length ? commands.map(c => `\`${c}\``).join(', ') : 'none'}`,
+    ];
+    if (unknown.length && this.model) touched.push(`Plus whatever the model decides for ${unknown.map(c => `\`${c.text}\``).join(', ')}.`);
+
+    const result = {
+      response: `Dry run — nothing was executed.\n\n${sections.join('\n\n')}\n\n${touched.join('\n')}`,
+      metrics: this._snapshot(),
+      trace,
+      deterministic: !planned.some(c => c.modelPlanned),
+      status: 'dry_run',
+      clauses: planned,
+      files,
+      commands,
+    };
+    return resolutions.length ? { ...result, resolvedInput: resolved, resolutions } : result;
+  }
+
+  /**
+   * Plan one clause for a dry run. outcome is 'planned' (approvals lists
+   * the steps it would ask about), 'refused' (a constraint or the approval
+   * policy forbids a step), 'incomplete' (needs a model that isn't
+   * configured), 'model' (the model would handle it) or 'needs_choice'.
+   */
+  async _previewClause(input, classification) {
+    const { intent, confidence, reason } = classification;
+    const base = { intent, confidence, reason, steps: [], modelPlanned: false };
+    if (reason === 'ambiguous_top_scores') {
+      return { ...base, outcome: 'needs_choice', options: choiceOptions(input, classification) };
+    }
+    if (classification.needsModel && ['no_pattern_match', 'low_confidence', 'user_declined'].includes(reason)) {
+      return { ...base, outcome: 'model' };
+    }
+
+    const plan = planFromIntent(classification, input);
+    let { steps } = plan;
+    if (plan.requiresModelForPlanning) {
+      if (isQuestion(input)) return { ...base, outcome: 'model' };
+      if (!this.model) return { ...base, outcome: 'incomplete', steps };
+      this.metrics.modelCallsForPlanning++;
+      steps = (await this._modelAssistPlan(input, classification, plan)).steps || [];
+      base.modelPlanned = true;
+    }
+
+    // Refused by a constraint or the approval policy, else the steps it would ask about
+    const review = this._reviewApproval(steps);
+    const refusal = this._checkConstraints(steps, classification) || review.refused;
+    return { ...base, outcome: refusal ? 'refused' : 'planned', steps, refusal, approvals: refusal ? [] : review.ask };
+  }
+
+  /**
+   * Resolve an ambiguous classification with an earlier pick for the same
+   * text (anything else is returned unchanged)
+   */
+  _applyChoice(text, classification) {
+    if (classification.reason !== 'ambiguous_top_scores') return classification;
+    const picked = this.choices.get(choiceKey(text));
+    if (picked === DECLINED) return { ...classification, reason: 'user_declined' };
+    const score = classification.allScores.find(s => s.taskType === picked);
+    if (!score) return classification;
+    return {
+      ...classification,
+      intent: score.taskType,
+      confidence: score.confidence,
+      tools: score.tools,
+      entities: score.entities,
+      needsModel: false,
+      reason: 'user_choice',
+    };
+  }
+
+  /**
+   * Offer the intents an ambiguous clause could be, each with the first
+   * step its plan would take. Nothing is executed; answer with choose().
+   */
+  _needsChoice(input, clause, trace) {
+    const options = choiceOptions(clause.text, clause.classification);
+    trace.push({ state: STATES.CHOOSING, clause: clause.index, options: options.map(o => o.intent) });
+
+    const lines = options.map(o => `  ${o.index}. ${o.intent} — ${o.firstStep ? describeStep(o.firstStep) : 'planned by the model'}`);
+    return {
+      response: `\`${clause.text}\` could mean more than one thing:\n\n${lines.join('\n')}\n  0. neither — ask the model\n\nReply with a number.`,
+      metrics: this._snapshot(),
+      trace,
+      deterministic: true,
+      status: 'needs_choice',
+      choice: { input, clause: clause.text, options },
+    };
+  }
+
+  /**
+   * Run a single (already classified) clause through plan → execute →
+   * validate → respond. Each clause counts as one task in the metrics.
+   */
+  async _processClause(input, classification, trace) {
+    this.metrics.totalTasks++;
     let state = STATES.INIT;
 
     try {
       // ── CLASSIFY (deterministic) ──────────────────────────────────
       state = STATES.CLASSIFYING;
-      const classification = classify(input, this.confidenceThreshold);
       trace.push({
         state,
         intent: classification.intent,
@@ -175,8 +753,8 @@ class WorkflowOrchestrator {
 
       this._trackIntent(classification.intent);
 
-      // If classifier can't determine intent, fall back to model
-      if (classification.needsModel && (classification.reason === 'no_pattern_match' || classification.reason === 'low_confidence')) {
+      // If classifier can't determine intent (or the user declined every candidate), fall back to model
+      if (classification.needsModel && ['no_pattern_match', 'low_confidence', 'user_declined'].includes(classification.reason)) {
         return await this._modelFallback(input, classification, trace);
       }
 
@@ -191,12 +769,8 @@ class WorkflowOrchestrator {
 
       // If plan needs model (e.g., generating file content, composing commands)
       if (plan.requiresModelForPlanning) {
-        // Detect question-type inputs — these should get a text-only response,
-        // NOT model-assisted tool execution (which can create files, run commands, etc.)
-        const isQuestion = /^(what|how|why|when|where|who|which|can|could|should|would|is|are|do|does|explain|describe|tell me|help me understand)\b/i.test(input.trim())
-          || /\?\s*$/.test(input.trim());
-
-        if (isQuestion) {
+        // Question-type inputs get a text-only response
+        if (isQuestion(input)) {
           return await this._modelFallback(input, classification, trace);
         }
 
@@ -204,10 +778,12 @@ class WorkflowOrchestrator {
           // No model available — return what we can
           return {
             response: `I identified this as a "${classification.intent}" task, but I need a model to complete the planning. ` +
-              `Run with --provider ollama or --provider claude to enable model-assisted planning.`,
+              `Run with --provider ollama or --provider claude to enable model-assisted planning.` +
+              didYouMean(classification),
             metrics: this._snapshot(),
             trace,
             deterministic: false,
+            incomplete: true,
           };
         }
 
@@ -219,34 +795,79 @@ class WorkflowOrchestrator {
         return await this._executeModelPlan(input, modelPlan, classification, trace);
       }
 
+      const refusal = this._checkConstraints(plan.steps, classification);
+      if (refusal) return this._refuse(refusal, classification, trace);
+      const gated = this._gate(input, plan.steps, classification, trace);
+      if (gated) return gated;
+
       // ── EXECUTE (deterministic) ───────────────────────────────────
       state = STATES.EXECUTING;
-      const results = [];
-
-      for (const step of plan.steps) {
-        try {
-          const result = await this.executeTool(step.tool, step.args);
-          results.push({ tool: step.tool, args: step.args, result, success: true });
-        } catch (err) {
-          results.push({ tool: step.tool, args: step.args, error: err.message, success: false });
-        }
-      }
-
-      trace.push({ state, stepsExecuted: results.length, successes: results.filter(r => r.success).length });
+      let { results, records } = await this._runSteps(plan.steps);
+      trace.push({ state, stepsExecuted: results.length, successes: results.filter(r => r.success).length, skipped: records.filter(r => r.skipped).length });
 
       // ── VALIDATE (deterministic) ──────────────────────────────────
+      // The last step that ran decides, unless its own validator failed it.
+      // A plan can answer as another intent (a search that opens the file
+      // it found responds as file_read).
       state = STATES.VALIDATING;
-      const validator = VALIDATORS[classification.intent] || VALIDATORS.default;
-      const lastResult = results[results.length - 1];
-      const validation = validator(lastResult?.result || lastResult);
+      const respondAs = plan.respondAs || classification.intent;
+      const validator = VALIDATORS[respondAs] || VALIDATORS.default;
+      const validate = () => {
+        const last = results[results.length - 1];
+        return last?.validation || validator(last?.result || last);
+      };
+      let validation = validate();
       trace.push({ state, valid: validation.valid, reason: validation.reason });
 
+      // ── RECOVER (deterministic) ───────────────────────────────────
+      // A failure with a known cause gets its fix, then the plan resumes
+      // from the failed step — at most maxRetries times
+      const recoveries = [];
+      for (let attempt = 1; !validation.valid && attempt <= this.maxRetries; attempt++) {
+        const failed = results[results.length - 1];
+        const recovery = failed && findRecovery(failed, validation, { root: this.root, attempt });
+        if (!recovery) break;
+        state = STATES.RECOVERING;
+        const blocked = recovery.steps && this._checkConstraints(recovery.steps, classification);
+        // A fix the approval policy doesn't allow outright is offered, not run
+        const review = recovery.steps && !blocked && this._reviewApproval(recovery.steps);
+        const risky = review && (review.refused || review.ask[0]);
+        if (recovery.offer || blocked || risky) {
+          trace.push({ state, attempt, rule: recovery.rule, cause: recovery.cause, offered: true, ...(blocked && { refused: blocked.constraint }) });
+          const why = blocked ? `it would violate "${blocked.constraint}"`
+            : risky && `${describeStep(risky.step)} needs approval (${(risky.risks || [risky]).map(r => r.risk).join(', ')})`;
+          recoveries.push(why ? { ...recovery, offer: `${recovery.cause} — not fixed automatically: ${why}.` } : recovery);
+          break;
+        }
+
+        this.metrics.recoveries++;
+        if (recovery.delayMs) await new Promise(resolveP => setTimeout(resolveP, recovery.delayMs));
+        const fix = await this._runSteps(recovery.steps);
+        const fixFailed = fix.results.find(r => !r.success);
+        trace.push({ state, attempt, rule: recovery.rule, cause: recovery.cause, fix: recovery.steps.map(describeStep), delayMs: recovery.delayMs, fixed: !fixFailed });
+        if (fixFailed) {
+          recoveries.push({ ...recovery, failed: fixFailed.error || fixFailed.result?.error || fixFailed.result?.stderr?.trim() || 'fix failed' });
+          break;
+        }
+        recoveries.push(recovery);
+
+        ({ results, records } = await this._runSteps(plan.steps, records.slice(0, records.indexOf(failed))));
+        validation = validate();
+        trace.push({ state: STATES.VALIDATING, attempt, valid: validation.valid, reason: validation.reason });
+      }
+      const lastResult = results[results.length - 1];
+
       // ── RESPOND (template-based, no model) ────────────────────────
       state = STATES.RESPONDING;
-      const templates = RESPONSE_TEMPLATES[classification.intent] || RESPONSE_TEMPLATES.default;
-      const response = validation.valid
-        ? templates.success(lastResult?.result || lastResult, plan)
-        : templates.error({ ...lastResult, ...validation }, plan);
+      const templates = RESPONSE_TEMPLATES[respondAs] || RESPONSE_TEMPLATES.default;
+      // Templates see the args each step actually ran with
+      const executed = { ...plan, steps: plan.steps.map((step, i) => (records[i] && !records[i].skipped ? { ...step, args: records[i].args } : step)) };
+      let response = describeRecoveries(recoveries.filter(r => !r.offer && !r.failed)) + (validation.valid
+        ? templates.success(lastResult?.result || lastResult, executed, results)
+        : templates.error({ ...lastResult, ...validation }, executed, results) + didYouMean(classification));
+      for (const r of recoveries.filter(x => x.offer || x.failed)) {
+        response = `${response.trimEnd()}\n\n${r.offer || `Tried to recover (${r.cause}) but the fix failed: ${r.failed}`}`;
+      }
 
       this.metrics.deterministicTasks++;
 
@@ -256,7 +877,9 @@ class WorkflowOrchestrator {
         trace,
         deterministic: true,
         classification,
+        validation,
         results,
+        ...(recoveries.length && { recoveries }),
       };
 
     } catch (err) {
@@ -271,11 +894,57 @@ class WorkflowOrchestrator {
     }
   }
 
+  /**
+   * Execute plan steps in order. Args may reference earlier steps
+   * (${steps.N.result.<field>}); a step with a `validate` validator fails
+   * when its result doesn't pass it. After a failure only steps whose
+   * `when` guard holds still run; a guard that doesn't hold skips its step.
+   * Returns { results } (the steps that ran) and { records } (one per
+   * step, by index — skipped ones marked skipped). Pass the records of
+   * steps already run to resume after them.
+   */
+  async _runSteps(steps, done = []) {
+    const records = [...done];
+    let failed = records.some(r => !r.skipped && !r.success);
+
+    for (const step of steps.slice(records.length)) {
+      if (step.when ? !guardHolds(step.when, records) : failed) {
+        records.push({ tool: step.tool, args: step.args, skipped: true, success: false });
+        continue;
+      }
+      let record;
+      try {
+        const args = resolveReferences(step.args || {}, records);
+        record = { tool: step.tool, args, success: true };
+        record.result = await this.executeTool(step.tool, args);
+        const validation = step.validate && (VALIDATORS[step.validate] || VALIDATORS.default)(record.result);
+        if (validation && !validation.valid) record.validation = validation;
+      } catch (err) {
+        record = { tool: step.tool, args: record?.args || step.args, error: err.message, success: false };
+      }
+      records.push(record);
+      // Later steps build on earlier ones (git add → commit), so stop at a failure
+      if (!record.success || record.result?.success === false || record.validation) {
+        record.success = false;
+        failed = true;
+      }
+    }
+
+    return { results: records.filter(r => !r.skipped), records };
+  }
+
   /**
    * Full model fallback — used when deterministic pipeline can't handle the task
    */
   async _modelFallback(input, classification, trace) {
     this.metrics.modelFallbacks++;
+    // History for rule distillation (v3.js --distill)
+    this.logger.event?.('model_fallback', {
+      input,
+      intent: classification.intent,
+      confidence: classification.confidence,
+      reason: classification.reason,
+    });
 
     if (!this.model) {
       return {
@@ -284,6 +953,7 @@ class WorkflowOrchestrator {
         metrics: this._snapshot(),
         trace,
         deterministic: false,
+        incomplete: true,
       };
     }
 
@@ -311,7 +981,8 @@ class WorkflowOrchestrator {
 The task type is: ${classification.intent}
 Available tools: ${classification.tools.join(', ')}
 Partial plan steps: ${JSON.stringify(partialPlan.steps)}
-
+${classification.constraints?.length ? `Constraints (the user excluded these — never plan steps that violate them): ${classification.constraints.join(', ')}\n` : ''}
+A step's args can use an earlier step's result as "\${steps.N.result.<field>}" (N counts from 0, e.g. "\${steps.0.result.files.0}" after search_files), and a step can run only { "when": { "step": N, "success": false } } or { "when": { "step": N, "exitCode": 1 } }.
 Respond with ONLY a JSON object containing the complete plan:
 {
   "steps": [
@@ -323,7 +994,15 @@ Respond with ONLY a JSON object containing the complete plan:
       const response = await this.model.complete(systemPrompt, input);
       const json = response.match(/\{[\s\S]*\}/)?.[0];
       if (json) {
-        return JSON.parse(json);
+        const modelPlan = JSON.parse(json);
+        this.logger.event?.('model_assist_plan', {
+          input,
+          intent: classification.intent,
+          confidence: classification.confidence,
+          partialSteps: partialPlan.steps,
+          modelSteps: modelPlan.steps || [],
+        });
+        return modelPlan;
       }
     } catch (err) {
       this.logger.warn(`Model plan assist failed: ${err.message}`);
@@ -336,16 +1015,12 @@ Respond with ONLY a JSON object containing the complete plan:
    * Execute a model-generated plan through tool executors
    */
   async _executeModelPlan(input, plan, classification, trace) {
-    const results = [];
+    const refusal = this._checkConstraints(plan.steps || [], classification);
+    if (refusal) return this._refuse(refusal, classification, trace);
+    const gated = this._gate(input, plan.steps || [], classification, trace);
+    if (gated) return gated;
 
-    for (const step of (plan.steps || [])) {
-      try {
-        const result = await this.executeTool(step.tool, step.args);
-        results.push({ tool: step.tool, args: step.args, result, success: true });
-      } catch (err) {
-        results.push({ tool: step.tool, args: step.args, error: err.message, success: false });
-      }
-    }
+    const { results } = await this._runSteps(plan.steps || []);
 
     trace.push({ state: STATES.EXECUTING, modelAssisted: true, steps: results.length });
 
@@ -362,10 +1037,225 @@ Respond with ONLY a JSON object containing the complete plan:
       trace,
       deterministic: false,
       modelUsedForPlanning: true,
+      validation: { valid: !!lastResult?.success, reason: lastResult?.success ? undefined : (lastResult?.error || lastResult?.result?.error || 'no_results') },
       results,
     };
   }
 
+  /**
+   * Execute a compound instruction clause by clause. Each clause gets the
+   * full pipeline (and its own validation); the first clause that fails,
+   * errors or can't be completed stops the chain. A clause that needs
+   * approval pauses it: approving runs that clause and the rest.
+   */
+  async _processChain(input, clauses, trace) {
+    trace.push({ state: STATES.CHAINING, clauses: clauses.map(c => c.text) });
+
+    const outcomes = [];
+    let failed = null;
+    let paused = null;
+
+    // A negation anywhere in the instruction constrains every clause
+    const constraints = [...new Set(clauses.flatMap(c => c.classification.constraints || []))];
+
+    const gated = this._gateChain(input, clauses, constraints, trace);
+    if (gated) return gated;
+
+    for (const clause of clauses) {
+      const clauseTrace = [];
+      const classification = { ...clause.classification, constraints };
+      const result = await this._processClause(clause.text, classification, clauseTrace);
+      trace.push(...clauseTrace.map(entry => ({ clause: clause.index, ...entry })));
+      if (result.status === 'needs_approval') {
+        paused = { clause, result };
+        break;
+      }
+      outcomes.push({ clause, result });
+
+      const ok = !result.error && !result.incomplete && result.validation?.valid !== false;
+      if (!ok) {
+        failed = { clause, result };
+        break;
+      }
+    }
+
+    const total = clauses.length;
+    const sections = outcomes.map(({ clause, result }) =>
+      `[${clause.index + 1}/${total}] \`${clause.text}\` (${clause.classification.intent})\n${result.response}`);
+
+    if (paused) {
+      const { clause, result } = paused;
+      const rest = clauses.slice(clause.index);
+      sections.push(`[${clause.index + 1}/${total}] \`${clause.text}\` (${clause.classification.intent})\n${result.response}`);
+      if (rest.length > 1) sections.push(`Approving also runs: ${rest.slice(1).map(c => `\`${c.text}\``).join(', ')}`);
+      return {
+        response: sections.join('\n\n'),
+        metrics: this._snapshot(),
+        trace,
+        deterministic: outcomes.every(o => o.result.deterministic),
+        status: 'needs_approval',
+        // The rest of the chain, still under every clause's constraints
+        approval: { ...result.approval, input: rest.map(c => c.text).join(' then '), constraints },
+        chain: outcomes.map(({ clause: c, result: r }) => ({ index: c.index, text: c.text, intent: c.classification.intent, deterministic: !!r.deterministic, validation: r.validation, results: r.results })),
+      };
+    }
+
+    if (failed) {
+      const skipped = clauses.slice(failed.clause.index + 1);
+      const reason = failed.result.error || failed.result.validation?.reason || 'could not be completed';
+      sections.push(`✗ Chain stopped at clause ${failed.clause.index + 1}/${total}: \`${failed.clause.text}\` — ${reason}`);
+      if (skipped.length) sections.push(`Skipped: ${skipped.map(c => `\`${c.text}\``).join(', ')}`);
+    } else {
+      sections.push(`✓ All ${total} steps completed.`);
+    }
+
+    trace.push({ state: failed ? STATES.ERROR : STATES.COMPLETE, completed: outcomes.length - (failed ? 1 : 0), failedClause: failed ? failed.clause.index : null });
+
+    return {
+      response: sections.join('\n\n'),
+      metrics: this._snapshot(),
+      trace,
+      deterministic: outcomes.every(o => o.result.deterministic),
+      chain: outcomes.map(({ clause, result }) => ({
+        index: clause.index,
+        text: clause.text,
+        intent: clause.classification.intent,
+        deterministic: !!result.deterministic,
+        validation: result.validation,
+        results: result.results,
+      })),
+      failedClause: failed ? { index: failed.clause.index, text: failed.clause.text, response: failed.result.response } : null,
+    };
+  }
+
+  /**
+   * Check every clause's plan against the approval policy before the first
+   * clause runs, so a chain asks (or is refused) with nothing executed yet.
+   * Clauses the model has to plan are checked when they're reached. Returns
+   * a refusal or a needs_approval result for the whole chain, or null.
+   */
+  _gateChain(input, clauses, constraints, trace) {
+    const asks = [];
+    for (const clause of clauses) {
+      const classification = { ...clause.classification, constraints };
+      if (classification.needsModel && ['no_pattern_match', 'low_confidence', 'user_declined'].includes(classification.reason)) continue;
+      const plan = planFromIntent(classification, clause.text);
+      if (plan.requiresModelForPlanning) continue;
+      const { refused, ask } = this._reviewApproval(plan.steps);
+      if (refused) {
+        const { index, step, risk, reason } = refused;
+        trace.push({ state: STATES.ERROR, clause: clause.index, refused: risk, step: index });
+        return {
+          response: `✗ Refused: clause ${clause.index + 1}/${clauses.length} (\`${clause.text}\`) — ${describeStep(step)} ${reason}, and the approval policy never allows ${risk} steps. Nothing was executed.`,
+          metrics: this._snapshot(),
+          trace,
+          deterministic: true,
+          validation: { valid: false, reason: `approval_${risk}` },
+          refused: { clause: clause.index, ...refused },
+          results: [],
+        };
+      }
+      asks.push(...ask.map(a => ({ ...a, clause })));
+    }
+    if (!asks.length) return null;
+
+    trace.push({ state: STATES.APPROVING, clauses: [...new Set(asks.map(a => a.clause.index))], risks: [...new Set(asks.flatMap(a => a.risks.map(r => r.risk)))] });
+    const lines = asks.map(a => `  [${a.clause.index + 1}/${clauses.length}] ${describeStep(a.step)} — ${a.risks.map(r => `${r.reason} (${r.risk})`).join('; ')}`);
+    return {
+      response: `This needs your approval before any of it runs:\n\n${lines.join('\n')}\n\nRun it? (y/n)`,
+      metrics: this._snapshot(),
+      trace,
+      deterministic: true,
+      status: 'needs_approval',
+      approval: { input, steps: asks.map(({ index, step, risks }) => ({ index, step, risks })), constraints },
+    };
+  }
+
+  /**
+   * Find the first plan step that violates a recorded constraint.
+   * Returns { index, step, constraint, negation } or null.
+   */
+  _checkConstraints(steps, classification) {
+    for (const constraint of classification.constraints || []) {
+      const check = CONSTRAINT_CHECKS[constraint];
+      if (!check) continue;
+      const index = steps.findIndex(step => check(step));
+      if (index !== -1) {
+        const negation = (classification.negations || []).find(n => n.text) || null;
+        return { index, step: steps[index], constraint, negation };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * What the approval policy says about steps ({ refused, ask } from
+   * reviewSteps), leaving out steps approved for this run
+   */
+  _reviewApproval(steps) {
+    const { refused, ask } = reviewSteps(steps, this.approval);
+    return { refused, ask: ask.filter(a => !this.approved.has(stepKey(a.step))) };
+  }
+
+  /**
+   * Check a plan against the approval policy before it runs. Returns a
+   * refusal (a step the policy never allows) or a needs_approval result to
+   * hand back instead, or null to go ahead.
+   */
+  _gate(input, steps, classification, trace) {
+    const { refused, ask } = this._reviewApproval(steps);
+    if (refused) {
+      const { index, step, risk, reason } = refused;
+      trace.push({ state: STATES.ERROR, refused: risk, step: index });
+      return {
+        response: `✗ Refused: step ${index + 1} (${describeStep(step)}) ${reason}, and the approval policy never allows ${risk} steps. Nothing was executed.`,
+        metrics: this._snapshot(),
+        trace,
+        deterministic: true,
+        validation: { valid: false, reason: `approval_${risk}` },
+        refused,
+        results: [],
+      };
+    }
+    if (!ask.length) return null;
+
+    // A paused plan counts as a task when it runs
+    this.metrics.totalTasks--;
+    this.metrics.byIntent[classification.intent]--;
+    trace.push({ state: STATES.APPROVING, steps: ask.map(a => a.index), risks: [...new Set(ask.flatMap(a => a.risks.map(r => r.risk)))] });
+    const lines = ask.map(a => `  ${a.index + 1}. ${describeStep(a.step)} — ${a.risks.map(r => `${r.reason} (${r.risk})`).join('; ')}`);
+    return {
+      response: `This needs your approval before it runs:\n\n${lines.join('\n')}\n\nRun it? (y/n)`,
+      metrics: this._snapshot(),
+      trace,
+      deterministic: true,
+      status: 'needs_approval',
+      approval: { input, steps: ask },
+    };
+  }
+
+  /**
+   * Refuse a plan that violates a constraint — nothing is executed
+   */
+  _refuse(refusal, classification, trace) {
+    const { index, step, constraint, negation } = refusal;
+    const detail = stepCommand(step) || `${step.tool} ${JSON.stringify(step.args || {})}`;
+    trace.push({ state: STATES.ERROR, refused: constraint, step: index });
+
+    return {
+      response: `✗ Refused: step ${index + 1} (\`${detail}\`) would violate "${constraint}"` +
+        (negation ? ` — you said "${negation.cue} ${negation.text}".` : '.') +
+        ` Nothing was executed.`,
+      metrics: this._snapshot(),
+      trace,
+      deterministic: true,
+      classification,
+      validation: { valid: false, reason: `constraint_${constraint}` },
+      refused: refusal,
+      results: [],
+    };
+  }
+
   /**
    * Track intent distribution for metrics
    */
@@ -397,6 +1287,7 @@ Respond with ONLY a JSON object containing the complete plan:
       `Model fallbacks:    ${m.modelFallbacks} (${m.modelFallbackRate})`,
       `  - For planning:   ${m.modelCallsForPlanning}`,
       `  - For response:   ${m.modelCallsForResponse}`,
+      `Recoveries:         ${m.recoveries}`,
       `Errors:             ${m.errors}`,
       `Intent distribution: ${JSON.stringify(m.byIntent, null, 2)}`,
       `═══════════════════════════\n`,
@@ -404,4 +1295,4 @@ Respond with ONLY a JSON object containing the complete plan:
   }
 }
 
-export { WorkflowOrchestrator, STATES, VALIDATORS, RESPONSE_TEMPLATES };
+export { WorkflowOrchestrator, STATES, VALIDATORS, CONSTRAINT_CHECKS, RESPONSE_TEMPLATES };
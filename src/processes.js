@@ -0,0 +1,433 @@
+/**
+ * Background Processes
+ *
+ * Long-running commands (dev servers, watchers, workers) started detached
+ * and tracked by name, with their pid, log file and ports:
+ *
+ *   "start the dev server in the background"  → start  (npm run dev, logs to a file)
+ *   "start npm run dev on port 5173"          → start  (dev / serve / watch commands
+ *                                                       and "on port N" don't return)
+ *   "what's running"                          → status
+ *   "show the server logs"                    → tail
+ *   "restart the server" / "stop the server"  → restart / stop
+ *   "what's running on port 3000"             → port   (registry, else lsof/ss)
+ *   "kill whatever is on port 3000"           → stop   (by port)
+ *
+ * Each process runs in its own process group so stopping it takes its
+ * children (npm → node) with it. stopAll() ends everything still running —
+ * the REPL calls it on exit.
+ */
+
+import { spawn } from 'child_process';
+import { closeSync, existsSync, mkdirSync, openSync, readFileSync, readSync, statSync } from 'fs';
+import { connect } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { shellQuote } from './git.js';
+
+const START_WAIT_MS = 1500;     // how long a start waits to catch an immediate crash
+const PORT_WAIT_MS = 15000;     // how long a start waits for an expected port to open
+const STOP_WAIT_MS = 5000;      // SIGTERM grace before SIGKILL
+const TAIL_LINES = 20;
+const TAIL_BYTES = 64 * 1024;  // how much of the end of a log readLog reads
+
+// name → { name, command, pid, cwd, log, ports, startedAt, exitCode, signal, stoppedAt }
+const registry = new Map();
+
+const sleep = (ms) => new Promise(resolveP => setTimeout(resolveP, ms));
+
+function alive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+const running = (entry) => entry.exitCode === undefined && !entry.stoppedAt && alive(entry.pid);
+
+function portOpen(port, host = '127.0.0.1') {
+  return new Promise((resolveP) => {
+    const socket = connect({ port, host });
+    const done = (open) => { socket.destroy(); resolveP(open); };
+    socket.setTimeout(500, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+function readLog(path, lines = TAIL_LINES) {
+  let fd;
+  try {
+    // Only the end of a large log is needed — read just its last bytes
+    const size = statSync(path).size;
+    const start = Math.max(0, size - TAIL_BYTES);
+    const buffer = Buffer.alloc(size - start);
+    fd = openSync(path, 'r');
+    const read = readSync(fd, buffer, 0, buffer.length, start);
+    let text = buffer.toString('utf-8', 0, read);
+    // Starting mid-file, the first line is likely cut (maybe mid-character)
+    if (start > 0) text = text.slice(text.indexOf('\n') + 1);
+    const tail = text.trimEnd().split('\n').slice(-lines);
+    while (tail.length && !tail[0].trim()) tail.shift();
+    return tail.join('\n');
+  } catch {
+    return '';
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+// "listening on http://localhost:5173", "port 3000"
+const LOG_PORT = /(?:localhost|127\.0\.0\.1|0\.0\.0\.0|\[::\]):(\d{2,5})\b|\bport\s+(\d{2,5})\b/gi;
+
+function logPorts(path) {
+  const ports = new Set();
+  for (const m of readLog(path, 200).matchAll(LOG_PORT)) ports.add(Number(m[1] || m[2]));
+  return [...ports];
+}
+
+/**
+ * The tracked process a request means: by name, by a word of its command,
+ * or the only candidate (running ones, or any when stopped is set).
+ * Returns { entry } or { error }.
+ */
+function findEntry(name, { stopped = false } = {}) {
+  const candidates = [...registry.values()].filter(e => stopped || running(e));
+  if (name && registry.has(name)) return { entry: registry.get(name) };
+  if (name) {
+    const hits = candidates.filter(e => e.command.split(/[\s/:]+/).includes(name));
+    if (hits.length === 1) return { entry: hits[0] };
+  }
+  if (candidates.length === 1) return { entry: candidates[0] };
+  if (!candidates.length) return { error: stopped ? 'No background processes have been started' : 'No background processes are running' };
+  return { error: `Which one? ${stopped ? 'Tracked' : 'Running'}: ${candidates.map(e => `\`${e.name}\``).join(', ')}` };
+}
+
+function snapshot(entry) {
+  const isRunning = running(entry);
+  return {
+    name: entry.name,
+    command: entry.command,
+    pid: entry.pid,
+    cwd: entry.cwd,
+    log: entry.log,
+    ports: [...new Set([...entry.ports, ...logPorts(entry.log)])],
+    status: isRunning ? 'running' : entry.stoppedAt ? 'stopped' : 'exited',
+    exitCode: entry.exitCode,
+    startedAt: entry.startedAt,
+    uptimeMs: isRunning ? Date.now() - entry.startedAt : null,
+  };
+}
+
+async function start({ name, command, port }, { root, logDir }) {
+  if (!command) return { success: false, error: 'Nothing to start — say which command to run' };
+  const existing = registry.get(name);
+  if (existing && running(existing)) {
+    return { success: false, error: `\`${name}\` is already running (pid ${existing.pid}) — restart it or stop it first` };
+  }
+  if (port && await portOpen(port)) return { success: false, error: `Port ${port} is already in use — see what's running on it first` };
+
+  mkdirSync(logDir, { recursive: true });
+  const log = join(logDir, `${name}.log`);
+  const fd = openSync(log, 'w');
+  const child = spawn('sh', ['-c', command], {
+    cwd: root,
+    detached: true,
+    stdio: ['ignore', fd, fd],
+    env: port ? { ...process.env, PORT: String(port) } : process.env,
+  });
+  closeSync(fd);
+  child.unref();
+
+  const entry = { name, command, pid: child.pid, cwd: root, log, ports: port ? [port] : [], startedAt: Date.now() };
+  child.on('exit', (code, signal) => {
+    entry.exitCode = code;
+    entry.signal = signal;
+  });
+  child.on('error', (err) => {
+    entry.exitCode = -1;
+    entry.error = err.message;
+  });
+  registry.set(name, entry);
+
+  // Catch commands that die straight away; wait for the port when there is one
+  const deadline = Date.now() + (port ? PORT_WAIT_MS : START_WAIT_MS);
+  while (Date.now() < deadline && running(entry)) {
+    if (port && await portOpen(port)) break;
+    await sleep(250);
+  }
+  const state = snapshot(entry);
+  if (state.status !== 'running') {
+    return { success: false, action: 'start', error: `\`${command}\` exited with code ${entry.exitCode ?? 'unknown'}`, process: state, tail: readLog(log, 10) };
+  }
+  const listening = port ? await portOpen(port) : null;
+  return { success: true, action: 'start', process: state, listening, tail: readLog(log, 5) };
+}
+
+async function stop(entry) {
+  const signal = (sig) => {
+    try {
+      process.kill(-entry.pid, sig); // the whole group
+    } catch {
+      try {
+        process.kill(entry.pid, sig);
+      } catch { /* already gone */ }
+    }
+  };
+  if (running(entry)) {
+    signal('SIGTERM');
+    const deadline = Date.now() + STOP_WAIT_MS;
+    while (Date.now() < deadline && alive(entry.pid)) await sleep(100);
+    if (alive(entry.pid)) signal('SIGKILL');
+  }
+  entry.stoppedAt = Date.now();
+  return snapshot(entry);
+}
+
+/**
+ * Who listens on port outside the registry: [{ pid, command }] via lsof,
+ * falling back to ss
+ */
+function portOwners(port, run) {
+  const owners = new Map();
+  const lsof = run(`lsof -nP -iTCP:${Number(port)} -sTCP:LISTEN -Fp`);
+  for (const m of (lsof.stdout || '').matchAll(/^p(\d+)$/gm)) owners.set(Number(m[1]), null);
+  if (!owners.size) {
+    const ss = run(`ss -ltnpH ${shellQuote(`sport = :${Number(port)}`)}`);
+    for (const m of (ss.stdout || '').matchAll(/pid=(\d+)/g)) owners.set(Number(m[1]), null);
+  }
+  return [...owners.keys()].map(pid => ({ pid, command: (run(`ps -o args= -p ${pid}`).stdout || '').trim() || null }));
+}
+
+/**
+ * Carry out a process action. root is the project directory, logDir where
+ * logs go, run(command) a short shell command (run_command's result shape).
+ */
+async function manageProcess(args, { root, logDir = join(tmpdir(), 'agent-processes'), run }) {
+  switch (args.action) {
+    case 'start':
+      return start({ name: args.name || 'process', command: args.command, port: args.port }, { root, logDir });
+
+    case 'status': {
+      const processes = [...registry.values()].map(snapshot);
+      return { success: true, action: 'status', processes };
+    }
+
+    case 'tail': {
+      const { entry, error } = findEntry(args.name, { stopped: true });
+      if (error) return { success: false, error };
+      return { success: true, action: 'tail', process: snapshot(entry), tail: readLog(entry.log, args.lines || TAIL_LINES) };
+    }
+
+    case 'stop':
+    case 'restart': {
+      if (args.port && !args.name) {
+        const tracked = [...registry.values()].find(e => running(e) && snapshot(e).ports.includes(args.port));
+        if (!tracked) {
+          if (args.action === 'restart') return { success: false, error: `Nothing this session started is on port ${args.port}` };
+          // Something started elsewhere
+          const owners = portOwners(args.port, run);
+          if (!owners.length) return { success: false, error: `Nothing is listening on port ${args.port}` };
+          for (const o of owners) {
+            try {
+              process.kill(o.pid, 'SIGTERM');
+            } catch (err) {
+              return { success: false, error: `Couldn't stop pid ${o.pid}: ${err.code === 'EPERM' ? 'not permitted' : err.message}` };
+            }
+          }
+          return { success: true, action: 'stop', port: args.port, owners };
+        }
+        args = { ...args, name: tracked.name };
+      }
+      const { entry, error } = findEntry(args.name);
+      if (error) return { success: false, error };
+      if (args.action === 'stop' && !running(entry)) return { success: false, error: `\`${entry.name}\` isn't running` };
+      const stopped = await stop(entry);
+      if (args.action === 'stop') return { success: true, action: 'stop', process: stopped };
+      return start({ name: entry.name, command: entry.command, port: entry.ports[0] }, { root: entry.cwd, logDir })
+        .then(result => ({ ...result, action: 'restart' }));
+    }
+
+    case 'port': {
+      const port = Number(args.port);
+      const tracked = [...registry.values()].filter(e => running(e) && snapshot(e).ports.includes(port)).map(snapshot);
+      if (tracked.length) return { success: true, action: 'port', port, tracked, owners: [] };
+      const owners = portOwners(port, run);
+      // No lsof/ss output but something answers: report it as in use
+      const open = owners.length ? true : await portOpen(port);
+      return { success: true, action: 'port', port, tracked: [], owners, open };
+    }
+
+    default:
+      return { success: false, error: `Unknown process action: ${args.action}` };
+  }
+}
+
+/**
+ * End every process still running (synchronous — safe in an exit handler)
+ */
+function stopAll() {
+  let stopped = 0;
+  for (const entry of registry.values()) {
+    if (!running(entry)) continue;
+    try {
+      process.kill(-entry.pid, 'SIGTERM');
+    } catch {
+      try {
+        process.kill(entry.pid, 'SIGTERM');
+      } catch { /* already gone */ }
+    }
+    entry.stoppedAt = Date.now();
+    stopped++;
+  }
+  return stopped;
+}
+
+// ── Planning ────────────────────────────────────────────────────────
+
+const PORT_QUERY = /\b(what|who|which\s+process)(?:'s|\s+is)?\b.*\b(running|listening|using)\b.*\bport\s+(\d{2,5})\b|\bport\s+(\d{2,5})\s+(?:is\s+)?(?:in\s+use|taken|busy|free|open)\b|\bis\s+(?:anything|something)\s+(?:running|listening)\s+on\s+port\s+(\d{2,5})\b/i;
+const FREE_PORT = /\b(kill|stop|free(?:\s+up)?|clear)\b.*\bport\s+(\d{2,5})\b/i;
+const STATUS = /\bwhat(?:'s|\s+is)\s+running\b|\b(list|show)\b.*\b(background|running)\b|\b(running|background)\s+(processes|servers|jobs)\b|\bprocess(es)?\s+status\b|\bis\s+the\s+\S+(\s+server)?\s+(still\s+)?running\b/i;
+const TAIL = /\b(logs?|output|tail)\b/i;
+const RESTART = /\brestart\b/i;
+const STOP = /\b(stop|kill|terminate|shut\s*down|end)\b/i;
+const START = /\b(start|run|launch|boot|spin\s+up|fire\s+up|serve)\b/i;
+
+// "the dev server" → script preference; a word before server/watcher/worker names the process
+const ROLE = /\b(dev(?:elopment)?|local|web|api|frontend|backend|preview|storybook|docs)?\s*(server|watcher|worker|daemon|process)\b/i;
+
+function readScripts(root) {
+  try {
+    return JSON.parse(readFileSync(join(root, 'package.json'), 'utf-8')).scripts || {};
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What to run for "start the dev server" / "start the watcher": the
+ * matching package.json script, else a Python entry point
+ */
+function defaultCommand(root, role, kind) {
+  const scripts = root ? readScripts(root) : null;
+  if (scripts) {
+    const candidates = kind === 'watcher' ? ['watch', 'dev']
+      : kind === 'worker' ? ['worker', 'start:worker']
+        : role && !/dev|local/i.test(role) ? [role, `${role}:dev`, `dev:${role}`, `start:${role}`, 'dev', 'start']
+          : role ? ['dev', 'start', 'serve'] : ['start', 'dev', 'serve'];
+    const script = candidates.find(s => scripts[s]);
+    if (script) return { command: script === 'start' ? 'npm start' : `npm run ${script}`, name: script === 'start' ? 'server' : script };
+    return null;
+  }
+  if (root && existsSync(join(root, 'manage.py'))) return { command: 'python3 manage.py runserver', name: 'server' };
+  const entry = root && ['app.py', 'main.py', 'server.py'].find(f => existsSync(join(root, f)));
+  return entry ? { command: `python3 ${entry}`, name: 'server' } : null;
+}
+
+/**
+ * Command written in the request: quoted, or after run/start up to
+ * "in the background"
+ */
+function explicitCommand(input) {
+  const m = input.match(/\b(?:run|start|launch)\s+((?:npm|npx|pnpm|yarn|node|python3?|deno|bun|go|cargo|make|docker|uvicorn|gunicorn|flask|rails|php|tsc|vite|next|nuxt|astro|nodemon|webpack|parcel|esbuild|hugo|jekyll)\b.*?)(?:\s+(?:in\s+the\s+background|detached|as\s+\S+|on\s+port\s+\d+))*\s*$/i);
+  if (m) return m[1].trim();
+  return input.match(/(["'`])(.+?)\1/)?.[2] || null;
+}
+
+// "npm run dev" → dev, "python3 -m http.server" → http.server
+const commandName = (command) => command.split(/\s+/)
+  .find(w => /^[\w.:-]+$/.test(w) && !w.startsWith('-') && !/^(npm|npx|pnpm|yarn|run|python3?|node|sh|bash)$/.test(w)) || 'process';
+
+/**
+ * Plan a process action. Returns { steps, requiresModelForPlanning,
+ * processAction }.
+ */
+function planProcess(input, entities, { root = null } = {}) {
+  const none = { steps: [], requiresModelForPlanning: true };
+  const plan = (args) => ({ steps: [{ tool: 'process', args }], requiresModelForPlanning: false, processAction: args.action });
+  const port = entities.ports?.[0];
+
+  const query = input.match(PORT_QUERY);
+  if (query) return plan({ action: 'port', port: Number(query[3] || query[4] || query[5]) });
+  const free = !RESTART.test(input) && input.match(FREE_PORT);
+  if (free && !ROLE.test(input)) return plan({ action: 'stop', port: Number(free[2]) });
+
+  const role = input.match(ROLE);
+  // "called web" / "as web" / "the web logs"
+  const named = input.match(/\b(?:called|named|as)\s+["']?([\w-]+)/i)?.[1]
+    || (!role && input.match(/\bthe\s+([\w-]+)\s+(?:logs?|output)\b/i)?.[1]);
+  const name = named || (role ? (role[1] ? role[1].toLowerCase().replace('development', 'dev') : role[2].toLowerCase()) : null);
+  const target = name === 'process' ? null : name;
+
+  if (STATUS.test(input) && !START.test(input.replace(/\bis\s+the\b.*\brunning\b/i, ''))) return plan({ action: 'status' });
+  if (TAIL.test(input) && !START.test(input)) return plan({ action: 'tail', ...(target && { name: target }) });
+  if (RESTART.test(input)) return plan({ action: 'restart', ...(target && { name: target }) });
+  if (STOP.test(input)) return plan({ action: 'stop', ...(target && { name: target }), ...(port && !target && { port }) });
+  if (START.test(input)) {
+    const command = explicitCommand(input);
+    if (command) return plan({ action: 'start', name: named || commandName(command), command, ...(port && { port }) });
+    const found = defaultCommand(root, role?.[1], role?.[2]?.toLowerCase());
+    if (!found) return none;
+    return plan({ action: 'start', name: named || (role?.[1] ? target : found.name), command: found.command, ...(port && { port }) });
+  }
+  return none;
+}
+
+// ── Rendering ───────────────────────────────────────────────────────
+
+function duration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+const portsLabel = (p) => (p.ports.length ? ` on port ${p.ports.join(', ')}` : '');
+const indent = (text) => text.split('\n').map(l => `  ${l}`).join('\n');
+
+function renderProcess(result) {
+  const p = result.process;
+  switch (result.action) {
+    case 'start':
+    case 'restart': {
+      const verb = result.action === 'start' ? 'Started' : 'Restarted';
+      const listening = result.listening === false ? ` — port ${p.ports[0]} isn't open yet` : '';
+      return `✓ ${verb} \`${p.name}\` (\`${p.command}\`, pid ${p.pid})${portsLabel(p)}${listening}\nLogs: ${p.log}` +
+        (result.tail ? `\n\n${indent(result.tail)}` : '');
+    }
+    case 'status': {
+      if (!result.processes.length) return 'No background processes have been started.';
+      const rows = result.processes.map(x => [x.name, x.status === 'running' ? `running ${duration(x.uptimeMs)}` : x.status === 'exited' ? `exited (${x.exitCode})` : 'stopped',
+        String(x.pid), x.ports.join(', '), x.command]);
+      const widths = [0, 1, 2, 3].map(i => Math.max(['Name', 'Status', 'PID', 'Ports'][i].length, ...rows.map(r => r[i].length)));
+      const line = (cells) => `  ${cells.map((c, i) => (i < 4 ? c.padEnd(widths[i]) : c)).join('  ')}`;
+      return `Background processes:\n\n${[line(['Name', 'Status', 'PID', 'Ports', 'Command']), ...rows.map(line)].join('\n')}`;
+    }
+    case 'tail':
+      return `Last lines of \`${p.name}\` (${p.status}) — ${p.log}:\n\n${result.tail ? indent(result.tail) : '  (no output yet)'}`;
+    case 'stop':
+      if (result.owners) return `✓ Stopped ${result.owners.map(o => `pid ${o.pid}${o.command ? ` (\`${o.command}\`)` : ''}`).join(', ')} on port ${result.port}.`;
+      return `✓ Stopped \`${p.name}\` (pid ${p.pid}${p.startedAt ? `, ran ${duration(Date.now() - p.startedAt)}` : ''}).`;
+    case 'port': {
+      if (result.tracked.length) return result.tracked.map(x => `Port ${result.port}: \`${x.name}\` (\`${x.command}\`, pid ${x.pid}) — started here`).join('\n');
+      if (result.owners.length) return result.owners.map(o => `Port ${result.port}: pid ${o.pid}${o.command ? ` — \`${o.command}\`` : ''}`).join('\n');
+      return result.open ? `Port ${result.port} is in use, but the owning process isn't visible.` : `Nothing is listening on port ${result.port}.`;
+    }
+    default:
+      return 'Done.';
+  }
+}
+
+function renderProcessFailure(result) {
+  return `✗ ${result.error || 'Process action failed'}${result.tail ? `\n\n${indent(result.tail)}` : ''}`;
+}
+
+export {
+  manageProcess,
+  stopAll,
+  planProcess,
+  renderProcess,
+  renderProcessFailure,
+};
@@ -0,0 +1,170 @@
+/**
+ * Error Recovery
+ *
+ * Deterministic fixes for failures with a known cause, matched on the
+ * validator's reason and the failed step's error, stderr and stdout:
+ *
+ *   Cannot find module 'x' / No module named 'x'  → add x, retry the step
+ *   ENOENT under a directory that doesn't exist   → create it, retry
+ *   HTTP 429                                      → wait (Retry-After, else backoff), retry
+ *   not a git repository                          → offer `git init` (never run unasked)
+ *   EADDRINUSE on a port                          → offer to find what holds it
+ *
+ * The orchestrator tries at most maxRetries recoveries per plan and records
+ * each attempt in the trace. A fix that a constraint forbids ("without
+ * installing anything") or the approval policy asks about (adding a package
+ * is a dependency_change) is offered instead of run.
+ */
+
+import { existsSync } from 'fs';
+import { builtinModules } from 'module';
+import { dirname, isAbsolute, relative, resolve } from 'path';
+import { shellQuote } from './git.js';
+import { detectManager } from './dependencies.js';
+
+const MAX_BACKOFF_MS = 30000;
+
+// Import names whose pip package is called something else
+const PIP_NAMES = {
+  yaml: 'pyyaml',
+  cv2: 'opencv-python',
+  PIL: 'pillow',
+  sklearn: 'scikit-learn',
+  bs4: 'beautifulsoup4',
+  dotenv: 'python-dotenv',
+  dateutil: 'python-dateutil',
+};
+
+/**
+ * Everything a failed step said about why it failed
+ */
+function failureText(record) {
+  const result = record?.result;
+  return [record?.error, result?.error, result?.stderr, result?.stdout].filter(v => typeof v === 'string').join('\n');
+}
+
+/**
+ * "lodash/fp" → lodash, "@scope/pkg/sub" → @scope/pkg; null for relative
+ * paths and Node built-ins
+ */
+function packageOf(specifier) {
+  if (/^[./]/.test(specifier) || specifier.startsWith('node:')) return null;
+  const parts = specifier.split('/');
+  const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  return builtinModules.includes(name) ? null : name;
+}
+
+const RECOVERY_RULES = [
+  {
+    id: 'missing_module',
+    match(text) {
+      const node = text.match(/Cannot find (?:module|package) '([^']+)'/);
+      if (node) {
+        const pkg = packageOf(node[1]);
+        return pkg && { pkg, python: false, cause: `Cannot find module '${node[1]}'` };
+      }
+      const python = text.match(/(?:ModuleNotFoundError|ImportError): No module named '([\w.]+)'/);
+      if (python) {
+        const top = python[1].split('.')[0];
+        return { pkg: PIP_NAMES[top] || top, python: true, cause: `No module named '${python[1]}'` };
+      }
+      return null;
+    },
+    recover({ pkg, python, cause }, { root }) {
+      // A Python error in a Node project (or the reverse) still needs its own manager
+      const detected = root ? detectManager(root)?.manager : null;
+      const manager = python
+        ? (['pip', 'poetry'].includes(detected) ? detected : 'pip')
+        : (['npm', 'pnpm', 'yarn'].includes(detected) ? detected : 'npm');
+      return {
+        cause,
+        steps: [{ tool: 'dependencies', args: { action: 'add', packages: [pkg], manager } }],
+        summary: `added \`${pkg}\` with ${manager}`,
+      };
+    },
+  },
+
+  {
+    id: 'missing_directory',
+    match(text, { root, record }) {
+      // Where something was being written: "cannot create regular file 'out/a'",
+      // "rename 'a' -> 'out/a'", or (outside plain reads) "ENOENT: ..., open 'out/a.json'"
+      const written = text.match(/cannot create (?:regular file|directory) '([^'\n]+)'|cannot move '[^'\n]+' to '([^'\n]+)'|ENOENT: no such file or directory, (?:rename|copyfile|link|symlink) '[^'\n]+' -> '([^'\n]+)'/)
+        || (record?.tool !== 'read_file' && text.match(/ENOENT: no such file or directory, open '([^'\n]+)'/));
+      const path = written && written.slice(1).find(Boolean);
+      if (!path) return null;
+      const dir = dirname(resolve(root || '.', path));
+      // Only inside the project, and only when the directory is what's missing
+      if ((root && relative(root, dir).startsWith('..')) || existsSync(dir)) return null;
+      const shown = root && isAbsolute(path) ? relative(root, dir) : dirname(path);
+      return { dir: shown, cause: `\`${shown}/\` doesn't exist` };
+    },
+    recover({ dir, cause }) {
+      return {
+        cause,
+        steps: [{ tool: 'run_command', args: { command: `mkdir -p ${shellQuote(dir)}` } }],
+        summary: `created \`${dir}/\``,
+      };
+    },
+  },
+
+  {
+    id: 'rate_limited',
+    match(text, { validation, record }) {
+      const status = record?.result?.statusCode ?? record?.result?.status;
+      if (status !== 429 && validation?.reason !== 'http_429' && !/\b429\b.*too many requests/i.test(text)) return null;
+      const retryAfter = Number(record?.result?.headers?.['retry-after']);
+      return { retryAfter: Number.isFinite(retryAfter) ? retryAfter : null };
+    },
+    recover({ retryAfter }, { attempt }) {
+      const delayMs = Math.min(retryAfter !== null ? retryAfter * 1000 : 1000 * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+      return {
+        cause: 'HTTP 429 Too Many Requests',
+        steps: [],
+        delayMs,
+        summary: `waited ${delayMs / 1000}s${retryAfter !== null ? ' (Retry-After)' : ''} and retried`,
+      };
+    },
+  },
+
+  {
+    id: 'not_a_git_repository',
+    match: (text) => /not a git repository/i.test(text) || null,
+    recover: () => ({
+      cause: 'not a git repository',
+      offer: 'This directory isn\'t a git repository — say `git init` to create one.',
+    }),
+  },
+
+  {
+    id: 'port_in_use',
+    match(text) {
+      const m = text.match(/EADDRINUSE[^\n]*?:(\d{2,5})\b|address already in use[^\n]*?:(\d{2,5})\b|port (\d{2,5}) is already in use/i);
+      return m && { port: m[1] || m[2] || m[3] };
+    },
+    recover: ({ port }) => ({
+      cause: `port ${port} is already in use`,
+      offer: `Port ${port} is already in use — ask \`what's running on port ${port}\` to see what holds it, or \`free up port ${port}\`.`,
+    }),
+  },
+];
+
+/**
+ * The first rule that explains a failed step. record is the step record
+ * ({ tool, args, result, error }), validation the validator's verdict;
+ * attempt counts from 1. Returns { rule, cause, steps, delayMs, summary }
+ * for a fix, { rule, cause, offer } for a suggestion, or null.
+ */
+function findRecovery(record, validation, { root = null, attempt = 1 } = {}) {
+  const text = [failureText(record), validation?.stderr].filter(Boolean).join('\n');
+  for (const rule of RECOVERY_RULES) {
+    const match = rule.match(text, { root, validation, record });
+    if (match) return { rule: rule.id, ...rule.recover(match === true ? {} : match, { root, attempt }) };
+  }
+  return null;
+}
+
+export {
+  RECOVERY_RULES,
+  findRecovery,
+};
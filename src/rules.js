@@ -0,0 +1,500 @@
+/**
+ * Classifier Rule Packs
+ *
+ * Declarative task type definitions loaded from JSON or YAML files, so
+ * teams can add intents without forking classifier.js.
+ *
+ * Precedence (later wins):
+ *   1. built-in pack (TASK_TYPES in classifier.js)
+ *   2. user packs     (~/.agent/rules, or AGENT_RULES_DIR)
+ *   3. project packs  (<workingDirectory>/rules)
+ * Within a directory, packs are applied in filename order.
+ *
+ * Pack format:
+ *   {
+ *     "name": "team-pack",
+ *     "taskTypes": {
+ *       "DB_MIGRATION": {
+ *         "id": "db_migration",
+ *         "patterns": ["\\bmigrat(e|ion)\\b", "/\\bschema\\b.*\\bchange/i"],
+ *         "keywords": ["migrate", "migration"],
+ *         "tools": ["run_command"],
+ *         "confidence_boost": 0.1,
+ *         "boost_entities": ["filePaths"]
+ *       },
+ *       "DEPLOYMENT": { "disabled": true }
+ *     }
+ *   }
+ *
+ * Fields given for an existing type replace the inherited ones.
+ * Patterns are "/source/flags" or a bare source (compiled with "i").
+ * Any pattern or keyword can carry a stable id for explanations —
+ * { "id": "migrate-verb", "pattern": "..." } / { "id": "...", "keyword": "..." };
+ * without one it is "<type id>:p<n>" / "<type id>:k<n>".
+ *
+ * Trained confidence weights (calibration.js) live next to the packs as
+ * classifier.weights.json — project dir first, then user dir.
+ */
+
+import { existsSync, readdirSync, readFileSync, watch } from 'fs';
+import { homedir } from 'os';
+import { resolve, join, extname, basename, dirname } from 'path';
+import { TASK_TYPES } from './classifier.js';
+import { TOOL_DEFINITIONS } from './tools.js';
+import { applyWeights, readWeightsFile } from './calibration.js';
+
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const WEIGHTS_FILE = 'classifier.weights.json';
+const ENTITY_KEYS = [
+  'filePaths', 'urls', 'commands', 'packages', 'gitOps',
+  'lineRanges', 'symbols', 'branches', 'tags', 'ports', 'envVars', 'quoted', 'globs', 'existingPaths',
+];
+// Looked up on use: tools.js is still initialising when it is the entry
+// point (tools → analysis → workspace → classifier → scaffold → rules)
+const isKnownTool = (name) => TOOL_DEFINITIONS.some(t => t.name === name);
+const RULE_ID = /^[\w.:-]+$/;
+
+// ── YAML (subset) ───────────────────────────────────────────────────
+
+/**
+ * Parse the YAML subset rule packs need: block mappings, block sequences,
+ * flow sequences, quoted/plain scalars and comments. No anchors or
+ * multi-line strings — use JSON for anything fancier.
+ */
+function parseYaml(text) {
+  const lines = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = stripYamlComment(raw);
+    if (!line.trim() || line.trim() === '---') continue;
+    lines.push({ indent: line.match(/^ */)[0].length, text: line.trim() });
+  }
+
+  let pos = 0;
+
+  function parseBlock(indent) {
+    if (pos >= lines.length) return null;
+    return lines[pos].text.startsWith('- ') || lines[pos].text === '-'
+      ? parseSequence(indent)
+      : parseMapping(indent);
+  }
+
+  function parseSequence(indent) {
+    const out = [];
+    while (pos < lines.length && lines[pos].indent === indent && /^-( |$)/.test(lines[pos].text)) {
+      const rest = lines[pos].text.slice(1).trim();
+      if (!rest) {
+        pos++;
+        out.push(pos < lines.length && lines[pos].indent > indent ? parseBlock(lines[pos].indent) : null);
+      } else if (/^[^'"[{][^:]*:(\s|$)/.test(rest)) {
+        // "- key: value" starts an inline mapping; re-read it at the item's indent
+        lines[pos] = { indent: indent + 2, text: rest };
+        out.push(parseMapping(indent + 2));
+      } else {
+        pos++;
+        out.push(parseScalar(rest));
+      }
+    }
+    return out;
+  }
+
+  function parseMapping(indent) {
+    const out = {};
+    while (pos < lines.length && lines[pos].indent === indent) {
+      const { text: entry } = lines[pos];
+      const match = entry.match(/^("[^"]*"|'[^']*'|[^:]+):(?:\s+(.*))?$/);
+      if (!match) throw new Error(`YAML: cannot parse line "${entry}"`);
+      const key = parseScalar(match[1].trim());
+      pos++;
+      if (match[2] !== undefined && match[2] !== '') {
+        out[key] = parseScalar(match[2]);
+      } else if (pos < lines.length && lines[pos].indent > indent) {
+        out[key] = parseBlock(lines[pos].indent);
+      } else if (pos < lines.length && lines[pos].indent === indent && /^-( |$)/.test(lines[pos].text)) {
+        out[key] = parseSequence(indent); // sequences may sit at the key's indent
+      } else {
+        out[key] = null;
+      }
+    }
+    return out;
+  }
+
+  const result = parseBlock(lines[0]?.indent || 0);
+  if (pos < lines.length) throw new Error(`YAML: unexpected indentation at "${lines[pos].text}"`);
+  return result;
+}
+
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+  return line;
+}
+
+function parseScalar(value) {
+  const v = value.trim();
+  if (v.startsWith('[') && v.endsWith(']')) {
+    const inner = v.slice(1, -1).trim();
+    return inner ? splitFlow(inner).map(parseScalar) : [];
+  }
+  if (v.startsWith('"') && v.endsWith('"')) return JSON.parse(v);
+  if (v.startsWith("'") && v.endsWith("'")) return v.slice(1, -1).replace(/''/g, "'");
+  if (v === 'true') return true;
+  if (v === 'false') return false;
+  if (v === 'null' || v === '~') return null;
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  return v;
+}
+
+function splitFlow(inner) {
+  const parts = [];
+  let quote = null;
+  let current = '';
+  for (const ch of inner) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+// ── Validation & compilation ────────────────────────────────────────
+
+/**
+ * Compile a pattern from "/source/flags", a bare source string or a RegExp.
+ * The g and y flags are refused: they make test() carry lastIndex from one
+ * input to the next, so the same input would match only every other time.
+ */
+function compilePattern(pattern) {
+  if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) throw new Error('pattern must be a string');
+  const literal = typeof pattern === 'string' && pattern.match(/^\/(.+)\/([a-z]*)$/s);
+  const compiled = pattern instanceof RegExp ? pattern
+    : literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, 'i');
+  const stateful = compiled.flags.replace(/[^gy]/g, '');
+  if (stateful) throw new Error(`the ${stateful.split('').join(' and ')} flag${stateful.length > 1 ? 's make' : ' makes'} matching stateful — remove ${stateful.length > 1 ? 'them' : 'it'}`);
+  return compiled;
+}
+
+/**
+ * A pattern or keyword entry is either the bare value or { id, pattern } /
+ * { id, keyword } — returns { id (null if none), value }
+ */
+function ruleEntry(entry, field) {
+  if (entry && typeof entry === 'object' && !(entry instanceof RegExp)) {
+    return { id: entry.id ?? null, value: entry[field] };
+  }
+  return { id: null, value: entry };
+}
+
+/**
+ * Serialise a compiled pattern back to the "/source/flags" pack form.
+ */
+function serializePattern(pattern) {
+  return `/${pattern.source}/${pattern.flags}`;
+}
+
+/**
+ * Validate one task type definition from a pack. Returns the compiled
+ * (partial) definition plus any errors — only fields present are returned,
+ * so overrides can inherit the rest.
+ */
+function compileTaskType(typeName, def, packName) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ pack: packName, type: typeName, field, message });
+  const out = {};
+
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    fail(null, 'task type must be an object');
+    return { type: out, errors };
+  }
+
+  if (def.id !== undefined) {
+    if (typeof def.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(def.id)) fail('id', 'id must be snake_case');
+    else out.id = def.id;
+  }
+
+  if (def.patterns !== undefined) {
+    if (!Array.isArray(def.patterns)) {
+      fail('patterns', 'patterns must be an array');
+    } else {
+      out.patterns = [];
+      out.pattern_ids = [];
+      def.patterns.forEach((entry, i) => {
+        const { id, value: p } = ruleEntry(entry, 'pattern');
+        if (id !== null && !RULE_ID.test(id)) {
+          fail(`patterns[${i}]`, `invalid rule id ${JSON.stringify(id)}`);
+          return;
+        }
+        try {
+          out.patterns.push(compilePattern(p));
+          out.pattern_ids.push(id);
+        } catch (err) {
+          fail(`patterns[${i}]`, `invalid regex ${JSON.stringify(String(p))}: ${err.message}`);
+        }
+      });
+    }
+  }
+
+  if (def.keywords !== undefined) {
+    const entries = Array.isArray(def.keywords) ? def.keywords.map(k => ruleEntry(k, 'keyword')) : null;
+    if (!entries || entries.some(k => typeof k.value !== 'string' || !k.value.trim())) {
+      fail('keywords', 'keywords must be an array of non-empty strings');
+    } else if (entries.some(k => k.id !== null && !RULE_ID.test(k.id))) {
+      fail('keywords', `invalid rule id(s): ${entries.filter(k => k.id !== null && !RULE_ID.test(k.id)).map(k => JSON.stringify(k.id)).join(', ')}`);
+    } else {
+      out.keywords = entries.map(k => k.value);
+      out.keyword_ids = entries.map(k => k.id);
+    }
+  }
+
+  const ids = [...(out.pattern_ids || []), ...(out.keyword_ids || [])].filter(Boolean);
+  const duplicates = ids.filter((id, i) => ids.indexOf(id) !== i);
+  if (duplicates.length) fail(null, `duplicate rule id(s): ${[...new Set(duplicates)].join(', ')}`);
+
+  if (def.tools !== undefined) {
+    if (!Array.isArray(def.tools)) {
+      fail('tools', 'tools must be an array');
+    } else {
+      const unknown = def.tools.filter(t => !isKnownTool(t));
+      if (unknown.length) fail('tools', `unknown tool(s): ${unknown.join(', ')}`);
+      else out.tools = [...def.tools];
+    }
+  }
+
+  if (def.confidence_boost !== undefined) {
+    const b = def.confidence_boost;
+    if (typeof b !== 'number' || b < 0 || b > 1) fail('confidence_boost', 'confidence_boost must be a number between 0 and 1');
+    else out.confidence_boost = b;
+  }
+
+  if (def.boost_entities !== undefined) {
+    const bad = Array.isArray(def.boost_entities)
+      ? def.boost_entities.filter(e => !ENTITY_KEYS.includes(e))
+      : null;
+    if (!bad) fail('boost_entities', 'boost_entities must be an array');
+    else if (bad.length) fail('boost_entities', `unknown entity type(s): ${bad.join(', ')} (expected ${ENTITY_KEYS.join(', ')})`);
+    else out.boost_entities = [...def.boost_entities];
+  }
+
+  return { type: out, errors };
+}
+
+/**
+ * Read and parse a single pack file. Throws on unreadable/unparseable input.
+ */
+function readPackFile(path) {
+  const text = readFileSync(path, 'utf-8');
+  const data = extname(path) === '.json' ? JSON.parse(text) : parseYaml(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('pack must be an object');
+  if (!data.taskTypes || typeof data.taskTypes !== 'object') throw new Error('pack is missing "taskTypes"');
+  return {
+    name: data.name || basename(path, extname(path)),
+    source: path,
+    taskTypes: data.taskTypes,
+  };
+}
+
+/**
+ * List pack files in a directory, in application order.
+ */
+function listPackFiles(dir) {
+  if (!dir || !existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(f => PACK_EXTENSIONS.includes(extname(f)) && f !== WEIGHTS_FILE)
+    .sort()
+    .map(f => join(dir, f));
+}
+
+/**
+ * Merge packs (lowest precedence first) over a base set of task types —
+ * the built-in pack unless given. Invalid fields are dropped and reported;
+ * a type that ends up without patterns/keywords/tools is skipped entirely.
+ */
+function mergeRulePacks(packs, base = TASK_TYPES) {
+  const taskTypes = {};
+  const errors = [];
+
+  for (const [name, def] of Object.entries(base)) taskTypes[name] = { ...def };
+
+  for (const pack of packs) {
+    for (const [typeName, def] of Object.entries(pack.taskTypes)) {
+      if (def && def.disabled === true) {
+        delete taskTypes[typeName];
+        continue;
+      }
+
+      const compiled = compileTaskType(typeName, def, pack.name);
+      errors.push(...compiled.errors);
+
+      const merged = {
+        id: typeName.toLowerCase(),
+        patterns: [],
+        keywords: [],
+        tools: [],
+        confidence_boost: 0,
+        boost_entities: [],
+        ...taskTypes[typeName],
+        ...compiled.type,
+        pack: pack.name,
+      };
+
+      if (merged.patterns.length === 0 && merged.keywords.length === 0) {
+        errors.push({ pack: pack.name, type: typeName, field: null, message: 'task type has no valid patterns or keywords — skipped' });
+        continue;
+      }
+      if (merged.tools.length === 0) {
+        errors.push({ pack: pack.name, type: typeName, field: 'tools', message: 'task type has no valid tools — skipped' });
+        continue;
+      }
+
+      taskTypes[typeName] = merged;
+    }
+  }
+
+  return { taskTypes, errors };
+}
+
+/**
+ * Resolve the user and project rule directories for a config.
+ */
+function ruleDirectories(config = {}) {
+  const cwd = config.workingDirectory || process.cwd();
+  return {
+    user: config.userRulesDir || process.env.AGENT_RULES_DIR || join(homedir(), '.agent', 'rules'),
+    project: resolve(cwd, config.rulesDir || 'rules'),
+  };
+}
+
+/**
+ * Load all rule packs for a config and merge them with the built-in pack.
+ *
+ * Returns { taskTypes, packs, errors } — errors never throw, so a broken
+ * team pack degrades to the built-in behaviour instead of killing the REPL.
+ */
+function loadRulePacks(config = {}) {
+  const dirs = ruleDirectories(config);
+  const packs = [];
+  const errors = [];
+
+  for (const path of [...listPackFiles(dirs.user), ...listPackFiles(dirs.project)]) {
+    try {
+      packs.push(readPackFile(path));
+    } catch (err) {
+      errors.push({ pack: basename(path), type: null, field: null, message: err.message });
+    }
+  }
+
+  const merged = mergeRulePacks(packs);
+  let taskTypes = merged.taskTypes;
+  let weights = null;
+
+  const weightsPath = [dirs.project, dirs.user].map(d => join(d, WEIGHTS_FILE)).find(existsSync);
+  if (weightsPath) {
+    try {
+      const file = readWeightsFile(weightsPath);
+      const applied = applyWeights(taskTypes, file);
+      taskTypes = applied.taskTypes;
+      weights = { source: weightsPath, trainedAt: file.trainedAt, ece: file.calibration?.after?.ece, stale: applied.stale };
+    } catch (err) {
+      errors.push({ pack: WEIGHTS_FILE, type: null, field: null, message: err.message });
+    }
+  }
+
+  return {
+    taskTypes,
+    packs: [{ name: 'builtin', source: 'built-in' }, ...packs.map(p => ({ name: p.name, source: p.source }))],
+    weights,
+    errors: [...errors, ...merged.errors],
+  };
+}
+
+/**
+ * Watch the rule directories and call onChange (debounced) when a pack
+ * changes. A directory that doesn't exist yet is waited for from its
+ * nearest existing parent, and watched (with a reload) once it appears.
+ * Returns a function that stops watching.
+ */
+function watchRulePacks(config, onChange, debounceMs = 200) {
+  const watchers = new Set();
+  let timer = null;
+  const changed = () => {
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  };
+  const open = (dir, listener) => {
+    try {
+      const watcher = watch(dir, listener);
+      watchers.add(watcher);
+      return watcher;
+    } catch {
+      return null; /* fs.watch unsupported on this platform/dir */
+    }
+  };
+
+  const watchDir = (dir) => {
+    if (existsSync(dir)) {
+      open(dir, (event, file) => {
+        if (file && !PACK_EXTENSIONS.includes(extname(file))) return;
+        changed();
+      });
+      return;
+    }
+    let parent = dirname(dir);
+    while (!existsSync(parent) && dirname(parent) !== parent) parent = dirname(parent);
+    const waiting = open(parent, () => {
+      if (!existsSync(dir) && existsSync(parent)) {
+        // A level in between may have appeared — wait from there instead
+        let nearest = dirname(dir);
+        while (!existsSync(nearest)) nearest = dirname(nearest);
+        if (nearest === parent) return;
+      }
+      waiting.close();
+      watchers.delete(waiting);
+      watchDir(dir);
+      if (existsSync(dir)) changed();
+    });
+  };
+
+  for (const dir of Object.values(ruleDirectories(config))) watchDir(dir);
+
+  return () => {
+    clearTimeout(timer);
+    for (const w of watchers) w.close();
+  };
+}
+
+/**
+ * One-line description of a rule pack validation error.
+ */
+function formatRuleError(err) {
+  const where = [err.pack, err.type, err.field].filter(Boolean).join(' › ');
+  return `${where}: ${err.message}`;
+}
+
+export {
+  loadRulePacks,
+  mergeRulePacks,
+  compileTaskType,
+  compilePattern,
+  serializePattern,
+  ruleDirectories,
+  watchRulePacks,
+  WEIGHTS_FILE,
+  formatRuleError,
+  parseYaml,
+};
@@ -0,0 +1,655 @@
+/**
+ * Project Scaffolding
+ *
+ * Templates that turn "set up a new express api called clients-api on
+ * port 4000 with jest" into a fixed plan of create_file and run_command
+ * steps — no model involved:
+ *
+ *   node-library  — ESM package with a test            ("new node library")
+ *   express-api   — Express + SQLite CRUD API          ("express api", "rest server")
+ *   cli           — bin script with parseArgs          ("cli tool")
+ *   static-site   — index.html, styles.css, script.js  ("static site")
+ *
+ * Parameters come from the input: name ("called x" / "named x"), port,
+ * test framework (node:test unless jest / vitest / mocha is named) and,
+ * for APIs, the resource ("for managing clients"). The project goes in a
+ * directory named after it ("here" scaffolds into the current one), and
+ * files that already exist are never overwritten.
+ *
+ * Teams register their own templates as directories:
+ *
+ *   templates/fastify-service/
+ *     template.json   { "description": "...", "match": ["\\bfastify\\b"],
+ *                       "params": { "port": 8080 }, "commands": ["npm install fastify"] }
+ *     files/...       copied with {{param}} substituted in contents and paths
+ *
+ * Precedence (later wins, and is matched first):
+ *   1. built-in templates
+ *   2. user templates     (~/.agent/templates, or AGENT_TEMPLATES_DIR)
+ *   3. project templates  (<workingDirectory>/templates)
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { resolve, join, relative, sep } from 'path';
+import { compilePattern, parseYaml } from './rules.js';
+
+const MANIFESTS = ['template.json', 'template.yaml', 'template.yml'];
+const PROJECT_NAME = /^@?[\w.-]+(?:\/[\w.-]+)?$/;
+// Installs can compile native modules — allow more than run_command's default minute
+const COMMAND_TIMEOUT_MS = 5 * 60 * 1000;
+
+// What each test framework changes in the generated files
+const TEST_FRAMEWORKS = {
+  node: { testScript: 'node --test', testImport: "import { test } from 'node:test';\n", testFn: 'test', devDependencies: [] },
+  jest: { testScript: 'node --experimental-vm-modules node_modules/jest/bin/jest.js', testImport: '', testFn: 'test', devDependencies: ['jest'] },
+  vitest: { testScript: 'vitest run', testImport: "import { test } from 'vitest';\n", testFn: 'test', devDependencies: ['vitest'] },
+  mocha: { testScript: 'mocha', testImport: '', testFn: 'it', devDependencies: ['mocha'] },
+};
+
+// ── Built-in templates ──────────────────────────────────────────────
+// Listed lowest precedence first: a "node cli tool" is a cli, not a library.
+
+const GITIGNORE = 'node_modules/\n';
+
+const BUILTIN_TEMPLATES = {
+  'node-library': {
+    id: 'node-library',
+    description: 'ESM package with a test',
+    match: [/\b(library|lib|package|module)\b(?!\.)/i],
+    params: { name: 'my-lib' },
+    commands: ['{{installTest}}'],
+    files: [
+      {
+        path: 'package.json',
+        content: `{
+  "name": "{{name}}",
+  "version": "0.1.0",
+  "type": "module",
+  "main": "src/index.js",
+  "exports": "./src/index.js",
+  "scripts": {
+    "test": "{{testScript}}"
+  },
+  "license": "MIT"
+}
+`,
+      },
+      {
+        path: 'src/index.js',
+        content: `/**
+ * Greet someone by name.
+ * @param {string} name
+ * @returns {string}
+ */
+export function greet(name) {
+  return 'Hello, ' + name + '!';
+}
+`,
+      },
+      {
+        path: 'test/index.test.js',
+        content: `{{testImport}}import assert from 'node:assert/strict';
+import { greet } from '../src/index.js';
+
+{{testFn}}('greet says hello', () => {
+  assert.equal(greet('world'), 'Hello, world!');
+});
+`,
+      },
+      { path: 'README.md', content: "# {{name}}\n\n```js\nimport { greet } from '{{name}}';\n\ngreet('world'); // 'Hello, world!'\n```\n\nRun the tests with `npm test`.\n" },
+      { path: '.gitignore', content: GITIGNORE },
+    ],
+  },
+
+  'static-site': {
+    id: 'static-site',
+    description: 'HTML, CSS and a script — no build step',
+    match: [/\b(static\s+(site|website|page)|website|landing\s+page|html\s+(site|page))\b/i],
+    params: { name: 'my-site' },
+    commands: [],
+    files: [
+      {
+        path: 'index.html',
+        content: `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>{{name}}</title>
+  <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+  <main>
+    <h1>{{name}}</h1>
+    <p id="greeting"></p>
+  </main>
+  <script src="script.js" defer></script>
+</body>
+</html>
+`,
+      },
+      {
+        path: 'styles.css',
+        content: `*, *::before, *::after { box-sizing: border-box; }
+
+body {
+  margin: 0;
+  font-family: system-ui, sans-serif;
+  line-height: 1.5;
+  color: #1f2328;
+}
+
+main {
+  max-width: 40rem;
+  margin: 4rem auto;
+  padding: 0 1rem;
+}
+`,
+      },
+      { path: 'script.js', content: "document.getElementById('greeting').textContent = 'Hello from {{name}}!';\n" },
+      { path: 'README.md', content: '# {{name}}\n\nOpen `index.html` in a browser, or serve the directory with `npx serve .`.\n' },
+    ],
+  },
+
+  'express-api': {
+    id: 'express-api',
+    description: 'Express REST API with SQLite, CORS, logging and a health check',
+    match: [/\b(express|api|rest|server|backend|endpoints?)\b/i],
+    params: { name: 'my-api', port: 3000, resource: 'items' },
+    commands: ['npm install express cors morgan better-sqlite3', '{{installTest}}'],
+    files: [
+      {
+        path: 'package.json',
+        content: `{
+  "name": "{{name}}",
+  "version": "0.1.0",
+  "type": "module",
+  "main": "src/server.js",
+  "scripts": {
+    "start": "node src/server.js",
+    "dev": "node --watch src/server.js",
+    "test": "{{testScript}}"
+  },
+  "license": "MIT"
+}
+`,
+      },
+      {
+        path: 'src/db.js',
+        content: `import Database from 'better-sqlite3';
+
+/**
+ * SQLite connection — the database file is created on first run.
+ * DB_FILE=:memory: gives tests a throwaway database.
+ */
+const db = new Database(process.env.DB_FILE || '{{command}}.db');
+
+db.exec(
+  'CREATE TABLE IF NOT EXISTS {{resource}} (' +
+  'id INTEGER PRIMARY KEY AUTOINCREMENT, ' +
+  'name TEXT NOT NULL, ' +
+  "created_at TEXT NOT NULL DEFAULT (datetime('now')), " +
+  "updated_at TEXT NOT NULL DEFAULT (datetime('now')))"
+);
+
+export default db;
+`,
+      },
+      {
+        path: 'src/app.js',
+        content: `import express from 'express';
+import cors from 'cors';
+import morgan from 'morgan';
+import db from './db.js';
+
+const app = express();
+app.use(cors());
+app.use(express.json());
+if (process.env.NODE_ENV !== 'test') app.use(morgan('dev'));
+
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+/**
+ * Reject bodies without a non-empty "name"
+ */
+function validate(req, res, next) {
+  if (typeof req.body?.name !== 'string' || !req.body.name.trim()) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  next();
+}
+
+const findById = db.prepare('SELECT * FROM {{resource}} WHERE id = ?');
+
+app.get('/api/{{resource}}', (req, res) => {
+  res.json(db.prepare('SELECT * FROM {{resource}} ORDER BY id').all());
+});
+
+app.get('/api/{{resource}}/:id', (req, res) => {
+  const row = findById.get(req.params.id);
+  if (!row) return res.status(404).json({ error: 'not found' });
+  res.json(row);
+});
+
+app.post('/api/{{resource}}', validate, (req, res) => {
+  const { lastInsertRowid } = db.prepare('INSERT INTO {{resource}} (name) VALUES (?)').run(req.body.name.trim());
+  res.status(201).json(findById.get(lastInsertRowid));
+});
+
+app.put('/api/{{resource}}/:id', validate, (req, res) => {
+  const { changes } = db.prepare("UPDATE {{resource}} SET name = ?, updated_at = datetime('now') WHERE id = ?")
+    .run(req.body.name.trim(), req.params.id);
+  if (!changes) return res.status(404).json({ error: 'not found' });
+  res.json(findById.get(req.params.id));
+});
+
+app.delete('/api/{{resource}}/:id', (req, res) => {
+  const { changes } = db.prepare('DELETE FROM {{resource}} WHERE id = ?').run(req.params.id);
+  if (!changes) return res.status(404).json({ error: 'not found' });
+  res.status(204).end();
+});
+
+// Unknown routes, then anything thrown along the way
+app.use((req, res) => res.status(404).json({ error: 'not found' }));
+app.use((err, req, res, next) => {
+  console.error(err);
+  res.status(err.status || 500).json({ error: err.expose ? err.message : 'internal error' });
+});
+
+export default app;
+`,
+      },
+      {
+        path: 'src/server.js',
+        content: `import app from './app.js';
+
+const port = Number(process.env.PORT) || {{port}};
+app.listen(port, () => console.log('{{name}} listening on http://localhost:' + port));
+`,
+      },
+      {
+        path: 'test/app.test.js',
+        content: `{{testImport}}import assert from 'node:assert/strict';
+
+process.env.DB_FILE = ':memory:';
+process.env.NODE_ENV = 'test';
+const { default: app } = await import('../src/app.js');
+
+{{testFn}}('GET /api/health returns ok', async () => {
+  const server = app.listen(0);
+  try {
+    const res = await fetch('http://localhost:' + server.address().port + '/api/health');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'ok');
+  } finally {
+    server.close();
+  }
+});
+`,
+      },
+      {
+        path: 'README.md',
+        content: '# {{name}}\n\n```sh\nnpm start   # http://localhost:{{port}}\nnpm test\n```\n\n' +
+          '| Method | Path | |\n|---|---|---|\n| GET | /api/health | status and uptime |\n' +
+          '| GET | /api/{{resource}} | list |\n| GET | /api/{{resource}}/:id | one |\n| POST | /api/{{resource}} | create (`{ "name": "..." }`) |\n' +
+          '| PUT | /api/{{resource}}/:id | update |\n| DELETE | /api/{{resource}}/:id | delete |\n',
+      },
+      { path: '.gitignore', content: `${GITIGNORE}*.db\n` },
+    ],
+  },
+
+  cli: {
+    id: 'cli',
+    description: 'Command-line tool with a bin script, --help and --version',
+    match: [/\b(cli|command[- ]line)\b/i],
+    params: { name: 'my-cli' },
+    commands: ['chmod +x bin/{{command}}.js', '{{installTest}}'],
+    files: [
+      {
+        path: 'package.json',
+        content: `{
+  "name": "{{name}}",
+  "version": "0.1.0",
+  "type": "module",
+  "bin": {
+    "{{command}}": "bin/{{command}}.js"
+  },
+  "scripts": {
+    "test": "{{testScript}}"
+  },
+  "license": "MIT"
+}
+`,
+      },
+      {
+        path: 'bin/{{command}}.js',
+        content: `#!/usr/bin/env node
+import { run } from '../src/cli.js';
+
+process.exitCode = await run(process.argv.slice(2));
+`,
+      },
+      {
+        path: 'src/cli.js',
+        content: `import { parseArgs } from 'node:util';
+import { readFileSync } from 'node:fs';
+
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+const USAGE = [
+  'Usage: {{command}} [options] [name]',
+  '',
+  'Options:',
+  '  -h, --help     Show this help',
+  '  -v, --version  Show the version',
+].join('\\n');
+
+/**
+ * Run the CLI with the given arguments. Returns the exit code.
+ * @param {string[]} argv
+ * @param {{ log?: (line: string) => void }} [io]
+ */
+export async function run(argv, { log = console.log } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        help: { type: 'boolean', short: 'h' },
+        version: { type: 'boolean', short: 'v' },
+      },
+    });
+  } catch (err) {
+    log(err.message + '\\n\\n' + USAGE);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    log(USAGE);
+    return 0;
+  }
+  if (values.version) {
+    log(version);
+    return 0;
+  }
+  log('Hello, ' + (positionals[0] || 'world') + '!');
+  return 0;
+}
+`,
+      },
+      {
+        path: 'test/cli.test.js',
+        content: `{{testImport}}import assert from 'node:assert/strict';
+import { run } from '../src/cli.js';
+
+{{testFn}}('greets the given name', async () => {
+  const lines = [];
+  assert.equal(await run(['Ada'], { log: (line) => lines.push(line) }), 0);
+  assert.deepEqual(lines, ['Hello, Ada!']);
+});
+
+{{testFn}}('rejects unknown options', async () => {
+  assert.equal(await run(['--nope'], { log: () => {} }), 2);
+});
+`,
+      },
+      { path: 'README.md', content: '# {{name}}\n\n```sh\nnpm link\n{{command}} --help\n```\n\nRun the tests with `npm test`.\n' },
+      { path: '.gitignore', content: GITIGNORE },
+    ],
+  },
+};
+
+// Generic "new node project" with no more specific match
+const NODE_PROJECT = /\b(node|npm|javascript|js)\b/i;
+
+let activeTemplates = BUILTIN_TEMPLATES;
+
+/**
+ * Replace the active templates (e.g. after loadTemplates)
+ */
+function setTemplates(templates) {
+  activeTemplates = templates;
+}
+
+function getTemplates() {
+  return activeTemplates;
+}
+
+// ── Team templates ──────────────────────────────────────────────────
+
+/**
+ * Resolve the user and project template directories for a config.
+ */
+function templateDirectories(config = {}) {
+  const cwd = config.workingDirectory || process.cwd();
+  return {
+    user: config.userTemplatesDir || process.env.AGENT_TEMPLATES_DIR || join(homedir(), '.agent', 'templates'),
+    project: resolve(cwd, config.templatesDir || 'templates'),
+  };
+}
+
+/**
+ * Every file under a directory, as paths relative to it
+ */
+function listTemplateFiles(dir) {
+  const files = [];
+  const walk = (current) => {
+    for (const entry of readdirSync(current, { withFileTypes: true })) {
+      const full = join(current, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile()) files.push(relative(dir, full).split(sep).join('/'));
+    }
+  };
+  walk(dir);
+  return files.sort();
+}
+
+/**
+ * Read one template directory. Returns { template, errors } — template is
+ * null when the directory can't be used at all.
+ */
+function readTemplateDir(dir, id) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ template: id, field, message });
+
+  const manifestName = MANIFESTS.find(m => existsSync(join(dir, m)));
+  if (!manifestName) {
+    fail(null, `missing ${MANIFESTS[0]} — skipped`);
+    return { template: null, errors };
+  }
+
+  let manifest;
+  try {
+    const text = readFileSync(join(dir, manifestName), 'utf-8');
+    manifest = manifestName.endsWith('.json') ? JSON.parse(text) : parseYaml(text);
+  } catch (err) {
+    fail(manifestName, `${err.message} — skipped`);
+    return { template: null, errors };
+  }
+
+  const match = [];
+  for (const pattern of Array.isArray(manifest.match) ? manifest.match : []) {
+    try {
+      match.push(compilePattern(pattern));
+    } catch (err) {
+      fail('match', `invalid pattern ${JSON.stringify(pattern)}: ${err.message}`);
+    }
+  }
+  if (!match.length) fail('match', 'no valid match patterns — skipped');
+
+  const params = manifest.params ?? {};
+  if (typeof params !== 'object' || Array.isArray(params)) fail('params', 'params must be an object');
+
+  const commands = manifest.commands ?? [];
+  if (!Array.isArray(commands) || commands.some(c => typeof c !== 'string')) fail('commands', 'commands must be an array of strings');
+
+  const filesDir = join(dir, 'files');
+  const files = existsSync(filesDir) && statSync(filesDir).isDirectory()
+    ? listTemplateFiles(filesDir).map(path => ({ path, content: readFileSync(join(filesDir, path), 'utf-8') }))
+    : [];
+  if (!files.length) fail('files', 'files/ is missing or empty — skipped');
+
+  if (!match.length || !files.length || errors.some(e => e.field === 'params' || e.field === 'commands')) {
+    return { template: null, errors };
+  }
+  return {
+    template: { id, description: manifest.description || '', match, params, commands, files, source: dir },
+    errors,
+  };
+}
+
+/**
+ * Load team templates over the built-in ones. A template directory with
+ * the id of an existing template replaces it.
+ *
+ * Returns { templates, errors } — errors never throw, so a broken
+ * template only takes itself out.
+ */
+function loadTemplates(config = {}) {
+  const dirs = templateDirectories(config);
+  const templates = { ...BUILTIN_TEMPLATES };
+  const errors = [];
+
+  for (const dir of [dirs.user, dirs.project]) {
+    if (!dir || !existsSync(dir)) continue;
+    for (const entry of readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+      const { template, errors: templateErrors } = readTemplateDir(join(dir, entry.name), entry.name);
+      errors.push(...templateErrors);
+      if (!template) continue;
+      // Re-insert so the override is matched before the built-ins
+      delete templates[template.id];
+      templates[template.id] = template;
+    }
+  }
+
+  return { templates, errors };
+}
+
+/**
+ * One-line description of a template validation error.
+ */
+function formatTemplateError(err) {
+  return `${[err.template, err.field].filter(Boolean).join(' › ')}: ${err.message}`;
+}
+
+// ── Planning ────────────────────────────────────────────────────────
+
+/**
+ * Template parameters named in the input. Only what was said is returned;
+ * template defaults fill the rest.
+ */
+function extractScaffoldParams(input, entities) {
+  const params = {};
+  const named = input.match(/\b(?:called|named)\s+["'`]?(@?[\w.-]+(?:\/[\w.-]+)?)/i);
+  if (named && PROJECT_NAME.test(named[1])) params.name = named[1].toLowerCase();
+  if (entities.ports.length) params.port = entities.ports[0];
+  const test = input.match(/\b(jest|vitest|mocha)\b/i);
+  if (test) params.test = test[1].toLowerCase();
+  const resource = input.match(/\bfor\s+(?:manag(?:e|ing)\s+)?(?:the\s+)?([a-z]+?)(?:s|\s+records)\b/i);
+  if (resource) params.resource = `${resource[1].toLowerCase()}s`;
+  if (/\b(here|in (the current|this) (directory|folder|dir))\b/i.test(input)) params.dir = '.';
+  return params;
+}
+
+/**
+ * The template an input asks for — team templates first — or null
+ */
+function selectTemplate(input, templates = activeTemplates) {
+  const ordered = Object.values(templates).reverse();
+  return ordered.find(t => t.match.some(p => p.test(input)))
+    || (NODE_PROJECT.test(input) ? templates['node-library'] || null : null);
+}
+
+const fill = (text, params) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (key in params ? String(params[key]) : m));
+
+/**
+ * Plan a scaffold: one create_file per template file, then the template's
+ * commands (run inside the project directory). `exists` (path → boolean)
+ * lets the caller keep existing files out of the plan.
+ *
+ * Returns { steps, requiresModelForPlanning, scaffold } — scaffold is null
+ * when no template matches.
+ */
+function planScaffold(input, entities, { templates = activeTemplates, exists = () => false } = {}) {
+  const template = selectTemplate(input, templates);
+  if (!template) return { steps: [], requiresModelForPlanning: true, scaffold: null };
+
+  const said = extractScaffoldParams(input, entities);
+  const test = TEST_FRAMEWORKS[said.test] ? said.test : 'node';
+  const framework = TEST_FRAMEWORKS[test];
+  const params = {
+    ...framework,
+    test,
+    installTest: framework.devDependencies.length ? `npm install --save-dev ${framework.devDependencies.join(' ')}` : '',
+    ...template.params,
+    ...said,
+  };
+  params.name = String(params.name || template.id);
+  params.command = params.name.split('/').pop();
+  params.resource = String(params.resource || 'items').replace(/\W/g, '_');
+  const dir = said.dir || params.command;
+  const inDir = (path) => (dir === '.' ? path : `${dir}/${path}`);
+
+  const steps = [];
+  const files = [];
+  const skipped = [];
+  for (const file of template.files) {
+    const path = inDir(fill(file.path, params));
+    if (exists(path)) {
+      skipped.push(path);
+      continue;
+    }
+    files.push(path);
+    steps.push({ tool: 'create_file', args: { path, content: fill(file.content, params) } });
+  }
+
+  // Commands set up the files just written — skip them if none were
+  const commands = files.length ? template.commands.map(c => fill(c, params).trim()).filter(Boolean) : [];
+  for (const command of commands) {
+    steps.push({ tool: 'run_command', args: { command, cwd: dir, timeout_ms: COMMAND_TIMEOUT_MS } });
+  }
+
+  const shown = Object.fromEntries(Object.keys({ ...template.params, ...said }).filter(k => k !== 'dir').map(k => [k, params[k]]));
+  if (template.files.some(f => /\{\{\s*test(Script|Fn)\s*\}\}/.test(f.content))) shown.test = test;
+  else delete shown.test;
+  return {
+    steps,
+    requiresModelForPlanning: false,
+    scaffold: { template: template.id, dir, params: shown, files, commands, skipped },
+  };
+}
+
+/**
+ * Summary of a finished scaffold for the project_scaffold response template
+ */
+function renderScaffold(scaffold) {
+  const { template, dir, params, files, commands, skipped } = scaffold;
+  if (!files.length) return `Nothing to scaffold — \`${dir}\` already has every file of the ${template} template.`;
+
+  const settings = Object.entries(params).filter(([k]) => k !== 'name').map(([k, v]) => `${k} ${v}`).join(', ');
+  const lines = [`✓ Scaffolded \`${params.name}\` from the ${template} template${settings ? ` (${settings})` : ''}:`, ''];
+  lines.push(...files.map(f => `  ${f}`));
+  if (commands.length) lines.push('', `Ran: ${commands.map(c => `\`${c}\``).join(', ')}`);
+  if (skipped.length) lines.push('', `Left alone (already exist): ${skipped.join(', ')}`);
+  if (files.some(f => /(^|\/)test\//.test(f))) lines.push('', `Next: ${dir === '.' ? '' : `cd ${dir} && `}npm test`);
+  return lines.join('\n');
+}
+
+export {
+  BUILTIN_TEMPLATES,
+  TEST_FRAMEWORKS,
+  setTemplates,
+  getTemplates,
+  templateDirectories,
+  loadTemplates,
+  formatTemplateError,
+  extractScaffoldParams,
+  selectTemplate,
+  planScaffold,
+  renderScaffold,
+};
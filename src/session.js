@@ -0,0 +1,145 @@
+/**
+ * Session Context
+ *
+ * The last few REPL turns (input, entities, plan, outcome), used to resolve
+ * references to earlier turns before classification — deterministically:
+ *
+ *   "now edit it", "delete that file"  → the most recent file path
+ *   "fetch that url again"             → the most recent URL
+ *   "again", "run that again", "redo"  → the previous input, verbatim
+ *   "same for index.js"                → the previous input with its path swapped
+ *
+ * A path mentioned earlier in the same input wins over the session, so
+ * "read a.js then edit it" edits a.js. Quoted text is never rewritten.
+ */
+
+import { extractEntities, maskQuoted, DEFINITION_PATTERN } from './classifier.js';
+
+const MAX_TURNS = 5;
+
+const REPEAT_PATTERN = /^(?:(?:ok|now|and)\s+)?(?:(?:(?:run|do|try|send|fetch)\s+(?:it|that|this)\s+)?(?:again|once more)|(?:repeat|redo)(?:\s+(?:that|it|the last (?:one|command)))?)[.!]?$/i;
+const SAME_FOR_PATTERN = /^(?:(?:ok|now|and)\s+)?(?:do\s+)?(?:the\s+)?same\s+(?:for|with|on|to)\s+(\S+?)(?:\s+too)?[.!]?$/i;
+
+// Pronouns only stand for a file right after an action verb or a
+// preposition ("edit it", "lines 1-5 of it"), so "what is it" or
+// "is that right" are left alone...
+const REFERENCE_VERBS = 'read|show|open|view|cat|display|print|edit|fix|update|modify|change|patch|refactor|delete|remove|rm|rename|move|copy|analyse|analyze|review|inspect|check|lint|test|commit|stage|add|search|grep|format|run|of|in|into|inside|within|from';
+// ...and only when nothing follows but a function word ("edit that function" is not a file)
+const PRONOUN_END = '(?=\\s*(?:$|[,.;!?])|\\s+(?:again|too|now|then|and|but|please|instead|with|to|into|in|for|from|as|using|so|first|back|out|up)\\b)';
+const FILE_ANAPHOR = new RegExp(`\\b(?:(?:that|this|the same)\\s+file|(?<=\\b(?:${REFERENCE_VERBS})\\s+)(?:it|that|this)${PRONOUN_END})\\b`, 'gi');
+const URL_ANAPHOR = /\b(?:that|this|the same)\s+(?:url|endpoint|api)\b/gi;
+
+class SessionContext {
+  constructor({ maxTurns = MAX_TURNS } = {}) {
+    this.maxTurns = maxTurns;
+    this.turns = [];
+  }
+
+  get last() {
+    return this.turns[this.turns.length - 1] || null;
+  }
+
+  /**
+   * Most recent value of a turn field (e.g. 'paths', 'urls'), newest turn first
+   */
+  recent(field) {
+    for (let i = this.turns.length - 1; i >= 0; i--) {
+      const values = this.turns[i][field];
+      if (values.length) return values[values.length - 1];
+    }
+    return null;
+  }
+
+  /**
+   * Record a finished turn. Paths are the ones the plan acted on where the
+   * workspace resolved them ("the agent file" → src/agent.js), else as written
+   * — or, when the input named none, the files its steps ran on (the file a
+   * definition lookup opened).
+   */
+  remember(input, clauses, result) {
+    const entities = clauses.map(c => c.classification.entities);
+    const named = entities.flatMap(e => {
+      const resolved = (e.workspacePaths || []).filter(r => r.path).map(r => r.path);
+      return resolved.length ? resolved : e.filePaths;
+    });
+    const stepPaths = (result?.results || []).map(r => r.args?.path).filter(p => typeof p === 'string' && /\.\w+$/.test(p));
+    this.turns.push({
+      input,
+      intent: clauses[clauses.length - 1].classification.intent,
+      pathRefs: entities.flatMap(e => e.filePaths),
+      paths: named.length ? named : stepPaths,
+      urls: entities.flatMap(e => e.urls),
+      steps: (result?.results || []).map(r => ({ tool: r.tool, args: r.args })),
+      ok: !!result && !result.error && !result.incomplete && result.validation?.valid !== false,
+    });
+    if (this.turns.length > this.maxTurns) this.turns.shift();
+  }
+
+  /**
+   * Rewrite references to earlier turns. Returns { input, resolutions }
+   * where each resolution is { kind, from, to }; input is unchanged when
+   * nothing needed (or could be) resolved.
+   */
+  resolve(input) {
+    const text = input.trim();
+    const last = this.last;
+
+    if (last && REPEAT_PATTERN.test(text)) {
+      return { input: last.input, resolutions: [{ kind: 'repeat', from: text, to: last.input }] };
+    }
+
+    const same = text.match(SAME_FOR_PATTERN);
+    if (same && last) {
+      const target = same[1];
+      const isUrl = /^https?:\/\//i.test(target);
+      const previous = isUrl ? last.urls[last.urls.length - 1] : last.pathRefs[last.pathRefs.length - 1];
+      if (previous) {
+        const at = last.input.lastIndexOf(previous);
+        const rewritten = last.input.slice(0, at) + target + last.input.slice(at + previous.length);
+        return { input: rewritten, resolutions: [{ kind: 'same_for', from: previous, to: target }] };
+      }
+    }
+
+    const resolutions = [];
+    const masked = maskQuoted(text);
+    const edits = [];
+
+    for (const m of masked.matchAll(FILE_ANAPHOR)) {
+      const before = text.slice(0, m.index);
+      // "find the file that defines x and open it" — it is whatever the lookup finds
+      if (!this._antecedent(before, 'filePaths') && DEFINITION_PATTERN.test(before)) continue;
+      const antecedent = this._antecedent(before, 'filePaths') || this.recent('paths');
+      if (antecedent) edits.push({ index: m.index, length: m[0].length, to: antecedent, kind: 'file' });
+    }
+    for (const m of masked.matchAll(URL_ANAPHOR)) {
+      const antecedent = this._antecedent(text.slice(0, m.index), 'urls') || this.recent('urls');
+      if (antecedent) edits.push({ index: m.index, length: m[0].length, to: antecedent, kind: 'url' });
+    }
+
+    // Splice right to left so earlier offsets stay valid
+    let resolved = text;
+    for (const edit of edits.sort((a, b) => b.index - a.index)) {
+      const from = resolved.slice(edit.index, edit.index + edit.length);
+      resolved = resolved.slice(0, edit.index) + edit.to + resolved.slice(edit.index + edit.length);
+      resolutions.unshift({ kind: edit.kind, from, to: edit.to });
+    }
+
+    return { input: resolutions.length ? resolved : input, resolutions };
+  }
+
+  /**
+   * The last path/URL mentioned in the text before a reference
+   */
+  _antecedent(before, field) {
+    const found = extractEntities(before)[field];
+    return found.length ? found[found.length - 1] : null;
+  }
+
+  clear() {
+    this.turns = [];
+  }
+}
+
+export {
+  SessionContext,
+};
@@ -0,0 +1,674 @@
+/**
+ * Test Runs
+ *
+ * Detects how a project runs its tests, runs them with a machine-readable
+ * reporter and summarises the result — no model, and no raw stdout dump:
+ *
+ *   package.json "test" script / configs → node:test, Jest, Vitest, Mocha
+ *   pytest.ini, conftest.py, pyproject.toml → pytest
+ *   go.mod → go test          Cargo.toml → cargo test
+ *
+ *   "run tests in src/foo"        → only that directory or file
+ *   "run test named parses flags" → the runner's name filter
+ *   "run only failing tests"      → Jest/pytest natively, else the failures
+ *                                   recorded from the last run
+ *
+ * Reports are parsed from TAP (node:test), JUnit XML (Mocha, pytest), Jest
+ * JSON (Jest, Vitest), `go test -json` and cargo's test output into
+ * pass/fail/skip counts plus each failure's message and location.
+ */
+
+import { existsSync, readFileSync, readdirSync, statSync, unlinkSync } from 'fs';
+import { join, relative, isAbsolute } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { shellQuote } from './git.js';
+
+// Generous: a suite can take a while, and the run_command default is a minute
+const TEST_TIMEOUT_MS = 10 * 60 * 1000;
+
+const RUNNER_LABELS = {
+  node: 'node:test',
+  jest: 'Jest',
+  vitest: 'Vitest',
+  mocha: 'Mocha',
+  pytest: 'pytest',
+  go: 'go test',
+  cargo: 'cargo test',
+  npm: 'npm test',
+};
+
+// npm's placeholder script for a package without tests
+const NO_TEST_SCRIPT = /no test specified/;
+
+// ── Detection ───────────────────────────────────────────────────────
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function readText(path) {
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * The first config file in root whose name matches
+ */
+function findConfig(root, pattern) {
+  try {
+    return readdirSync(root).find(name => pattern.test(name)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function hasPythonTests(root) {
+  const isTest = (name) => /^test_.*\.py$|_test\.py$/.test(name);
+  for (const dir of [root, join(root, 'tests'), join(root, 'test')]) {
+    try {
+      if (readdirSync(dir).some(isTest)) return true;
+    } catch { /* no such directory */ }
+  }
+  return false;
+}
+
+/**
+ * Work out how the project in root runs its tests.
+ * Returns { runner, source, script? } or null when nothing was found.
+ */
+function detectTestSetup(root) {
+  const pkg = readJson(join(root, 'package.json'));
+  if (pkg) {
+    const script = pkg.scripts?.test && !NO_TEST_SCRIPT.test(pkg.scripts.test) ? pkg.scripts.test : null;
+    const fromScript = { source: 'package.json "test" script', script };
+    if (script) {
+      for (const runner of ['vitest', 'jest', 'mocha']) {
+        if (new RegExp(`\\b${runner}\\b`).test(script)) return { runner, ...fromScript };
+      }
+      if (/\bnode\b[^;&|]*\s--test\b/.test(script)) return { runner: 'node', ...fromScript };
+    }
+
+    const config = findConfig(root, /^(jest|vitest)\.(config|workspace)\.[cm]?[jt]s(on)?$|^\.mocharc\.(js|cjs|json|jsonc|ya?ml)$/);
+    if (config) return { runner: config.startsWith('.mocharc') ? 'mocha' : config.split('.')[0], source: config, script };
+    if (pkg.jest) return { runner: 'jest', source: 'package.json "jest" config', script };
+
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const dependency = ['vitest', 'jest', 'mocha'].find(name => deps[name]);
+    if (dependency) return { runner: dependency, source: `${dependency} in package.json dependencies`, script };
+
+    // A script we can't see into still runs; otherwise node's built-in runner
+    if (script) return { runner: 'npm', ...fromScript };
+    return { runner: 'node', source: 'package.json (node:test)', script: null };
+  }
+
+  const pytestConfig = findConfig(root, /^(pytest\.ini|conftest\.py)$/);
+  if (pytestConfig) return { runner: 'pytest', source: pytestConfig };
+  for (const [file, section] of [['pyproject.toml', /\[tool\.pytest/], ['setup.cfg', /\[tool:pytest\]/], ['tox.ini', /\[pytest\]/]]) {
+    if (section.test(readText(join(root, file)))) return { runner: 'pytest', source: file };
+  }
+  if (hasPythonTests(root)) return { runner: 'pytest', source: 'test_*.py files' };
+
+  if (existsSync(join(root, 'go.mod'))) return { runner: 'go', source: 'go.mod' };
+  if (existsSync(join(root, 'Cargo.toml'))) return { runner: 'cargo', source: 'Cargo.toml' };
+  return null;
+}
+
+// ── Commands ────────────────────────────────────────────────────────
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const anyOf = (names) => `^(${[...new Set(names)].map(escapeRegex).join('|')})$`;
+
+// A script that is one command, so extra arguments reach the runner
+const singleCommand = (script) => !!script && !/&&|\|\||[;|]/.test(script);
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The command for a run. filters is { path, name, failed }; previous is the
+ * last recorded run in this project. Returns { command, format, note? }.
+ */
+function testCommand(setup, filters, previous, { root, report }) {
+  const { runner, script } = setup;
+  const { path, name } = filters;
+  const q = shellQuote;
+  // Runners without a native "failed only" mode rerun what failed last time
+  const rerun = filters.failed && previous?.runner === runner && previous.failures.length ? previous.failures : null;
+  const rerunFiles = rerun ? [...new Set(rerun.map(f => f.file).filter(Boolean))] : [];
+  const paths = path ? [path] : rerunFiles;
+  const viaScript = singleCommand(script) && !(runner === 'mocha' && paths.length);
+  const args = [];
+
+  switch (runner) {
+    case 'node': {
+      // node --test stops parsing options at the first file, so the
+      // script's own targets are reused rather than appended to
+      const targets = paths.length
+        ? paths
+        : (script?.match(/--test\b(.*)$/)?.[1] || '').trim().split(/\s+/).filter(a => a && !a.startsWith('-'));
+      args.push('node --test --test-reporter=tap', `--test-reporter-destination=${q(report)}`);
+      if (name) args.push(`--test-name-pattern=${q(name)}`);
+      // A subtest only runs when its parents match too
+      else if (rerun) args.push(`--test-name-pattern=${q(anyOf(rerun.flatMap(f => f.name.split(' > '))))}`);
+      args.push(...targets.map(q));
+      return { command: args.join(' '), format: 'tap' };
+    }
+    case 'jest':
+      args.push(viaScript ? 'npm test --silent --' : 'npx --no -- jest', '--json --testLocationInResults', `--outputFile=${q(report)}`);
+      if (filters.failed) args.push('--onlyFailures');
+      if (name) args.push('-t', q(name));
+      if (path) args.push(q(path));
+      return { command: args.join(' '), format: 'jest' };
+    case 'vitest':
+      args.push(viaScript ? 'npm test --silent -- --run' : 'npx --no -- vitest run', '--reporter=json', `--outputFile=${q(report)}`);
+      if (name) args.push('-t', q(name));
+      else if (rerun) args.push('-t', q(anyOf(rerun.map(f => f.title))));
+      args.push(...paths.map(q));
+      return { command: args.join(' '), format: 'jest' };
+    case 'mocha':
+      args.push(viaScript ? 'npm test --silent --' : 'npx --no -- mocha', '--reporter=xunit', `--reporter-option=output=${q(report)}`);
+      if (name) args.push('--grep', q(name));
+      else if (rerun) args.push('--grep', q(anyOf(rerun.map(f => f.title))));
+      if (paths.some(p => isDirectory(join(root, p)))) args.push('--recursive');
+      args.push(...paths.map(q));
+      return { command: args.join(' '), format: 'junit' };
+    case 'pytest':
+      args.push('python3 -m pytest -q', `--junitxml=${q(report)}`);
+      if (filters.failed) args.push('--lf');
+      if (name) args.push('-k', q(name));
+      if (path) args.push(q(path));
+      return { command: args.join(' '), format: 'junit' };
+    case 'go': {
+      const pkgs = path
+        ? [`./${path.replace(/^\.\//, '').replace(/\/$/, '')}${isDirectory(join(root, path)) ? '/...' : ''}`]
+        : rerun ? [...new Set(rerun.map(f => f.package))] : ['./...'];
+      args.push('go test -json');
+      if (name) args.push('-run', q(name));
+      else if (rerun) args.push('-run', q(anyOf(rerun.map(f => f.title.split('/')[0]))));
+      args.push(...pkgs.map(q));
+      return { command: args.join(' '), format: 'go' };
+    }
+    case 'cargo':
+      args.push('cargo test');
+      if (name) args.push(q(name));
+      else if (rerun) args.push('--', '--exact', ...rerun.map(f => q(f.title)));
+      return {
+        command: args.join(' '),
+        format: 'cargo',
+        note: path ? `cargo test can't be limited to \`${path}\` — filter by test name instead.` : undefined,
+      };
+    default:
+      return {
+        command: 'npm test',
+        format: 'tap',
+        note: path || name || filters.failed
+          ? 'The "test" script runs a tool I don\'t recognise, so it ran unfiltered.'
+          : undefined,
+      };
+  }
+}
+
+// ── Output parsers ──────────────────────────────────────────────────
+// Each returns { passed, failed, skipped, failures: [{ name, title, file, line, message }] }
+// or null when the output isn't in that format.
+
+const MAX_MESSAGE_LINES = 6;
+const ANSI = /\x1b\[[0-9;]*m/g;
+
+function firstLines(text = '', count = MAX_MESSAGE_LINES) {
+  return text.replace(ANSI, '').split('\n').map(l => l.trimEnd()).filter(l => l.trim()).slice(0, count).join('\n');
+}
+
+/**
+ * A file path relative to root (file:// URLs and absolute paths included)
+ */
+function relativeTo(root, file) {
+  if (!file) return null;
+  const path = file.startsWith('file://') ? fileURLToPath(file) : file;
+  return isAbsolute(path) ? relative(root, path) : path;
+}
+
+/**
+ * The first stack frame or "file:line" reference that points into the
+ * project (not node internals or dependencies)
+ */
+function locate(text, root) {
+  for (const m of (text || '').replace(ANSI, '').matchAll(/((?:file:\/\/)?[\w./\\@-]*[\w-]\.\w+):(\d+)(?::\d+)?/g)) {
+    if (/node_modules|^node:|internal\//.test(m[1])) continue;
+    const file = relativeTo(root, m[1]);
+    if (file.startsWith('..')) continue;
+    return { file, line: Number(m[2]) };
+  }
+  return { file: null, line: null };
+}
+
+/**
+ * TAP (13, with YAML diagnostics, or plain). Nested subtests are indented;
+ * a result line that closes a group of subtests is not counted itself.
+ */
+function parseTap(output, root) {
+  if (!/^\s*(?:TAP version|1\.\.\d+|(?:not )?ok\b)/m.test(output)) return null;
+  const result = { passed: 0, failed: 0, skipped: 0, failures: [] };
+  const names = [];
+  let lastIndent = -1;
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    const { failure, lines } = current;
+    const diag = {};
+    const plain = [];
+    let inYaml = false;
+    let key = null;
+    for (const line of lines) {
+      if (/^\s*---$/.test(line)) inYaml = true;
+      else if (/^\s*\.\.\.$/.test(line)) inYaml = false;
+      else if (!inYaml) {
+        // Plain TAP: the message and stack are just indented lines
+        if (line.trim()) plain.push(line);
+      } else {
+        const field = line.match(/^\s*(\w+):\s*(.*)$/);
+        if (field && !line.startsWith(' '.repeat(current.indent + 4))) {
+          key = field[1];
+          diag[key] = field[2].replace(/^'(.*)'$/, (_, v) => v.replace(/''/g, "'")).replace(/^\|-?$/, '');
+        } else if (key && line.trim()) {
+          diag[key] = `${diag[key] ? `${diag[key]}\n` : ''}${line.trim()}`;
+        }
+      }
+    }
+    const message = diag.error || diag.message || plain.join('\n');
+    const where = diag.location ? locate(diag.location, root) : locate(diag.stack || diag.at || plain.join('\n'), root);
+    Object.assign(failure, { message: firstLines(message), ...where });
+    current = null;
+  };
+
+  for (const line of output.split('\n')) {
+    const header = line.match(/^(\s*)# Subtest: (.*)$/);
+    if (header) {
+      finish();
+      names.length = Math.floor(header[1].length / 4);
+      names.push(header[2]);
+      continue;
+    }
+    const point = line.match(/^(\s*)(not ok|ok)\b\s*\d*\s*(?:-\s*)?(.*?)\s*(?:#\s*(SKIP|TODO)\b.*)?$/i);
+    if (point) {
+      finish();
+      const indent = point[1].length;
+      const isGroup = lastIndent > indent;
+      lastIndent = indent;
+      if (isGroup) continue;
+      const title = point[3].replace(/\\#/g, '#');
+      const path = [...names.slice(0, Math.floor(indent / 4)), title];
+      if (point[4]) result.skipped++;
+      else if (point[2] === 'ok') result.passed++;
+      else {
+        result.failed++;
+        const failure = { name: path.join(' > '), title };
+        result.failures.push(failure);
+        current = { failure, indent, lines: [] };
+      }
+      continue;
+    }
+    if (current && /^\s*(#|1\.\.\d+)/.test(line) && !line.startsWith(' '.repeat(current.indent + 2))) finish();
+    else if (current) current.lines.push(line);
+  }
+  finish();
+  return result;
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXml(text = '') {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x?[\da-f]+|\w+);/gi, (m, e) => {
+      if (e[0] !== '#') return XML_ENTITIES[e] ?? m;
+      return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    });
+}
+
+function xmlAttributes(text) {
+  return Object.fromEntries([...text.matchAll(/([\w:-]+)="([^"]*)"/g)].map(m => [m[1], decodeXml(m[2])]));
+}
+
+/**
+ * JUnit XML — one <testcase> per test, with <failure>/<error>/<skipped>
+ */
+function parseJUnit(output, root) {
+  if (!/<testsuites?\b/.test(output)) return null;
+  const result = { passed: 0, failed: 0, skipped: 0, failures: [] };
+  for (const m of output.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+    const attrs = xmlAttributes(m[1]);
+    const body = m[2] || '';
+    const problem = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    if (problem) {
+      result.failed++;
+      const detail = decodeXml(problem[3] || '');
+      // Without a message attribute the body is the message, then "XError: ..." and the stack
+      const message = xmlAttributes(problem[2]).message || detail.split(/\n(?=\s+at\s|\w*Error\b[^\n]*:)/)[0];
+      const where = attrs.file
+        ? { file: relativeTo(root, attrs.file), line: attrs.line ? Number(attrs.line) : locate(detail, root).line }
+        : locate(detail, root);
+      const prefixed = attrs.classname && !attrs.name.startsWith(attrs.classname);
+      result.failures.push({
+        name: prefixed ? `${attrs.classname} > ${attrs.name}` : attrs.name,
+        title: prefixed ? `${attrs.classname} ${attrs.name}` : attrs.name,
+        message: firstLines(message),
+        ...where,
+      });
+    } else if (/<skipped\b/.test(body)) {
+      result.skipped++;
+    } else {
+      result.passed++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Jest's --json report (Vitest's json reporter writes the same shape)
+ */
+function parseJestJson(output, root) {
+  const start = output.search(/^\{/m);
+  let report;
+  try {
+    report = JSON.parse(output.slice(start));
+  } catch {
+    return null;
+  }
+  if (start === -1 || !Array.isArray(report.testResults)) return null;
+  const result = { passed: 0, failed: 0, skipped: 0, failures: [] };
+  for (const suite of report.testResults) {
+    const file = relativeTo(root, suite.name);
+    const assertions = suite.assertionResults || [];
+    // A file that failed before any test ran (syntax error, bad import)
+    if (!assertions.length && suite.status === 'failed') {
+      result.failed++;
+      result.failures.push({ name: file, title: file, file, line: locate(suite.message, root).line, message: firstLines(suite.message) });
+    }
+    for (const test of assertions) {
+      if (test.status === 'passed') result.passed++;
+      else if (test.status === 'failed') {
+        result.failed++;
+        const text = (test.failureMessages || []).join('\n');
+        // Vitest puts an empty title for the file first
+        const path = [...(test.ancestorTitles || []), test.title].filter(Boolean);
+        result.failures.push({
+          name: path.join(' > '),
+          title: test.fullName || path.join(' '),
+          file,
+          line: test.location?.line ?? locate(text, root).line,
+          message: firstLines(text.split('\n').filter(l => !/^\s+at /.test(l)).join('\n')),
+        });
+      } else {
+        result.skipped++;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * `go test -json` — one event per line; subtests are Parent/Child and a
+ * parent is only counted when it has none
+ */
+function parseGoJson(output) {
+  const events = output.split('\n').filter(l => l.startsWith('{')).map(l => {
+    try {
+      return JSON.parse(l);
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+  if (!events.length) return null;
+
+  const tests = new Map();
+  const packages = new Map();
+  for (const e of events) {
+    const key = e.Test ? `${e.Package}\0${e.Test}` : e.Package;
+    const map = e.Test ? tests : packages;
+    if (!map.has(key)) map.set(key, { pkg: e.Package, test: e.Test, output: '', status: null });
+    const entry = map.get(key);
+    if (e.Action === 'output') entry.output += e.Output;
+    else if (['pass', 'fail', 'skip'].includes(e.Action)) entry.status = e.Action;
+  }
+
+  const result = { passed: 0, failed: 0, skipped: 0, failures: [] };
+  const keys = [...tests.keys()];
+  for (const [key, t] of tests) {
+    if (keys.some(k => k.startsWith(`${key}/`))) continue;
+    if (t.status === 'pass') result.passed++;
+    else if (t.status === 'skip') result.skipped++;
+    else if (t.status === 'fail') {
+      result.failed++;
+      const m = t.output.match(/^\s+([\w./-]+\.go):(\d+):\s*([\s\S]*?)(?=^\s*---|$(?![\s\S]))/m);
+      result.failures.push({
+        name: `${t.pkg} > ${t.test}`,
+        title: t.test,
+        package: t.pkg,
+        file: m?.[1] || null,
+        line: m ? Number(m[2]) : null,
+        message: firstLines(m?.[3] || t.output),
+      });
+    }
+  }
+  // A package that failed with no failing test didn't build
+  for (const p of packages.values()) {
+    if (p.status === 'fail' && !result.failures.some(f => f.package === p.pkg)) {
+      result.failed++;
+      const where = p.output.match(/([\w./-]+\.go):(\d+)(?::\d+)?:\s*(.*)/);
+      result.failures.push({
+        name: p.pkg,
+        title: p.pkg,
+        package: p.pkg,
+        file: where?.[1] || null,
+        line: where ? Number(where[2]) : null,
+        message: firstLines(where?.[3] || p.output),
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * cargo test's (libtest's) human output — its JSON format is unstable
+ */
+function parseCargo(output) {
+  const lines = [...output.matchAll(/^test (\S+) \.\.\. (ok|FAILED|ignored)/gm)];
+  if (!lines.length) return null;
+  const result = { passed: 0, failed: 0, skipped: 0, failures: [] };
+  for (const [, name, status] of lines) {
+    if (status === 'ok') result.passed++;
+    else if (status === 'ignored') result.skipped++;
+    else {
+      result.failed++;
+      const section = output.match(new RegExp(`^---- ${escapeRegex(name)} stdout ----\\n([\\s\\S]*?)(?=^---- |^failures:$|^test result:)`, 'm'))?.[1] || '';
+      // "panicked at src/lib.rs:10:9:\nmessage" (1.73+) or "panicked at 'message', src/lib.rs:10:9"
+      const panic = section.match(/panicked at ([^\s:]+):(\d+):\d+:\n([\s\S]*)/) ||
+        section.match(/panicked at '([\s\S]*?)', ([^\s:]+):(\d+):\d+/);
+      const [file, line, message] = !panic ? [null, null, section]
+        : panic[0].startsWith("panicked at '") ? [panic[2], panic[3], panic[1]] : [panic[1], panic[2], panic[3]];
+      result.failures.push({ name, title: name, file, line: line ? Number(line) : null, message: firstLines(message.split(/^(?:note: |stack backtrace:)/m)[0]) });
+    }
+  }
+  return result;
+}
+
+const PARSERS = {
+  tap: parseTap,
+  junit: parseJUnit,
+  jest: parseJestJson,
+  go: parseGoJson,
+  cargo: parseCargo,
+};
+
+// ── Running ─────────────────────────────────────────────────────────
+
+// Last run per project root — what "run only failing tests" reruns
+const lastRuns = new Map();
+
+const OUTPUT_TAIL_LINES = 20;
+
+function tail(text = '', count = OUTPUT_TAIL_LINES) {
+  return text.replace(ANSI, '').trimEnd().split('\n').slice(-count).join('\n');
+}
+
+/**
+ * Detect, run and summarise the project's tests. filters is
+ * { path, name, failed, runner }; run(command, timeoutMs) executes a shell
+ * command and returns the run_command result ({ stdout, stderr, exitCode }).
+ */
+function runTests(filters, { root, run }) {
+  const detected = detectTestSetup(root);
+  const setup = filters.runner && filters.runner !== detected?.runner
+    ? { runner: filters.runner, source: 'as asked' }
+    : detected;
+  if (!setup) {
+    return { success: false, error: `No test setup found in ${root} (looked for package.json, pytest, go.mod and Cargo.toml)` };
+  }
+
+  const previous = lastRuns.get(root);
+  let note;
+  if (filters.failed && !['jest', 'pytest'].includes(setup.runner)) {
+    if (!previous || previous.runner !== setup.runner) {
+      note = 'No earlier run to take failures from — ran the whole suite.';
+    } else if (!previous.failures.length) {
+      return { success: true, runner: setup.runner, source: setup.source, passed: 0, failed: 0, skipped: 0, total: 0, failures: [], parsed: true, note: 'Nothing failed in the last run — no tests to rerun.' };
+    }
+  }
+
+  const report = join(tmpdir(), `agent-tests-${process.pid}-${Date.now()}.out`);
+  const { command, format, note: commandNote } = testCommand(setup, filters, previous, { root, report });
+  const output = run(command, TEST_TIMEOUT_MS);
+  let reportText = '';
+  if (existsSync(report)) {
+    reportText = readText(report);
+    try { unlinkSync(report); } catch { /* already gone */ }
+  }
+
+  const stdout = `${output.stdout || ''}${output.stderr ? `\n${output.stderr}` : ''}`;
+  const parsed = PARSERS[format](reportText || output.stdout || '', root);
+  const exitCode = output.exitCode ?? (output.success ? 0 : 1);
+  const counts = parsed || { passed: 0, failed: 0, skipped: 0, failures: [] };
+
+  // An unparsed run says nothing about which tests failed
+  if (parsed) lastRuns.set(root, { runner: setup.runner, failures: counts.failures });
+  else lastRuns.delete(root);
+
+  return {
+    success: exitCode === 0 && counts.failed === 0,
+    runner: setup.runner,
+    source: setup.source,
+    command,
+    ...counts,
+    total: counts.passed + counts.failed + counts.skipped,
+    parsed: !!parsed,
+    exitCode,
+    note: [note, commandNote].filter(Boolean).join(' ') || undefined,
+    // Raw output only when the report can't explain the outcome
+    output: !parsed || (exitCode !== 0 && !counts.failed) ? tail(stdout || output.error) : undefined,
+  };
+}
+
+// ── Planning ────────────────────────────────────────────────────────
+
+const RUN_TESTS = /\b(?:re-?run|run|execute)\b.*\b(?:tests?|specs?|suite|failures)\b|\b(?:pytest|go\s+test|cargo\s+test)\b/i;
+const WRITE_TESTS = /\b(?:write|add|create|generate|fix|update|improve)\b.*\b(?:tests?|specs?)\b/i;
+const FAILED_ONLY = /\b(?:fail(?:ing|ed|ures?)|broken)\b/i;
+const TEST_NAME = /\b(?:named|called|matching|titled)\s+(.+?)(?=\s+(?:in|under|from|with|using|only)\s|[?.!]?\s*$)/i;
+const TEST_PATH = /\b(?:in|under|for|from)\s+((?:\.{1,2}\/)?[\w.-]+(?:\/[\w.-]*)+)/i;
+const RUNNER_MENTION = [
+  [/\bvitest\b/i, 'vitest'],
+  [/\bjest\b/i, 'jest'],
+  [/\bmocha\b/i, 'mocha'],
+  [/\bpytest\b/i, 'pytest'],
+  [/\bgo\s+test\b/i, 'go'],
+  [/\bcargo\s+test\b/i, 'cargo'],
+  [/\bnode(?::test|\s+--test)\b/i, 'node'],
+];
+
+/**
+ * Plan a test request. Returns { steps, requiresModelForPlanning };
+ * writing or fixing tests needs the model. path is a file or directory
+ * the classifier already resolved, if any.
+ */
+function planTests(input, entities, { path } = {}) {
+  if (!RUN_TESTS.test(input) || WRITE_TESTS.test(input)) return { steps: [], requiresModelForPlanning: true };
+
+  const args = {};
+  const target = path || input.match(TEST_PATH)?.[1];
+  if (target && target !== '.') args.path = target;
+  const name = entities.quoted[0] || input.match(TEST_NAME)?.[1];
+  if (name) args.name = name;
+  if (FAILED_ONLY.test(input)) args.failed = true;
+  const runner = RUNNER_MENTION.find(([pattern]) => pattern.test(input));
+  if (runner) args.runner = runner[1];
+
+  return { steps: [{ tool: 'run_tests', args }], requiresModelForPlanning: false };
+}
+
+// ── Rendering ───────────────────────────────────────────────────────
+
+const MAX_FAILURES_SHOWN = 5;
+
+function renderTestResult(result) {
+  if (!result.runner) return `✗ Couldn't run tests: ${result.error || 'unknown error'}`;
+  const label = `${RUNNER_LABELS[result.runner] || result.runner} (${result.source})`;
+  const lines = [];
+
+  if (!result.parsed) {
+    const outcome = result.exitCode === 0 ? '✓ Tests passed' : `✗ Tests failed (exit ${result.exitCode})`;
+    lines.push(`${outcome} — ${label}; the output wasn't in a format I can summarise:`);
+  } else if (!result.total && result.note && result.success) {
+    lines.push(`✓ ${result.note}`);
+    return lines.join('\n');
+  } else {
+    const counts = [
+      result.failed && `${result.failed} failed`,
+      `${result.passed} passed`,
+      result.skipped && `${result.skipped} skipped`,
+    ].filter(Boolean).join(', ');
+    lines.push(`${result.success ? '✓' : '✗'} ${counts} (${result.total} test${result.total === 1 ? '' : 's'}) — ${label}`);
+    if (!result.total) lines.push('', 'No tests matched.');
+  }
+
+  if (result.failures?.length) {
+    lines.push('', 'Failures:');
+    result.failures.slice(0, MAX_FAILURES_SHOWN).forEach((f, i) => {
+      const where = f.file ? ` — ${f.file}${f.line ? `:${f.line}` : ''}` : '';
+      lines.push(`  ${i + 1}. ${f.name}${where}`);
+      if (f.message) lines.push(...f.message.split('\n').map(l => `       ${l}`));
+    });
+    if (result.failures.length > MAX_FAILURES_SHOWN) lines.push(`  (${result.failures.length - MAX_FAILURES_SHOWN} more)`);
+  }
+  if (result.output) lines.push('', '```', result.output, '```');
+  if (result.note) lines.push('', result.note);
+  return lines.join('\n');
+}
+
+export {
+  TEST_TIMEOUT_MS,
+  detectTestSetup,
+  testCommand,
+  parseTap,
+  parseJUnit,
+  parseJestJson,
+  parseGoJson,
+  parseCargo,
+  runTests,
+  planTests,
+  renderTestResult,
+};
@@ -1,7 +1,7 @@
 // src/tools.js — Tool definitions (Claude schema) + executors
 // DigiMod AI Autonomous Agent v1.0
 
-import { execSync, spawn } from 'child_process';
+import { execSync, spawn, spawnSync } from 'child_process';
 import {
   readFileSync, writeFileSync, existsSync, mkdirSync,
   readdirSync, statSync, unlinkSync, renameSync
@@ -9,6 +9,13 @@ import {
 import { resolve, dirname, relative, join } from 'path';
 import { request as httpsRequest } from 'https';
 import { request as httpRequest } from 'http';
+import { analysePath } from './analysis.js';
+import { runTests } from './testing.js';
+import { runPreflight } from './deploy.js';
+import { replaceText, applyJsonEdit, verifyJsonEdit } from './edits.js';
+import { runDependencies } from './dependencies.js';
+import { manageProcess } from './processes.js';
+import { splitArgs } from './git.js';
 
 // ─────────────────────────────────────────────
 // TOOL DEFINITIONS (Claude API tool_use schema)
@@ -53,10 +60,27 @@ export const TOOL_DEFINITIONS = [
         path: { type: 'string', description: 'File path to edit' },
         old_str: { type: 'string', description: 'Exact string to find (must be unique in file)' },
         new_str: { type: 'string', description: 'Replacement string (empty string to delete)' },
+        replace_all: { type: 'boolean', description: 'Replace every occurrence instead of requiring a unique one (optional)' },
+        whole_word: { type: 'boolean', description: 'Skip matches inside longer identifiers (optional)' },
       },
       required: ['path', 'old_str', 'new_str'],
     },
   },
+  {
+    name: 'edit_json',
+    description: 'Set or delete a key in a JSON file, changing only that value\'s text so formatting and key order are kept. Missing parent objects are created.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'JSON file to edit' },
+        key: { type: 'array', items: { type: 'string' }, description: 'Key path, e.g. ["scripts", "lint"]' },
+        value: { description: 'New value (any JSON value)' },
+        delete: { type: 'boolean', description: 'Remove the key instead of setting it' },
+        coerce: { type: 'boolean', description: 'value is typed text: keep the existing value\'s type, else read numbers/booleans/null as literals' },
+      },
+      required: ['path', 'key'],
+    },
+  },
   {
     name: 'run_command',
     description: 'Execute a shell command and return stdout/stderr. Use for: running scripts, installing packages, building, testing, etc.',
@@ -133,17 +157,87 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: 'search_files',
-    description: 'Search for a pattern in files using grep. Returns matching lines with file paths and line numbers.',
+    description: 'Search for a pattern in files using grep. Returns matching lines with file paths and line numbers, plus the matching files (relative paths) and hits ({ file, line, text }) for later steps to use.',
     input_schema: {
       type: 'object',
       properties: {
         pattern: { type: 'string', description: 'Search pattern (regex supported)' },
         path: { type: 'string', description: 'Directory or file to search in' },
         file_glob: { type: 'string', description: 'File glob pattern, e.g. "*.js", "*.py" (optional)' },
+        extended: { type: 'boolean', description: 'Treat the pattern as an extended regex — alternation, groups, + and ? (optional)' },
       },
       required: ['pattern', 'path'],
     },
   },
+  {
+    name: 'analyse_code',
+    description: 'Static analysis of a JavaScript file or directory: function/class inventory, cyclomatic complexity, long functions, TODO/FIXME comments, unused imports/exports, duplicated blocks and size stats.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'JavaScript file or directory to analyse' },
+        max_function_lines: { type: 'integer', description: 'Report functions longer than this (default 50)' },
+        max_complexity: { type: 'integer', description: 'Report functions with a higher cyclomatic complexity (default 10)' },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'run_tests',
+    description: 'Detect the project\'s test runner (node:test, Jest, Vitest, Mocha, pytest, go test, cargo test), run the tests and return pass/fail/skip counts with each failure\'s message and file location.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Only run tests in this file or directory (optional)' },
+        name: { type: 'string', description: 'Only run tests whose name matches (optional)' },
+        failed: { type: 'boolean', description: 'Only rerun the tests that failed last time (optional)' },
+        runner: { type: 'string', enum: ['node', 'jest', 'vitest', 'mocha', 'pytest', 'go', 'cargo'], description: 'Use this runner instead of the detected one (optional)' },
+      },
+    },
+  },
+  {
+    name: 'preflight',
+    description: 'Check a project is ready to ship before a deploy, release or publish. Fails (and stops the plan) when the check does not pass.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        check: { type: 'string', enum: ['clean_tree', 'publishable', 'version_bumped'], description: 'clean_tree: no uncommitted changes; publishable: package.json can be published to npm; version_bumped: the version is not tagged (or published) yet' },
+        registry: { type: 'string', enum: ['npm'], description: 'Also check the version against this registry (version_bumped only)' },
+      },
+      required: ['check'],
+    },
+  },
+  {
+    name: 'dependencies',
+    description: 'Manage packages with the project\'s package manager (npm, pnpm, yarn, pip or poetry, detected from the lockfile): list outdated packages, audit for vulnerabilities, upgrade, remove, add, or explain why a package is installed.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['outdated', 'audit', 'upgrade', 'remove', 'add', 'why'] },
+        packages: { type: 'array', items: { type: 'string' }, description: 'Package names (upgrade with none upgrades everything)' },
+        level: { type: 'string', enum: ['latest', 'minor', 'patch', 'wanted'], description: 'How far to upgrade (optional, default latest)' },
+        version: { type: 'string', description: 'Exact version to upgrade to or add (optional)' },
+        dev: { type: 'boolean', description: 'Add as a dev dependency (optional)' },
+        manager: { type: 'string', enum: ['npm', 'pnpm', 'yarn', 'pip', 'poetry'], description: 'Use this package manager instead of the detected one (optional)' },
+      },
+      required: ['action'],
+    },
+  },
+  {
+    name: 'process',
+    description: 'Manage long-running commands (dev servers, watchers, workers) in the background: start one detached with its output going to a log file, list what is running, show the log tail, stop or restart by name, or see what is listening on a port. Use this instead of run_command for anything that does not exit by itself.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['start', 'status', 'tail', 'stop', 'restart', 'port'] },
+        name: { type: 'string', description: 'Name to track the process by (start), or which tracked process (tail/stop/restart — optional when only one is running)' },
+        command: { type: 'string', description: 'Shell command to run (start only)' },
+        port: { type: 'number', description: 'Port the process listens on (start waits for it; stop frees it; port reports its owner)' },
+        lines: { type: 'number', description: 'How many log lines to show (tail only, default 20)' },
+      },
+      required: ['action'],
+    },
+  },
   {
     name: 'task_complete',
     description: 'Signal that the assigned task is DONE. Provide a summary of what was accomplished. The agent loop will stop after this.',
@@ -222,13 +316,31 @@ const executors = {
   edit_file(input, config) {
     const fullPath = resolvePath(input.path, config);
     if (!existsSync(fullPath)) return { success: false, error: `File not found: ${fullPath}` };
-    let content = readFileSync(fullPath, 'utf-8');
-    const count = content.split(input.old_str).length - 1;
-    if (count === 0) return { success: false, error: 'Search string not found in file' };
-    if (count > 1) return { success: false, error: `Search string found ${count} times — must be unique` };
-    content = content.replace(input.old_str, input.new_str);
-    writeFileSync(fullPath, content, 'utf-8');
-    return { success: true, path: fullPath };
+    const original = readFileSync(fullPath, 'utf-8');
+    const edit = replaceText(original, input.old_str, input.new_str, { all: input.replace_all, wholeWord: input.whole_word });
+    if (edit.error) return { success: false, error: edit.error };
+    writeFileSync(fullPath, edit.content, 'utf-8');
+    // Re-read to confirm the edit landed; put the original back if not
+    if (readFileSync(fullPath, 'utf-8') !== edit.content) {
+      writeFileSync(fullPath, original, 'utf-8');
+      return { success: false, error: 'File did not hold the edit — change reverted' };
+    }
+    return { success: true, path: fullPath, replacements: edit.count };
+  },
+
+  edit_json(input, config) {
+    const fullPath = resolvePath(input.path, config);
+    if (!existsSync(fullPath)) return { success: false, error: `File not found: ${fullPath}` };
+    const original = readFileSync(fullPath, 'utf-8');
+    const edit = applyJsonEdit(original, input);
+    if (edit.error) return { success: false, error: edit.error };
+    writeFileSync(fullPath, edit.content, 'utf-8');
+    const problem = verifyJsonEdit(readFileSync(fullPath, 'utf-8'), edit);
+    if (problem) {
+      writeFileSync(fullPath, original, 'utf-8');
+      return { success: false, error: `${problem} — change reverted` };
+    }
+    return { success: true, path: fullPath, key: edit.key, value: edit.value, previous: edit.previous };
   },
 
   run_command(input, config) {
@@ -340,26 +452,37 @@ const executors = {
 
   git(input, config) {
     const cwd = input.cwd ? resolvePath(input.cwd, config) : config.workingDirectory;
+    // git runs directly (no shell), with its stderr captured rather than
+    // printed to the terminal
+    let argv;
     try {
-      const stdout = execSync(`git ${input.args}`, {
-        cwd,
-        timeout: 30000,
-        maxBuffer: 2 * 1024 * 1024,
-        encoding: 'utf-8',
-      });
-      return { success: true, output: stdout?.slice(0, 30000) || '' };
+      argv = splitArgs(input.args || '');
     } catch (err) {
+      return { success: false, output: '', error: err.message };
+    }
+    const run = spawnSync('git', argv, {
+      cwd,
+      timeout: 30000,
+      maxBuffer: 2 * 1024 * 1024,
+      encoding: 'utf-8',
+      stdio: 'pipe',
+    });
+    const stdout = run.stdout || '';
+    const stderr = run.stderr || '';
+    if (run.error || run.status !== 0) {
       return {
         success: false,
-        output: (err.stdout || '').slice(0, 10000),
-        error: (err.stderr || err.message || '').slice(0, 5000),
+        output: stdout.slice(0, 10000),
+        stderr: stderr.slice(0, 5000),
+        error: (stderr || stdout || run.error?.message || `git exited with ${run.status}`).slice(0, 5000),
       };
     }
+    return { success: true, output: stdout.slice(0, 30000), stderr: stderr.slice(0, 5000) };
   },
 
   search_files(input, config) {
     const fullPath = resolvePath(input.path, config);
-    let cmd = `grep -rn "${input.pattern.replace(/"/g, '\\"')}" "${fullPath}"`;
+    let cmd = `grep -rnH${input.extended ? 'E' : ''} --exclude-dir=node_modules --exclude-dir=.git "${input.pattern.replace(/"/g, '\\"')}" "${fullPath}"`;
     if (input.file_glob) cmd += ` --include="${input.file_glob}"`;
     cmd += ' 2>/dev/null | head -100';
     try {
@@ -368,12 +491,53 @@ const executors = {
         maxBuffer: 2 * 1024 * 1024,
         encoding: 'utf-8',
       });
-      return { success: true, matches: stdout.trim().slice(0, 30000) };
+      // path:line:text — relative paths so later steps can read them
+      const hits = stdout.trim().split('\n').map(l => l.match(/^(.+?):(\d+):(.*)$/)).filter(Boolean)
+        .map(([, file, line, text]) => ({ file: relative(config.workingDirectory, file) || file, line: Number(line), text: text.trim() }));
+      return { success: true, matches: stdout.trim().slice(0, 30000), files: [...new Set(hits.map(h => h.file))], hits };
     } catch {
-      return { success: true, matches: '' };
+      return { success: true, matches: '', files: [], hits: [] };
     }
   },
 
+  analyse_code(input, config) {
+    return analysePath(input.path || '.', {
+      root: config.workingDirectory,
+      maxFunctionLines: input.max_function_lines,
+      maxComplexity: input.max_complexity,
+    });
+  },
+
+  run_tests(input, config) {
+    return runTests(input, {
+      root: config.workingDirectory,
+      run: (command, timeout) => executors.run_command({ command, timeout_ms: timeout }, config),
+    });
+  },
+
+  preflight(input, config) {
+    return runPreflight(input, {
+      root: config.workingDirectory,
+      run: (command) => executors.run_command({ command }, config),
+    });
+  },
+
+  dependencies(input, config) {
+    return runDependencies(input, {
+      root: config.workingDirectory,
+      run: (command, timeout) => executors.run_command({ command, timeout_ms: timeout }, config),
+    });
+  },
+
+  process(input, config) {
+    if (input.command) checkSafety(input.command, config);
+    return manageProcess(input, {
+      root: config.workingDirectory,
+      logDir: config.processLogDir,
+      run: (command) => executors.run_command({ command, timeout_ms: 10000 }, config),
+    });
+  },
+
   // Terminal signals — these don't "execute" anything, the agent loop handles them
   task_complete(input) { return { success: true, signal: 'COMPLETE', summary: input.summary }; },
   task_failed(input) { return { success: true, signal: 'FAILED', reason: input.reason, attempted: input.attempted }; },
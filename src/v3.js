@@ -11,14 +11,29 @@
  *   node src/v3.js --provider ollama                  # + Ollama fallback
  *   node src/v3.js --provider claude                  # + Claude fallback
  *   node src/v3.js --analyse "read file src/agent.js" # Single classification
+ *   node src/v3.js --dry-run "delete the build dir"   # Plan without executing
+ *   node src/v3.js --dry-run                          # REPL that only plans
  *   node src/v3.js --benchmark                        # Classifier benchmark
+ *   node src/v3.js --benchmark corpus.jsonl --report out.json
+ *   node src/v3.js --watch-rules                      # Hot-reload rule packs
+ *   node src/v3.js --distill --provider ollama        # Propose rules from fallback logs
+ *   node src/v3.js --train corpus.jsonl               # Fit calibrated confidence weights
  */
 
 import readline from 'readline';
-import { classify, extractEntities } from './classifier.js';
+import { classify, classifyCompound, explainClassification, setTaskTypes, setWorkspace } from './classifier.js';
 import { WorkflowOrchestrator } from './orchestrator.js';
+import { BENCHMARK_CASES, evaluateBenchmark, benchmarkReportJson, corpusToCases } from './benchmark.js';
+import { loadRulePacks, watchRulePacks, formatRuleError, ruleDirectories, WEIGHTS_FILE } from './rules.js';
+import { distillRules } from './distill.js';
+import { trainCalibration } from './calibration.js';
+import { readCorpus } from './benchmark.js';
+import { writeFileSync } from 'fs';
 import { executeTool } from './tools.js';
+import { stopAll, renderProcess } from './processes.js';
 import { loadConfig } from './config.js';
+import { WorkspaceIndex } from './workspace.js';
+import { loadTemplates, setTemplates, formatTemplateError } from './scaffold.js';
 import { Logger } from './logger.js';
 
 // ── Parse CLI args ──────────────────────────────────────────────────
@@ -28,13 +43,27 @@ const flags = {
   analyse: null,
   benchmark: false,
   verbose: false,
+  watchRules: false,
+  distill: null,
+  train: null,
+  out: null,
+  report: null,
+  json: false,
+  dryRun: false,
 };
 
 for (let i = 0; i < args.length; i++) {
   if ((args[i] === '--provider') && args[i + 1]) flags.provider = args[++i];
   if ((args[i] === '--analyse' || args[i] === '--analyze') && args[i + 1]) flags.analyse = args[++i];
-  if (args[i] === '--benchmark') flags.benchmark = true;
+  if (args[i] === '--benchmark') flags.benchmark = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
+  if (args[i] === '--report' && args[i + 1]) flags.report = args[++i];
   if (args[i] === '--verbose' || args[i] === '-v') flags.verbose = true;
+  if (args[i] === '--watch-rules') flags.watchRules = true;
+  if (args[i] === '--distill') flags.distill = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
+  if (args[i] === '--train' && args[i + 1]) flags.train = args[++i];
+  if (args[i] === '--out' && args[i + 1]) flags.out = args[++i];
+  if (args[i] === '--json') flags.json = true;
+  if (args[i] === '--dry-run') flags.dryRun = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
 }
 
 // ── ANSI colours ────────────────────────────────────────────────────
@@ -44,10 +73,118 @@ const C = {
   cyan: '\x1b[36m', red: '\x1b[31m', grey: '\x1b[90m',
 };
 
+/**
+ * "raed→read (typo), reading→read (stem)"
+ */
+function formatFuzzy(corrections) {
+  return corrections.map(c => `${c.token}→${c.match} (${c.kind === 'stem' ? 'stem' : 'typo'})`).join(', ');
+}
+
+/**
+ * Per-intent breakdown: each rule that fired and what it contributed,
+ * entity boosts, and why the ambiguity check did or didn't trigger
+ */
+function printExplanation(result, indent = '  ') {
+  const fmt = (n) => `${n >= 0 ? '+' : '−'}${Math.abs(n).toFixed(2)}`;
+  for (const s of result.allScores) {
+    const { mode, bias, rules: fired, boosts, raw } = s.explain;
+    const total = mode === 'calibrated' ? `logit ${raw.toFixed(2)}` : `raw ${raw.toFixed(2)}${raw > 1 ? ', capped' : ''}`;
+    console.log(`${indent}${C.bold}${s.taskType}${C.reset} ${(s.confidence * 100).toFixed(0)}% ${C.dim}(${mode}, ${total})${C.reset}`);
+    if (mode === 'calibrated') console.log(`${indent}  ${fmt(bias)}  ${C.grey}bias${C.reset}`);
+    for (const r of fired) {
+      const rule = r.kind === 'pattern' ? r.rule : `"${r.rule}"`;
+      const fuzzy = r.fuzzy ? ` ${C.dim}(fuzzy ×${r.hit})${C.reset}` : '';
+      console.log(`${indent}  ${fmt(r.contribution)}  ${C.grey}${r.id}${C.reset}  ${rule}${fuzzy}`);
+    }
+    for (const b of boosts) {
+      console.log(`${indent}  ${fmt(b.contribution)}  ${C.grey}boost${C.reset}  ${b.entity}`);
+    }
+  }
+  const { ambiguity } = result;
+  console.log(`${indent}${C.dim}Ambiguity: ${ambiguity.checked ? (ambiguity.triggered ? 'triggered' : 'not triggered') : 'not checked'} — ${ambiguity.reason}${C.reset}`);
+}
+
+// ── Rule packs (merged into the classifier at startup) ──────────────
+const config = loadConfig();
+let rules = applyRulePacks();
+
+function applyRulePacks() {
+  const loaded = loadRulePacks(config);
+  setTaskTypes(loaded.taskTypes);
+  for (const err of loaded.errors) {
+    console.log(`${C.yellow}⚠ Rule pack: ${formatRuleError(err)}${C.reset}`);
+  }
+  if (loaded.weights?.stale.length) {
+    console.log(`${C.dim}Calibration weights: ${loaded.weights.stale.length} rule(s) added since training — re-run --train${C.reset}`);
+  }
+  return loaded;
+}
+
+// ── Scaffold templates (built-in + team template directories) ──────
+let templates = applyTemplates();
+
+function applyTemplates() {
+  const loaded = loadTemplates(config);
+  setTemplates(loaded.templates);
+  for (const err of loaded.errors) {
+    console.log(`${C.yellow}⚠ Template: ${formatTemplateError(err)}${C.reset}`);
+  }
+  return loaded;
+}
+
+/**
+ * Re-read rule packs and templates from disk and refresh the workspace
+ * index — what /reload and --watch-rules both do
+ */
+function reloadFromDisk() {
+  rules = applyRulePacks();
+  templates = applyTemplates();
+  workspace?.refresh();
+  return `Rule packs reloaded (${rules.packs.length} pack(s))`;
+}
+
+function printTemplates() {
+  console.log(`\n${C.bold}Scaffold templates${C.reset} ${C.dim}(team templates are matched first)${C.reset}`);
+  for (const t of Object.values(templates.templates).reverse()) {
+    console.log(`  ${t.id.padEnd(16)} ${t.description} ${C.grey}${t.source || 'built-in'}${C.reset}`);
+  }
+  console.log();
+}
+
+function printRules() {
+  console.log(`\n${C.bold}Rule packs${C.reset} ${C.dim}(later overrides earlier)${C.reset}`);
+  for (const pack of rules.packs) {
+    console.log(`  ${pack.name} ${C.grey}${pack.source}${C.reset}`);
+  }
+  console.log(`${C.dim}Task types: ${Object.values(rules.taskTypes).map(t => t.id).join(', ')}${C.reset}`);
+  if (rules.weights) {
+    console.log(`${C.dim}Calibrated: ${rules.weights.source} (trained ${rules.weights.trainedAt}, ECE ${rules.weights.ece})${C.reset}`);
+  }
+  if (rules.errors.length) console.log(`${C.yellow}${rules.errors.length} validation error(s)${C.reset}`);
+  console.log();
+}
+
+// ── Workspace index (file references checked against the project) ──
+// Only interactive use and --analyse see it; benchmarks stay independent
+// of whatever tree they run in.
+const workspace = config.workspaceIndex ? new WorkspaceIndex(config.workingDirectory) : null;
+
+function formatWorkspacePaths(refs) {
+  return refs.map(r => r.path
+    ? `${r.ref === r.path ? r.path : `${r.ref} → ${r.path}`} (${r.match})`
+    : `${r.ref} not found${r.candidates.length ? ` — did you mean ${r.candidates.join(', ')}?` : ''}`).join('; ');
+}
+
 // ── Single analysis mode ────────────────────────────────────────────
 if (flags.analyse) {
+  setWorkspace(workspace);
   const result = classify(flags.analyse);
-  const entities = extractEntities(flags.analyse);
+  const { entities } = result;
+
+  if (flags.json) {
+    console.log(JSON.stringify({ input: flags.analyse, ...explainClassification(result) }, null, 2));
+    process.exit(0);
+  }
 
   console.log(`\n${C.bold}Classification Analysis${C.reset}`);
   console.log(`${C.grey}─────────────────────────────────────${C.reset}`);
@@ -57,17 +194,31 @@ if (flags.analyse) {
   console.log(`Model needed: ${result.needsModel ? C.yellow + 'YES' : C.green + 'NO'}${C.reset} (${result.reason})`);
   console.log(`Tools:      ${result.tools.join(', ') || 'none'}`);
 
+  if (result.fuzzy.length) console.log(`Fuzzy:      ${formatFuzzy(result.fuzzy)}`);
   if (entities.filePaths.length) console.log(`Files:      ${entities.filePaths.join(', ')}`);
+  if (entities.workspacePaths.length) console.log(`Workspace:  ${formatWorkspacePaths(entities.workspacePaths)}`);
   if (entities.urls.length) console.log(`URLs:       ${entities.urls.join(', ')}`);
   if (entities.gitOps.length) console.log(`Git ops:    ${entities.gitOps.map(g => g.operation).join(', ')}`);
   if (entities.packages.length) console.log(`Packages:   ${entities.packages.join(', ')}`);
-
-  if (result.allScores.length > 1) {
-    console.log(`\n${C.dim}All scores:${C.reset}`);
-    for (const s of result.allScores) {
-      console.log(`  ${s.taskType}: ${(s.confidence * 100).toFixed(0)}% (${s.matchedPatterns}p/${s.matchedKeywords}k)`);
+  if (entities.lineRanges.length) console.log(`Lines:      ${entities.lineRanges.map(r => r.start === r.end ? r.start : `${r.start}-${r.end}`).join(', ')}`);
+  if (entities.symbols.length) console.log(`Symbols:    ${entities.symbols.map(s => `${s.name} (${s.kind})`).join(', ')}`);
+  if (entities.branches.length) console.log(`Branches:   ${entities.branches.join(', ')}`);
+  if (entities.tags.length) console.log(`Tags:       ${entities.tags.join(', ')}`);
+  if (entities.ports.length) console.log(`Ports:      ${entities.ports.join(', ')}`);
+  if (entities.envVars.length) console.log(`Env vars:   ${entities.envVars.join(', ')}`);
+  if (entities.quoted.length) console.log(`Quoted:     ${entities.quoted.map(q => JSON.stringify(q)).join(', ')}`);
+  if (entities.globs.length) console.log(`Globs:      ${entities.globs.join(', ')}`);
+
+  const { compound, clauses } = classifyCompound(flags.analyse);
+  if (compound) {
+    console.log(`\n${C.dim}Clauses (executed in order):${C.reset}`);
+    for (const { index, text, classification: c } of clauses) {
+      console.log(`  ${index + 1}. ${text} → ${c.intent} (${(c.confidence * 100).toFixed(0)}%, ${c.needsModel ? 'model' : 'det'})`);
     }
   }
+
+  console.log(`\n${C.dim}Breakdown:${C.reset}`);
+  printExplanation(result);
   console.log();
   process.exit(0);
 }
@@ -78,82 +229,148 @@ if (flags.benchmark) {
   process.exit(0);
 }
 
+// ── Train mode ──────────────────────────────────────────────────────
+if (flags.train) {
+  runTrain();
+  process.exit(0);
+}
+
+function runTrain() {
+  const outPath = flags.out || `${ruleDirectories(config).project}/${WEIGHTS_FILE}`;
+  let cases;
+  try {
+    cases = readCorpus(flags.train);
+  } catch (err) {
+    console.log(`${C.red}${err.message}${C.reset}`);
+    process.exit(1);
+  }
+
+  console.log(`\n${C.bold}═══ CONFIDENCE CALIBRATION ═══${C.reset}\n`);
+  const { before, after, heldOut, trainCases, evalCases } = trainCalibration({
+    cases, taskTypes: rules.taskTypes, outPath, corpusPath: flags.train,
+  });
+
+  console.log(`Corpus:    ${cases.length} case(s) — trained on ${trainCases}, evaluated on ${evalCases}${heldOut ? ' held out' : ' (training data; add ≥25 cases for a holdout)'}`);
+  console.log(`ECE:       ${before.ece} (heuristic) → ${C.bold}${after.ece}${C.reset} (calibrated)`);
+  console.log(`At ${after.threshold}:   coverage ${(before.coverage * 100).toFixed(0)}% → ${(after.coverage * 100).toFixed(0)}%, precision ${(before.precisionAtThreshold * 100).toFixed(0)}% → ${(after.precisionAtThreshold * 100).toFixed(0)}%`);
+
+  console.log(`\n${C.dim}Reliability (calibrated):${C.reset}`);
+  console.log(`  ${'bucket'.padEnd(11)} ${'n'.padStart(5)}  ${'conf'.padStart(5)}  ${'acc'.padStart(5)}`);
+  for (const b of after.buckets) {
+    if (!b.count) continue;
+    const gap = Math.abs(b.accuracy - b.confidence);
+    const colour = gap <= 0.1 ? C.green : gap <= 0.2 ? C.yellow : C.red;
+    console.log(`  ${`${b.from.toFixed(1)}–${b.to.toFixed(1)}`.padEnd(11)} ${String(b.count).padStart(5)}  ${b.confidence.toFixed(2).padStart(5)}  ${colour}${b.accuracy.toFixed(2).padStart(5)}${C.reset}`);
+  }
+
+  console.log(`\nWeights: ${outPath}`);
+  console.log(`${C.dim}Loaded automatically from the rules directory on next start.${C.reset}\n`);
+}
+
+// ── Distill mode ────────────────────────────────────────────────────
+if (flags.distill) {
+  await runDistill();
+  process.exit(0);
+}
+
+async function runDistill() {
+  const historyPath = flags.distill === true ? config.logDir : flags.distill;
+  const outDir = flags.out || `${config.logDir}/distill`;
+  const model = await createModelProvider();
+
+  console.log(`\n${C.bold}═══ RULE DISTILLATION ═══${C.reset}\n`);
+  try {
+    const { history, clusters, changes, delta, errors, files } = await distillRules({ model, historyPath, outDir });
+    const h = delta.history;
+    const b = delta.benchmark;
+
+    console.log(`History:   ${history.length} fallback event(s), ${clusters.length} cluster(s)`);
+    console.log(`Proposed:  ${changes.filter(c => c.isNew).length} new type(s), ${changes.filter(c => !c.isNew).length} extended`);
+    console.log(`Coverage:  ${h.deterministicBefore}/${h.total} → ${C.bold}${h.deterministicAfter}/${h.total}${C.reset} deterministic`);
+    console.log(`Benchmark: ${b.before}/${b.total} → ${b.regressions.length ? C.red : C.green}${b.after}/${b.total}${C.reset}`);
+    if (errors.length) console.log(`${C.yellow}${errors.length} validation error(s) — see report${C.reset}`);
+    console.log(`\nCandidate pack: ${files.pack}`);
+    console.log(`Report:         ${files.report}`);
+    console.log(`${C.dim}Nothing activated. Copy the pack into rules/ after review.${C.reset}\n`);
+  } catch (err) {
+    console.log(`${C.red}Distillation failed: ${err.message}${C.reset}\n`);
+    process.exit(1);
+  }
+}
+
 function runBenchmark() {
-  const testCases = [
-    // Fully deterministic — should NOT need model
-    { input: 'read file src/agent.js', expect: { det: true, intent: 'file_read' } },
-    { input: 'cat package.json', expect: { det: true, intent: 'file_read' } },
-    { input: 'show contents of README.md', expect: { det: true, intent: 'file_read' } },
-    { input: 'list files in src/', expect: { det: true, intent: 'file_read' } },
-    { input: 'create file config.yaml', expect: { det: true, intent: 'file_write' } },
-    { input: 'write a new file called utils.js', expect: { det: true, intent: 'file_write' } },
-    { input: 'edit src/index.js', expect: { det: true, intent: 'file_edit' } },
-    { input: 'fix the bug in src/tools.js', expect: { det: true, intent: 'file_edit' } },
-    { input: 'run npm install express', expect: { det: true, intent: 'shell_command' } },
-    { input: 'git status', expect: { det: true, intent: 'shell_command' } },
-    { input: 'git commit -m "initial commit"', expect: { det: true, intent: 'shell_command' } },
-    { input: 'npm test', expect: { det: false, intent: 'shell_command' } },
-    { input: 'curl https://api.example.com/data', expect: { det: true, intent: 'http_request' } },
-    { input: 'fetch data from https://api.example.com/users', expect: { det: true, intent: 'http_request' } },
-    { input: 'search for "TODO" in src/', expect: { det: true, intent: 'search' } },
-    { input: 'find all files containing "export" in src', expect: { det: true, intent: 'search' } },
-    { input: 'run the tests', expect: { det: true, intent: 'testing' } },
-    { input: 'analyse the code in src/agent.js', expect: { det: true, intent: 'code_analysis' } },
-    { input: 'review the code quality of src/', expect: { det: true, intent: 'code_analysis' } },
-
-    // Should need model — ambiguous or creative
-    { input: 'help me build a REST API', expect: { det: false } },
-    { input: 'what do you think about this architecture?', expect: { det: false } },
-    { input: 'explain how async/await works', expect: { det: false } },
-    { input: 'refactor the entire codebase for better performance', expect: { det: false } },
-  ];
+  let cases = BENCHMARK_CASES;
+  let source = 'built-in';
+  if (typeof flags.benchmark === 'string') {
+    try {
+      cases = corpusToCases(readCorpus(flags.benchmark));
+      source = flags.benchmark;
+    } catch (err) {
+      console.log(`${C.red}${err.message}${C.reset}`);
+      process.exit(1);
+    }
+  }
 
   console.log(`\n${C.bold}═══ CLASSIFIER BENCHMARK ═══${C.reset}\n`);
 
-  let pass = 0;
-  let fail = 0;
-
-  for (const tc of testCases) {
-    const result = classify(tc.input);
-    const isDet = !result.needsModel;
-    const intentOk = !tc.expect.intent || result.intent === tc.expect.intent;
-    const detOk = isDet === tc.expect.det;
-    const passed = intentOk && detOk;
+  const report = evaluateBenchmark(cases);
+  const { results, pass, total } = report;
 
+  for (const { case: tc, result, isDet, passed } of results) {
     if (passed) {
-      pass++;
       if (flags.verbose) {
         console.log(`  ${C.green}✓${C.reset} ${tc.input}`);
         console.log(`    ${C.dim}→ ${result.intent} (${(result.confidence * 100).toFixed(0)}%) det=${isDet}${C.reset}`);
       }
     } else {
-      fail++;
-      console.log(`  ${C.red}✗${C.reset} ${tc.input}`);
+      console.log(`  ${C.red}✗${C.reset} ${tc.input}${tc.line ? ` ${C.grey}(line ${tc.line})${C.reset}` : ''}`);
       console.log(`    ${C.red}Expected: intent=${tc.expect.intent || 'any'} det=${tc.expect.det}${C.reset}`);
       console.log(`    ${C.red}Got:      intent=${result.intent} det=${isDet} (${(result.confidence * 100).toFixed(0)}%, ${result.reason})${C.reset}`);
     }
   }
 
-  const total = pass + fail;
   const rate = ((pass / total) * 100).toFixed(1);
   const colour = rate >= 90 ? C.green : rate >= 75 ? C.yellow : C.red;
+  const pct = (n) => `${(n * 100).toFixed(1)}%`;
 
-  console.log(`\n${C.bold}Results: ${colour}${pass}/${total} passed (${rate}%)${C.reset}`);
+  console.log(`\n${C.bold}Results: ${colour}${pass}/${total} passed (${rate}%)${C.reset} ${C.dim}— ${source}${C.reset}`);
 
   // Deterministic coverage
-  const detCases = testCases.filter(t => t.expect.det);
-  const detPass = detCases.filter(tc => {
-    const r = classify(tc.input);
-    return !r.needsModel && (!tc.expect.intent || r.intent === tc.expect.intent);
-  }).length;
-  console.log(`Deterministic accuracy: ${C.bold}${detPass}/${detCases.length}${C.reset}`);
+  console.log(`Deterministic accuracy:   ${C.bold}${report.detPass}/${report.detTotal}${C.reset} (${pct(report.deterministicAccuracy)})`);
+  console.log(`Deterministic coverage:   ${C.bold}${pct(report.deterministicCoverage)}${C.reset}`);
+  console.log(`False-deterministic rate: ${report.falseDeterministicRate > 0 ? C.red : C.green}${pct(report.falseDeterministicRate)}${C.reset}`);
+  console.log(`Macro F1:                 ${C.bold}${report.macroF1.toFixed(3)}${C.reset}`);
+
+  console.log(`\n${C.dim}Per intent:${C.reset}`);
+  console.log(`  ${'intent'.padEnd(18)} ${'n'.padStart(4)} ${'prec'.padStart(6)} ${'recall'.padStart(6)} ${'F1'.padStart(6)}`);
+  for (const [label, m] of Object.entries(report.perIntent)) {
+    console.log(`  ${label.padEnd(18)} ${String(m.support).padStart(4)} ${m.precision.toFixed(2).padStart(6)} ${m.recall.toFixed(2).padStart(6)} ${m.f1.toFixed(2).padStart(6)}`);
+  }
+
+  // Confusion matrix — rows expected, columns routed; numbered to stay narrow
+  const { labels, confusion } = report;
+  console.log(`\n${C.dim}Confusion (rows expected → columns got):${C.reset}`);
+  console.log(`  ${''.padEnd(22)} ${labels.map((_, i) => String(i + 1).padStart(3)).join(' ')}`);
+  labels.forEach((actual, i) => {
+    const cells = labels.map(p => {
+      const n = confusion[actual][p];
+      const cell = String(n || '·').padStart(3);
+      return n && p !== actual ? `${C.red}${cell}${C.reset}` : cell;
+    });
+    console.log(`  ${`${i + 1}. ${actual}`.padEnd(22)} ${cells.join(' ')}`);
+  });
+
+  if (flags.report) {
+    writeFileSync(flags.report, benchmarkReportJson(report, { corpus: source, packs: rules.packs.map(p => p.name) }));
+    console.log(`\nReport: ${flags.report}`);
+  }
   console.log();
 }
 
 // ── Interactive REPL mode ───────────────────────────────────────────
 async function main() {
-  const config = loadConfig();
   const logger = new Logger(config);
+  setWorkspace(workspace);
 
   // Wrap executeTool with config baked in
   const execute = async (toolName, toolArgs) => {
@@ -161,37 +378,38 @@ async function main() {
   };
 
   // Set up model provider if requested
-  let modelProvider = null;
-  if (flags.provider) {
-    try {
-      const { createProvider } = await import('./providers.js');
-      const providerConfig = {
-        ...config,
-        provider: flags.provider,
-        model: config.ollamaModel || config.model || 'qwen3-coder:30b',
-      };
-      modelProvider = createProvider(providerConfig);
-      console.log(`${C.dim}Model fallback: ${flags.provider}${C.reset}`);
-    } catch (err) {
-      console.log(`${C.yellow}Warning: Could not init ${flags.provider}: ${err.message}${C.reset}`);
-      console.log(`${C.dim}Running deterministic-only.${C.reset}`);
-    }
-  }
+  const modelProvider = await createModelProvider();
 
   // Create orchestrator
   const orchestrator = new WorkflowOrchestrator(execute, modelProvider, {
     confidenceThreshold: 0.4,
+    maxRetries: config.maxRetries,
+    root: config.workingDirectory,
+    approval: config.approval,
     logger,
   });
 
+  // One-shot dry run: print the plan and exit
+  if (typeof flags.dryRun === 'string') {
+    const result = await orchestrator.preview(flags.dryRun);
+    if (flags.json) {
+      const { resolvedInput, clauses, files, commands } = result;
+      console.log(JSON.stringify({ input: flags.dryRun, resolvedInput, clauses, files, commands }, null, 2));
+    } else {
+      if (result.resolvedInput) console.log(`${C.dim}↪ ${result.resolvedInput}${C.reset}`);
+      console.log(result.response);
+    }
+    process.exit(0);
+  }
+
   console.log(`
 ${C.bold}${C.cyan}╔══════════════════════════════════════════════════╗
 ║  Autonomous Agent v3.0 — Deterministic Engine    ║
 ║  Model: ${(flags.provider || 'NONE (pure deterministic)').padEnd(39)}║
 ╚══════════════════════════════════════════════════╝${C.reset}
 
-${C.dim}Commands: /metrics  /trace  /classify <input>  /quit${C.reset}
-`);
+${C.dim}Commands: /metrics  /trace  /classify [--json] <input>  /plan <input>  /rules  /templates  /ps  /reload  /quit${C.reset}
+${flags.dryRun ? `${C.yellow}Dry run: inputs are planned, never executed${C.reset}\n` : ''}`);
 
   const rl = readline.createInterface({
     input: process.stdin,
@@ -199,6 +417,20 @@ ${C.dim}Commands: /metrics  /trace  /classify <input>  /quit${C.reset}
     prompt: `${C.green}▶${C.reset} `,
   });
 
+  // Hot-reload rule packs (and templates, as /reload does) when files in
+  // the rule directories change
+  const stopWatching = flags.watchRules
+    ? watchRulePacks(config, () => {
+      console.log(`\n${C.dim}${reloadFromDisk()}${C.reset}`);
+      rl.prompt();
+    })
+    : () => {};
+
+  // Last needs_choice / needs_approval result, until it is answered or
+  // another input comes in
+  let pendingChoice = null;
+  let pendingApproval = null;
+
   rl.prompt();
 
   rl.on('line', async (line) => {
@@ -219,9 +451,47 @@ ${C.dim}Commands: /metrics  /trace  /classify <input>  /quit${C.reset}
     }
 
     if (input.startsWith('/classify ')) {
-      const query = input.slice(10);
-      const result = classify(query);
-      console.log(`\n${C.dim}Intent: ${C.bold}${result.intent}${C.reset}${C.dim} | Confidence: ${(result.confidence * 100).toFixed(0)}% | Model: ${result.needsModel ? 'YES' : 'NO'} (${result.reason})${C.reset}\n`);
+      const asJson = input.startsWith('/classify --json ');
+      const query = input.slice(asJson ? 17 : 10);
+      const { compound, clauses } = classifyCompound(query);
+      if (asJson) {
+        const explained = clauses.map(({ index, text, classification }) => ({ index, text, ...explainClassification(classification) }));
+        console.log(JSON.stringify({ input: query, compound, clauses: explained }, null, 2));
+        rl.prompt();
+        return;
+      }
+      console.log();
+      for (const { index, text, classification: result } of clauses) {
+        const label = compound ? `[${index + 1}/${clauses.length}] ${text} → ` : '';
+        const fuzzy = result.fuzzy.length ? ` | Fuzzy: ${formatFuzzy(result.fuzzy)}` : '';
+        console.log(`${C.dim}${label}Intent: ${C.bold}${result.intent}${C.reset}${C.dim} | Confidence: ${(result.confidence * 100).toFixed(0)}% | Model: ${result.needsModel ? 'YES' : 'NO'} (${result.reason})${fuzzy}${C.reset}`);
+        printExplanation(result);
+      }
+      console.log();
+      rl.prompt();
+      return;
+    }
+
+    if (input === '/rules') {
+      printRules();
+      rl.prompt();
+      return;
+    }
+
+    if (input === '/templates') {
+      printTemplates();
+      rl.prompt();
+      return;
+    }
+
+    if (input === '/ps') {
+      console.log(renderProcess(await executeTool('process', { action: 'status' }, config)));
+      rl.prompt();
+      return;
+    }
+
+    if (input === '/reload') {
+      console.log(`${C.dim}${reloadFromDisk()}${C.reset}`);
       rl.prompt();
       return;
     }
@@ -233,19 +503,38 @@ ${C.dim}Commands: /metrics  /trace  /classify <input>  /quit${C.reset}
       return;
     }
 
-    // Process through deterministic orchestrator
+    // Process through deterministic orchestrator — a number answers a
+    // pending "which did you mean?", y/n a pending approval; /plan (every
+    // input under --dry-run) only shows what would run
     try {
-      const result = await orchestrator.process(input);
+      const planOnly = input.startsWith('/plan ');
+      const answer = pendingChoice && /^\d+$/.test(input) ? Number(input) : undefined;
+      const approved = pendingApproval && /^(y|yes|n|no)$/i.test(input) ? /^y/i.test(input) : undefined;
+      const result = planOnly || flags.dryRun
+        ? await orchestrator.preview(planOnly ? input.slice(6) : input)
+        : answer !== undefined
+        ? await orchestrator.choose(pendingChoice, answer)
+        : approved !== undefined
+        ? await orchestrator.approve(pendingApproval, approved)
+        : await orchestrator.process(input);
+      if (result.status !== 'dry_run') {
+        pendingChoice = result.status === 'needs_choice' ? result : null;
+        pendingApproval = result.status === 'needs_approval' ? result : null;
+      }
 
       if (flags.verbose && result.trace) {
         console.log(`${C.grey}[trace] ${JSON.stringify(result.trace, null, 2)}${C.reset}`);
       }
 
-      const badge = result.deterministic
+      const badge = result.status === 'needs_choice' ? `${C.cyan}■ needs a choice${C.reset}`
+        : result.status === 'dry_run' ? `${C.cyan}■ dry run${C.reset}`
+        : result.status === 'needs_approval' ? `${C.yellow}■ needs approval${C.reset}`
+        : result.deterministic
         ? `${C.green}■ deterministic${C.reset}`
         : `${C.yellow}■ model-assisted${C.reset}`;
 
       console.log(`\n${badge}`);
+      if (result.resolvedInput) console.log(`${C.dim}↪ ${result.resolvedInput}${C.reset}`);
       console.log(result.response);
       console.log();
 
@@ -257,11 +546,37 @@ ${C.dim}Commands: /metrics  /trace  /classify <input>  /quit${C.reset}
   });
 
   rl.on('close', () => {
+    stopWatching();
+    // Background processes don't outlive the session
+    const stopped = stopAll();
+    if (stopped) console.log(`${C.dim}Stopped ${stopped} background process(es)${C.reset}`);
     console.log(`${C.dim}Agent terminated.${C.reset}`);
     process.exit(0);
   });
 }
 
+/**
+ * Create the --provider model, or null for deterministic-only
+ */
+async function createModelProvider() {
+  if (!flags.provider) return null;
+  try {
+    const { createProvider } = await import('./providers.js');
+    const providerConfig = {
+      ...config,
+      provider: flags.provider,
+      model: config.ollamaModel || config.model || 'qwen3-coder:30b',
+    };
+    const provider = createProvider(providerConfig);
+    console.log(`${C.dim}Model fallback: ${flags.provider}${C.reset}`);
+    return provider;
+  } catch (err) {
+    console.log(`${C.yellow}Warning: Could not init ${flags.provider}: ${err.message}${C.reset}`);
+    console.log(`${C.dim}Running deterministic-only.${C.reset}`);
+    return null;
+  }
+}
+
 main().catch(err => {
   console.error(`Fatal: ${err.message}`);
   process.exit(1);
@@ -0,0 +1,206 @@
+/**
+ * Workspace Index
+ *
+ * A lazily built list of the project's files (relative to
+ * config.workingDirectory, honouring .gitignore) that the classifier uses
+ * to check file references against the real tree:
+ *
+ *   exact    — the path exists as written
+ *   partial  — a unique file ends with it ("agent.js" → src/agent.js)
+ *   name     — a descriptive reference ("the agent file") names one file
+ *   fuzzy    — a descriptive reference is a typo of one file's name
+ *
+ * Explicit paths that don't exist are never rewritten (a mistyped path may
+ * be a file about to be created); they get "did you mean" candidates instead.
+ */
+
+import { readdirSync, readFileSync, existsSync, statSync } from 'fs';
+import { join, relative, resolve, basename, extname, sep } from 'path';
+import { editDistance, maxTypos } from './classifier.js';
+
+const ALWAYS_IGNORED = ['.git', 'node_modules'];
+const MAX_FILES = 20000;
+const MAX_CANDIDATES = 3;
+
+/**
+ * Compile one .gitignore line into { regex, negate, dirOnly }, or null
+ * for blanks and comments. Supports *, **, ?, leading / and trailing /.
+ */
+function compileIgnoreRule(line) {
+  let pattern = line.replace(/\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.slice(0, -1);
+  // Patterns with a slash (other than trailing) are anchored to the root
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  const source = pattern
+    .split(/(\*\*\/|\/\*\*|\*\*|\*|\?)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '/**') return '(?:/.*)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return {
+    regex: new RegExp(anchored ? `^${source}(?:/.*)?$` : `(?:^|/)${source}(?:/.*)?$`),
+    negate,
+    dirOnly,
+  };
+}
+
+/**
+ * Read .gitignore rules from the workspace root
+ */
+function readIgnoreRules(root) {
+  const path = join(root, '.gitignore');
+  if (!existsSync(path)) return [];
+  return readFileSync(path, 'utf-8').split('\n').map(compileIgnoreRule).filter(Boolean);
+}
+
+/**
+ * Last matching rule wins, as in git
+ */
+function isIgnored(relPath, isDir, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    // Ignored directories are never descended into, so a dir-only rule
+    // only has to be checked against directories themselves
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.regex.test(relPath)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+// File name without its extension, lowercased: "Agent.test.js" → "agent.test"
+const stemOf = (file) => basename(file, extname(file)).toLowerCase();
+
+class WorkspaceIndex {
+  constructor(root, { maxAgeMs = 30000, maxFiles = MAX_FILES } = {}) {
+    this.root = resolve(root);
+    this.maxAgeMs = maxAgeMs;
+    this.maxFiles = maxFiles;
+    this._files = null;
+    this._builtAt = 0;
+    this.truncated = false;
+  }
+
+  /**
+   * Relative paths of every indexed file — built on first use and rebuilt
+   * once older than maxAgeMs, so files the agent creates show up
+   */
+  files() {
+    if (this._files && Date.now() - this._builtAt < this.maxAgeMs) return this._files;
+
+    const rules = readIgnoreRules(this.root);
+    const files = [];
+    this.truncated = false;
+
+    const walk = (dir) => {
+      let entries;
+      try { entries = readdirSync(dir, { withFileTypes: true }); } catch { return; }
+      for (const entry of entries) {
+        if (files.length >= this.maxFiles) { this.truncated = true; return; }
+        if (ALWAYS_IGNORED.includes(entry.name)) continue;
+        const full = join(dir, entry.name);
+        const rel = relative(this.root, full).split(sep).join('/');
+        const isDir = entry.isDirectory();
+        if (isIgnored(rel, isDir, rules)) continue;
+        if (isDir) walk(full);
+        else if (entry.isFile()) files.push(rel);
+      }
+    };
+    walk(this.root);
+
+    this._files = files.sort();
+    this._builtAt = Date.now();
+    return this._files;
+  }
+
+  /**
+   * Forget the cached listing
+   */
+  refresh() {
+    this._files = null;
+  }
+
+  /**
+   * Does a path (relative to the root, or absolute) exist on disk?
+   */
+  exists(path) {
+    try { statSync(resolve(this.root, path)); return true; } catch { return false; }
+  }
+
+  /**
+   * Resolve an explicit path reference.
+   * Returns { ref, path, match, candidates } — path is null when the
+   * reference doesn't exist and isn't a unique suffix of a real file.
+   */
+  resolvePath(ref) {
+    const clean = ref.replace(/^\.\//, '');
+    if (this.exists(clean)) return { ref, path: ref, match: 'exact', candidates: [] };
+
+    const files = this.files();
+    const suffixed = files.filter(f => f === clean || f.endsWith('/' + clean));
+    if (suffixed.length === 1) return { ref, path: suffixed[0], match: 'partial', candidates: [] };
+    if (suffixed.length > 1) return { ref, path: null, match: null, candidates: suffixed.slice(0, MAX_CANDIDATES) };
+
+    return { ref, path: null, match: null, candidates: this._similar(clean, files) };
+  }
+
+  /**
+   * Resolve a descriptive reference ("the agent file" → name "agent") to
+   * the one file whose name matches exactly or within a typo or two.
+   */
+  resolveName(name) {
+    const target = name.toLowerCase();
+    const files = this.files();
+
+    const named = files.filter(f => stemOf(f) === target || basename(f).toLowerCase() === target);
+    if (named.length === 1) return { ref: name, path: named[0], match: 'name', candidates: [] };
+    if (named.length > 1) return { ref: name, path: null, match: null, candidates: named.slice(0, MAX_CANDIDATES) };
+
+    const similar = this._similar(target, files);
+    if (similar.length === 1) return { ref: name, path: similar[0], match: 'fuzzy', candidates: [] };
+    return { ref: name, path: null, match: null, candidates: similar };
+  }
+
+  /**
+   * Files whose name is within the typo budget of the reference's name,
+   * closest first, preferring files in the same directory on ties
+   */
+  _similar(ref, files) {
+    const refBase = basename(ref).toLowerCase();
+    const refStem = stemOf(ref);
+    const refDir = ref.includes('/') ? ref.slice(0, ref.lastIndexOf('/')) : '';
+    const max = maxTypos(refStem.length);
+    if (max === 0) return [];
+
+    return files
+      .map(f => {
+        const base = basename(f).toLowerCase();
+        const distance = Math.min(
+          editDistance(refBase, base, max),
+          extname(ref) ? max + 1 : editDistance(refStem, stemOf(f), max),
+        );
+        return { file: f, distance, dirMatch: refDir && f.startsWith(refDir + '/') ? 0 : 1 };
+      })
+      .filter(c => c.distance <= max)
+      .sort((a, b) => a.distance - b.distance || a.dirMatch - b.dirMatch || a.file.localeCompare(b.file))
+      .slice(0, MAX_CANDIDATES)
+      .map(c => c.file);
+  }
+}
+
+export {
+  WorkspaceIndex,
+  compileIgnoreRule,
+};